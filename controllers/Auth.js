@@ -1,10 +1,12 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const speakeasy = require('speakeasy');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../utils/emailService');
 const { generateReferralCode } = require('../utils/helpers');
+const { getRestrictionSummary } = require('../utils/walletRestrictions');
 
 /**
  * @desc    Register a new user
@@ -83,7 +85,7 @@ exports.register = async (req, res) => {
 
     // Generate JWT token
     const token = jwt.sign(
-      { id: user._id, role: user.role },
+      { id: user._id, role: user.role, sid: uuidv4() },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
     );
@@ -199,7 +201,7 @@ exports.login = async (req, res) => {
 
     // Generate JWT token
     const token = jwt.sign(
-      { id: user._id, role: user.role },
+      { id: user._id, role: user.role, sid: uuidv4() },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
     );
@@ -299,7 +301,7 @@ exports.verify2FALogin = async (req, res) => {
 
     // Generate final JWT token
     const token = jwt.sign(
-      { id: user._id, role: user.role },
+      { id: user._id, role: user.role, sid: uuidv4() },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
     );
@@ -350,9 +352,12 @@ exports.getProfile = async (req, res) => {
       });
     }
 
+    // Freezes and liens currently limiting what the user can spend
+    const walletRestrictions = await getRestrictionSummary(user._id);
+
     res.json({
       success: true,
-      data: { user }
+      data: { user, walletRestrictions }
     });
 
   } catch (error) {
@@ -3,6 +3,10 @@ const InvestmentPlan = require('../models/InvestmentPlan');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
+const ledger = require('../utils/ledger');
+const walletRestrictions = require('../utils/walletRestrictions');
+const { parseAmount, toKobo, roundKobo, percentOf, formatMoney, DEFAULT_CURRENCY } = require('../utils/money');
+const { calculateDailyEarnings, calculateTotalReturns } = require('../utils/investmentCalculations');
 
 /**
  * @desc    Get all investment plans with advanced filtering
@@ -21,7 +25,8 @@ exports.getInvestmentPlans = async (req, res) => {
       sort_order = 'asc',
       page = 1,
       limit = 15,
-      featured
+      featured,
+      currency
     } = req.query;
 
     // Build query
@@ -30,12 +35,13 @@ exports.getInvestmentPlans = async (req, res) => {
     if (category) query.category = category;
     if (risk_level) query.risk_level = risk_level;
     if (featured === 'true') query.is_popular = true;
+    if (currency) query.currency = currency;
     
     // Amount range filter
     if (min_amount || max_amount) {
       query.min_amount = {};
-      if (min_amount) query.min_amount.$gte = parseInt(min_amount);
-      if (max_amount) query.min_amount.$lte = parseInt(max_amount);
+      if (min_amount) query.min_amount.$gte = parseAmount(min_amount);
+      if (max_amount) query.min_amount.$lte = parseAmount(max_amount);
     }
 
     // Duration filter
@@ -91,8 +97,8 @@ exports.getInvestmentPlans = async (req, res) => {
       data: {
         plans: plans.map(plan => ({
           ...plan,
-          estimated_returns: (plan.min_amount * plan.total_interest) / 100,
-          daily_return_amount: (plan.min_amount * plan.daily_interest) / 100
+          estimated_returns: percentOf(plan.min_amount, plan.total_interest),
+          daily_return_amount: percentOf(plan.min_amount, plan.daily_interest)
         })),
         pagination: {
           totalPages: Math.ceil(total / limit),
@@ -106,11 +112,11 @@ exports.getInvestmentPlans = async (req, res) => {
           available_categories: ['entry', 'growth', 'premium', 'ultra-premium', 'exclusive'],
           available_risk_levels: ['low', 'medium', 'medium-high', 'high', 'very-high', 'maximum'],
           price_ranges: {
-            entry: { min: 3500, max: 25000 },
-            growth: { min: 23500, max: 150000 },
-            premium: { min: 63500, max: 400000 },
-            'ultra-premium': { min: 113500, max: 1500000 },
-            exclusive: { min: 153500, max: 5000000 }
+            entry: { min: toKobo(3500), max: toKobo(25000) },
+            growth: { min: toKobo(23500), max: toKobo(150000) },
+            premium: { min: toKobo(63500), max: toKobo(400000) },
+            'ultra-premium': { min: toKobo(113500), max: toKobo(1500000) },
+            exclusive: { min: toKobo(153500), max: toKobo(5000000) }
           }
         }
       }
@@ -179,8 +185,8 @@ exports.getPlanDetails = async (req, res) => {
       data: {
         plan: {
           ...plan.toObject(),
-          estimated_returns: (plan.min_amount * plan.total_interest) / 100,
-          daily_return_amount: (plan.min_amount * plan.daily_interest) / 100
+          estimated_returns: percentOf(plan.min_amount, plan.total_interest),
+          daily_return_amount: percentOf(plan.min_amount, plan.daily_interest)
         },
         scenarios,
         similar_plans: similarPlans,
@@ -214,7 +220,15 @@ exports.getPlanDetails = async (req, res) => {
  */
 exports.calculateAdvancedReturns = async (req, res) => {
   try {
-    const { plan_id, amount, duration_months, compound_frequency } = req.body;
+    const { plan_id, duration_months, compound_frequency } = req.body;
+    const amount = parseAmount(req.body.amount);
+
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid investment amount'
+      });
+    }
 
     const plan = await InvestmentPlan.findById(plan_id);
     if (!plan) {
@@ -227,7 +241,7 @@ exports.calculateAdvancedReturns = async (req, res) => {
     if (amount < plan.min_amount || amount > plan.max_amount) {
       return res.status(400).json({
         success: false,
-        message: `Investment amount must be between ₦${plan.min_amount.toLocaleString()} and ₦${plan.max_amount.toLocaleString()}`
+        message: `Investment amount must be between ${formatMoney(plan.min_amount, plan.currency)} and ${formatMoney(plan.max_amount, plan.currency)}`
       });
     }
 
@@ -270,13 +284,21 @@ exports.createAdvancedInvestment = async (req, res) => {
   try {
     const { 
       plan_id, 
-      amount, 
       strategy = 'standard',
       auto_renew = false,
-      risk_management = 'conservative',
-      target_amount,
-      stop_loss 
+      risk_management = 'conservative'
     } = req.body;
+    const amount = parseAmount(req.body.amount);
+    const target_amount = req.body.target_amount ? parseAmount(req.body.target_amount) : undefined;
+    const stop_loss = req.body.stop_loss ? parseAmount(req.body.stop_loss) : undefined;
+
+    if (!amount || target_amount === null || stop_loss === null) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid investment amounts'
+      });
+    }
 
     // Validate plan
     const plan = await InvestmentPlan.findById(plan_id);
@@ -293,13 +315,17 @@ exports.createAdvancedInvestment = async (req, res) => {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: `Amount must be between ₦${plan.min_amount.toLocaleString()} and ₦${plan.max_amount.toLocaleString()}`
+        message: `Amount must be between ${formatMoney(plan.min_amount, plan.currency)} and ${formatMoney(plan.max_amount, plan.currency)}`
       });
     }
 
-    // Check user balance and risk tolerance
+    // Compliance freezes and liens
+    await walletRestrictions.assertCanDebit({ userId: req.user.id, amount, currency: plan.currency }, { session });
+
+    // Check the plan currency's wallet balance and risk tolerance
     const user = await User.findById(req.user.id).session(session);
-    if (user.balance < amount) {
+    const available = await ledger.getWalletBalance(req.user.id, { session, currency: plan.currency });
+    if (available < amount) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -317,14 +343,15 @@ exports.createAdvancedInvestment = async (req, res) => {
     }
 
     // Calculate investment details
-    const dailyEarnings = (amount * plan.daily_interest) / 100;
-    const totalReturns = (amount * plan.total_interest) / 100;
+    const dailyEarnings = calculateDailyEarnings(amount, plan.daily_interest);
+    const totalReturns = calculateTotalReturns(amount, plan.total_interest);
     const endDate = new Date(Date.now() + plan.duration * 24 * 60 * 60 * 1000);
 
     // Create advanced investment
     const investment = await Investment.create([{
       user: req.user.id,
       plan: plan_id,
+      currency: plan.currency,
       amount,
       daily_earnings: dailyEarnings,
       total_returns: totalReturns,
@@ -344,15 +371,25 @@ exports.createAdvancedInvestment = async (req, res) => {
       }
     }], { session });
 
-    // Deduct amount from user balance
-    user.balance -= amount;
-    user.total_invested += amount;
-    await user.save({ session });
+    // Move the amount from the wallet into investment escrow
+    const entry = await ledger.recordInvestment({
+      userId: req.user.id,
+      amount,
+      investmentId: investment[0]._id,
+      currency: plan.currency
+    }, { session });
+
+    // total_invested is a naira figure; other currencies are reported per wallet
+    if (plan.currency === DEFAULT_CURRENCY) {
+      user.total_invested += amount;
+      await user.save({ session });
+    }
 
     // Create transaction record
     await Transaction.create([{
       user: req.user.id,
       type: 'investment',
+      currency: plan.currency,
       amount: -amount,
       description: `Advanced investment in ${plan.name} (${strategy} strategy)`,
       status: 'completed',
@@ -360,7 +397,8 @@ exports.createAdvancedInvestment = async (req, res) => {
         investment_id: investment[0]._id,
         plan_name: plan.name,
         strategy: strategy,
-        risk_management: risk_management
+        risk_management: risk_management,
+        journal_entry_id: entry._id
       }
     }], { session });
 
@@ -396,7 +434,7 @@ exports.createAdvancedInvestment = async (req, res) => {
     });
 
     // Notify admin for large investments
-    if (amount >= 100000) {
+    if (amount >= toKobo(100000)) {
       io.to('admin-room').emit('large-investment', {
         message: 'Large investment created',
         investmentId: investment[0]._id,
@@ -418,6 +456,22 @@ exports.createAdvancedInvestment = async (req, res) => {
 
   } catch (error) {
     await session.abortTransaction();
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance for this investment'
+      });
+    }
+
+    if (error.code === 'WALLET_FROZEN' || error.code === 'LIEN_RESTRICTED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Create advanced investment error:', error);
     res.status(500).json({
       success: false,
@@ -541,14 +595,14 @@ function calculateAdvancedInvestmentReturns(amount, dailyInterest, duration, mon
   const totalDays = months ? months * 30 : duration;
   
   const returns = {
-    simple: amount * dailyRate * totalDays,
-    compounded: amount * Math.pow(1 + dailyRate, totalDays) - amount,
+    simple: roundKobo(amount * dailyRate * totalDays),
+    compounded: roundKobo(amount * Math.pow(1 + dailyRate, totalDays) - amount),
     monthly_breakdown: []
   };
 
   // Generate monthly breakdown
   for (let month = 1; month <= (months || Math.ceil(duration / 30)); month++) {
-    const monthEarnings = amount * dailyRate * 30 * month;
+    const monthEarnings = roundKobo(amount * dailyRate * 30 * month);
     returns.monthly_breakdown.push({
       month,
       earnings: monthEarnings,
@@ -575,8 +629,8 @@ function calculateStrategyReturns(amount, plan, strategy) {
   };
 
   const multiplier = multipliers[strategy];
-  const dailyReturn = (amount * plan.daily_interest * multiplier) / 100;
-  const totalReturn = (amount * plan.total_interest * multiplier) / 100;
+  const dailyReturn = percentOf(amount, plan.daily_interest * multiplier);
+  const totalReturn = percentOf(amount, plan.total_interest * multiplier);
 
   return {
     daily_return: dailyReturn,
@@ -596,14 +650,14 @@ function assessInvestmentRisk(plan, amount) {
   };
 
   const score = riskScores[plan.risk_level] || 2;
-  const amountRisk = amount > 100000 ? 2 : amount > 50000 ? 1 : 0;
+  const amountRisk = amount > toKobo(100000) ? 2 : amount > toKobo(50000) ? 1 : 0;
 
   return {
     overall_risk: score + amountRisk,
     risk_level: getRiskLevel(score + amountRisk),
     factors: [
       `Plan risk: ${plan.risk_level}`,
-      amount > 100000 ? 'High investment amount' : 'Moderate investment amount',
+      amount > toKobo(100000) ? 'High investment amount' : 'Moderate investment amount',
       plan.duration > 30 ? 'Long duration' : 'Short to medium duration'
     ],
     recommendations: generateRiskRecommendations(score + amountRisk)
@@ -6,8 +6,47 @@ const Transaction = require('../models/Transaction');
 const KYC = require('../models/KYC');
 const SupportTicket = require('../models/SupportTicket');
 const InvestmentPlan = require('../models/InvestmentPlan');
+const ReconciliationRecord = require('../models/ReconciliationRecord');
+const Wallet = require('../models/Wallet');
+const FxRate = require('../models/FxRate');
+const FeeSchedule = require('../models/FeeSchedule');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const WalletRestriction = require('../models/WalletRestriction');
+const CryptoAddress = require('../models/CryptoAddress');
+const BankStatementImport = require('../models/BankStatementImport');
+const BankStatementLine = require('../models/BankStatementLine');
+const BulkAction = require('../models/BulkAction');
+const PayoutBatch = require('../models/PayoutBatch');
 const logger = require('../utils/logger');
-const { sendEmail } = require('../utils/emailService');
+const ledger = require('../utils/ledger');
+const balanceHolds = require('../utils/balanceHolds');
+const walletRestrictions = require('../utils/walletRestrictions');
+const { runBalanceReconciliation } = require('../utils/reconciliation');
+const { approvePendingDeposit, notifyDepositApproved } = require('../utils/depositApproval');
+const adminActions = require('../utils/adminActions');
+const withdrawalPayouts = require('../utils/withdrawalPayouts');
+const accountResolution = require('../utils/accountResolution');
+const payoutBatches = require('../utils/payoutBatches');
+const fx = require('../utils/fx');
+const { CRYPTO_ASSETS, SUPPORTED_ASSETS, isSupportedAsset } = require('../utils/cryptoAssets');
+const { resolveFiles, attachFiles } = require('../utils/uploads');
+const { importBankStatement } = require('../utils/bankStatements');
+const { startBulkAction } = require('../utils/bulkActions');
+const { USER_TIERS, DEFAULT_TIER, isUserTier } = require('../utils/userTiers');
+const {
+  AMOUNT_UNIT,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  parseAmount,
+  formatMoney
+} = require('../utils/money');
+
+// Records created before multi-currency wallets carry no currency and are NGN
+const CURRENCY_KEY = { $ifNull: ['$currency', DEFAULT_CURRENCY] };
+
+// Pick one currency's row from a `$group` keyed by CURRENCY_KEY
+const totalsFor = (rows = [], currency = DEFAULT_CURRENCY) => rows.find(row => row._id === currency) || {};
 
 /**
  * @desc    Get admin dashboard statistics
@@ -44,15 +83,15 @@ exports.getDashboardStats = async (req, res) => {
     const investmentStats = await Investment.aggregate([
       {
         $facet: {
-          total: [{ $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
-          active: [{ $match: { status: 'active' } }, { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
+          total: [{ $group: { _id: CURRENCY_KEY, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
+          active: [{ $match: { status: 'active' } }, { $group: { _id: CURRENCY_KEY, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
           pending: [{ $match: { status: 'pending' } }, { $count: 'count' }],
-          today: [{ $match: { created_at: { $gte: todayStart } } }, { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
+          today: [{ $match: { created_at: { $gte: todayStart } } }, { $group: { _id: CURRENCY_KEY, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
           byPlan: [
-            { $group: { _id: '$plan', totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } }
+            { $group: { _id: '$plan', currency: { $first: CURRENCY_KEY }, totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } }
           ],
           byStatus: [
-            { $group: { _id: '$status', totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } }
+            { $group: { _id: { status: '$status', currency: CURRENCY_KEY }, totalAmount: { $sum: '$amount' }, count: { $sum: 1 } } }
           ]
         }
       }
@@ -64,21 +103,22 @@ exports.getDashboardStats = async (req, res) => {
         $facet: {
           deposits: [
             { $match: { type: 'deposit', status: 'completed' } },
-            { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+            { $group: { _id: CURRENCY_KEY, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
           ],
           withdrawals: [
             { $match: { type: 'withdrawal', status: 'completed' } },
-            { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+            { $group: { _id: CURRENCY_KEY, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
           ],
           earnings: [
             { $match: { type: 'investment_earnings', status: 'completed' } },
-            { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+            { $group: { _id: CURRENCY_KEY, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
           ],
           today: [
             { $match: { created_at: { $gte: todayStart } } },
-            { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+            { $group: { _id: { type: '$type', currency: CURRENCY_KEY }, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
           ]
         }
+      }
     ]);
 
     // Platform revenue (fees)
@@ -88,7 +128,7 @@ exports.getDashboardStats = async (req, res) => {
       },
       {
         $group: {
-          _id: null,
+          _id: CURRENCY_KEY,
           totalFees: { $sum: '$fee' },
           totalWithdrawals: { $sum: '$net_amount' },
           count: { $sum: 1 }
@@ -96,13 +136,22 @@ exports.getDashboardStats = async (req, res) => {
       }
     ]);
 
+    // Funds sitting in user wallets; NGN lives on the user document
+    const [ngnWallets, foreignWallets] = await Promise.all([
+      User.aggregate([{ $group: { _id: DEFAULT_CURRENCY, amount: { $sum: '$balance' } } }]),
+      Wallet.aggregate([{ $group: { _id: '$currency', amount: { $sum: '$balance' } } }])
+    ]);
+    const walletBalances = [...ngnWallets, ...foreignWallets];
+
     // Pending requests
     const pendingRequests = await Promise.all([
       Deposit.countDocuments({ status: 'pending' }),
       Withdrawal.countDocuments({ status: 'pending' }),
       Investment.countDocuments({ status: 'pending' }),
       KYC.countDocuments({ status: 'pending' }),
-      SupportTicket.countDocuments({ status: 'open' })
+      SupportTicket.countDocuments({ status: 'open' }),
+      Withdrawal.countDocuments({ status: { $in: ['approved', 'processing'] } }),
+      Withdrawal.countDocuments({ status: 'awaiting_second_approval' })
     ]);
 
     const stats = {
@@ -115,37 +164,52 @@ exports.getDashboardStats = async (req, res) => {
         active: userStats[0]?.active[0]?.count || 0,
         riskDistribution: userStats[0]?.byRisk || []
       },
+      // Amount totals below are NGN; see `currencies` for every wallet currency
       investments: {
-        totalAmount: investmentStats[0]?.total[0]?.amount || 0,
-        totalCount: investmentStats[0]?.total[0]?.count || 0,
-        activeAmount: investmentStats[0]?.active[0]?.amount || 0,
-        activeCount: investmentStats[0]?.active[0]?.count || 0,
+        totalAmount: totalsFor(investmentStats[0]?.total).amount || 0,
+        totalCount: investmentStats[0]?.total.reduce((sum, row) => sum + row.count, 0) || 0,
+        activeAmount: totalsFor(investmentStats[0]?.active).amount || 0,
+        activeCount: investmentStats[0]?.active.reduce((sum, row) => sum + row.count, 0) || 0,
         pendingCount: investmentStats[0]?.pending[0]?.count || 0,
-        todayAmount: investmentStats[0]?.today[0]?.amount || 0,
-        todayCount: investmentStats[0]?.today[0]?.count || 0,
+        todayAmount: totalsFor(investmentStats[0]?.today).amount || 0,
+        todayCount: investmentStats[0]?.today.reduce((sum, row) => sum + row.count, 0) || 0,
         byPlan: investmentStats[0]?.byPlan || [],
         byStatus: investmentStats[0]?.byStatus || []
       },
       transactions: {
-        totalDeposits: transactionStats[0]?.deposits[0]?.amount || 0,
-        depositCount: transactionStats[0]?.deposits[0]?.count || 0,
-        totalWithdrawals: Math.abs(transactionStats[0]?.withdrawals[0]?.amount) || 0,
-        withdrawalCount: transactionStats[0]?.withdrawals[0]?.count || 0,
-        totalEarnings: transactionStats[0]?.earnings[0]?.amount || 0,
-        earningsCount: transactionStats[0]?.earnings[0]?.count || 0,
+        totalDeposits: totalsFor(transactionStats[0]?.deposits).amount || 0,
+        depositCount: totalsFor(transactionStats[0]?.deposits).count || 0,
+        totalWithdrawals: Math.abs(totalsFor(transactionStats[0]?.withdrawals).amount) || 0,
+        withdrawalCount: totalsFor(transactionStats[0]?.withdrawals).count || 0,
+        totalEarnings: totalsFor(transactionStats[0]?.earnings).amount || 0,
+        earningsCount: totalsFor(transactionStats[0]?.earnings).count || 0,
         todayTransactions: transactionStats[0]?.today || []
       },
       revenue: {
-        totalFees: revenueStats[0]?.totalFees || 0,
-        totalWithdrawals: revenueStats[0]?.totalWithdrawals || 0,
-        withdrawalCount: revenueStats[0]?.count || 0
+        totalFees: totalsFor(revenueStats).totalFees || 0,
+        totalWithdrawals: totalsFor(revenueStats).totalWithdrawals || 0,
+        withdrawalCount: totalsFor(revenueStats).count || 0
       },
+      currencies: SUPPORTED_CURRENCIES.reduce((acc, currency) => {
+        acc[currency] = {
+          walletBalances: totalsFor(walletBalances, currency).amount || 0,
+          totalDeposits: totalsFor(transactionStats[0]?.deposits, currency).amount || 0,
+          totalWithdrawals: Math.abs(totalsFor(transactionStats[0]?.withdrawals, currency).amount) || 0,
+          totalEarnings: totalsFor(transactionStats[0]?.earnings, currency).amount || 0,
+          totalInvested: totalsFor(investmentStats[0]?.total, currency).amount || 0,
+          activeInvested: totalsFor(investmentStats[0]?.active, currency).amount || 0,
+          totalFees: totalsFor(revenueStats, currency).totalFees || 0
+        };
+        return acc;
+      }, {}),
       pending: {
         deposits: pendingRequests[0],
         withdrawals: pendingRequests[1],
         investments: pendingRequests[2],
         kyc: pendingRequests[3],
-        supportTickets: pendingRequests[4]
+        supportTickets: pendingRequests[4],
+        payouts: pendingRequests[5],
+        secondApprovals: pendingRequests[6]
       }
     };
 
@@ -174,6 +238,7 @@ exports.getPendingDeposits = async (req, res) => {
 
     const deposits = await Deposit.find({ status: 'pending' })
       .populate('user', 'full_name email phone')
+      .populate('proof_file', 'mime_type size original_name thumbnail_key')
       .sort({ created_at: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -209,96 +274,14 @@ exports.getPendingDeposits = async (req, res) => {
  * @access  Private/Admin
  */
 exports.approveDeposit = async (req, res) => {
-  const session = await Deposit.startSession();
-  session.startTransaction();
-
   try {
-    const { deposit_id, admin_notes } = req.body;
-
-    const deposit = await Deposit.findById(deposit_id)
-      .populate('user')
-      .session(session);
-
-    if (!deposit) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        message: 'Deposit not found'
-      });
-    }
-
-    if (deposit.status !== 'pending') {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        message: 'Deposit already processed'
-      });
-    }
-
-    // Update deposit status
-    deposit.status = 'approved';
-    deposit.approved_by = req.user.id;
-    deposit.approved_at = new Date();
-    deposit.admin_notes = admin_notes;
-    await deposit.save({ session });
-
-    // Update user balance
-    const user = await User.findById(deposit.user._id).session(session);
-    user.balance += deposit.amount;
-    await user.save({ session });
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { 'metadata.deposit_id': deposit_id },
-      { 
-        status: 'completed',
-        description: `Deposit approved - ${deposit.payment_method}`
-      },
-      { session }
-    );
-
-    // Create balance update transaction
-    await Transaction.create([{
-      user: deposit.user._id,
-      type: 'deposit',
-      amount: deposit.amount,
-      description: `Deposit via ${deposit.payment_method}`,
-      status: 'completed',
-      metadata: {
-        deposit_id: deposit._id,
-        payment_method: deposit.payment_method,
-        approved_by: req.user.id
-      }
-    }], { session });
-
-    await session.commitTransaction();
-
-    // Notify user via Socket.IO
-    const io = req.app.get('io');
-    io.to(`user-${deposit.user._id}`).emit('deposit-approved', {
-      message: `Your deposit of ₦${deposit.amount.toLocaleString()} has been approved`,
-      amount: deposit.amount,
-      newBalance: user.balance,
-      depositId: deposit._id
+    const deposit = await adminActions.approveDeposit({
+      depositId: req.body.deposit_id,
+      adminId: req.user.id,
+      adminNotes: req.body.admin_notes,
+      io: req.app.get('io')
     });
 
-    // Send approval email
-    try {
-      await sendEmail({
-        email: deposit.user.email,
-        subject: 'Deposit Approved - Raw Wealthy',
-        template: 'deposit-approved',
-        data: {
-          name: deposit.user.full_name,
-          amount: deposit.amount,
-          newBalance: user.balance,
-          timestamp: new Date().toLocaleString()
-        }
-      });
-    } catch (emailError) {
-      logger.error('Deposit approval email failed:', emailError);
-    }
-
     res.json({
       success: true,
       message: 'Deposit approved successfully',
@@ -306,14 +289,18 @@ exports.approveDeposit = async (req, res) => {
     });
 
   } catch (error) {
-    await session.abortTransaction();
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Approve deposit error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while approving deposit'
     });
-  } finally {
-    session.endSession();
   }
 };
 
@@ -324,44 +311,11 @@ exports.approveDeposit = async (req, res) => {
  */
 exports.rejectDeposit = async (req, res) => {
   try {
-    const { deposit_id, rejection_reason } = req.body;
-
-    const deposit = await Deposit.findById(deposit_id).populate('user');
-    if (!deposit) {
-      return res.status(404).json({
-        success: false,
-        message: 'Deposit not found'
-      });
-    }
-
-    if (deposit.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Deposit already processed'
-      });
-    }
-
-    deposit.status = 'rejected';
-    deposit.rejection_reason = rejection_reason;
-    deposit.updated_at = new Date();
-    await deposit.save();
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { 'metadata.deposit_id': deposit_id },
-      { 
-        status: 'failed',
-        description: `Deposit rejected: ${rejection_reason}`
-      }
-    );
-
-    // Notify user
-    const io = req.app.get('io');
-    io.to(`user-${deposit.user._id}`).emit('deposit-rejected', {
-      message: `Your deposit of ₦${deposit.amount.toLocaleString()} was rejected`,
-      amount: deposit.amount,
-      reason: rejection_reason,
-      depositId: deposit._id
+    const deposit = await adminActions.rejectDeposit({
+      depositId: req.body.deposit_id,
+      adminId: req.user.id,
+      rejectionReason: req.body.rejection_reason,
+      io: req.app.get('io')
     });
 
     res.json({
@@ -371,6 +325,13 @@ exports.rejectDeposit = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Reject deposit error:', error);
     res.status(500).json({
       success: false,
@@ -380,22 +341,33 @@ exports.rejectDeposit = async (req, res) => {
 };
 
 /**
- * @desc    Get pending withdrawals for admin
- * @route   GET /api/admin/pending-withdrawals
+ * @desc    Get withdrawals waiting on a first or second approval, with who decided what so far
+ * @route   GET /api/admin/pending-withdrawals?status=pending|awaiting_second_approval
  * @access  Private/Admin
  */
 exports.getPendingWithdrawals = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
+    const statuses = ['pending', 'awaiting_second_approval'];
+
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${statuses.join(', ')}`
+      });
+    }
 
-    const withdrawals = await Withdrawal.find({ status: 'pending' })
+    const query = { status: status || { $in: statuses } };
+
+    const withdrawals = await Withdrawal.find(query)
       .populate('user', 'full_name email phone')
+      .populate('decisions.admin', 'full_name email')
       .sort({ created_at: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .lean();
 
-    const total = await Withdrawal.countDocuments({ status: 'pending' });
+    const total = await Withdrawal.countDocuments(query);
 
     res.json({
       success: true,
@@ -425,98 +397,44 @@ exports.getPendingWithdrawals = async (req, res) => {
  * @access  Private/Admin
  */
 exports.approveWithdrawal = async (req, res) => {
-  const session = await Withdrawal.startSession();
-  session.startTransaction();
-
   try {
-    const { withdrawal_id, admin_notes, transaction_hash } = req.body;
+    const withdrawal = await adminActions.approveWithdrawal({
+      withdrawalId: req.body.withdrawal_id,
+      adminId: req.user.id,
+      adminNotes: req.body.admin_notes,
+      transactionHash: req.body.transaction_hash,
+      io: req.app.get('io')
+    });
 
-    const withdrawal = await Withdrawal.findById(withdrawal_id)
-      .populate('user')
-      .session(session);
+    res.json({
+      success: true,
+      message: withdrawal.status === 'awaiting_second_approval'
+        ? 'First approval recorded. A different admin must approve this withdrawal before payout.'
+        : 'Withdrawal approved successfully',
+      data: { withdrawal }
+    });
 
-    if (!withdrawal) {
-      await session.abortTransaction();
-      return res.status(404).json({
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Withdrawal not found'
+        message: error.message
       });
     }
 
-    if (withdrawal.status !== 'pending') {
-      await session.abortTransaction();
-      return res.status(400).json({
+    if (['ACCOUNT_NOT_CHECKED', 'ACCOUNT_REVIEW_REQUIRED', 'SELF_APPROVAL'].includes(error.code)) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Withdrawal already processed'
-      });
-    }
-
-    // Update withdrawal status
-    withdrawal.status = 'approved';
-    withdrawal.approved_by = req.user.id;
-    withdrawal.approved_at = new Date();
-    withdrawal.admin_notes = admin_notes;
-    withdrawal.transaction_hash = transaction_hash;
-    await withdrawal.save({ session });
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { 'metadata.withdrawal_id': withdrawal_id },
-      { 
-        status: 'completed',
-        description: `Withdrawal approved - ${withdrawal.payment_method}`
-      },
-      { session }
-    );
-
-    await session.commitTransaction();
-
-    // Notify user via Socket.IO
-    const io = req.app.get('io');
-    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-approved', {
-      message: `Your withdrawal of ₦${withdrawal.amount.toLocaleString()} has been approved and is being processed`,
-      amount: withdrawal.amount,
-      netAmount: withdrawal.net_amount,
-      fee: withdrawal.fee,
-      withdrawalId: withdrawal._id,
-      transactionHash: transaction_hash
-    });
-
-    // Send approval email
-    try {
-      await sendEmail({
-        email: withdrawal.user.email,
-        subject: 'Withdrawal Approved - Raw Wealthy',
-        template: 'withdrawal-approved',
-        data: {
-          name: withdrawal.user.full_name,
-          amount: withdrawal.amount,
-          netAmount: withdrawal.net_amount,
-          fee: withdrawal.fee,
-          paymentMethod: withdrawal.payment_method,
-          transactionHash: transaction_hash,
-          timestamp: new Date().toLocaleString()
-        }
+        message: error.message,
+        code: error.code
       });
-    } catch (emailError) {
-      logger.error('Withdrawal approval email failed:', emailError);
     }
 
-    res.json({
-      success: true,
-      message: 'Withdrawal approved successfully',
-      data: { withdrawal }
-    });
-
-  } catch (error) {
-    await session.abortTransaction();
     logger.error('Approve withdrawal error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while approving withdrawal'
     });
-  } finally {
-    session.endSession();
   }
 };
 
@@ -526,106 +444,72 @@ exports.approveWithdrawal = async (req, res) => {
  * @access  Private/Admin
  */
 exports.rejectWithdrawal = async (req, res) => {
-  const session = await Withdrawal.startSession();
-  session.startTransaction();
-
   try {
-    const { withdrawal_id, rejection_reason } = req.body;
-
-    const withdrawal = await Withdrawal.findById(withdrawal_id)
-      .populate('user')
-      .session(session);
-
-    if (!withdrawal) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        message: 'Withdrawal not found'
-      });
-    }
-
-    if (withdrawal.status !== 'pending') {
-      await session.abortTransaction();
-      return res.status(400).json({
-        success: false,
-        message: 'Withdrawal already processed'
-      });
-    }
-
-    // Update withdrawal status
-    withdrawal.status = 'rejected';
-    withdrawal.rejection_reason = rejection_reason;
-    withdrawal.updated_at = new Date();
-    await withdrawal.save({ session });
-
-    // Refund amount to user balance (since it was deducted on creation)
-    const user = await User.findById(withdrawal.user._id).session(session);
-    user.balance += withdrawal.amount;
-    await user.save({ session });
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { 'metadata.withdrawal_id': withdrawal_id },
-      { 
-        status: 'failed',
-        description: `Withdrawal rejected: ${rejection_reason}`
-      },
-      { session }
-    );
-
-    await session.commitTransaction();
-
-    // Notify user
-    const io = req.app.get('io');
-    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-rejected', {
-      message: `Your withdrawal of ₦${withdrawal.amount.toLocaleString()} was rejected`,
-      amount: withdrawal.amount,
-      reason: rejection_reason,
-      withdrawalId: withdrawal._id,
-      refundedAmount: withdrawal.amount
+    const withdrawal = await adminActions.rejectWithdrawal({
+      withdrawalId: req.body.withdrawal_id,
+      adminId: req.user.id,
+      rejectionReason: req.body.rejection_reason,
+      io: req.app.get('io')
     });
 
     res.json({
       success: true,
-      message: 'Withdrawal rejected and amount refunded',
+      message: 'Withdrawal rejected and held funds released',
       data: { withdrawal }
     });
 
   } catch (error) {
-    await session.abortTransaction();
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Reject withdrawal error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while rejecting withdrawal'
     });
-  } finally {
-    session.endSession();
   }
 };
 
 /**
- * @desc    Get pending investments for admin
- * @route   GET /api/admin/pending-investments
+ * @desc    Pending bank withdrawals whose account name check needs review (Admin)
+ * @route   GET /api/admin/account-reviews?status=mismatch|not_found|failed
  * @access  Private/Admin
  */
-exports.getPendingInvestments = async (req, res) => {
+exports.getAccountReviewQueue = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
 
-    const investments = await Investment.find({ status: 'pending' })
-      .populate('user', 'full_name email phone')
-      .populate('plan', 'name daily_interest duration min_amount')
-      .sort({ created_at: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
+    if (status && !accountResolution.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${accountResolution.REVIEW_STATUSES.join(', ')}`
+      });
+    }
 
-    const total = await Investment.countDocuments({ status: 'pending' });
+    const query = {
+      status: 'pending',
+      'account_resolution.status': status || { $in: accountResolution.REVIEW_STATUSES },
+      'account_resolution.review.decision': { $exists: false }
+    };
+
+    const [withdrawals, total] = await Promise.all([
+      Withdrawal.find(query)
+        .populate('user', 'full_name email phone')
+        .sort({ createdAt: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      Withdrawal.countDocuments(query)
+    ]);
 
     res.json({
       success: true,
       data: {
-        investments,
+        withdrawals,
         pagination: {
           totalPages: Math.ceil(total / limit),
           currentPage: parseInt(page),
@@ -636,255 +520,405 @@ exports.getPendingInvestments = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Get pending investments error:', error);
+    logger.error('Get account review queue error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching pending investments'
+      message: 'Server error while fetching account reviews'
     });
   }
 };
 
 /**
- * @desc    Approve investment (Admin)
- * @route   POST /api/admin/approve-investment
+ * @desc    Run the bank account name check for a pending withdrawal again (Admin)
+ * @route   POST /api/admin/withdrawals/:id/account-check
  * @access  Private/Admin
  */
-exports.approveInvestment = async (req, res) => {
-  const session = await Investment.startSession();
-  session.startTransaction();
-
+exports.checkWithdrawalAccount = async (req, res) => {
   try {
-    const { investment_id, admin_notes } = req.body;
-
-    const investment = await Investment.findById(investment_id)
-      .populate('user')
-      .populate('plan')
-      .session(session);
-
-    if (!investment) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        message: 'Investment not found'
-      });
-    }
+    const resolution = await accountResolution.resolveWithdrawalAccount({
+      withdrawalId: req.params.id,
+      io: req.app.get('io')
+    });
 
-    if (investment.status !== 'pending') {
-      await session.abortTransaction();
+    if (!resolution) {
       return res.status(400).json({
         success: false,
-        message: 'Investment already processed'
-      });
-    }
-
-    // Update investment status
-    investment.status = 'active';
-    investment.start_date = new Date();
-    investment.end_date = new Date(Date.now() + investment.plan.duration * 24 * 60 * 60 * 1000);
-    investment.admin_notes = admin_notes;
-    await investment.save({ session });
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { 'metadata.investment_id': investment_id },
-      { 
-        status: 'completed',
-        description: `Investment in ${investment.plan.name} approved`
-      },
-      { session }
-    );
-
-    await session.commitTransaction();
-
-    // Process referral bonus if applicable
-    if (investment.user.referred_by) {
-      try {
-        const referralBonus = investment.amount * 0.20; // 20% referral bonus
-        
-        // Update referrer's balance
-        await User.findByIdAndUpdate(investment.user.referred_by, {
-          $inc: {
-            balance: referralBonus,
-            referral_earnings: referralBonus
-          }
-        });
-
-        // Create referral bonus transaction
-        await Transaction.create({
-          user: investment.user.referred_by,
-          type: 'referral_bonus',
-          amount: referralBonus,
-          description: `Referral bonus from ${investment.user.full_name}`,
-          status: 'completed',
-          metadata: {
-            referral_user_id: investment.user._id,
-            referral_user_name: investment.user.full_name,
-            investment_amount: investment.amount,
-            bonus_percentage: 20
-          }
-        });
-
-        // Notify referrer
-        const io = req.app.get('io');
-        io.to(`user-${investment.user.referred_by}`).emit('referral-bonus-earned', {
-          message: `You earned ₦${referralBonus.toLocaleString()} referral bonus`,
-          amount: referralBonus,
-          fromUser: investment.user.full_name,
-          investmentAmount: investment.amount
-        });
-      } catch (referralError) {
-        logger.error('Referral bonus processing error:', referralError);
-        // Don't fail the whole request if referral bonus fails
-      }
-    }
-
-    // Notify user via Socket.IO
-    const io = req.app.get('io');
-    io.to(`user-${investment.user._id}`).emit('investment-approved', {
-      message: `Your investment in ${investment.plan.name} has been approved`,
-      investmentId: investment._id,
-      planName: investment.plan.name,
-      amount: investment.amount,
-      duration: investment.plan.duration,
-      dailyEarnings: investment.daily_earnings,
-      totalReturns: investment.total_returns,
-      endDate: investment.end_date
-    });
-
-    // Send approval email
-    try {
-      await sendEmail({
-        email: investment.user.email,
-        subject: 'Investment Approved - Raw Wealthy',
-        template: 'investment-approved',
-        data: {
-          name: investment.user.full_name,
-          planName: investment.plan.name,
-          amount: investment.amount,
-          duration: investment.plan.duration,
-          dailyEarnings: investment.daily_earnings,
-          totalReturns: investment.total_returns,
-          endDate: investment.end_date.toLocaleDateString()
-        }
+        message: 'Only bank transfer withdrawals have an account name check'
       });
-    } catch (emailError) {
-      logger.error('Investment approval email failed:', emailError);
     }
 
     res.json({
       success: true,
-      message: 'Investment approved successfully',
-      data: { investment }
+      message: `Account check result: ${resolution.status.replace('_', ' ')}`,
+      data: { account_resolution: resolution }
     });
 
   } catch (error) {
-    await session.abortTransaction();
-    logger.error('Approve investment error:', error);
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Check withdrawal account error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while approving investment'
+      message: 'Server error while checking withdrawal account'
     });
-  } finally {
-    session.endSession();
   }
 };
 
 /**
- * @desc    Reject investment (Admin)
- * @route   POST /api/admin/reject-investment
+ * @desc    Accept a withdrawal's bank account after manual review (Admin)
+ * @route   POST /api/admin/withdrawals/:id/account-check/accept
  * @access  Private/Admin
  */
-exports.rejectInvestment = async (req, res) => {
-  const session = await Investment.startSession();
-  session.startTransaction();
-
+exports.acceptWithdrawalAccount = async (req, res) => {
   try {
-    const { investment_id, rejection_reason } = req.body;
-
-    const investment = await Investment.findById(investment_id)
-      .populate('user')
-      .populate('plan')
-      .session(session);
-
-    if (!investment) {
-      await session.abortTransaction();
-      return res.status(404).json({
-        success: false,
-        message: 'Investment not found'
-      });
-    }
+    const { notes } = req.body;
 
-    if (investment.status !== 'pending') {
-      await session.abortTransaction();
+    if (!notes) {
       return res.status(400).json({
         success: false,
-        message: 'Investment already processed'
+        message: 'Please record how the account holder was verified'
       });
     }
 
-    // Update investment status
-    investment.status = 'rejected';
-    investment.rejection_reason = rejection_reason;
-    investment.updated_at = new Date();
-    await investment.save({ session });
-
-    // Refund amount to user balance
-    const user = await User.findById(investment.user._id).session(session);
-    user.balance += investment.amount;
-    await user.save({ session });
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { 'metadata.investment_id': investment_id },
-      { 
-        status: 'failed',
-        description: `Investment rejected: ${rejection_reason}`
-      },
-      { session }
-    );
-
-    await session.commitTransaction();
-
-    // Notify user
-    const io = req.app.get('io');
-    io.to(`user-${investment.user._id}`).emit('investment-rejected', {
-      message: `Your investment in ${investment.plan.name} was rejected`,
-      amount: investment.amount,
-      reason: rejection_reason,
-      investmentId: investment._id,
-      refundedAmount: investment.amount
+    const withdrawal = await accountResolution.acceptAccountResolution({
+      withdrawalId: req.params.id,
+      adminId: req.user.id,
+      notes
     });
 
     res.json({
       success: true,
-      message: 'Investment rejected and amount refunded',
-      data: { investment }
+      message: 'Account accepted. The withdrawal can now be approved.',
+      data: { withdrawal }
     });
 
   } catch (error) {
-    await session.abortTransaction();
-    logger.error('Reject investment error:', error);
+    if (error.code === 'NOT_FOUND' || error.code === 'NOTHING_TO_REVIEW') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Accept withdrawal account error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while rejecting investment'
+      message: 'Server error while accepting withdrawal account'
     });
-  } finally {
-    session.endSession();
   }
 };
 
 /**
- * @desc    Get all users with filtering and pagination (Admin)
- * @route   GET /api/admin/users
+ * @desc    Approved withdrawals waiting on, or in, payout (Admin)
+ * @route   GET /api/admin/payouts
  * @access  Private/Admin
  */
-exports.getAllUsers = async (req, res) => {
+exports.getPayoutQueue = async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      search, 
-      status, 
+    const { page = 1, limit = 10, status } = req.query;
+
+    const statuses = ['approved', 'processing', 'failed'];
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${statuses.join(', ')}`
+      });
+    }
+    const query = { status: status || { $in: ['approved', 'processing'] } };
+
+    const withdrawals = await Withdrawal.find(query)
+      .populate('user', 'full_name email phone')
+      .populate('approved_by', 'full_name email')
+      .populate('decisions.admin', 'full_name email')
+      .sort({ approved_at: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await Withdrawal.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payout queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payout queue'
+    });
+  }
+};
+
+/**
+ * @desc    Mark an approved withdrawal as sent to the bank or payout provider (Admin)
+ * @route   POST /api/admin/withdrawals/:id/processing
+ * @access  Private/Admin
+ */
+exports.markWithdrawalProcessing = async (req, res) => {
+  try {
+    const { provider, reference } = req.body;
+
+    const withdrawal = await withdrawalPayouts.markWithdrawalProcessing({
+      withdrawalId: req.params.id,
+      actionedBy: req.user.id,
+      provider,
+      reference,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: 'Withdrawal marked as processing',
+      data: { withdrawal }
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'INVALID_TRANSITION') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Mark withdrawal processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating withdrawal'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a withdrawal was paid out, capturing the held funds (Admin)
+ * @route   POST /api/admin/withdrawals/:id/complete
+ * @access  Private/Admin
+ */
+exports.completeWithdrawal = async (req, res) => {
+  try {
+    const { provider, reference, transaction_hash } = req.body;
+
+    const withdrawal = await withdrawalPayouts.completeWithdrawal({
+      withdrawalId: req.params.id,
+      actionedBy: req.user.id,
+      provider,
+      reference,
+      transactionHash: transaction_hash,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: 'Withdrawal completed',
+      data: { withdrawal }
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'INVALID_TRANSITION') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Complete withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while completing withdrawal'
+    });
+  }
+};
+
+/**
+ * @desc    Mark a withdrawal payout as failed, returning the held funds (Admin)
+ * @route   POST /api/admin/withdrawals/:id/fail
+ * @access  Private/Admin
+ */
+exports.failWithdrawal = async (req, res) => {
+  try {
+    const { provider, reference, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reason the payout failed'
+      });
+    }
+
+    const withdrawal = await withdrawalPayouts.failWithdrawal({
+      withdrawalId: req.params.id,
+      actionedBy: req.user.id,
+      provider,
+      reference,
+      reason: reason.trim(),
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout marked as failed and held funds returned to the wallet',
+      data: { withdrawal }
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'INVALID_TRANSITION') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Fail withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while failing withdrawal'
+    });
+  }
+};
+
+/**
+ * @desc    Get pending investments for admin
+ * @route   GET /api/admin/pending-investments
+ * @access  Private/Admin
+ */
+exports.getPendingInvestments = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const investments = await Investment.find({ status: 'pending' })
+      .populate('user', 'full_name email phone')
+      .populate('plan', 'name daily_interest duration min_amount')
+      .sort({ created_at: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await Investment.countDocuments({ status: 'pending' });
+
+    res.json({
+      success: true,
+      data: {
+        investments,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get pending investments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching pending investments'
+    });
+  }
+};
+
+/**
+ * @desc    Approve investment (Admin)
+ * @route   POST /api/admin/approve-investment
+ * @access  Private/Admin
+ */
+exports.approveInvestment = async (req, res) => {
+  try {
+    const investment = await adminActions.approveInvestment({
+      investmentId: req.body.investment_id,
+      adminId: req.user.id,
+      adminNotes: req.body.admin_notes,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: 'Investment approved successfully',
+      data: { investment }
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Approve investment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving investment'
+    });
+  }
+};
+
+/**
+ * @desc    Reject investment (Admin)
+ * @route   POST /api/admin/reject-investment
+ * @access  Private/Admin
+ */
+exports.rejectInvestment = async (req, res) => {
+  try {
+    const investment = await adminActions.rejectInvestment({
+      investmentId: req.body.investment_id,
+      adminId: req.user.id,
+      rejectionReason: req.body.rejection_reason,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: 'Investment rejected and amount refunded',
+      data: { investment }
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'ALREADY_PROCESSED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Reject investment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting investment'
+    });
+  }
+};
+
+/**
+ * @desc    Get all users with filtering and pagination (Admin)
+ * @route   GET /api/admin/users
+ * @access  Private/Admin
+ */
+exports.getAllUsers = async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      search, 
+      status, 
       kyc_status,
       risk_tolerance,
       sort = '-created_at'
@@ -1002,8 +1036,29 @@ exports.getUserDetails = async (req, res) => {
       }}
     ]);
 
+    // Check the cached balance against the ledger
+    const ledgerStatus = await ledger.verifyUserBalance(user._id);
+    const balanceSummary = await Promise.all(
+      SUPPORTED_CURRENCIES.map(currency => balanceHolds.getBalanceSummary(user._id, currency))
+    );
+
+    // Manual adjustments with their full review trail
+    const adjustments = await BalanceAdjustment.find({ user: user._id })
+      .populate('proposed_by', 'full_name email')
+      .populate('reviewed_by', 'full_name email')
+      .populate('history.by', 'full_name email')
+      .populate('attachments', 'mime_type size original_name thumbnail_key')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const restrictions = await walletRestrictions.getRestrictionSummary(user._id);
+
     const userData = {
       ...user,
+      ledger: ledgerStatus,
+      balances: balanceSummary,
+      adjustments,
+      restrictions,
       statistics: {
         totalInvestments: investments.length,
         totalDeposits: transactions.filter(t => t.type === 'deposit').length,
@@ -1085,43 +1140,98 @@ exports.updateUserStatus = async (req, res) => {
 };
 
 /**
- * @desc    Get platform analytics
- * @route   GET /api/admin/analytics
+ * @desc    Move a user to another tier (Admin)
+ * @route   PUT /api/admin/users/:id/tier
  * @access  Private/Admin
  */
-exports.getPlatformAnalytics = async (req, res) => {
+exports.updateUserTier = async (req, res) => {
   try {
-    const { period = '30d' } = req.query;
-    
-    // Calculate date range based on period
-    const now = new Date();
-    let startDate;
-    
-    switch (period) {
-      case '7d':
-        startDate = new Date(now.setDate(now.getDate() - 7));
-        break;
-      case '30d':
-        startDate = new Date(now.setDate(now.getDate() - 30));
-        break;
-      case '90d':
-        startDate = new Date(now.setDate(now.getDate() - 90));
-        break;
-      case '1y':
-        startDate = new Date(now.setFullYear(now.getFullYear() - 1));
-        break;
-      default:
-        startDate = new Date(now.setDate(now.getDate() - 30));
+    const { tier, admin_notes } = req.body;
+
+    if (!isUserTier(tier)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tier must be one of ${USER_TIERS.join(', ')}`
+      });
     }
 
-    // User growth analytics
-    const userGrowth = await User.aggregate([
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
       {
-        $match: {
-          created_at: { $gte: startDate }
-        }
+        tier,
+        admin_notes,
+        updated_at: new Date()
       },
-      {
+      { new: true, runValidators: true }
+    ).select('-password -two_factor_secret');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    io.to(`user-${user._id}`).emit('tier-updated', {
+      message: `Your account is now on the ${tier} tier`,
+      tier,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: `User moved to the ${tier} tier`,
+      data: { user }
+    });
+
+  } catch (error) {
+    logger.error('Update user tier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user tier'
+    });
+  }
+};
+
+/**
+ * @desc    Get platform analytics
+ * @route   GET /api/admin/analytics
+ * @access  Private/Admin
+ */
+exports.getPlatformAnalytics = async (req, res) => {
+  try {
+    const { period = '30d' } = req.query;
+    
+    // Calculate date range based on period
+    const now = new Date();
+    let startDate;
+    
+    switch (period) {
+      case '7d':
+        startDate = new Date(now.setDate(now.getDate() - 7));
+        break;
+      case '30d':
+        startDate = new Date(now.setDate(now.getDate() - 30));
+        break;
+      case '90d':
+        startDate = new Date(now.setDate(now.getDate() - 90));
+        break;
+      case '1y':
+        startDate = new Date(now.setFullYear(now.getFullYear() - 1));
+        break;
+      default:
+        startDate = new Date(now.setDate(now.getDate() - 30));
+    }
+
+    // User growth analytics
+    const userGrowth = await User.aggregate([
+      {
+        $match: {
+          created_at: { $gte: startDate }
+        }
+      },
+      {
         $group: {
           _id: {
             year: { $year: '$created_at' },
@@ -1136,20 +1246,20 @@ exports.getPlatformAnalytics = async (req, res) => {
       }
     ]);
 
-    // Revenue analytics
+    // Revenue analytics, by the day the payout completed
     const revenueAnalytics = await Withdrawal.aggregate([
       {
         $match: {
           status: 'completed',
-          created_at: { $gte: startDate }
+          completed_at: { $gte: startDate }
         }
       },
       {
         $group: {
           _id: {
-            year: { $year: '$created_at' },
-            month: { $month: '$created_at' },
-            day: { $dayOfMonth: '$created_at' }
+            year: { $year: '$completed_at' },
+            month: { $month: '$completed_at' },
+            day: { $dayOfMonth: '$completed_at' }
           },
           totalFees: { $sum: '$fee' },
           totalWithdrawals: { $sum: '$net_amount' },
@@ -1247,3 +1357,1639 @@ exports.getPlatformAnalytics = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Get ledger trial balance
+ * @route   GET /api/admin/ledger
+ * @access  Private/Admin
+ */
+exports.getLedgerSummary = async (req, res) => {
+  try {
+    const trialBalance = await ledger.getTrialBalance();
+
+    res.json({
+      success: true,
+      data: { ledger: trialBalance }
+    });
+
+  } catch (error) {
+    logger.error('Get ledger summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger summary'
+    });
+  }
+};
+
+/**
+ * @desc    Get balance reconciliation discrepancies
+ * @route   GET /api/admin/reconciliation
+ * @access  Private/Admin
+ */
+exports.getReconciliationRecords = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, run_id, user } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (run_id) query.run_id = run_id;
+    if (user) query.user = user;
+
+    const records = await ReconciliationRecord.find(query)
+      .populate('user', 'full_name email phone balance')
+      .populate('resolved_by', 'full_name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await ReconciliationRecord.countDocuments(query);
+
+    const summary = await ReconciliationRecord.aggregate([
+      { $match: query },
+      { $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        totalDifference: { $sum: '$difference' }
+      }}
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        records,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+          limit: parseInt(limit)
+        },
+        summary
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get reconciliation records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reconciliation records'
+    });
+  }
+};
+
+/**
+ * @desc    Update a reconciliation discrepancy (Admin)
+ * @route   PUT /api/admin/reconciliation/:id
+ * @access  Private/Admin
+ */
+exports.updateReconciliationRecord = async (req, res) => {
+  try {
+    const { status, resolution_notes } = req.body;
+
+    if (!['open', 'investigating', 'resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reconciliation status'
+      });
+    }
+
+    const record = await ReconciliationRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation record not found'
+      });
+    }
+
+    record.status = status;
+    record.resolution_notes = resolution_notes;
+    if (status === 'investigating') {
+      record.assigned_to = req.user.id;
+    } else if (status === 'resolved' || status === 'dismissed') {
+      record.resolved_by = req.user.id;
+      record.resolved_at = new Date();
+    }
+    await record.save();
+
+    res.json({
+      success: true,
+      message: `Reconciliation record marked ${status}`,
+      data: { record }
+    });
+
+  } catch (error) {
+    logger.error('Update reconciliation record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reconciliation record'
+    });
+  }
+};
+
+/**
+ * @desc    Run balance reconciliation now (Admin)
+ * @route   POST /api/admin/reconciliation/run
+ * @access  Private/Admin
+ */
+exports.runReconciliation = async (req, res) => {
+  try {
+    const summary = await runBalanceReconciliation({ io: req.app.get('io') });
+
+    res.json({
+      success: true,
+      message: 'Balance reconciliation completed',
+      data: { summary }
+    });
+
+  } catch (error) {
+    logger.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running reconciliation'
+    });
+  }
+};
+
+/**
+ * @desc    Get current FX rates and rate history (Admin)
+ * @route   GET /api/admin/fx-rates
+ * @access  Private/Admin
+ */
+exports.getFxRates = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, base, quote } = req.query;
+
+    const query = {};
+    if (base) query.base = base;
+    if (quote) query.quote = quote;
+
+    const [rates, history, total] = await Promise.all([
+      fx.getCurrentRates(),
+      FxRate.find(query)
+        .populate('set_by', 'full_name email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      FxRate.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        history,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get FX rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching FX rates'
+    });
+  }
+};
+
+/**
+ * @desc    Set the exchange rate for a currency pair (Admin)
+ * @route   POST /api/admin/fx-rates
+ * @access  Private/Admin
+ */
+exports.setFxRate = async (req, res) => {
+  try {
+    const { base, quote, notes } = req.body;
+    const rate = Number(req.body.rate);
+
+    if (!isSupportedCurrency(base) || !isSupportedCurrency(quote) || base === quote) {
+      return res.status(400).json({
+        success: false,
+        message: `Base and quote must be two different currencies from ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid rate greater than zero'
+      });
+    }
+
+    // Keep every change; the newest document is the live rate
+    const fxRate = await FxRate.create({
+      base,
+      quote,
+      rate,
+      notes,
+      set_by: req.user.id
+    });
+
+    const io = req.app.get('io');
+    io.to('admin-dashboard').emit('fx-rate-updated', {
+      message: `${base}/${quote} rate updated`,
+      base,
+      quote,
+      rate,
+      setBy: req.user.full_name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${base}/${quote} rate set to ${rate}`,
+      data: { rate: fxRate }
+    });
+
+  } catch (error) {
+    logger.error('Set FX rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting FX rate'
+    });
+  }
+};
+
+/**
+ * @desc    Get live withdrawal fee schedules and their history (Admin)
+ * @route   GET /api/admin/fee-schedules
+ * @access  Private/Admin
+ */
+exports.getFeeSchedules = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, payment_method, currency, tier } = req.query;
+
+    const query = {};
+    if (payment_method) query.payment_method = payment_method;
+    if (currency) query.currency = currency;
+    if (tier) query.tier = tier;
+
+    const [live, history, total] = await Promise.all([
+      // Highest version per method, currency and tier
+      FeeSchedule.aggregate([
+        { $sort: { version: -1 } },
+        {
+          $group: {
+            _id: { payment_method: '$payment_method', currency: '$currency', tier: '$tier' },
+            schedule: { $first: '$$ROOT' }
+          }
+        },
+        { $replaceRoot: { newRoot: '$schedule' } },
+        { $sort: { payment_method: 1, currency: 1, tier: 1 } }
+      ]),
+      FeeSchedule.find(query)
+        .populate('set_by', 'full_name email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      FeeSchedule.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        schedules: live,
+        tiers: USER_TIERS,
+        amount_unit: AMOUNT_UNIT,
+        history,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get fee schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fee schedules'
+    });
+  }
+};
+
+/**
+ * @desc    Publish a new version of a withdrawal fee schedule (Admin)
+ * @route   POST /api/admin/fee-schedules
+ * @access  Private/Admin
+ */
+exports.setFeeSchedule = async (req, res) => {
+  try {
+    const { payment_method, currency, notes } = req.body;
+    const tier = req.body.tier || DEFAULT_TIER;
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (!isUserTier(tier)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tier must be one of ${USER_TIERS.join(', ')}`
+      });
+    }
+
+    // Money fields arrive in major units, like every other admin amount
+    const money = (value, field, { optional = false } = {}) => {
+      if (value === undefined || value === null || value === '') return optional ? undefined : 0;
+      const minor = parseAmount(value);
+      if (minor === null) {
+        const error = new Error(`Please provide a valid ${field}`);
+        error.code = 'INVALID_FEE_SCHEDULE';
+        error.statusCode = 400;
+        throw error;
+      }
+      return minor;
+    };
+
+    const bands = (Array.isArray(req.body.bands) ? req.body.bands : []).map((band, index) => ({
+      up_to: money(band.up_to, `upper bound for band ${index + 1}`, { optional: true }),
+      percentage: Number(band.percentage || 0),
+      flat: money(band.flat, `flat fee for band ${index + 1}`)
+    }));
+
+    const latest = await FeeSchedule.findOne({ payment_method, currency, tier })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+
+    // Keep every change; the highest version is the live schedule
+    const schedule = await FeeSchedule.create({
+      payment_method,
+      currency,
+      tier,
+      version: latest ? latest.version + 1 : 1,
+      percentage: Number(req.body.percentage || 0),
+      flat: money(req.body.flat, 'flat fee'),
+      bands,
+      min_fee: money(req.body.min_fee, 'minimum fee'),
+      max_fee: money(req.body.max_fee, 'maximum fee', { optional: true }),
+      free_per_month: Number(req.body.free_per_month || 0),
+      notes,
+      set_by: req.user.id
+    });
+
+    const io = req.app.get('io');
+    io.to('admin-dashboard').emit('fee-schedule-updated', {
+      message: `${payment_method} ${currency} fee schedule for ${tier} tier updated`,
+      paymentMethod: payment_method,
+      currency,
+      tier,
+      version: schedule.version,
+      setBy: req.user.full_name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Fee schedule version ${schedule.version} is now live for ${payment_method} ${currency} (${tier})`,
+      data: { schedule }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_FEE_SCHEDULE') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This fee schedule was changed by another admin. Please review it and try again.'
+      });
+    }
+
+    logger.error('Set fee schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting fee schedule'
+    });
+  }
+};
+
+/**
+ * @desc    Propose a manual balance adjustment (Admin)
+ * @route   POST /api/admin/adjustments
+ * @access  Private/Admin
+ */
+exports.proposeAdjustment = async (req, res) => {
+  try {
+    const { user_id, direction, reason_code, notes, attachments = [] } = req.body;
+    const currency = req.body.currency || DEFAULT_CURRENCY;
+    const amount = parseAmount(req.body.amount);
+
+    if (!['credit', 'debit'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Direction must be credit or debit'
+      });
+    }
+
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid adjustment amount'
+      });
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (!notes || !notes.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please explain the adjustment in the notes'
+      });
+    }
+
+    const user = await User.findById(user_id).select('full_name email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Supporting documents are adjustment_attachment files uploaded by the
+    // proposing admin, claimed in the same transaction as the adjustment
+    const session = await BalanceAdjustment.startSession();
+    session.startTransaction();
+
+    let adjustment;
+    try {
+      const files = await resolveFiles({ ids: attachments, owner: req.user.id, purpose: 'adjustment_attachment' }, { session });
+
+      [adjustment] = await BalanceAdjustment.create([{
+        user: user._id,
+        direction,
+        currency,
+        amount,
+        reason_code,
+        notes: notes.trim(),
+        attachments: files.map(file => file._id),
+        proposed_by: req.user.id,
+        history: [{ action: 'proposed', by: req.user.id, notes: notes.trim() }]
+      }], { session });
+
+      await attachFiles(files, { kind: 'BalanceAdjustment', id: adjustment._id }, { session });
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // Ask another admin to review
+    const io = req.app.get('io');
+    io.to('admin-notifications').emit('adjustment-proposed', {
+      message: `${req.user.full_name} proposed a ${formatMoney(amount, currency)} ${direction} for ${user.full_name}`,
+      adjustmentId: adjustment._id,
+      userId: user._id,
+      direction,
+      amount,
+      currency,
+      reasonCode: reason_code,
+      proposedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Adjustment proposed. Another admin must approve it before it posts.',
+      data: { adjustment }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_FILE') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Propose adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while proposing adjustment'
+    });
+  }
+};
+
+/**
+ * @desc    Get manual balance adjustments (Admin)
+ * @route   GET /api/admin/adjustments
+ * @access  Private/Admin
+ */
+exports.getAdjustments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, user, reason_code } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+    if (reason_code) query.reason_code = reason_code;
+
+    const adjustments = await BalanceAdjustment.find(query)
+      .populate('user', 'full_name email phone')
+      .populate('proposed_by', 'full_name email')
+      .populate('reviewed_by', 'full_name email')
+      .populate('history.by', 'full_name email')
+      .populate('attachments', 'mime_type size original_name thumbnail_key')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await BalanceAdjustment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        adjustments,
+        pagination: {
+          totalPages: Math.ceil(total / limit),
+          currentPage: parseInt(page),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching adjustments'
+    });
+  }
+};
+
+/**
+ * @desc    Approve and post a manual balance adjustment (Admin)
+ * @route   POST /api/admin/adjustments/:id/approve
+ * @access  Private/Admin
+ */
+exports.approveAdjustment = async (req, res) => {
+  const session = await BalanceAdjustment.startSession();
+  session.startTransaction();
+
+  try {
+    const { review_notes } = req.body;
+
+    const adjustment = await BalanceAdjustment.findById(req.params.id)
+      .populate('user', 'full_name email')
+      .session(session);
+
+    if (!adjustment) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Adjustment not found'
+      });
+    }
+
+    if (adjustment.status !== 'pending') {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustment already reviewed'
+      });
+    }
+
+    // Dual control: the proposer can never approve their own adjustment
+    if (adjustment.proposed_by.toString() === req.user.id) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'A different admin must approve this adjustment'
+      });
+    }
+
+    const entry = await ledger.recordAdjustment({
+      userId: adjustment.user._id,
+      direction: adjustment.direction,
+      amount: adjustment.amount,
+      adjustmentId: adjustment._id,
+      postedBy: req.user.id,
+      currency: adjustment.currency
+    }, { session });
+
+    const [transaction] = await Transaction.create([{
+      user: adjustment.user._id,
+      type: 'adjustment',
+      currency: adjustment.currency,
+      amount: adjustment.direction === 'credit' ? adjustment.amount : -adjustment.amount,
+      description: `Balance adjustment (${adjustment.reason_code.replace(/_/g, ' ')})`,
+      status: 'completed',
+      metadata: {
+        adjustment_id: adjustment._id,
+        reason_code: adjustment.reason_code,
+        proposed_by: adjustment.proposed_by,
+        approved_by: req.user.id,
+        journal_entry_id: entry._id
+      }
+    }], { session });
+
+    adjustment.status = 'approved';
+    adjustment.reviewed_by = req.user.id;
+    adjustment.reviewed_at = new Date();
+    adjustment.review_notes = review_notes;
+    adjustment.transaction = transaction._id;
+    adjustment.journal_entry = entry._id;
+    adjustment.history.push(
+      { action: 'approved', by: req.user.id, notes: review_notes },
+      { action: 'posted', by: req.user.id }
+    );
+    await adjustment.save({ session });
+
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    io.to(`user-${adjustment.user._id}`).emit('balance-adjusted', {
+      message: adjustment.direction === 'credit'
+        ? `${formatMoney(adjustment.amount, adjustment.currency)} has been credited to your wallet`
+        : `${formatMoney(adjustment.amount, adjustment.currency)} has been debited from your wallet`,
+      direction: adjustment.direction,
+      amount: adjustment.amount,
+      currency: adjustment.currency,
+      transactionId: transaction._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Adjustment approved and posted',
+      data: { adjustment, transaction }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'User balance is too low for this debit'
+      });
+    }
+
+    logger.error('Approve adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving adjustment'
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @desc    Reject a manual balance adjustment (Admin)
+ * @route   POST /api/admin/adjustments/:id/reject
+ * @access  Private/Admin
+ */
+exports.rejectAdjustment = async (req, res) => {
+  try {
+    const { review_notes } = req.body;
+
+    if (!review_notes || !review_notes.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for rejecting the adjustment'
+      });
+    }
+
+    // Conditional update so a concurrent approval cannot be overwritten
+    const adjustment = await BalanceAdjustment.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        review_notes,
+        $push: { history: { action: 'rejected', by: req.user.id, notes: review_notes } }
+      },
+      { new: true }
+    );
+
+    if (!adjustment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustment not found or already reviewed'
+      });
+    }
+
+    const io = req.app.get('io');
+    io.to('admin-notifications').emit('adjustment-rejected', {
+      message: `${req.user.full_name} rejected a proposed adjustment`,
+      adjustmentId: adjustment._id,
+      proposedBy: adjustment.proposed_by
+    });
+
+    res.json({
+      success: true,
+      message: 'Adjustment rejected',
+      data: { adjustment }
+    });
+
+  } catch (error) {
+    logger.error('Reject adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting adjustment'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's wallet freezes and liens (Admin)
+ * @route   GET /api/admin/users/:id/restrictions
+ * @access  Private/Admin
+ */
+exports.getUserRestrictions = async (req, res) => {
+  try {
+    const restrictions = await WalletRestriction.find({ user: req.params.id })
+      .populate('placed_by', 'full_name email')
+      .populate('lifted_by', 'full_name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const now = new Date();
+    const withState = restrictions.map(item => ({
+      ...item,
+      in_force: item.status === 'active' && item.expires_at > now
+    }));
+
+    res.json({
+      success: true,
+      data: { restrictions: withState }
+    });
+
+  } catch (error) {
+    logger.error('Get user restrictions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet restrictions'
+    });
+  }
+};
+
+/**
+ * @desc    Freeze a user's wallet or place a lien (Admin)
+ * @route   POST /api/admin/users/:id/restrictions
+ * @access  Private/Admin
+ */
+exports.placeRestriction = async (req, res) => {
+  try {
+    const { type, currency, reason } = req.body;
+    const expiresAt = new Date(req.body.expires_at);
+
+    if (!['freeze', 'lien'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restriction type must be freeze or lien'
+      });
+    }
+
+    if (currency && !isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    const amount = type === 'lien' ? parseAmount(req.body.amount) : undefined;
+    if (type === 'lien' && !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid lien amount'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for the restriction'
+      });
+    }
+
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an expiry date in the future'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('full_name email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const restriction = await WalletRestriction.create({
+      user: user._id,
+      type,
+      currency: currency || (type === 'lien' ? DEFAULT_CURRENCY : undefined),
+      amount,
+      reason: reason.trim(),
+      expires_at: expiresAt,
+      placed_by: req.user.id
+    });
+
+    const io = req.app.get('io');
+    io.to(`user-${user._id}`).emit('wallet-restricted', {
+      message: type === 'freeze'
+        ? 'Debits from your wallet have been frozen'
+        : `${formatMoney(amount, restriction.currency)} of your balance has been placed under a lien`,
+      type,
+      currency: restriction.currency,
+      amount,
+      reason: restriction.reason,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: type === 'freeze' ? 'Wallet frozen' : 'Lien placed',
+      data: { restriction }
+    });
+
+  } catch (error) {
+    logger.error('Place restriction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while placing wallet restriction'
+    });
+  }
+};
+
+/**
+ * @desc    Lift a wallet freeze or lien before it expires (Admin)
+ * @route   POST /api/admin/restrictions/:id/lift
+ * @access  Private/Admin
+ */
+exports.liftRestriction = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const restriction = await WalletRestriction.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      {
+        status: 'lifted',
+        lifted_by: req.user.id,
+        lifted_at: new Date(),
+        lift_reason: reason
+      },
+      { new: true }
+    );
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active restriction not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    io.to(`user-${restriction.user}`).emit('wallet-restriction-lifted', {
+      message: restriction.type === 'freeze'
+        ? 'The freeze on your wallet has been lifted'
+        : 'The lien on your balance has been lifted',
+      restrictionId: restriction._id,
+      type: restriction.type
+    });
+
+    res.json({
+      success: true,
+      message: 'Restriction lifted',
+      data: { restriction }
+    });
+
+  } catch (error) {
+    logger.error('Lift restriction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting wallet restriction'
+    });
+  }
+};
+
+/**
+ * @desc    Crypto deposit address pool by asset (Admin)
+ * @route   GET /api/admin/crypto-addresses
+ * @access  Private/Admin
+ */
+exports.getCryptoAddressPool = async (req, res) => {
+  try {
+    const rows = await CryptoAddress.aggregate([
+      { $group: { _id: { asset: '$asset', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const pool = SUPPORTED_ASSETS.map(asset => {
+      const counts = { available: 0, assigned: 0, retired: 0 };
+      rows.filter(row => row._id.asset === asset).forEach(row => {
+        counts[row._id.status] = row.count;
+      });
+      return { asset, label: CRYPTO_ASSETS[asset].label, ...counts };
+    });
+
+    res.json({
+      success: true,
+      data: { pool }
+    });
+
+  } catch (error) {
+    logger.error('Get crypto address pool error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching crypto address pool'
+    });
+  }
+};
+
+/**
+ * @desc    Load deposit addresses into the pool (Admin)
+ * @route   POST /api/admin/crypto-addresses
+ * @access  Private/Admin
+ */
+exports.loadCryptoAddresses = async (req, res) => {
+  try {
+    const { asset, addresses } = req.body;
+
+    if (!isSupportedAsset(asset)) {
+      return res.status(400).json({
+        success: false,
+        message: `Asset must be one of ${SUPPORTED_ASSETS.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(addresses) || addresses.length === 0
+      || addresses.some(address => typeof address !== 'string' || !address.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a list of addresses'
+      });
+    }
+
+    const unique = [...new Set(addresses.map(address => address.trim()))];
+    let loaded = 0;
+    try {
+      const inserted = await CryptoAddress.insertMany(
+        unique.map(address => ({ asset, address, loaded_by: req.user.id })),
+        { ordered: false }
+      );
+      loaded = inserted.length;
+    } catch (error) {
+      // Addresses already in the pool are skipped; anything else is a real failure
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+      loaded = error.insertedDocs ? error.insertedDocs.length : unique.length - error.writeErrors.length;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${loaded} ${CRYPTO_ASSETS[asset].label} address${loaded === 1 ? '' : 'es'} added to the pool`,
+      data: {
+        asset,
+        loaded,
+        skipped: unique.length - loaded
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Load crypto addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading crypto addresses'
+    });
+  }
+};
+
+/**
+ * @desc    Import a company bank statement CSV and match it to pending deposits (Admin)
+ * @route   POST /api/admin/bank-statements
+ * @access  Private/Admin
+ */
+exports.uploadBankStatement = async (req, res) => {
+  try {
+    // A CSV export is text; anything with NUL bytes is a spreadsheet or a PDF
+    if (req.file.buffer.includes(0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the statement as a CSV file'
+      });
+    }
+
+    const statementImport = await importBankStatement({
+      text: req.file.buffer.toString('utf8'),
+      fileName: req.file.originalname,
+      importedBy: req.user.id,
+      io: req.app.get('io')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${statementImport.summary.auto_approved} deposits approved, ${statementImport.summary.review} need review, ${statementImport.summary.unmatched} unmatched`,
+      data: { import: statementImport }
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_STATEMENT') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Upload bank statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing bank statement'
+    });
+  }
+};
+
+/**
+ * @desc    Get bank statement imports (Admin)
+ * @route   GET /api/admin/bank-statements
+ * @access  Private/Admin
+ */
+exports.getBankStatementImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const imports = await BankStatementImport.find()
+      .populate('uploaded_by', 'full_name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await BankStatementImport.countDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        imports,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get bank statement imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bank statement imports'
+    });
+  }
+};
+
+/**
+ * @desc    Bank statement rows awaiting review, side by side with their candidate deposits (Admin)
+ * @route   GET /api/admin/bank-statements/review
+ * @access  Private/Admin
+ */
+exports.getBankStatementReview = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'review', import_id } = req.query;
+
+    const query = { status };
+    if (import_id) query.import = import_id;
+
+    const lines = await BankStatementLine.find(query)
+      .populate({
+        path: 'candidates.deposit',
+        select: 'user amount currency reference status payment_method createdAt',
+        populate: { path: 'user', select: 'full_name email phone' }
+      })
+      .sort({ date: -1, row_number: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await BankStatementLine.countDocuments(query);
+
+    const items = lines.map(line => ({
+      line: {
+        _id: line._id,
+        import: line.import,
+        row_number: line.row_number,
+        date: line.date,
+        amount: line.amount,
+        narration: line.narration,
+        reference: line.reference,
+        status: line.status
+      },
+      candidates: line.candidates
+        .filter(candidate => candidate.deposit)
+        .map(candidate => ({
+          deposit: candidate.deposit,
+          score: candidate.score,
+          matched_on: candidate.matched_on,
+          amount_difference: line.amount - candidate.deposit.amount,
+          days_apart: Math.round(Math.abs(new Date(line.date) - new Date(candidate.deposit.createdAt)) / (24 * 60 * 60 * 1000)),
+          still_pending: candidate.deposit.status === 'pending'
+        }))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get bank statement review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bank statement review queue'
+    });
+  }
+};
+
+/**
+ * @desc    Approve a deposit against a reviewed bank statement row (Admin)
+ * @route   POST /api/admin/bank-statements/lines/:id/resolve
+ * @access  Private/Admin
+ */
+exports.resolveBankStatementLine = async (req, res) => {
+  const session = await BankStatementLine.startSession();
+  session.startTransaction();
+
+  try {
+    const { deposit_id, notes } = req.body;
+
+    const line = await BankStatementLine.findOne({ _id: req.params.id, status: { $in: ['review', 'unmatched'] } })
+      .session(session);
+    if (!line) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Statement row not found or already reviewed'
+      });
+    }
+
+    const deposit = await Deposit.findOne({
+      _id: deposit_id,
+      status: 'pending',
+      payment_method: 'bank_transfer',
+      currency: { $in: ['NGN', null] }
+    })
+      .populate('user')
+      .session(session);
+    if (!deposit) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Pending bank transfer deposit not found'
+      });
+    }
+
+    // Only credit what actually arrived
+    if (deposit.amount !== line.amount) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `The statement shows ${formatMoney(line.amount)} but the deposit is for ${formatMoney(deposit.amount)}. Reject the deposit and propose an adjustment instead.`
+      });
+    }
+
+    const { newBalance } = await approvePendingDeposit(deposit, {
+      approvedBy: req.user.id,
+      adminNotes: notes || `Matched to bank statement row ${line.row_number} (${line.narration})`,
+      source: 'bank_statement'
+    }, { session });
+
+    line.status = 'resolved';
+    line.deposit = deposit._id;
+    line.reviewed_by = req.user.id;
+    line.reviewed_at = new Date();
+    line.review_notes = notes;
+    await line.save({ session });
+
+    await session.commitTransaction();
+
+    await notifyDepositApproved({ io: req.app.get('io'), deposit, newBalance });
+
+    res.json({
+      success: true,
+      message: 'Deposit approved against the statement row',
+      data: { line, deposit }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error('Resolve bank statement line error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving bank statement row'
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * @desc    Mark a bank statement row as not a deposit (Admin)
+ * @route   POST /api/admin/bank-statements/lines/:id/dismiss
+ * @access  Private/Admin
+ */
+exports.dismissBankStatementLine = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    if (!notes || !notes.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please explain why the row is being dismissed'
+      });
+    }
+
+    const line = await BankStatementLine.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['review', 'unmatched'] } },
+      {
+        status: 'dismissed',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        review_notes: notes.trim()
+      },
+      { new: true }
+    );
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement row not found or already reviewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Statement row dismissed',
+      data: { line }
+    });
+
+  } catch (error) {
+    logger.error('Dismiss bank statement line error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while dismissing bank statement row'
+    });
+  }
+};
+
+/**
+ * @desc    Bulk approve or reject pending deposits, withdrawals or investments (Admin)
+ * @route   POST /api/admin/bulk/:queue/:action
+ * @access  Private/Admin
+ */
+exports.bulkAction = async (req, res) => {
+  try {
+    const { ids, filter, admin_notes, rejection_reason } = req.body;
+
+    if (ids && filter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either ids or a filter, not both'
+      });
+    }
+
+    // Items are processed in the background; progress streams to admin-dashboard
+    const bulkAction = await startBulkAction({
+      queue: req.params.queue,
+      action: req.params.action,
+      ids,
+      filter,
+      adminId: req.user.id,
+      adminNotes: admin_notes,
+      rejectionReason: rejection_reason,
+      io: req.app.get('io')
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Bulk ${bulkAction.action} of ${bulkAction.counts.total} ${bulkAction.queue} started`,
+      data: { bulkAction }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Bulk action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting bulk action'
+    });
+  }
+};
+
+/**
+ * @desc    Bulk action history (Admin)
+ * @route   GET /api/admin/bulk-actions
+ * @access  Private/Admin
+ */
+exports.getBulkActions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, queue } = req.query;
+
+    const query = {};
+    if (queue) query.queue = queue;
+
+    const bulkActions = await BulkAction.find(query)
+      .select('-results')
+      .populate('performed_by', 'full_name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await BulkAction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        bulkActions,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get bulk actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bulk actions'
+    });
+  }
+};
+
+/**
+ * @desc    One bulk action with its per-item results (Admin)
+ * @route   GET /api/admin/bulk-actions/:id
+ * @access  Private/Admin
+ */
+exports.getBulkAction = async (req, res) => {
+  try {
+    const bulkAction = await BulkAction.findById(req.params.id)
+      .populate('performed_by', 'full_name email')
+      .lean();
+
+    if (!bulkAction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk action not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { bulkAction }
+    });
+
+  } catch (error) {
+    logger.error('Get bulk action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bulk action'
+    });
+  }
+};
+
+/**
+ * @desc    Gather approved bank withdrawals into a payout batch (Admin)
+ * @route   POST /api/admin/payout-batches
+ * @access  Private/Admin
+ */
+exports.createPayoutBatch = async (req, res) => {
+  try {
+    const { batch, skipped } = await payoutBatches.createPayoutBatch({
+      withdrawalIds: req.body.withdrawal_ids,
+      createdBy: req.user.id,
+      io: req.app.get('io')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${batch.reference} created with ${batch.totals.count} withdrawals (${formatMoney(batch.totals.amount)})`,
+      data: { batch, skipped }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...(error.skipped && { data: { skipped: error.skipped } })
+      });
+    }
+
+    logger.error('Create payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payout batch'
+    });
+  }
+};
+
+/**
+ * @desc    Get payout batches (Admin)
+ * @route   GET /api/admin/payout-batches
+ * @access  Private/Admin
+ */
+exports.getPayoutBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const batches = await PayoutBatch.find(query)
+      .select('-items')
+      .populate('created_by', 'full_name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await PayoutBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get payout batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payout batches'
+    });
+  }
+};
+
+/**
+ * @desc    One payout batch with its items (Admin)
+ * @route   GET /api/admin/payout-batches/:id
+ * @access  Private/Admin
+ */
+exports.getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('created_by', 'full_name email')
+      .populate('result_imports.imported_by', 'full_name email')
+      .lean();
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { batch }
+    });
+
+  } catch (error) {
+    logger.error('Get payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payout batch'
+    });
+  }
+};
+
+/**
+ * @desc    Download a payout batch as a NIBSS bulk-transfer CSV (Admin)
+ * @route   GET /api/admin/payout-batches/:id/file
+ * @access  Private/Admin
+ */
+exports.downloadPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id).lean();
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${batch.reference}.csv"`
+    });
+    res.send(payoutBatches.buildPayoutFile(batch));
+
+  } catch (error) {
+    logger.error('Download payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating payout file'
+    });
+  }
+};
+
+/**
+ * @desc    Import the bank's results file for a payout batch (Admin)
+ * @route   POST /api/admin/payout-batches/:id/results
+ * @access  Private/Admin
+ */
+exports.importPayoutBatchResults = async (req, res) => {
+  try {
+    // A CSV export is text; anything with NUL bytes is a spreadsheet or a PDF
+    if (req.file.buffer.includes(0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the results as a CSV file'
+      });
+    }
+
+    const { batch, summary } = await payoutBatches.importPayoutResults({
+      batchId: req.params.id,
+      text: req.file.buffer.toString('utf8'),
+      fileName: req.file.originalname,
+      importedBy: req.user.id,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: `${summary.completed} withdrawals completed, ${summary.failed} failed, ${summary.pending} still pending`,
+      data: { batch, summary }
+    });
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND' || error.code === 'INVALID_RESULTS') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Import payout batch results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing payout results'
+    });
+  }
+};
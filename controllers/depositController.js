@@ -2,43 +2,107 @@ const Deposit = require('../models/Deposit');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
+const { resolveFiles, attachFiles } = require('../utils/uploads');
+const transactionLimits = require('../utils/transactionLimits');
+const { getOrAssignVirtualAccount } = require('../utils/virtualAccounts');
+const { getOrAssignDepositAddress } = require('../utils/cryptoDeposits');
+const { CRYPTO_ASSETS, SUPPORTED_ASSETS, isSupportedAsset } = require('../utils/cryptoAssets');
+const {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  parseAmount,
+  toKobo,
+  formatMoney
+} = require('../utils/money');
+
+// Minimum deposit per wallet currency, in minor units
+const MIN_DEPOSIT = {
+  NGN: toKobo(process.env.MIN_DEPOSIT_AMOUNT || 3500),
+  USD: toKobo(process.env.MIN_DEPOSIT_AMOUNT_USD || 5),
+  USDT: toKobo(process.env.MIN_DEPOSIT_AMOUNT_USDT || 5)
+};
 
 // @desc    Create deposit request
 // @route   POST /api/deposits
 // @access  Private
 exports.createDeposit = async (req, res) => {
   try {
-    const { amount, payment_method, transaction_hash } = req.body;
+    const { payment_method, transaction_hash, proof_file, currency = DEFAULT_CURRENCY } = req.body;
+    const amount = parseAmount(req.body.amount);
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
 
     // Validate amount
-    if (amount < 3500) {
+    if (amount === null) {
       return res.status(400).json({
         success: false,
-        message: 'Minimum deposit amount is ₦3,500'
+        message: 'Please provide a valid deposit amount'
       });
     }
 
-    // Create deposit record
-    const deposit = await Deposit.create({
-      user: req.user.id,
-      amount,
-      payment_method,
-      transaction_hash: transaction_hash || null,
-      status: 'pending'
-    });
+    if (amount < MIN_DEPOSIT[currency]) {
+      return res.status(400).json({
+        success: false,
+        message: `Minimum deposit amount is ${formatMoney(MIN_DEPOSIT[currency], currency)}`
+      });
+    }
 
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: req.user.id,
-      type: 'deposit',
-      amount: amount,
-      description: `Deposit via ${payment_method}`,
-      status: 'pending',
-      metadata: {
-        deposit_id: deposit._id,
-        payment_method: payment_method
-      }
-    });
+    // Per-transaction and period caps for the user's KYC level and tier
+    await transactionLimits.assertWithinLimits({ user: req.user, kind: 'deposit', amount, currency });
+
+    // The deposit, its transaction and its proof of payment (an uploaded
+    // deposit_proof file) are saved together, so a failure leaves none of them
+    const session = await Deposit.startSession();
+    session.startTransaction();
+
+    let deposit;
+    let transaction;
+    try {
+      const files = proof_file
+        ? await resolveFiles({ ids: [proof_file], owner: req.user.id, purpose: 'deposit_proof' }, { session })
+        : [];
+
+      // Create deposit record
+      [deposit] = await Deposit.create([{
+        user: req.user.id,
+        currency,
+        amount,
+        payment_method,
+        transaction_hash: transaction_hash || null,
+        proof_file: proof_file || undefined,
+        reference: Deposit.generateReference(),
+        status: 'pending'
+      }], { session });
+
+      // Create transaction record
+      [transaction] = await Transaction.create([{
+        user: req.user.id,
+        type: 'deposit',
+        currency,
+        amount: amount,
+        description: `Deposit via ${payment_method}`,
+        status: 'pending',
+        metadata: {
+          deposit_id: deposit._id,
+          deposit_reference: deposit.reference,
+          payment_method: payment_method
+        }
+      }], { session });
+
+      await attachFiles(files, { kind: 'Deposit', id: deposit._id }, { session });
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     // Notify admin via Socket.IO
     const io = req.app.get('io');
@@ -48,16 +112,36 @@ exports.createDeposit = async (req, res) => {
       userId: req.user.id,
       userName: req.user.full_name,
       amount: amount,
+      currency,
       paymentMethod: payment_method
     });
 
     res.status(201).json({
       success: true,
-      message: 'Deposit request submitted successfully. Waiting for admin approval.',
+      message: payment_method === 'card'
+        ? 'Deposit created. Complete the card payment with this reference and it will be approved automatically.'
+        : 'Deposit request submitted successfully. Waiting for admin approval.',
       data: { deposit, transaction }
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_FILE') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: { limit: error.limit }
+      });
+    }
+
     logger.error('Create deposit error:', error);
     res.status(500).json({
       success: false,
@@ -71,10 +155,11 @@ exports.createDeposit = async (req, res) => {
 // @access  Private
 exports.getUserDeposits = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, currency } = req.query;
     
     const query = { user: req.user.id };
     if (status) query.status = status;
+    if (currency) query.currency = currency;
 
     const deposits = await Deposit.find(query)
       .sort({ createdAt: -1 })
@@ -87,7 +172,7 @@ exports.getUserDeposits = async (req, res) => {
     const totals = await Deposit.aggregate([
       { $match: { user: req.user._id } },
       { $group: { 
-        _id: '$status', 
+        _id: { status: '$status', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } }, 
         totalAmount: { $sum: '$amount' },
         count: { $sum: 1 }
       }}
@@ -147,3 +232,88 @@ exports.getDeposit = async (req, res) => {
     });
   }
 };
+
+// @desc    Get the user's virtual account for bank transfer deposits
+// @route   GET /api/deposits/virtual-account
+// @access  Private
+exports.getVirtualAccount = async (req, res) => {
+  try {
+    const account = await getOrAssignVirtualAccount(req.user);
+    if (!account) {
+      return res.status(503).json({
+        success: false,
+        message: 'Virtual accounts are not available at the moment. Please use another deposit method.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfers to this account are credited to your NGN wallet automatically',
+      data: {
+        account: {
+          account_number: account.account_number,
+          account_name: account.account_name,
+          bank_name: account.bank_name,
+          currency: account.currency
+        }
+      }
+    });
+  } catch (error) {
+    if (error.code === 'VIRTUAL_ACCOUNT_POOL_EXHAUSTED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: 'Virtual accounts are not available at the moment. Please use another deposit method.',
+        code: error.code
+      });
+    }
+
+    logger.error('Get virtual account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching virtual account'
+    });
+  }
+};
+
+// @desc    Get the user's crypto deposit address for an asset
+// @route   GET /api/deposits/crypto-address?asset=USDT_TRC20
+// @access  Private
+exports.getCryptoAddress = async (req, res) => {
+  try {
+    const { asset } = req.query;
+
+    if (!isSupportedAsset(asset)) {
+      return res.status(400).json({
+        success: false,
+        message: `Asset must be one of ${SUPPORTED_ASSETS.join(', ')}`
+      });
+    }
+
+    const address = await getOrAssignDepositAddress(req.user.id, asset);
+    if (!address) {
+      return res.status(503).json({
+        success: false,
+        message: `No ${CRYPTO_ASSETS[asset].label} deposit addresses are available at the moment. Please try again later.`
+      });
+    }
+
+    const config = CRYPTO_ASSETS[asset];
+    res.json({
+      success: true,
+      message: `Only send ${config.label} to this address. Deposits are credited after ${config.confirmations} confirmations.`,
+      data: {
+        asset,
+        network: config.network,
+        currency: config.currency,
+        address: address.address,
+        required_confirmations: config.confirmations
+      }
+    });
+  } catch (error) {
+    logger.error('Get crypto address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching crypto address'
+    });
+  }
+};
@@ -3,7 +3,10 @@ const InvestmentPlan = require('../models/InvestmentPlan');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
+const ledger = require('../utils/ledger');
+const walletRestrictions = require('../utils/walletRestrictions');
 const { calculateDailyEarnings, calculateTotalReturns } = require('../utils/investmentCalculations');
+const { parseAmount, formatMoney, DEFAULT_CURRENCY } = require('../utils/money');
 
 /**
  * @desc    Create new investment
@@ -15,7 +18,8 @@ exports.createInvestment = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { plan_id, amount, auto_renew = false } = req.body;
+    const { plan_id, auto_renew = false } = req.body;
+    const amount = parseAmount(req.body.amount);
 
     // Validate input
     if (!plan_id || !amount) {
@@ -41,13 +45,17 @@ exports.createInvestment = async (req, res) => {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: `Minimum investment for ${plan.name} is ₦${plan.min_amount.toLocaleString()}`
+        message: `Minimum investment for ${plan.name} is ${formatMoney(plan.min_amount, plan.currency)}`
       });
     }
 
-    // Check user balance
+    // Compliance freezes and liens
+    await walletRestrictions.assertCanDebit({ userId: req.user.id, amount, currency: plan.currency }, { session });
+
+    // Check the balance of the wallet the plan is funded from
     const user = await User.findById(req.user.id).session(session);
-    if (user.balance < amount) {
+    const available = await ledger.getWalletBalance(req.user.id, { session, currency: plan.currency });
+    if (available < amount) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -64,6 +72,7 @@ exports.createInvestment = async (req, res) => {
     const investment = await Investment.create([{
       user: req.user.id,
       plan: plan_id,
+      currency: plan.currency,
       amount,
       daily_earnings: dailyEarnings,
       total_returns: totalReturns,
@@ -73,21 +82,27 @@ exports.createInvestment = async (req, res) => {
       status: 'pending'
     }], { session });
 
-    // Deduct amount from user balance
-    user.balance -= amount;
-    await user.save({ session });
+    // Move the amount from the wallet into investment escrow
+    const entry = await ledger.recordInvestment({
+      userId: req.user.id,
+      amount,
+      investmentId: investment[0]._id,
+      currency: plan.currency
+    }, { session });
 
     // Create transaction record
     await Transaction.create([{
       user: req.user.id,
       type: 'investment',
+      currency: plan.currency,
       amount: -amount,
       description: `Investment in ${plan.name}`,
       status: 'completed',
       metadata: {
         investment_id: investment[0]._id,
         plan_name: plan.name,
-        duration: plan.duration
+        duration: plan.duration,
+        journal_entry_id: entry._id
       }
     }], { session });
 
@@ -108,6 +123,7 @@ exports.createInvestment = async (req, res) => {
       userName: user.full_name,
       planName: plan.name,
       amount: amount,
+      currency: plan.currency,
       status: 'pending'
     });
 
@@ -128,6 +144,22 @@ exports.createInvestment = async (req, res) => {
 
   } catch (error) {
     await session.abortTransaction();
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance for this investment'
+      });
+    }
+
+    if (error.code === 'WALLET_FROZEN' || error.code === 'LIEN_RESTRICTED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Create investment error:', error);
     res.status(500).json({
       success: false,
@@ -413,16 +445,22 @@ exports.updateInvestmentStatus = async (req, res) => {
     } else if (status === 'completed') {
       investment.completed_at = new Date();
       
-      // Add returns to user balance if not auto-renew
+      // Pay returns into the wallet if not auto-renew
       if (!investment.auto_renew) {
-        const user = await User.findById(investment.user._id).session(session);
-        user.balance += investment.total_returns;
-        await user.save({ session });
+        const entry = await ledger.payoutInvestment({
+          userId: investment.user._id,
+          principal: investment.amount,
+          payout: investment.total_returns,
+          investmentId: investment._id,
+          postedBy: req.user.id,
+          currency: investment.currency || DEFAULT_CURRENCY
+        }, { session });
 
         // Create earnings transaction
         await Transaction.create([{
           user: investment.user._id,
           type: 'investment_earnings',
+          currency: investment.currency || DEFAULT_CURRENCY,
           amount: investment.total_returns,
           description: `Investment earnings from ${investment.plan.name}`,
           status: 'completed',
@@ -430,7 +468,8 @@ exports.updateInvestmentStatus = async (req, res) => {
             investment_id: investment._id,
             plan_name: investment.plan.name,
             principal: investment.amount,
-            earnings: investment.total_returns - investment.amount
+            earnings: investment.total_returns - investment.amount,
+            journal_entry_id: entry._id
           }
         }], { session });
       }
@@ -441,6 +480,7 @@ exports.updateInvestmentStatus = async (req, res) => {
         const newInvestment = await Investment.create([{
           user: investment.user._id,
           plan: investment.plan._id,
+          currency: investment.currency || DEFAULT_CURRENCY,
           amount: investment.amount,
           daily_earnings: investment.daily_earnings,
           total_returns: investment.total_returns,
@@ -461,10 +501,14 @@ exports.updateInvestmentStatus = async (req, res) => {
         });
       }
     } else if (status === 'rejected' || status === 'cancelled') {
-      // Refund amount to user
-      const user = await User.findById(investment.user._id).session(session);
-      user.balance += investment.amount;
-      await user.save({ session });
+      // Return the escrowed principal to the wallet
+      await ledger.refundInvestment({
+        userId: investment.user._id,
+        amount: investment.amount,
+        investmentId: investment._id,
+        postedBy: req.user.id,
+        currency: investment.currency || DEFAULT_CURRENCY
+      }, { session });
 
       // Update transaction status
       await Transaction.findOneAndUpdate(
@@ -512,7 +556,8 @@ exports.updateInvestmentStatus = async (req, res) => {
  */
 exports.calculateReturns = async (req, res) => {
   try {
-    const { plan_id, amount } = req.body;
+    const { plan_id } = req.body;
+    const amount = parseAmount(req.body.amount);
 
     if (!plan_id || !amount) {
       return res.status(400).json({
@@ -532,12 +577,13 @@ exports.calculateReturns = async (req, res) => {
     if (amount < plan.min_amount) {
       return res.status(400).json({
         success: false,
-        message: `Amount below minimum investment of ₦${plan.min_amount.toLocaleString()}`
+        message: `Amount below minimum investment of ${formatMoney(plan.min_amount, plan.currency)}`
       });
     }
 
     const calculations = {
       principal: amount,
+      currency: plan.currency,
       daily_interest: plan.daily_interest,
       total_interest: plan.total_interest,
       duration: plan.duration,
@@ -1,6 +1,7 @@
 const KYC = require('../models/KYC');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { resolveFiles, attachFiles } = require('../utils/uploads');
 
 // @desc    Submit KYC application
 // @route   POST /api/kyc
@@ -18,21 +19,48 @@ exports.submitKYC = async (req, res) => {
       });
     }
 
-    // Create KYC application
-    const kyc = await KYC.create({
-      user: req.user.id,
-      id_type,
-      id_number,
-      id_front,
-      id_back,
-      selfie_with_id,
-      status: 'pending'
-    });
+    // Documents are kyc_document files, each used once
+    const documents = [id_front, id_back, selfie_with_id];
+    if (documents.some(id => !id) || new Set(documents.map(String)).size !== documents.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a separate file for the front of your ID, the back of your ID and your selfie'
+      });
+    }
 
-    // Update user KYC status
-    await User.findByIdAndUpdate(req.user.id, {
-      kyc_status: 'pending'
-    });
+    // The application is saved and its documents claimed together
+    const session = await KYC.startSession();
+    session.startTransaction();
+
+    let kyc;
+    try {
+      const files = await resolveFiles({ ids: documents, owner: req.user.id, purpose: 'kyc_document' }, { session });
+
+      // Create KYC application
+      [kyc] = await KYC.create([{
+        user: req.user.id,
+        id_type,
+        id_number,
+        id_front,
+        id_back,
+        selfie_with_id,
+        status: 'pending'
+      }], { session });
+
+      await attachFiles(files, { kind: 'KYC', id: kyc._id }, { session });
+
+      // Update user KYC status
+      await User.findByIdAndUpdate(req.user.id, {
+        kyc_status: 'pending'
+      }, { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     // Notify admin via Socket.IO
     const io = req.app.get('io');
@@ -51,6 +79,14 @@ exports.submitKYC = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_FILE') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Submit KYC error:', error);
     res.status(500).json({
       success: false,
@@ -102,6 +138,7 @@ exports.getKYCApplications = async (req, res) => {
 
     const applications = await KYC.find(query)
       .populate('user', 'full_name email phone')
+      .populate('id_front id_back selfie_with_id', 'mime_type size original_name thumbnail_key')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
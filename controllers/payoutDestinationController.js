@@ -0,0 +1,142 @@
+const PayoutDestination = require('../models/PayoutDestination');
+const logger = require('../utils/logger');
+const payoutDestinations = require('../utils/payoutDestinations');
+const { sendEmail } = require('../utils/emailService');
+
+// Masked description for notifications, e.g. "Guaranty Trust Bank ****6789"
+const describe = (destination) => {
+  if (destination.payment_method === 'bank_transfer') {
+    return `${destination.bank_details.bank_name} ****${destination.bank_details.account_number.slice(-4)}`;
+  }
+  if (destination.payment_method === 'crypto') {
+    return `${destination.asset} address ${destination.wallet_address.slice(0, 6)}…${destination.wallet_address.slice(-4)}`;
+  }
+  return `PayPal ${destination.paypal_email}`;
+};
+
+const withUsability = (destination) => ({
+  ...destination,
+  usable: destination.status === 'active' && destination.usable_from <= new Date()
+});
+
+// @desc    Get saved payout destinations
+// @route   GET /api/withdrawals/destinations
+// @access  Private
+exports.getDestinations = async (req, res) => {
+  try {
+    const destinations = await PayoutDestination.find({
+      user: req.user.id,
+      status: 'active'
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { destinations: destinations.map(withUsability) }
+    });
+  } catch (error) {
+    logger.error('Get payout destinations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payout destinations'
+    });
+  }
+};
+
+// @desc    Save a payout destination (requires step-up verification)
+// @route   POST /api/withdrawals/destinations
+// @access  Private
+exports.addDestination = async (req, res) => {
+  try {
+    const destination = new PayoutDestination({
+      user: req.user._id,
+      ...payoutDestinations.buildDestination(req.body)
+    });
+
+    // The step-up code already proved the owner is present
+    payoutDestinations.activate(destination, req.stepUp.method === 'totp' ? 'two_factor' : 'email');
+    await destination.save();
+
+    // Let the owner know in case it was not them
+    try {
+      await sendEmail({
+        email: req.user.email,
+        subject: 'New Payout Destination Added - Raw Wealthy',
+        template: 'payout-destination-added',
+        data: {
+          name: req.user.full_name,
+          destination: describe(destination),
+          usable_from: destination.usable_from.toLocaleString(),
+          timestamp: new Date().toLocaleString()
+        }
+      });
+    } catch (emailError) {
+      logger.error('Payout destination alert email failed:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Payout destination saved. It can receive withdrawals after ${payoutDestinations.COOLING_OFF_HOURS} hours.`,
+      data: { destination: withUsability(destination.toObject()) }
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_DESTINATION') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This payout destination is already saved'
+      });
+    }
+
+    logger.error('Add payout destination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving payout destination'
+    });
+  }
+};
+
+// @desc    Remove a saved payout destination
+// @route   DELETE /api/withdrawals/destinations/:id
+// @access  Private
+exports.removeDestination = async (req, res) => {
+  try {
+    const destination = await PayoutDestination.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        user: req.user.id,
+        status: 'active'
+      },
+      { status: 'removed', removed_at: new Date() },
+      { new: true }
+    );
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout destination not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payout destination removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove payout destination error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing payout destination'
+    });
+  }
+};
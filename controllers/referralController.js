@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
+const ledger = require('../utils/ledger');
+const { parseNaira, percentOf } = require('../utils/money');
 
 // @desc    Get referral statistics
 // @route   GET /api/referrals/stats
@@ -97,7 +99,15 @@ exports.getReferralList = async (req, res) => {
 // @access  Private/Admin
 exports.processReferralBonus = async (req, res) => {
   try {
-    const { referral_user_id, investment_amount } = req.body;
+    const { referral_user_id } = req.body;
+    const investment_amount = parseNaira(req.body.investment_amount);
+
+    if (investment_amount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid investment amount'
+      });
+    }
 
     const referralUser = await User.findById(referral_user_id);
     if (!referralUser || !referralUser.referred_by) {
@@ -108,14 +118,19 @@ exports.processReferralBonus = async (req, res) => {
     }
 
     // Calculate referral bonus (20% of first investment)
-    const bonusAmount = investment_amount * 0.20;
+    const bonusAmount = percentOf(investment_amount, 20);
 
-    // Update referrer's balance and earnings
+    // Credit referrer's wallet through the ledger
+    const entry = await ledger.recordReferralBonus({
+      userId: referralUser.referred_by,
+      amount: bonusAmount,
+      referralUserId: referralUser._id,
+      postedBy: req.user.id
+    });
+
+    // Update referrer's earnings
     await User.findByIdAndUpdate(referralUser.referred_by, {
-      $inc: {
-        balance: bonusAmount,
-        referral_earnings: bonusAmount
-      }
+      $inc: { referral_earnings: bonusAmount }
     });
 
     // Create referral bonus transaction
@@ -128,7 +143,8 @@ exports.processReferralBonus = async (req, res) => {
       metadata: {
         referral_user_id: referral_user_id,
         referral_user_name: referralUser.full_name,
-        investment_amount: investment_amount
+        investment_amount: investment_amount,
+        journal_entry_id: entry._id
       }
     });
 
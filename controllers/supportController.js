@@ -1,21 +1,40 @@
 const SupportTicket = require('../models/SupportTicket');
 const FAQ = require('../models/FAQ');
 const logger = require('../utils/logger');
+const { resolveFiles, attachFiles } = require('../utils/uploads');
 
 // @desc    Create support ticket
 // @route   POST /api/support/tickets
 // @access  Private
 exports.createSupportTicket = async (req, res) => {
   try {
-    const { subject, message, category, priority } = req.body;
-
-    const ticket = await SupportTicket.create({
-      user: req.user.id,
-      subject,
-      message,
-      category: category || 'general',
-      priority: priority || 'medium'
-    });
+    const { subject, message, category, priority, attachments = [] } = req.body;
+
+    // Attachments are ticket_attachment files, claimed in the same transaction as the ticket
+    const session = await SupportTicket.startSession();
+    session.startTransaction();
+
+    let ticket;
+    try {
+      const files = await resolveFiles({ ids: attachments, owner: req.user.id, purpose: 'ticket_attachment' }, { session });
+
+      [ticket] = await SupportTicket.create([{
+        user: req.user.id,
+        subject,
+        message,
+        category: category || 'general',
+        priority: priority || 'medium',
+        attachments: files.map(file => file._id)
+      }], { session });
+
+      await attachFiles(files, { kind: 'SupportTicket', id: ticket._id }, { session });
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     // Notify admin via Socket.IO
     const io = req.app.get('io');
@@ -35,6 +54,14 @@ exports.createSupportTicket = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_FILE') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Create support ticket error:', error);
     res.status(500).json({
       success: false,
@@ -54,6 +81,7 @@ exports.getUserTickets = async (req, res) => {
     if (status) query.status = status;
 
     const tickets = await SupportTicket.find(query)
+      .populate('attachments', 'mime_type size original_name thumbnail_key')
       .sort({ created_at: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -111,6 +139,7 @@ exports.getAllTickets = async (req, res) => {
 
     const tickets = await SupportTicket.find(query)
       .populate('user', 'full_name email phone')
+      .populate('attachments', 'mime_type size original_name thumbnail_key')
       .sort({ created_at: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
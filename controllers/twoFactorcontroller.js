@@ -2,6 +2,8 @@ const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const stepUp = require('../utils/stepUp');
+const { sendEmail } = require('../utils/emailService');
 
 // @desc    Enable 2FA
 // @route   POST /api/2fa/enable
@@ -98,13 +100,11 @@ exports.verify2FA = async (req, res) => {
   }
 };
 
-// @desc    Disable 2FA
+// @desc    Disable 2FA (requires step-up verification)
 // @route   POST /api/2fa/disable
 // @access  Private
 exports.disable2FA = async (req, res) => {
   try {
-    const { token } = req.body;
-
     const user = await User.findById(req.user.id).select('+two_factor_secret');
 
     if (!user.two_factor_enabled) {
@@ -114,21 +114,6 @@ exports.disable2FA = async (req, res) => {
       });
     }
 
-    // Verify token before disabling
-    const verified = speakeasy.totp.verify({
-      secret: user.two_factor_secret,
-      encoding: 'base32',
-      token: token,
-      window: 2
-    });
-
-    if (!verified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid verification code'
-      });
-    }
-
     // Disable 2FA
     user.two_factor_enabled = false;
     user.two_factor_secret = undefined;
@@ -192,3 +177,111 @@ exports.verifyLogin2FA = async (req, res) => {
     });
   }
 };
+
+// @desc    Get the step-up verification state of this session
+// @route   GET /api/2fa/step-up
+// @access  Private
+exports.getStepUpStatus = async (req, res) => {
+  try {
+    const grant = await stepUp.getGrant({ userId: req.user._id, sessionId: req.sessionId });
+
+    res.json({
+      success: true,
+      data: {
+        verified: Boolean(grant),
+        method: stepUp.methodFor(req.user),
+        expires_at: grant ? grant.expires_at : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get step-up status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking verification'
+    });
+  }
+};
+
+// @desc    Email a step-up code (accounts without 2FA)
+// @route   POST /api/2fa/step-up/email
+// @access  Private
+exports.requestStepUpCode = async (req, res) => {
+  try {
+    const code = await stepUp.issueEmailCode({ user: req.user, sessionId: req.sessionId });
+
+    await sendEmail({
+      email: req.user.email,
+      subject: 'Your Verification Code - Raw Wealthy',
+      template: 'step-up-code',
+      data: {
+        name: req.user.full_name,
+        code,
+        expiry_time: `${stepUp.CODE_TTL_MINUTES} minutes`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'We have emailed you a verification code'
+    });
+
+  } catch (error) {
+    if (error.code === 'STEP_UP_USE_TOTP' || error.code === 'STEP_UP_CODE_RECENTLY_SENT') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Request step-up code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code'
+    });
+  }
+};
+
+// @desc    Verify a TOTP or emailed code and open the step-up window for this session
+// @route   POST /api/2fa/step-up
+// @access  Private
+exports.verifyStepUp = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+two_factor_secret');
+    const grant = await stepUp.verifyCode({ user, sessionId: req.sessionId, code });
+
+    res.json({
+      success: true,
+      message: `Verified. You can perform sensitive actions for the next ${stepUp.WINDOW_MINUTES} minutes.`,
+      data: {
+        method: grant.method,
+        expires_at: grant.expires_at
+      }
+    });
+
+  } catch (error) {
+    if (['STEP_UP_INVALID_CODE', 'STEP_UP_NO_CODE', 'STEP_UP_TOO_MANY_ATTEMPTS'].includes(error.code)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Verify step-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during verification'
+    });
+  }
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const StoredFile = require('../models/StoredFile');
+const { storeUpload } = require('../utils/uploads');
+const { getStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+// Only the uploader and admins may read a file
+const findReadableFile = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const file = await StoredFile.findById(req.params.id);
+  if (!file) return null;
+  if (req.user.role !== 'admin' && file.owner.toString() !== req.user.id.toString()) return null;
+  return file;
+};
+
+const sendStoredFile = async (res, file, key, contentType) => {
+  const stream = await getStorage(file.storage_driver).createReadStream(key);
+  const filename = (file.original_name || `${file._id}`).replace(/[^\w.-]/g, '_');
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  stream.on('error', (error) => {
+    logger.error('Stream stored file error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// @desc    Upload a file
+// @route   POST /api/upload
+// @access  Private
+exports.uploadFile = async (req, res) => {
+  try {
+    const file = await storeUpload({
+      file: req.file,
+      owner: req.user.id,
+      purpose: req.body.purpose
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      data: { file }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Upload file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading file'
+    });
+  }
+};
+
+// @desc    Download a file
+// @route   GET /api/upload/:id
+// @access  Private (owner or admin)
+exports.getFile = async (req, res) => {
+  try {
+    const file = await findReadableFile(req);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    await sendStoredFile(res, file, file.storage_key, file.mime_type);
+  } catch (error) {
+    logger.error('Get file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching file'
+    });
+  }
+};
+
+// @desc    Download a file's thumbnail
+// @route   GET /api/upload/:id/thumbnail
+// @access  Private (owner or admin)
+exports.getThumbnail = async (req, res) => {
+  try {
+    const file = await findReadableFile(req);
+    if (!file || !file.thumbnail_key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thumbnail not found'
+      });
+    }
+
+    await sendStoredFile(res, file, file.thumbnail_key, 'image/webp');
+  } catch (error) {
+    logger.error('Get thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching thumbnail'
+    });
+  }
+};
@@ -0,0 +1,621 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Statement = require('../models/Statement');
+const logger = require('../utils/logger');
+const ledger = require('../utils/ledger');
+const fx = require('../utils/fx');
+const balanceHolds = require('../utils/balanceHolds');
+const walletRestrictions = require('../utils/walletRestrictions');
+const transactionLimits = require('../utils/transactionLimits');
+const { verifyTotp } = require('../utils/twoFactor');
+const statements = require('../utils/statements');
+const {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  parseAmount,
+  formatMoney
+} = require('../utils/money');
+
+// Amount caps live in utils/transactionLimits; this caps how many transfers a day
+const TRANSFER_DAILY_COUNT = parseInt(process.env.TRANSFER_DAILY_COUNT || 10);
+
+const MAX_STATEMENT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date-only `to` values cover the whole day
+const parseStatementDate = (value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+// Recipients are found by exactly one identifier so a lookup can never match two users
+const recipientQuery = (identifier) => {
+  const value = identifier.trim();
+  if (value.includes('@')) return { email: value.toLowerCase() };
+  // Phone numbers are stored as typed at registration, with or without spacing
+  if (/^\+?\d[\d\s-]{6,}$/.test(value)) return { phone: { $in: [value, value.replace(/[\s-]/g, '')] } };
+  return { referral_code: value.toUpperCase() };
+};
+
+// @desc    Get balances for every wallet currency
+// @route   GET /api/wallet/balances
+// @access  Private
+exports.getBalances = async (req, res) => {
+  try {
+    const balances = await Promise.all(
+      SUPPORTED_CURRENCIES.map(currency => balanceHolds.getBalanceSummary(req.user.id, currency))
+    );
+
+    res.json({
+      success: true,
+      data: { balances }
+    });
+  } catch (error) {
+    logger.error('Get wallet balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wallet balances'
+    });
+  }
+};
+
+// @desc    Get current exchange rates
+// @route   GET /api/wallet/fx-rates
+// @access  Private
+exports.getFxRates = async (req, res) => {
+  try {
+    const rates = await fx.getCurrentRates();
+
+    res.json({
+      success: true,
+      data: { rates }
+    });
+  } catch (error) {
+    logger.error('Get FX rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+};
+
+// @desc    Get deposit, withdrawal and transfer limits and how much of each remains
+// @route   GET /api/wallet/limits?currency=NGN
+// @access  Private
+exports.getLimits = async (req, res) => {
+  try {
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    const limits = await transactionLimits.getRemainingLimits({ user: req.user, currency });
+
+    res.json({
+      success: true,
+      data: limits
+    });
+  } catch (error) {
+    logger.error('Get limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching limits'
+    });
+  }
+};
+
+// @desc    Convert funds between wallet currencies
+// @route   POST /api/wallet/convert
+// @access  Private
+exports.convertCurrency = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { from, to } = req.body;
+    const amount = parseAmount(req.body.amount);
+
+    if (!isSupportedCurrency(from) || !isSupportedCurrency(to) || from === to) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Please choose two different currencies from ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (!amount) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid amount to convert'
+      });
+    }
+
+    // Compliance freezes and liens
+    await walletRestrictions.assertCanDebit({ userId: req.user.id, amount, currency: from }, { session });
+
+    const { rate, rateId } = await fx.getRate(from, to, { session });
+    const converted = fx.convertAmount(amount, rate);
+
+    if (converted <= 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Amount is too small to convert at the current rate'
+      });
+    }
+
+    const entry = await ledger.recordConversion({
+      userId: req.user.id,
+      from,
+      to,
+      amount,
+      converted,
+      rate,
+      rateId
+    }, { session });
+
+    // One record per wallet so each currency's history stays complete
+    const metadata = {
+      from_currency: from,
+      to_currency: to,
+      from_amount: amount,
+      to_amount: converted,
+      rate,
+      fx_rate_id: rateId,
+      journal_entry_id: entry._id
+    };
+    const transactions = await Transaction.create([
+      {
+        user: req.user.id,
+        type: 'conversion',
+        currency: from,
+        amount: -amount,
+        description: `Converted ${formatMoney(amount, from)} to ${to}`,
+        status: 'completed',
+        metadata
+      },
+      {
+        user: req.user.id,
+        type: 'conversion',
+        currency: to,
+        amount: converted,
+        description: `Received ${formatMoney(converted, to)} from ${from}`,
+        status: 'completed',
+        metadata
+      }
+    ], { session, ordered: true });
+
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    io.to(`user-${req.user.id}`).emit('wallet-converted', {
+      message: `Converted ${formatMoney(amount, from)} to ${formatMoney(converted, to)}`,
+      from,
+      to,
+      amount,
+      converted,
+      rate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Converted ${formatMoney(amount, from)} to ${formatMoney(converted, to)}`,
+      data: {
+        from,
+        to,
+        amount,
+        converted,
+        rate,
+        transactions
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance for conversion'
+      });
+    }
+
+    if (error.code === 'FX_RATE_UNAVAILABLE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'WALLET_FROZEN' || error.code === 'LIEN_RESTRICTED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Convert currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while converting currency'
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Send funds to another user's wallet
+// @route   POST /api/wallet/transfers
+// @access  Private
+exports.createTransfer = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { recipient, note, two_factor_token } = req.body;
+    const currency = req.body.currency || DEFAULT_CURRENCY;
+    const amount = parseAmount(req.body.amount);
+
+    if (!recipient || typeof recipient !== 'string') {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the recipient\'s email, phone number or referral code'
+      });
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (!amount) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid transfer amount'
+      });
+    }
+
+    const sender = await User.findById(req.user.id).select('+two_factor_secret').session(session);
+
+    // Transfers move money out of the account, so 2FA applies when enabled
+    if (sender.two_factor_enabled && !verifyTotp(sender.two_factor_secret, two_factor_token)) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'A valid 2FA code is required to send funds',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const recipientUser = await User.findOne(recipientQuery(recipient)).session(session);
+
+    if (!recipientUser || !recipientUser.is_active) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient not found'
+      });
+    }
+
+    if (recipientUser._id.equals(sender._id)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot transfer funds to yourself'
+      });
+    }
+
+    // Compliance freezes and liens
+    await walletRestrictions.assertCanDebit({ userId: sender._id, amount, currency }, { session });
+
+    // The daily count covers every outgoing transfer since midnight UTC
+    const { daily } = transactionLimits.periodWindows();
+    const sentToday = await Transaction.countDocuments({
+      user: sender._id,
+      type: 'transfer_out',
+      currency,
+      status: 'completed',
+      createdAt: { $gte: daily.start }
+    }).session(session);
+
+    if (sentToday >= TRANSFER_DAILY_COUNT) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `You can make at most ${TRANSFER_DAILY_COUNT} transfers per day`
+      });
+    }
+
+    // Per-transaction and period caps for the sender's KYC level and tier
+    await transactionLimits.assertWithinLimits({ user: sender, kind: 'transfer', amount, currency }, { session });
+
+    const reference = uuidv4();
+    const entry = await ledger.recordTransfer({
+      senderId: sender._id,
+      recipientId: recipientUser._id,
+      amount,
+      reference,
+      currency
+    }, { session });
+
+    const metadata = {
+      reference,
+      sender_id: sender._id,
+      recipient_id: recipientUser._id,
+      note,
+      journal_entry_id: entry._id
+    };
+    const [sent, received] = await Transaction.create([
+      {
+        user: sender._id,
+        type: 'transfer_out',
+        currency,
+        amount: -amount,
+        description: `Transfer to ${recipientUser.full_name}`,
+        status: 'completed',
+        metadata
+      },
+      {
+        user: recipientUser._id,
+        type: 'transfer_in',
+        currency,
+        amount,
+        description: `Transfer from ${sender.full_name}`,
+        status: 'completed',
+        metadata
+      }
+    ], { session, ordered: true });
+
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    io.to(`user-${sender._id}`).emit('transfer-sent', {
+      message: `You sent ${formatMoney(amount, currency)} to ${recipientUser.full_name}`,
+      reference,
+      amount,
+      currency,
+      recipientName: recipientUser.full_name
+    });
+    io.to(`user-${recipientUser._id}`).emit('transfer-received', {
+      message: `You received ${formatMoney(amount, currency)} from ${sender.full_name}`,
+      reference,
+      amount,
+      currency,
+      senderName: sender.full_name,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${formatMoney(amount, currency)} sent to ${recipientUser.full_name}`,
+      data: {
+        reference,
+        recipient: {
+          full_name: recipientUser.full_name,
+          referral_code: recipientUser.referral_code
+        },
+        transaction: sent,
+        counterpartTransactionId: received._id
+      }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance for this transfer'
+      });
+    }
+
+    if (error.code === 'WALLET_FROZEN' || error.code === 'LIEN_RESTRICTED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: { limit: error.limit }
+      });
+    }
+
+    logger.error('Create transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing transfer'
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Get sent and received transfers
+// @route   GET /api/wallet/transfers
+// @access  Private
+exports.getTransfers = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, direction, currency } = req.query;
+
+    const query = {
+      user: req.user.id,
+      type: direction === 'in' ? 'transfer_in' : direction === 'out' ? 'transfer_out' : { $in: ['transfer_in', 'transfer_out'] }
+    };
+    if (currency) query.currency = currency;
+
+    const transfers = await Transaction.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        transfers,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+  } catch (error) {
+    logger.error('Get transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching transfers'
+    });
+  }
+};
+
+// @desc    Download an account statement
+// @route   GET /api/wallet/statement?from=&to=&format=pdf|csv&currency=
+// @access  Private
+exports.getStatement = async (req, res) => {
+  try {
+    const { format = 'pdf', currency = DEFAULT_CURRENCY } = req.query;
+
+    const now = new Date();
+    const from = req.query.from
+      ? parseStatementDate(req.query.from, false)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? parseStatementDate(req.query.to, true) : now;
+
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid statement period'
+      });
+    }
+
+    if (to - from > MAX_STATEMENT_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `A statement can cover at most ${MAX_STATEMENT_DAYS} days`
+      });
+    }
+
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be pdf or csv'
+      });
+    }
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('full_name email').lean();
+    const statement = await statements.buildStatement({ userId: req.user.id, currency, from, to });
+
+    // Record what was issued so the verification code can be checked later
+    const record = await Statement.create({
+      user: req.user.id,
+      verification_code: statements.generateVerificationCode(),
+      period_start: from,
+      period_end: to,
+      currency,
+      format,
+      opening_balance: statement.opening,
+      closing_balance: statement.closing,
+      total_credits: statement.credits,
+      total_debits: statement.debits,
+      entry_count: statement.lines.length,
+      checksum: statement.checksum
+    });
+
+    const meta = { user, currency, from, to, verificationCode: record.verification_code };
+    const filename = `raw-wealthy-statement-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Statement-Verification-Code', record.verification_code);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(statements.toCsv(statement, meta));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    statements.renderPdf(statement, meta, res);
+
+  } catch (error) {
+    logger.error('Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating statement'
+    });
+  }
+};
+
+// @desc    Check a statement verification code
+// @route   GET /api/wallet/statements/verify/:code
+// @access  Public
+exports.verifyStatement = async (req, res) => {
+  try {
+    const record = await Statement.findOne({ verification_code: req.params.code.trim().toUpperCase() })
+      .populate('user', 'full_name')
+      .lean();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'No statement was issued with this verification code',
+        data: { valid: false }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'This statement was issued by Raw Wealthy',
+      data: {
+        valid: true,
+        statement: {
+          verification_code: record.verification_code,
+          account_holder: record.user?.full_name,
+          period_start: record.period_start,
+          period_end: record.period_end,
+          currency: record.currency,
+          opening_balance: record.opening_balance,
+          closing_balance: record.closing_balance,
+          total_credits: record.total_credits,
+          total_debits: record.total_debits,
+          entry_count: record.entry_count,
+          checksum: record.checksum,
+          issued_at: record.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Verify statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying statement'
+    });
+  }
+};
@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const Deposit = require('../models/Deposit');
+const Transaction = require('../models/Transaction');
+const VirtualAccount = require('../models/VirtualAccount');
+const WebhookEvent = require('../models/WebhookEvent');
+const logger = require('../utils/logger');
+const { getGateway } = require('../utils/paymentGateways');
+const { getProvider } = require('../utils/virtualAccountProviders');
+const { getPayoutProvider } = require('../utils/payoutProviders');
+const withdrawalPayouts = require('../utils/withdrawalPayouts');
+const { approvePendingDeposit, notifyDepositApproved } = require('../utils/depositApproval');
+const { formatMoney } = require('../utils/money');
+
+// Why a verified event did not approve anything, or null if it should
+const ignoreReason = (event, deposit) => {
+  if (event.type !== 'charge.success') return `Unhandled event type ${event.type}`;
+  if (!deposit) return `No deposit with reference ${event.reference}`;
+  if (deposit.status !== 'pending') return `Deposit already ${deposit.status}`;
+  if (event.amount !== deposit.amount || (event.currency || 'NGN') !== deposit.currency) {
+    return `Charged ${event.amount} ${event.currency} but deposit is ${deposit.amount} ${deposit.currency}`;
+  }
+  return null;
+};
+
+// Why an inbound transfer cannot be credited, or null if it should be
+const creditIgnoreReason = (credit, account) => {
+  if (!account) return `No virtual account ${credit.accountNumber}`;
+  if (account.status !== 'active') return `Virtual account ${credit.accountNumber} is ${account.status}`;
+  if (!Number.isInteger(credit.amount) || credit.amount <= 0) return `Invalid amount ${credit.amount}`;
+  if ((credit.currency || 'NGN') !== account.currency) {
+    return `Received ${credit.currency} into a ${account.currency} account`;
+  }
+  return null;
+};
+
+// @desc    Receive payment gateway events
+// @route   POST /api/webhooks/payments/:provider
+// @access  Public (signature verified)
+exports.handlePaymentWebhook = async (req, res) => {
+  const gateway = getGateway(req.params.provider);
+  if (!gateway) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown payment provider'
+    });
+  }
+
+  if (!gateway.verifySignature(req)) {
+    logger.warn(`Rejected ${gateway.name} webhook with invalid signature from ${req.clientIp || req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  const event = gateway.parseEvent(req.body);
+  if (!event.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Event id missing'
+    });
+  }
+
+  // Gateways retry until they get a 2xx, so replays are acknowledged, not reprocessed
+  const seen = await WebhookEvent.exists({ provider: gateway.name, event_id: event.id });
+  if (seen) {
+    return res.json({
+      success: true,
+      message: 'Event already processed'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const deposit = event.reference
+      ? await Deposit.findOne({ reference: event.reference }).populate('user').session(session)
+      : null;
+
+    const reason = ignoreReason(event, deposit);
+    const record = {
+      provider: gateway.name,
+      event_id: event.id,
+      type: event.type,
+      reference: event.reference,
+      deposit: deposit?._id,
+      payload: req.body
+    };
+
+    if (reason) {
+      await WebhookEvent.create([{ ...record, status: 'ignored', reason }], { session });
+      await session.commitTransaction();
+
+      logger.warn(`${gateway.name} webhook ${event.id} ignored: ${reason}`);
+      const io = req.app.get('io');
+      if (deposit && event.type === 'charge.success' && deposit.status === 'cancelled' && deposit.cancellation_reason === 'expired') {
+        // The sweeper cancelled it before the charge settled, but the money still arrived
+        io.to('admin-room').emit('deposit-paid-after-expiry', {
+          message: `${formatMoney(event.amount, event.currency || deposit.currency)} arrived via ${gateway.name} for an expired deposit and needs to be credited by hand`,
+          depositId: deposit._id,
+          userId: deposit.user._id,
+          reference: deposit.reference,
+          amount: event.amount,
+          currency: event.currency || deposit.currency,
+          provider: gateway.name,
+          chargeId: event.chargeId
+        });
+      } else if (deposit && event.type === 'charge.success' && ['pending', 'cancelled'].includes(deposit.status)) {
+        io.to('admin-room').emit('deposit-gateway-mismatch', {
+          message: 'Gateway charge does not match the deposit request',
+          depositId: deposit._id,
+          provider: gateway.name,
+          reason
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Event ignored'
+      });
+    }
+
+    const { newBalance } = await approvePendingDeposit(deposit, {
+      source: 'gateway',
+      gateway: {
+        provider: gateway.name,
+        event_id: event.id,
+        charge_id: event.chargeId
+      }
+    }, { session });
+
+    await WebhookEvent.create([{ ...record, status: 'processed' }], { session });
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    await notifyDepositApproved({ io, deposit, newBalance });
+    io.to('admin-room').emit('deposit-auto-approved', {
+      message: `Deposit of ${formatMoney(deposit.amount, deposit.currency)} approved by ${gateway.name}`,
+      depositId: deposit._id,
+      userId: deposit.user._id,
+      amount: deposit.amount,
+      currency: deposit.currency,
+      provider: gateway.name
+    });
+
+    res.json({
+      success: true,
+      message: 'Deposit approved'
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+
+    // A concurrent delivery of the same event won the race
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    logger.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Receive inbound transfers to users' virtual accounts
+// @route   POST /api/webhooks/virtual-accounts/:provider
+// @access  Public (signature verified)
+exports.handleVirtualAccountCredit = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown virtual account provider'
+    });
+  }
+
+  if (!provider.verifySignature(req)) {
+    logger.warn(`Rejected ${provider.name} credit notification with invalid signature from ${req.clientIp || req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  const credit = provider.parseCredit(req.body);
+  if (!credit.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Event id missing'
+    });
+  }
+
+  // Providers retry until they get a 2xx, so replays are acknowledged, not reprocessed
+  const seen = await WebhookEvent.exists({ provider: provider.name, event_id: credit.id });
+  if (seen) {
+    return res.json({
+      success: true,
+      message: 'Event already processed'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const account = credit.accountNumber
+      ? await VirtualAccount.findOne({ provider: provider.name, account_number: String(credit.accountNumber) })
+        .session(session)
+      : null;
+
+    const reason = creditIgnoreReason(credit, account);
+    const record = {
+      provider: provider.name,
+      event_id: credit.id,
+      type: 'virtual_account.credit',
+      reference: credit.sessionId,
+      payload: req.body
+    };
+
+    if (reason) {
+      await WebhookEvent.create([{ ...record, status: 'ignored', reason }], { session });
+      await session.commitTransaction();
+
+      // The money has arrived somewhere, so someone has to place it by hand
+      logger.warn(`${provider.name} credit ${credit.id} not applied: ${reason}`);
+      req.app.get('io').to('admin-room').emit('virtual-account-credit-unmatched', {
+        message: 'Inbound bank transfer could not be credited automatically',
+        provider: provider.name,
+        accountNumber: credit.accountNumber,
+        amount: credit.amount,
+        currency: credit.currency,
+        sender: credit.sender,
+        reason
+      });
+
+      return res.json({
+        success: true,
+        message: 'Event ignored'
+      });
+    }
+
+    const [deposit] = await Deposit.create([{
+      user: account.user,
+      currency: account.currency,
+      amount: credit.amount,
+      payment_method: 'bank_transfer',
+      reference: Deposit.generateReference(),
+      virtual_account: account._id,
+      sender: credit.sender,
+      status: 'pending'
+    }], { session });
+
+    await Transaction.create([{
+      user: account.user,
+      type: 'deposit',
+      currency: deposit.currency,
+      amount: deposit.amount,
+      description: `Bank transfer to ${account.bank_name} ${account.account_number}`,
+      status: 'pending',
+      metadata: {
+        deposit_id: deposit._id,
+        deposit_reference: deposit.reference,
+        payment_method: 'bank_transfer',
+        virtual_account: account.account_number,
+        sender_name: credit.sender?.name,
+        narration: credit.narration
+      }
+    }], { session });
+
+    const { newBalance } = await approvePendingDeposit(deposit, {
+      source: 'virtual_account',
+      gateway: {
+        provider: provider.name,
+        event_id: credit.id,
+        charge_id: credit.sessionId
+      }
+    }, { session });
+
+    await WebhookEvent.create([{ ...record, status: 'processed', deposit: deposit._id }], { session });
+    await session.commitTransaction();
+
+    await deposit.populate('user', 'full_name email');
+
+    const io = req.app.get('io');
+    await notifyDepositApproved({ io, deposit, newBalance });
+    io.to('admin-room').emit('deposit-auto-approved', {
+      message: `Bank transfer of ${formatMoney(deposit.amount, deposit.currency)} credited via ${provider.name} virtual account`,
+      depositId: deposit._id,
+      userId: deposit.user._id,
+      amount: deposit.amount,
+      currency: deposit.currency,
+      provider: provider.name
+    });
+
+    res.json({
+      success: true,
+      message: 'Deposit credited'
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+
+    // A concurrent delivery of the same event won the race
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    logger.error('Virtual account credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing credit notification'
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+const PAYOUT_TRANSITIONS = {
+  processing: withdrawalPayouts.markWithdrawalProcessing,
+  completed: withdrawalPayouts.completeWithdrawal,
+  failed: withdrawalPayouts.failWithdrawal
+};
+
+// @desc    Receive payout status updates for approved withdrawals
+// @route   POST /api/webhooks/payouts/:provider
+// @access  Public (signature verified)
+exports.handlePayoutEvent = async (req, res) => {
+  const provider = getPayoutProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown payout provider'
+    });
+  }
+
+  if (!provider.verifySignature(req)) {
+    logger.warn(`Rejected ${provider.name} payout event with invalid signature from ${req.clientIp || req.ip}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  const event = provider.parseEvent(req.body);
+  if (!event.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Event id missing'
+    });
+  }
+
+  // Providers retry until they get a 2xx, so replays are acknowledged, not reprocessed
+  const seen = await WebhookEvent.exists({ provider: provider.name, event_id: event.id });
+  if (seen) {
+    return res.json({
+      success: true,
+      message: 'Event already processed'
+    });
+  }
+
+  const record = {
+    provider: provider.name,
+    event_id: event.id,
+    type: `payout.${event.status || 'unknown'}`,
+    reference: event.reference,
+    payload: req.body
+  };
+
+  try {
+    let reason = null;
+    if (!PAYOUT_TRANSITIONS[event.status]) {
+      reason = `Unhandled payout event ${req.body.event}`;
+    } else if (!mongoose.isValidObjectId(event.withdrawalId)) {
+      reason = `Invalid withdrawal reference ${event.withdrawalId}`;
+    }
+
+    if (!reason) {
+      try {
+        const withdrawal = await PAYOUT_TRANSITIONS[event.status]({
+          withdrawalId: event.withdrawalId,
+          provider: provider.name,
+          reference: event.reference,
+          reason: event.reason || 'Rejected by payout provider',
+          io: req.app.get('io')
+        });
+        await WebhookEvent.create({ ...record, status: 'processed', withdrawal: withdrawal._id });
+
+        if (event.status === 'failed') {
+          req.app.get('io').to('admin-room').emit('withdrawal-payout-failed', {
+            message: `Payout of ${formatMoney(withdrawal.amount, withdrawal.currency)} failed at ${provider.name}; funds returned to the user's wallet`,
+            withdrawalId: withdrawal._id,
+            userId: withdrawal.user._id,
+            reason: withdrawal.failure_reason
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: `Withdrawal marked ${event.status}`
+        });
+      } catch (error) {
+        // Out-of-order or late events must not move a withdrawal backwards
+        if (error.code !== 'NOT_FOUND' && error.code !== 'INVALID_TRANSITION') throw error;
+        reason = error.message;
+      }
+    }
+
+    await WebhookEvent.create({
+      ...record,
+      status: 'ignored',
+      reason,
+      withdrawal: mongoose.isValidObjectId(event.withdrawalId) ? event.withdrawalId : undefined
+    });
+    logger.warn(`${provider.name} payout event ${event.id} ignored: ${reason}`);
+
+    res.json({
+      success: true,
+      message: 'Event ignored'
+    });
+
+  } catch (error) {
+    // A concurrent delivery of the same event won the race
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    logger.error('Payout event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payout event'
+    });
+  }
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+
+process.env.FAKE_GATEWAY_SECRET = 'test-gateway-secret';
+
+jest.mock('../models/Deposit', () => ({ findOne: jest.fn() }), { virtual: true });
+jest.mock('../models/Transaction', () => ({ create: jest.fn(), findOneAndUpdate: jest.fn() }), { virtual: true });
+jest.mock('../models/VirtualAccount', () => ({ findOne: jest.fn() }), { virtual: true });
+jest.mock('../models/WebhookEvent', () => ({ exists: jest.fn(), create: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn() }), { virtual: true });
+jest.mock('../utils/ledger', () => ({ recordDeposit: jest.fn(), getWalletBalance: jest.fn() }));
+jest.mock('../utils/withdrawalPayouts', () => ({}));
+
+const Deposit = require('../models/Deposit');
+const Transaction = require('../models/Transaction');
+const WebhookEvent = require('../models/WebhookEvent');
+const ledger = require('../utils/ledger');
+const fake = require('../utils/paymentGateways/fake');
+const { handlePaymentWebhook } = require('./webhookController');
+
+const charge = (data = {}, id = 'evt_1') => ({
+  id,
+  type: 'charge.success',
+  data: { reference: 'DEP-1', amount: 500000, currency: 'NGN', charge_id: 'ch_1', ...data }
+});
+
+const pendingDeposit = (overrides = {}) => ({
+  _id: 'deposit-1',
+  reference: 'DEP-1',
+  amount: 500000,
+  currency: 'NGN',
+  payment_method: 'card',
+  status: 'pending',
+  user: { _id: 'user-1', full_name: 'Ada Obi' },
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const mockRequest = (body, { signature = fake.sign(body), provider = 'fake' } = {}) => {
+  const emit = jest.fn();
+  const io = { to: jest.fn(() => ({ emit })) };
+  return {
+    req: {
+      params: { provider },
+      headers: { 'x-fake-signature': signature },
+      rawBody: Buffer.from(JSON.stringify(body)),
+      body,
+      ip: '127.0.0.1',
+      app: { get: () => io }
+    },
+    io,
+    emit
+  };
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn().mockResolvedValue(),
+  abortTransaction: jest.fn().mockResolvedValue(),
+  endSession: jest.fn()
+};
+
+// Deposit.findOne(...).populate(...).session(...)
+const findsDeposit = (deposit) => {
+  Deposit.findOne.mockReturnValue({
+    populate: () => ({ session: () => Promise.resolve(deposit) })
+  });
+};
+
+describe('handlePaymentWebhook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    WebhookEvent.exists.mockResolvedValue(null);
+    WebhookEvent.create.mockResolvedValue([{}]);
+    ledger.recordDeposit.mockResolvedValue({ _id: 'entry-1' });
+    ledger.getWalletBalance.mockResolvedValue(750000);
+    Transaction.findOneAndUpdate.mockResolvedValue({});
+  });
+
+  test('refuses an unknown provider', async () => {
+    const { req } = mockRequest(charge(), { provider: 'nope' });
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('rejects an event with a bad signature before touching the database', async () => {
+    const { req } = mockRequest(charge(), { signature: fake.sign(charge({ amount: 1 })) });
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(WebhookEvent.exists).not.toHaveBeenCalled();
+    expect(Deposit.findOne).not.toHaveBeenCalled();
+  });
+
+  test('acknowledges a replayed event without processing it', async () => {
+    WebhookEvent.exists.mockResolvedValue({ _id: 'event-1' });
+    const { req } = mockRequest(charge());
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(WebhookEvent.exists).toHaveBeenCalledWith({ provider: 'fake', event_id: 'evt_1' });
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Event already processed' });
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+  });
+
+  test('acknowledges a concurrent delivery that loses the unique index race', async () => {
+    const deposit = pendingDeposit();
+    findsDeposit(deposit);
+    WebhookEvent.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const { req } = mockRequest(charge());
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Event already processed' });
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['amount', { amount: 400000 }],
+    ['currency', { currency: 'USD' }]
+  ])('records but does not approve a charge whose %s differs from the deposit', async (_, data) => {
+    const deposit = pendingDeposit();
+    findsDeposit(deposit);
+    const { req, io, emit } = mockRequest(charge(data));
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(deposit.save).not.toHaveBeenCalled();
+    expect(ledger.recordDeposit).not.toHaveBeenCalled();
+    expect(WebhookEvent.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ status: 'ignored', deposit: 'deposit-1', reason: expect.stringContaining('Charged') })],
+      { session }
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(io.to).toHaveBeenCalledWith('admin-room');
+    expect(emit).toHaveBeenCalledWith('deposit-gateway-mismatch', expect.objectContaining({ depositId: 'deposit-1' }));
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Event ignored' });
+  });
+
+  test('approves a pending deposit through the shared approval path', async () => {
+    const deposit = pendingDeposit();
+    findsDeposit(deposit);
+    const { req, io, emit } = mockRequest(charge());
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(deposit).toMatchObject({
+      status: 'approved',
+      approval_source: 'gateway',
+      gateway: { provider: 'fake', event_id: 'evt_1', charge_id: 'ch_1' }
+    });
+    expect(deposit.save).toHaveBeenCalledWith({ session });
+    expect(ledger.recordDeposit).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'user-1', amount: 500000, depositId: 'deposit-1', currency: 'NGN' }),
+      { session }
+    );
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { 'metadata.deposit_id': 'deposit-1' },
+      expect.objectContaining({ status: 'completed', 'metadata.approval_source': 'gateway' }),
+      { session }
+    );
+    expect(WebhookEvent.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ provider: 'fake', event_id: 'evt_1', status: 'processed', deposit: 'deposit-1' })],
+      { session }
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+
+    expect(io.to).toHaveBeenCalledWith('user-user-1');
+    expect(emit).toHaveBeenCalledWith('deposit-approved', expect.objectContaining({ newBalance: 750000 }));
+    expect(emit).toHaveBeenCalledWith('deposit-auto-approved', expect.objectContaining({ depositId: 'deposit-1' }));
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Deposit approved' });
+  });
+
+  test('flags money that arrived for a deposit the sweeper expired', async () => {
+    const deposit = pendingDeposit({ status: 'cancelled', cancellation_reason: 'expired' });
+    findsDeposit(deposit);
+    const { req, emit } = mockRequest(charge());
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(deposit.save).not.toHaveBeenCalled();
+    expect(ledger.recordDeposit).not.toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledWith('deposit-paid-after-expiry', expect.objectContaining({
+      message: expect.stringContaining('expired deposit'),
+      depositId: 'deposit-1',
+      amount: 500000,
+      currency: 'NGN'
+    }));
+    expect(emit).not.toHaveBeenCalledWith('deposit-gateway-mismatch', expect.anything());
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Event ignored' });
+  });
+
+  test('ignores a charge for a deposit that is no longer pending', async () => {
+    const deposit = pendingDeposit({ status: 'approved' });
+    findsDeposit(deposit);
+    const { req } = mockRequest(charge());
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(deposit.save).not.toHaveBeenCalled();
+    expect(WebhookEvent.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ status: 'ignored', reason: 'Deposit already approved' })],
+      { session }
+    );
+  });
+});
@@ -1,64 +1,172 @@
+const mongoose = require('mongoose');
 const Withdrawal = require('../models/Withdrawal');
+const PayoutDestination = require('../models/PayoutDestination');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
+const ledger = require('../utils/ledger');
+const balanceHolds = require('../utils/balanceHolds');
+const walletRestrictions = require('../utils/walletRestrictions');
+const transactionLimits = require('../utils/transactionLimits');
+const payoutDestinations = require('../utils/payoutDestinations');
+const { resolveWithdrawalAccount } = require('../utils/accountResolution');
+const { quoteWithdrawalFee } = require('../utils/withdrawalFees');
+const {
+  AMOUNT_UNIT,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  parseAmount,
+  toKobo,
+  formatMoney
+} = require('../utils/money');
+
+// Minimum withdrawal per wallet currency, in minor units
+const MIN_WITHDRAWAL = {
+  NGN: toKobo(process.env.MIN_WITHDRAWAL_AMOUNT || 3500),
+  USD: toKobo(process.env.MIN_WITHDRAWAL_AMOUNT_USD || 10),
+  USDT: toKobo(process.env.MIN_WITHDRAWAL_AMOUNT_USDT || 10)
+};
 
 // @desc    Create withdrawal request
 // @route   POST /api/withdrawals
 // @access  Private
 exports.createWithdrawal = async (req, res) => {
+  const session = await Withdrawal.startSession();
+  session.startTransaction();
+
   try {
-    const { amount, payment_method, bank_name, account_name, account_number, wallet_address } = req.body;
+    const { destination_id } = req.body;
+    const currency = req.body.currency || DEFAULT_CURRENCY;
+    const amount = parseAmount(req.body.amount);
+
+    if (!isSupportedCurrency(currency)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
 
     // Validate amount
-    if (amount < 3500) {
+    if (amount === null) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: 'Minimum withdrawal amount is ₦3,500'
+        message: 'Please provide a valid withdrawal amount'
       });
     }
 
-    // Calculate fees
-    const fee = amount * 0.05; // 5% platform fee
-    const net_amount = amount - fee;
+    if (amount < MIN_WITHDRAWAL[currency]) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Minimum withdrawal amount is ${formatMoney(MIN_WITHDRAWAL[currency], currency)}`
+      });
+    }
+
+    // Money only goes to destinations saved, confirmed and past their cooling-off period
+    if (!destination_id || !mongoose.isValidObjectId(destination_id)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose one of your saved payout destinations',
+        code: 'DESTINATION_REQUIRED'
+      });
+    }
+    const destination = await payoutDestinations.getUsableDestination({
+      userId: req.user.id,
+      destinationId: destination_id
+    }, { session });
+    payoutDestinations.assertMatchesWithdrawal(destination, {
+      currency,
+      paymentMethod: req.body.payment_method
+    });
+    const { payment_method } = destination;
+
+    // Compliance freezes and liens
+    await walletRestrictions.assertCanDebit({ userId: req.user.id, amount, currency }, { session });
+
+    const user = await User.findById(req.user.id).session(session);
+
+    // Per-transaction and period caps for the user's KYC level and tier
+    await transactionLimits.assertWithinLimits({ user, kind: 'withdrawal', amount, currency }, { session });
 
     // Check user balance
-    const user = await User.findById(req.user.id);
-    if (user.balance < amount) {
+    const available = await ledger.getWalletBalance(req.user.id, { session, currency });
+    if (available < amount) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
         message: 'Insufficient balance for withdrawal'
       });
     }
 
+    // Fee from the live schedule for this method, currency and the user's tier
+    const quote = await quoteWithdrawalFee({ user, amount, currency, paymentMethod: payment_method }, { session });
+    const { fee, net_amount } = quote;
+
+    // A minimum fee can swallow a small amount whole; never pay out nothing
+    if (net_amount <= 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `The ${formatMoney(fee, currency)} fee leaves nothing to pay out; please withdraw a larger amount`,
+        code: 'AMOUNT_BELOW_FEE'
+      });
+    }
+
     // Prepare withdrawal data
     const withdrawalData = {
       user: req.user.id,
+      currency,
       amount,
       fee,
       net_amount,
+      fee_schedule: {
+        schedule: quote.schedule.id,
+        version: quote.schedule.version,
+        tier: quote.schedule.tier,
+        free_withdrawal: quote.breakdown.free_withdrawal
+      },
       payment_method,
+      destination: destination._id,
       status: 'pending'
     };
 
-    // Add payment-specific details
+    // Copy the destination so later edits to it never change this withdrawal
     if (payment_method === 'bank_transfer') {
       withdrawalData.bank_details = {
-        bank_name,
-        account_name,
-        account_number
+        bank_name: destination.bank_details.bank_name,
+        bank_code: destination.bank_details.bank_code,
+        account_name: destination.bank_details.account_name,
+        account_number: destination.bank_details.account_number
       };
+      // Checked against the bank once committed; approval waits for the result
+      withdrawalData.account_resolution = { status: 'pending' };
     } else if (payment_method === 'crypto') {
-      withdrawalData.wallet_address = wallet_address;
+      withdrawalData.crypto_asset = destination.asset;
+      withdrawalData.wallet_address = destination.wallet_address;
+    } else if (payment_method === 'paypal') {
+      withdrawalData.paypal_email = destination.paypal_email;
     }
 
     // Create withdrawal record
-    const withdrawal = await Withdrawal.create(withdrawalData);
+    const [withdrawal] = await Withdrawal.create([withdrawalData], { session });
+
+    // Hold the amount so it cannot be spent or withdrawn again
+    const { hold, entry } = await balanceHolds.placeWithdrawalHold({
+      userId: req.user.id,
+      amount,
+      withdrawalId: withdrawal._id,
+      currency
+    }, { session });
 
     // Create transaction record
-    const transaction = await Transaction.create({
+    const [transaction] = await Transaction.create([{
       user: req.user.id,
       type: 'withdrawal',
+      currency,
       amount: -amount,
       description: `Withdrawal via ${payment_method}`,
       status: 'pending',
@@ -66,9 +174,14 @@ exports.createWithdrawal = async (req, res) => {
         withdrawal_id: withdrawal._id,
         payment_method: payment_method,
         fee: fee,
-        net_amount: net_amount
+        net_amount: net_amount,
+        fee_schedule_version: quote.schedule.version,
+        hold_id: hold._id,
+        journal_entry_id: entry._id
       }
-    });
+    }], { session });
+
+    await session.commitTransaction();
 
     // Notify admin via Socket.IO
     const io = req.app.get('io');
@@ -80,9 +193,15 @@ exports.createWithdrawal = async (req, res) => {
       amount: amount,
       netAmount: net_amount,
       fee: fee,
+      currency,
       paymentMethod: payment_method
     });
 
+    if (withdrawal.account_resolution && withdrawal.account_resolution.status === 'pending') {
+      resolveWithdrawalAccount({ withdrawalId: withdrawal._id, io })
+        .catch(resolveError => logger.error('Withdrawal account check failed:', resolveError));
+    }
+
     res.status(201).json({
       success: true,
       message: 'Withdrawal request submitted successfully. Waiting for admin approval.',
@@ -90,11 +209,131 @@ exports.createWithdrawal = async (req, res) => {
     });
 
   } catch (error) {
+    await session.abortTransaction();
+
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance for withdrawal'
+      });
+    }
+
+    if (error.code === 'WALLET_FROZEN' || error.code === 'LIEN_RESTRICTED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: { limit: error.limit }
+      });
+    }
+
+    if (['DESTINATION_NOT_FOUND', 'DESTINATION_COOLING_OFF', 'DESTINATION_MISMATCH'].includes(error.code)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        ...(error.usableFrom && { data: { usable_from: error.usableFrom } })
+      });
+    }
+
     logger.error('Create withdrawal error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while processing withdrawal'
     });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Quote the fee for a withdrawal before submitting it
+// @route   GET /api/withdrawals/quote?amount=&currency=&destination_id= (or payment_method=)
+// @access  Private
+exports.getWithdrawalQuote = async (req, res) => {
+  try {
+    const { destination_id } = req.query;
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+    const amount = parseAmount(req.query.amount);
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (amount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid withdrawal amount'
+      });
+    }
+
+    let payment_method = req.query.payment_method;
+    if (destination_id) {
+      if (!mongoose.isValidObjectId(destination_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payout destination'
+        });
+      }
+      const destination = await PayoutDestination.findOne({
+        _id: destination_id,
+        user: req.user.id,
+        status: 'active'
+      }).lean();
+      if (!destination) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved payout destination not found'
+        });
+      }
+      payment_method = destination.payment_method;
+    }
+
+    if (!['bank_transfer', 'crypto', 'paypal'].includes(payment_method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a saved payout destination or a payment method'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const quote = await quoteWithdrawalFee({ user, amount, currency, paymentMethod: payment_method });
+
+    res.json({
+      success: true,
+      data: {
+        quote: {
+          ...quote,
+          amount_unit: AMOUNT_UNIT,
+          minimum_amount: MIN_WITHDRAWAL[currency],
+          below_minimum: amount < MIN_WITHDRAWAL[currency],
+          below_fee: quote.net_amount <= 0,
+          display: {
+            amount: formatMoney(quote.amount, currency),
+            fee: formatMoney(quote.fee, currency),
+            net_amount: formatMoney(quote.net_amount, currency),
+            minimum_amount: formatMoney(MIN_WITHDRAWAL[currency], currency)
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get withdrawal quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while quoting withdrawal fee'
+    });
   }
 };
 
@@ -103,10 +342,11 @@ exports.createWithdrawal = async (req, res) => {
 // @access  Private
 exports.getUserWithdrawals = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, currency } = req.query;
     
     const query = { user: req.user.id };
     if (status) query.status = status;
+    if (currency) query.currency = currency;
 
     const withdrawals = await Withdrawal.find(query)
       .sort({ createdAt: -1 })
@@ -119,7 +359,7 @@ exports.getUserWithdrawals = async (req, res) => {
     const totals = await Withdrawal.aggregate([
       { $match: { user: req.user._id } },
       { $group: { 
-        _id: '$status', 
+        _id: { status: '$status', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } }, 
         totalAmount: { $sum: '$amount' },
         totalFees: { $sum: '$fee' },
         totalNet: { $sum: '$net_amount' },
@@ -127,6 +367,8 @@ exports.getUserWithdrawals = async (req, res) => {
       }}
     ]);
 
+    const balance = await balanceHolds.getBalanceSummary(req.user.id, currency || DEFAULT_CURRENCY);
+
     res.json({
       success: true,
       data: {
@@ -134,7 +376,8 @@ exports.getUserWithdrawals = async (req, res) => {
         totalPages: Math.ceil(total / limit),
         currentPage: page,
         total,
-        totals
+        totals,
+        balance
       }
     });
   } catch (error) {
@@ -145,3 +388,83 @@ exports.getUserWithdrawals = async (req, res) => {
     });
   }
 };
+
+// @desc    Cancel a pending withdrawal
+// @route   POST /api/withdrawals/:id/cancel
+// @access  Private
+exports.cancelWithdrawal = async (req, res) => {
+  const session = await Withdrawal.startSession();
+  session.startTransaction();
+
+  try {
+    const withdrawal = await Withdrawal.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    }).session(session);
+
+    if (!withdrawal) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Withdrawal not found'
+      });
+    }
+
+    if (withdrawal.status !== 'pending') {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending withdrawals can be cancelled'
+      });
+    }
+
+    withdrawal.status = 'cancelled';
+    withdrawal.cancelled_at = new Date();
+    await withdrawal.save({ session });
+
+    // Return the held amount to the available balance
+    await balanceHolds.releaseWithdrawalHold({
+      withdrawalId: withdrawal._id,
+      reason: 'cancelled',
+      actionedBy: req.user.id
+    }, { session });
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.withdrawal_id': withdrawal._id },
+      {
+        status: 'failed',
+        description: 'Withdrawal cancelled by user'
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    io.to('admin-room').emit('withdrawal-cancelled', {
+      message: 'Withdrawal request cancelled by user',
+      withdrawalId: withdrawal._id,
+      userId: req.user.id,
+      amount: withdrawal.amount,
+      currency: withdrawal.currency
+    });
+
+    const balance = await balanceHolds.getBalanceSummary(req.user.id, withdrawal.currency);
+
+    res.json({
+      success: true,
+      message: 'Withdrawal cancelled and funds released',
+      data: { withdrawal, balance }
+    });
+
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error('Cancel withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling withdrawal'
+    });
+  } finally {
+    session.endSession();
+  }
+};
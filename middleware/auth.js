@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
@@ -67,6 +68,8 @@ exports.auth = async (req, res, next) => {
 
       // Add user to request object
       req.user = user;
+      // Login session for step-up grants; tokens issued before sessions had ids use their own hash
+      req.sessionId = decoded.sid || crypto.createHash('sha256').update(token).digest('hex');
       
       // Log authentication success (without sensitive data)
       logger.info(`🔐 User authenticated: ${user._id} - ${user.email} - IP: ${req.clientIp}`);
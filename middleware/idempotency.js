@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60;
+
+const lockUntil = () => new Date(Date.now() + LOCK_SECONDS * 1000);
+
+/**
+ * Serialize with sorted object keys so equivalent bodies hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (body) => crypto
+  .createHash('sha256')
+  .update(stableStringify(body || {}))
+  .digest('hex');
+
+/**
+ * Run the request and store its response so retries can be answered from
+ * the store
+ */
+const runAndStore = (req, res, next, scope) => {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const record = res.statusCode >= 500
+      // Server errors are not final; let the client retry with the same key
+      ? IdempotencyKey.deleteOne(scope)
+      : IdempotencyKey.updateOne(scope, {
+        status: 'completed',
+        response_status: res.statusCode,
+        response_body: body
+      });
+
+    // Store before sending so an immediate retry sees the completed response
+    record
+      .catch(storeError => logger.error('Idempotency response store error:', storeError))
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  next();
+};
+
+/**
+ * Idempotency Middleware
+ * Stores the first response for an `Idempotency-Key` and replays it on
+ * retries. Reusing a key with a different body is rejected. Requests
+ * without the header are processed normally. A key stays locked while its
+ * request runs, for at most IDEMPOTENCY_LOCK_SECONDS; after that a retry
+ * takes it over, so a crash mid-request does not block the key until expiry.
+ * Must run after `auth` so keys are scoped per user.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const scope = {
+    key,
+    user: req.user._id,
+    method: req.method,
+    path: req.baseUrl + req.path
+  };
+  const requestHash = hashRequest(req.body);
+
+  try {
+    await IdempotencyKey.create({
+      ...scope,
+      request_hash: requestHash,
+      locked_until: lockUntil(),
+      expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      logger.error('Idempotency key store error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error while processing idempotency key',
+        code: 'IDEMPOTENCY_ERROR'
+      });
+    }
+
+    const existing = await IdempotencyKey.findOne(scope).lean();
+
+    if (!existing || existing.request_hash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used with a different request body',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing.status === 'in_progress') {
+      // Only one retry wins the takeover of a lapsed lease
+      const now = new Date();
+      const takenOver = await IdempotencyKey.findOneAndUpdate(
+        { ...scope, status: 'in_progress', locked_until: { $not: { $gt: now } } },
+        { $set: { locked_until: lockUntil() } },
+        { new: true }
+      );
+
+      if (!takenOver) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      logger.warn(`Idempotency key lock expired, retrying: ${scope.method} ${scope.path} - User: ${req.user._id} - Key: ${key}`);
+      return runAndStore(req, res, next, scope);
+    }
+
+    logger.info(`🔁 Idempotent replay: ${scope.method} ${scope.path} - User: ${req.user._id} - Key: ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  }
+
+  return runAndStore(req, res, next, scope);
+};
@@ -0,0 +1,172 @@
+jest.mock('../models/IdempotencyKey', () => ({}), { virtual: true });
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('./idempotency');
+
+// One IdempotencyKey per (user, method, path, key), as the unique index allows
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && condition.$not) return !(value > condition.$not.$gt);
+  return value === condition;
+});
+
+let stored;
+
+const installStore = () => {
+  stored = null;
+  Object.assign(IdempotencyKey, {
+    create: jest.fn(async (doc) => {
+      if (stored) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      stored = { status: 'in_progress', ...doc };
+      return { ...stored };
+    }),
+    findOne: jest.fn((query) => ({
+      lean: async () => (stored && matches(stored, query) ? { ...stored } : null)
+    })),
+    findOneAndUpdate: jest.fn(async (query, update) => {
+      if (!stored || !matches(stored, query)) return null;
+      Object.assign(stored, update.$set);
+      return { ...stored };
+    }),
+    updateOne: jest.fn(async (query, update) => {
+      if (stored && matches(stored, query)) Object.assign(stored, update);
+    }),
+    deleteOne: jest.fn(async (query) => {
+      if (stored && matches(stored, query)) stored = null;
+    })
+  });
+};
+
+const mockRequest = (body = { amount: 500000 }) => ({
+  get: (header) => (header === 'Idempotency-Key' ? 'key-1' : undefined),
+  user: { _id: 'user-1' },
+  method: 'POST',
+  baseUrl: '/api/withdrawals',
+  path: '/',
+  body
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+// Let the store write that precedes the real res.json settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    installStore();
+  });
+
+  test('locks a new key for the length of the lease', async () => {
+    const next = jest.fn();
+
+    await idempotent(mockRequest(), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(stored).toMatchObject({ status: 'in_progress', locked_until: expect.any(Date) });
+    expect(stored.locked_until.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('lets a retry take over a key whose request died holding the lock', async () => {
+    await idempotent(mockRequest(), mockResponse(), jest.fn());
+    stored.locked_until = new Date(Date.now() - 1000);
+
+    const next = jest.fn();
+    const res = mockResponse();
+    await idempotent(mockRequest(), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(stored.locked_until.getTime()).toBeGreaterThan(Date.now());
+
+    res.status(201).json({ success: true });
+    await flush();
+
+    expect(stored).toMatchObject({ status: 'completed', response_status: 201, response_body: { success: true } });
+  });
+
+  test('takes over a key stored before leases existed', async () => {
+    await idempotent(mockRequest(), mockResponse(), jest.fn());
+    delete stored.locked_until;
+    const next = jest.fn();
+
+    await idempotent(mockRequest(), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('only one of two retries wins an expired lease', async () => {
+    await idempotent(mockRequest(), mockResponse(), jest.fn());
+    stored.locked_until = new Date(Date.now() - 1000);
+
+    const first = jest.fn();
+    const second = jest.fn();
+    const res = mockResponse();
+    await idempotent(mockRequest(), mockResponse(), first);
+    await idempotent(mockRequest(), res, second);
+
+    expect(first).toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test('replays the stored response for a retry with the same body', async () => {
+    const first = mockResponse();
+    await idempotent(mockRequest(), first, jest.fn());
+    first.status(201).json({ success: true, data: { id: 'withdrawal-1' } });
+    await flush();
+
+    const next = jest.fn();
+    const res = mockResponse();
+    await idempotent(mockRequest({ amount: 500000 }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { id: 'withdrawal-1' } });
+  });
+
+  test('rejects a key reused with a different body', async () => {
+    await idempotent(mockRequest({ amount: 500000 }), mockResponse(), jest.fn());
+
+    const next = jest.fn();
+    const res = mockResponse();
+    await idempotent(mockRequest({ amount: 900000 }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_REUSED' }));
+  });
+
+  test('answers 409 while the first request still holds the lock', async () => {
+    await idempotent(mockRequest(), mockResponse(), jest.fn());
+
+    const next = jest.fn();
+    const res = mockResponse();
+    await idempotent(mockRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' }));
+  });
+
+  test('forgets the key after a server error so the client can retry', async () => {
+    const first = mockResponse();
+    await idempotent(mockRequest(), first, jest.fn());
+    first.status(500).json({ success: false });
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalled();
+    expect(stored).toBeNull();
+
+    const next = jest.fn();
+    await idempotent(mockRequest(), mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+});
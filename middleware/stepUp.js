@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const stepUp = require('../utils/stepUp');
+
+/**
+ * Step-up Verification Middleware
+ * Lets the request through when its login session verified a TOTP or emailed
+ * code within the last few minutes. A valid `two_factor_token` in the body
+ * also counts and opens the window; a wrong one is refused with the
+ * verification error. Otherwise answers 403 STEP_UP_REQUIRED with the method
+ * the client should use.
+ * Must run after `auth`, and before `idempotent` so a refused attempt is not
+ * replayed once the user has verified.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requireStepUp = async (req, res, next) => {
+  try {
+    const scope = { userId: req.user._id, sessionId: req.sessionId };
+    let grant = await stepUp.getGrant(scope);
+
+    if (!grant && req.user.two_factor_enabled && req.body?.two_factor_token) {
+      const user = await User.findById(req.user._id).select('+two_factor_secret');
+      try {
+        grant = await stepUp.verifyCode({ user, sessionId: req.sessionId, code: req.body.two_factor_token });
+      } catch (error) {
+        if (!['STEP_UP_INVALID_CODE', 'STEP_UP_TOO_MANY_ATTEMPTS'].includes(error.code)) throw error;
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+    }
+
+    if (!grant) {
+      return res.status(403).json({
+        success: false,
+        message: req.user.two_factor_enabled
+          ? 'Please confirm it is you with a code from your authenticator app'
+          : 'Please confirm it is you with a code sent to your email',
+        code: 'STEP_UP_REQUIRED',
+        data: { method: stepUp.methodFor(req.user) }
+      });
+    }
+
+    req.stepUp = grant;
+    next();
+  } catch (error) {
+    logger.error('Step-up middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during verification',
+      code: 'STEP_UP_ERROR'
+    });
+  }
+};
@@ -0,0 +1,50 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE_MB = parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5;
+
+// Files are kept in memory so they can be inspected and cleaned before anything is written
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.floor(MAX_FILE_SIZE_MB * 1024 * 1024),
+    files: 1,
+    fields: 10
+  }
+});
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `File is too large. The maximum size is ${MAX_FILE_SIZE_MB}MB`,
+  LIMIT_FILE_COUNT: 'Only one file can be uploaded at a time',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+/**
+ * Single File Upload Middleware
+ * Parses one multipart file from `field` into `req.file` and turns multer's
+ * limit errors into 400 responses.
+ * @param {string} field - Form field carrying the file
+ */
+exports.singleFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `Please attach a file in the "${field}" field`,
+          code: 'FILE_REQUIRED'
+        });
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: LIMIT_MESSAGES[error.code] || error.message,
+        code: error.code
+      });
+    }
+
+    return next(error);
+  });
+};
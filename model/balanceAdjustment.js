@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+const adjustmentEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['proposed', 'approved', 'rejected', 'posted']
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String
+}, {
+  _id: false
+});
+
+// Manual credit or debit proposed by one admin and approved by another
+const balanceAdjustmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['credit', 'debit']
+  },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  // Integer minor units of `currency`
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Adjustment amount must be greater than zero'],
+    validate: koboValidator
+  },
+  reason_code: {
+    type: String,
+    required: true,
+    enum: [
+      'goodwill',
+      'deposit_correction',
+      'withdrawal_correction',
+      'investment_correction',
+      'fee_refund',
+      'chargeback',
+      'other'
+    ]
+  },
+  notes: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Uploaded adjustment_attachment files (tickets, bank statements, ...)
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
+  }],
+  legacy_attachments: [String],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  proposed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  review_notes: String,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  journal_entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  // Every step, in order
+  history: [adjustmentEventSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+balanceAdjustmentSchema.index({ status: 1, createdAt: -1 });
+balanceAdjustmentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BalanceAdjustment', balanceAdjustmentSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+const balanceHoldSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  // Integer minor units of `currency`
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Hold amount cannot be negative'],
+    validate: koboValidator
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['withdrawal'],
+    default: 'withdrawal'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'captured', 'released'],
+    default: 'active'
+  },
+  captured_at: Date,
+  released_at: Date,
+  release_reason: {
+    type: String,
+    enum: ['rejected', 'cancelled', 'payout_failed']
+  },
+  actioned_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+balanceHoldSchema.index({ user: 1, currency: 1, status: 1 });
+balanceHoldSchema.index({ withdrawal: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('BalanceHold', balanceHoldSchema);
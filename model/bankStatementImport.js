@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One uploaded company bank statement and what its rows were matched to
+const bankStatementImportSchema = new mongoose.Schema({
+  uploaded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  file_name: String,
+  // Statement column used for each field, e.g. { date: 'Trans. Date', credit: 'Credits' }
+  columns: mongoose.Schema.Types.Mixed,
+  period: {
+    from: Date,
+    to: Date
+  },
+  summary: {
+    rows: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    auto_approved: { type: Number, default: 0 },
+    review: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bankStatementImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BankStatementImport', bankStatementImportSchema);
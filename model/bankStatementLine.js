@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+// A credit row from a company bank statement
+const bankStatementLineSchema = new mongoose.Schema({
+  import: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatementImport',
+    required: true
+  },
+  // Hash of the row's contents; overlapping statements don't import a row twice
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  row_number: Number,
+  date: {
+    type: Date,
+    required: true
+  },
+  narration: String,
+  reference: String,
+  // Integer kobo
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be greater than zero'],
+    validate: koboValidator
+  },
+  // matched:   approved automatically on import
+  // review:    possible matches need a person to decide
+  // unmatched: nothing pending looks like this row
+  // resolved:  approved against a deposit from the review queue
+  // dismissed: reviewed and not a deposit
+  status: {
+    type: String,
+    enum: ['matched', 'review', 'unmatched', 'resolved', 'dismissed'],
+    required: true
+  },
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit'
+  },
+  candidates: [{
+    deposit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Deposit'
+    },
+    score: Number,
+    // What lined up: reference, amount, date, name
+    matched_on: [String]
+  }],
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  review_notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+bankStatementLineSchema.index({ import: 1, row_number: 1 });
+bankStatementLineSchema.index({ status: 1, date: -1 });
+
+module.exports = mongoose.model('BankStatementLine', bankStatementLineSchema);
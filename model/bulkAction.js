@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Audit record of one bulk approve or reject across an admin queue
+const bulkActionSchema = new mongoose.Schema({
+  queue: {
+    type: String,
+    required: true,
+    enum: ['deposits', 'withdrawals', 'investments']
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['approve', 'reject']
+  },
+  performed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the admin selected: explicit ids, or a filter over the pending queue
+  selection: {
+    ids: [mongoose.Schema.Types.ObjectId],
+    filter: mongoose.Schema.Types.Mixed
+  },
+  admin_notes: String,
+  rejection_reason: String,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  counts: {
+    total: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  results: [{
+    _id: false,
+    item: mongoose.Schema.Types.ObjectId,
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed']
+    },
+    code: String,
+    message: String
+  }],
+  completed_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+bulkActionSchema.index({ createdAt: -1 });
+bulkActionSchema.index({ performed_by: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BulkAction', bulkActionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Last block scanned for deposits, per asset
+const chainCursorSchema = new mongoose.Schema({
+  asset: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  watcher: {
+    type: String,
+    required: true
+  },
+  last_block: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ChainCursor', chainCursorSchema);
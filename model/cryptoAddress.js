@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_ASSETS } = require('../utils/cryptoAssets');
+
+// Deposit address from the admin-loaded pool; each is handed to at most one user
+const cryptoAddressSchema = new mongoose.Schema({
+  asset: {
+    type: String,
+    required: true,
+    enum: SUPPORTED_ASSETS
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['available', 'assigned', 'retired'],
+    default: 'available'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assigned_at: Date,
+  loaded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+cryptoAddressSchema.index({ asset: 1, address: 1 }, { unique: true });
+cryptoAddressSchema.index({ asset: 1, status: 1 });
+// One address per user per asset
+cryptoAddressSchema.index(
+  { user: 1, asset: 1 },
+  { unique: true, partialFilterExpression: { status: 'assigned' } }
+);
+
+module.exports = mongoose.model('CryptoAddress', cryptoAddressSchema);
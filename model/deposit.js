@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
 
 const depositSchema = new mongoose.Schema({
   user: {
@@ -6,10 +8,27 @@ const depositSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  // Amounts are integer minor units of `currency`
   amount: {
     type: Number,
     required: true,
-    min: [3500, 'Minimum deposit amount is ₦3,500']
+    min: [1, 'Deposit amount must be greater than zero'],
+    validate: [
+      koboValidator,
+      {
+        // Other currencies use the per-currency minimums enforced by the controller.
+        // Transfers already received into a virtual account are credited whatever the amount.
+        validator: function(value) {
+          return this.currency !== 'NGN' || Boolean(this.virtual_account) || value >= 350000;
+        },
+        message: 'Minimum deposit amount is ₦3,500'
+      }
+    ]
   },
   payment_method: {
     type: String,
@@ -20,9 +39,16 @@ const depositSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
+  // Sent to the payment gateway at checkout; charge events are matched on it
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    // Crypto deposits start at `detected` and stay `confirming` until the asset's threshold
+    enum: ['pending', 'detected', 'confirming', 'approved', 'rejected', 'cancelled'],
     default: 'pending'
   },
   approved_by: {
@@ -30,15 +56,66 @@ const depositSchema = new mongoose.Schema({
     ref: 'User'
   },
   approved_at: Date,
+  approval_source: {
+    type: String,
+    enum: ['admin', 'gateway', 'virtual_account', 'chain', 'bank_statement']
+  },
+  gateway: {
+    provider: String,
+    event_id: String,
+    charge_id: String
+  },
+  // Set on deposits created from an inbound transfer to the user's virtual account
+  virtual_account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualAccount'
+  },
+  sender: {
+    name: String,
+    account_number: String,
+    bank: String
+  },
+  // Set on deposits detected on chain; `transaction_hash` holds the transaction
+  crypto: {
+    asset: String,
+    address: String,
+    output_index: Number,
+    block_number: Number,
+    confirmations: Number,
+    required_confirmations: Number,
+    detected_at: Date
+  },
   rejection_reason: String,
+  cancelled_at: Date,
+  cancellation_reason: {
+    type: String,
+    enum: ['expired']
+  },
+  proof_file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
+  },
+  // Client-supplied URL on deposits made before uploads were stored server-side
   proof_image: String
 }, {
   timestamps: true
 });
 
+/**
+ * New deposit reference, sent to payment gateways and matched on their events
+ */
+depositSchema.statics.generateReference = () => `RWD-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
 // Indexes
 depositSchema.index({ user: 1, created_at: -1 });
 depositSchema.index({ status: 1 });
 depositSchema.index({ payment_method: 1 });
+depositSchema.index({ currency: 1, status: 1 });
+depositSchema.index({ virtual_account: 1 }, { sparse: true });
+depositSchema.index(
+  { transaction_hash: 1, 'crypto.output_index': 1 },
+  { unique: true, partialFilterExpression: { 'crypto.asset': { $exists: true } } }
+);
+depositSchema.index({ 'crypto.asset': 1, status: 1 });
 
 module.exports = mongoose.model('Deposit', depositSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+const { USER_TIERS } = require('../utils/userTiers');
+
+// Withdrawal fee schedule. Each change is a new version; the highest version for
+// a method, currency and tier is the live one. Money fields are minor units.
+const feeScheduleSchema = new mongoose.Schema({
+  payment_method: {
+    type: String,
+    required: true,
+    enum: ['bank_transfer', 'crypto', 'paypal']
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['NGN', 'USD', 'USDT']
+  },
+  tier: {
+    type: String,
+    required: true,
+    enum: USER_TIERS
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Percentage cannot be negative'],
+    max: [100, 'Percentage cannot exceed 100']
+  },
+  flat: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: koboValidator
+  },
+  // Amount bands; when set, the band an amount falls in replaces `percentage` and `flat`
+  bands: [{
+    _id: false,
+    // Inclusive upper bound; the last band has none
+    up_to: {
+      type: Number,
+      validate: koboValidator
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    flat: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: koboValidator
+    }
+  }],
+  min_fee: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: koboValidator
+  },
+  // No cap when unset
+  max_fee: {
+    type: Number,
+    min: 0,
+    validate: koboValidator
+  },
+  // Withdrawals per calendar month with no fee
+  free_per_month: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'free_per_month must be a whole number'
+    }
+  },
+  set_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.pre('validate', function(next) {
+  const bounds = this.bands.map(band => band.up_to);
+  const open = bounds.filter(bound => bound === undefined || bound === null);
+  if (this.bands.length > 0) {
+    const last = bounds[bounds.length - 1];
+    if (open.length !== 1 || (last !== undefined && last !== null)) {
+      this.invalidate('bands', 'Only the last fee band may have no upper bound, and it must have none');
+    }
+    const closed = bounds.slice(0, -1);
+    if (closed.some((bound, index) => index > 0 && bound <= closed[index - 1])) {
+      this.invalidate('bands', 'Fee bands must be in ascending order');
+    }
+  }
+  if (this.max_fee !== undefined && this.max_fee !== null && this.max_fee < this.min_fee) {
+    this.invalidate('max_fee', 'Maximum fee cannot be below the minimum fee');
+  }
+  next();
+});
+
+// Indexes
+feeScheduleSchema.index({ payment_method: 1, currency: 1, tier: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
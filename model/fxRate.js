@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const CURRENCIES = ['NGN', 'USD', 'USDT'];
+
+// Each change is a new document; the latest one for a pair is the live rate
+const fxRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  quote: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  // Units of `quote` per one unit of `base`, e.g. USD/NGN 1550.25
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  set_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+fxRateSchema.pre('validate', function(next) {
+  if (this.base === this.quote) {
+    return next(new Error('Base and quote currencies must differ'));
+  }
+  next();
+});
+
+// Indexes
+fxRateSchema.index({ base: 1, quote: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { koboValidator, percentOf, formatMoney } = require('../utils/money');
 
 const investmentPlanSchema = new mongoose.Schema({
   name: {
@@ -10,20 +11,39 @@ const investmentPlanSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Wallet the plan is funded from and pays out to
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  // Amounts are integer minor units of `currency`
   min_amount: {
     type: Number,
     required: true,
-    min: 3500
+    min: 1,
+    validate: [
+      koboValidator,
+      {
+        validator: function(value) {
+          return this.currency !== 'NGN' || value >= 350000;
+        },
+        message: 'Minimum amount for a naira plan is ₦3,500'
+      }
+    ]
   },
   max_amount: {
     type: Number,
     required: true,
-    validate: {
-      validator: function(value) {
-        return value > this.min_amount;
-      },
-      message: 'Max amount must be greater than min amount'
-    }
+    validate: [
+      koboValidator,
+      {
+        validator: function(value) {
+          return value > this.min_amount;
+        },
+        message: 'Max amount must be greater than min amount'
+      }
+    ]
   },
   daily_interest: {
     type: Number,
@@ -77,7 +97,8 @@ const investmentPlanSchema = new mongoose.Schema({
   },
   total_invested: {
     type: Number,
-    default: 0
+    default: 0,
+    validate: koboValidator
   },
   average_rating: {
     type: Number,
@@ -96,7 +117,8 @@ const investmentPlanSchema = new mongoose.Schema({
     },
     min_balance: {
       type: Number,
-      default: 0
+      default: 0,
+      validate: koboValidator
     },
     verified_phone: {
       type: Boolean,
@@ -129,16 +151,17 @@ const investmentPlanSchema = new mongoose.Schema({
 
 // Virtual for calculated returns
 investmentPlanSchema.virtual('estimated_returns').get(function() {
-  return (this.min_amount * this.total_interest) / 100;
+  return percentOf(this.min_amount, this.total_interest);
 });
 
 // Virtual for daily return amount
 investmentPlanSchema.virtual('daily_return_amount').get(function() {
-  return (this.min_amount * this.daily_interest) / 100;
+  return percentOf(this.min_amount, this.daily_interest);
 });
 
 // Indexes for performance
 investmentPlanSchema.index({ category: 1, min_amount: 1 });
+investmentPlanSchema.index({ currency: 1, is_active: 1 });
 investmentPlanSchema.index({ risk_level: 1 });
 investmentPlanSchema.index({ is_popular: -1, popularity_score: -1 });
 investmentPlanSchema.index({ is_active: 1 });
@@ -169,11 +192,11 @@ investmentPlanSchema.statics.getByCategory = function(category) {
 // Instance method to calculate returns for specific amount
 investmentPlanSchema.methods.calculateReturns = function(amount) {
   if (amount < this.min_amount || amount > this.max_amount) {
-    throw new Error(`Amount must be between ${this.min_amount} and ${this.max_amount}`);
+    throw new Error(`Amount must be between ${formatMoney(this.min_amount, this.currency)} and ${formatMoney(this.max_amount, this.currency)}`);
   }
   
-  const dailyReturn = (amount * this.daily_interest) / 100;
-  const totalReturn = (amount * this.total_interest) / 100;
+  const dailyReturn = percentOf(amount, this.daily_interest);
+  const totalReturn = percentOf(amount, this.total_interest);
   const netProfit = totalReturn - amount;
   
   return {
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  // Integer minor units of `currency`
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: koboValidator
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: koboValidator
+  }
+}, {
+  _id: false
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'opening_balance',
+      'deposit',
+      'hold_placed',
+      'hold_released',
+      'hold_captured',
+      'investment',
+      'investment_refund',
+      'investment_payout',
+      'referral_bonus',
+      'conversion',
+      'transfer',
+      'adjustment'
+    ]
+  },
+  description: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  posted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Debits and credits must net to zero within each currency
+journalEntrySchema.pre('validate', function(next) {
+  const totals = this.lines.reduce((acc, line) => {
+    const currency = line.currency || 'NGN';
+    acc[currency] = acc[currency] || { debit: 0, credit: 0 };
+    acc[currency].debit += line.debit;
+    acc[currency].credit += line.credit;
+    return acc;
+  }, {});
+
+  const unbalanced = Object.entries(totals).find(([, total]) => total.debit !== total.credit);
+  if (unbalanced) {
+    const [currency, total] = unbalanced;
+    return next(new Error(`Unbalanced journal entry (${currency}): debits ${total.debit} != credits ${total.credit}`));
+  }
+  next();
+});
+
+// Indexes
+journalEntrySchema.index({ user: 1, createdAt: -1 });
+journalEntrySchema.index({ 'lines.account': 1 });
+journalEntrySchema.index({ type: 1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
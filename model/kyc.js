@@ -16,17 +16,26 @@ const kycSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Uploaded kyc_document files; applications that predate uploads have legacy_documents instead
   id_front: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile',
+    required: function () { return this.isNew; }
   },
   id_back: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile',
+    required: function () { return this.isNew; }
   },
   selfie_with_id: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile',
+    required: function () { return this.isNew; }
+  },
+  legacy_documents: {
+    id_front: String,
+    id_back: String,
+    selfie_with_id: String
   },
   status: {
     type: String,
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'user_wallet',
+      'investment_escrow',
+      'withdrawal_hold',
+      'platform_cash',
+      'platform_fees',
+      'referral_expense',
+      'investment_returns',
+      'opening_balances',
+      'fx_clearing',
+      'manual_adjustments'
+    ]
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  normal_balance: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit']
+  },
+  // Integer minor units of `currency`
+  balance: {
+    type: Number,
+    default: 0,
+    validate: koboValidator
+  },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ user: 1, type: 1 });
+ledgerAccountSchema.index({ type: 1 });
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
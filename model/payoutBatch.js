@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+// Approved bank withdrawals sent to the bank together as one bulk-transfer file
+const payoutBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    enum: ['NGN'],
+    default: 'NGN'
+  },
+  // `processing` until the bank has reported on every item
+  status: {
+    type: String,
+    enum: ['processing', 'settled'],
+    default: 'processing'
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    _id: false,
+    withdrawal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Withdrawal',
+      required: true
+    },
+    // Payment reference in the file; the bank echoes it back in the results
+    reference: {
+      type: String,
+      required: true
+    },
+    account_number: String,
+    account_name: String,
+    bank_code: String,
+    bank_name: String,
+    // Net amount paid to the user, kobo
+    amount: {
+      type: Number,
+      required: true,
+      validate: koboValidator
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing'
+    },
+    failure_reason: String,
+    settled_at: Date
+  }],
+  totals: {
+    count: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  result_imports: [{
+    _id: false,
+    file_name: String,
+    imported_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    imported_at: Date,
+    rows: Number,
+    completed: Number,
+    failed: Number,
+    pending: Number,
+    unmatched: Number,
+    skipped: Number
+  }],
+  settled_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutBatchSchema.index({ createdAt: -1 });
+payoutBatchSchema.index({ status: 1 });
+payoutBatchSchema.index({ 'items.withdrawal': 1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
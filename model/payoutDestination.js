@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A bank account, crypto address or PayPal account a user has saved for withdrawals
+const payoutDestinationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment_method: {
+    type: String,
+    required: true,
+    enum: ['bank_transfer', 'crypto', 'paypal']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  bank_details: {
+    bank_name: String,
+    bank_code: String,
+    account_name: String,
+    account_number: String
+  },
+  // Crypto asset key, e.g. USDT_TRC20
+  asset: String,
+  wallet_address: String,
+  paypal_email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Identifies the same destination across records, e.g. bank:058:0123456789
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  // How the owner proved it was them when saving it
+  confirmation: {
+    method: {
+      type: String,
+      enum: ['two_factor', 'email']
+    },
+    confirmed_at: Date
+  },
+  // End of the cooling-off period; withdrawals to this destination are refused before it
+  usable_from: Date,
+  removed_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutDestinationSchema.index({ user: 1, status: 1 });
+payoutDestinationSchema.index(
+  { user: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('PayoutDestination', payoutDestinationSchema);
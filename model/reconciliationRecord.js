@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+const reconciliationRecordSchema = new mongoose.Schema({
+  run_id: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Amounts are integer kobo
+  expected_balance: {
+    type: Number,
+    required: true,
+    validate: koboValidator
+  },
+  actual_balance: {
+    type: Number,
+    required: true,
+    validate: koboValidator
+  },
+  difference: {
+    type: Number,
+    required: true,
+    validate: koboValidator
+  },
+  breakdown: {
+    completed_credits: { type: Number, default: 0 },
+    completed_withdrawals: { type: Number, default: 0 },
+    pending_withdrawals: { type: Number, default: 0 },
+    invested_principal: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['open', 'investigating', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  assigned_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolved_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolved_at: Date,
+  resolution_notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+reconciliationRecordSchema.index({ run_id: 1 });
+reconciliationRecordSchema.index({ status: 1, createdAt: -1 });
+reconciliationRecordSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRecord', reconciliationRecordSchema);
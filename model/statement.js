@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+// Issued account statements, kept so a verification code can be checked later
+const statementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  verification_code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  period_start: {
+    type: Date,
+    required: true
+  },
+  period_end: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'csv'],
+    required: true
+  },
+  // Amounts are integer minor units of `currency`
+  opening_balance: {
+    type: Number,
+    required: true,
+    validate: koboValidator
+  },
+  closing_balance: {
+    type: Number,
+    required: true,
+    validate: koboValidator
+  },
+  total_credits: {
+    type: Number,
+    default: 0,
+    validate: koboValidator
+  },
+  total_debits: {
+    type: Number,
+    default: 0,
+    validate: koboValidator
+  },
+  entry_count: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the statement lines, to tell a genuine statement from an edited one
+  checksum: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+statementSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Statement', statementSchema);
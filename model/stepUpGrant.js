@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Step-up verification for one login session: an emailed code waiting to be
+// entered (or authenticator codes being counted), then a short-lived grant to
+// perform sensitive actions
+const stepUpGrantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // `sid` claim of the session's JWT
+  session_id: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true,
+    enum: ['totp', 'email_otp']
+  },
+  status: {
+    type: String,
+    enum: ['challenge', 'granted'],
+    default: 'challenge'
+  },
+  code_hash: {
+    type: String,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  code_sent_at: Date,
+  granted_at: Date,
+  // End of the challenge or the grant; removed by the TTL index afterwards
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stepUpGrantSchema.index({ user: 1, session_id: 1 }, { unique: true });
+stepUpGrantSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StepUpGrant', stepUpGrantSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const storedFileSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['deposit_proof', 'kyc_document', 'ticket_attachment', 'adjustment_attachment']
+  },
+  original_name: {
+    type: String,
+    maxlength: 255
+  },
+  // Detected from the file's magic bytes, never taken from the client
+  mime_type: {
+    type: String,
+    required: true,
+    enum: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  width: Number,
+  height: Number,
+  // SHA-256 of the stored (metadata-stripped) bytes
+  checksum: {
+    type: String,
+    required: true
+  },
+  storage_driver: {
+    type: String,
+    required: true
+  },
+  storage_key: {
+    type: String,
+    required: true
+  },
+  thumbnail_key: String,
+  // The record this file was submitted with, once it has been used
+  attached_to: {
+    kind: {
+      type: String,
+      enum: ['Deposit', 'KYC', 'SupportTicket', 'BalanceAdjustment']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+storedFileSchema.index({ owner: 1, purpose: 1, createdAt: -1 });
+storedFileSchema.index({ 'attached_to.kind': 1, 'attached_to.id': 1 });
+
+module.exports = mongoose.model('StoredFile', storedFileSchema);
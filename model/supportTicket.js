@@ -34,7 +34,12 @@ const supportTicketSchema = new mongoose.Schema({
   admin_response: String,
   responded_at: Date,
   resolved_at: Date,
-  attachments: [String]
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StoredFile'
+  }],
+  // Client-supplied URLs on tickets opened before uploads were stored server-side
+  legacy_attachments: [String]
 }, {
   timestamps: true
 });
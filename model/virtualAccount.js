@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A bank account number dedicated to one user; transfers into it are credited to their wallet
+const virtualAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  account_number: {
+    type: String,
+    required: true,
+    match: [/^\d{10}$/, 'Account number must be 10 digits']
+  },
+  account_name: {
+    type: String,
+    required: true
+  },
+  bank_name: {
+    type: String,
+    required: true
+  },
+  // The provider's own id for the account, if it has one
+  provider_reference: String,
+  currency: {
+    type: String,
+    enum: ['NGN'],
+    default: 'NGN'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'deactivated'],
+    default: 'active'
+  },
+  deactivated_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+virtualAccountSchema.index({ user: 1, provider: 1 }, { unique: true });
+virtualAccountSchema.index({ provider: 1, account_number: 1 }, { unique: true });
+
+module.exports = mongoose.model('VirtualAccount', virtualAccountSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+// Foreign-currency wallets. The NGN wallet stays on `User.balance`.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['USD', 'USDT']
+  },
+  // Integer minor units (cents)
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative'],
+    validate: koboValidator
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+walletSchema.index({ user: 1, currency: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+// Compliance restriction on a user's wallets. Expired restrictions stop
+// applying on their own; lifting one early is recorded separately.
+const walletRestrictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // freeze: no debits at all; lien: a fixed amount cannot be spent
+  type: {
+    type: String,
+    required: true,
+    enum: ['freeze', 'lien']
+  },
+  // Liens apply to one currency; a freeze without a currency covers every wallet
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT']
+  },
+  // Integer minor units of `currency` (liens only)
+  amount: {
+    type: Number,
+    validate: [
+      koboValidator,
+      {
+        validator: function(value) {
+          return this.type !== 'lien' || value > 0;
+        },
+        message: 'A lien needs an amount greater than zero'
+      }
+    ]
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'lifted'],
+    default: 'active'
+  },
+  placed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lifted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lifted_at: Date,
+  lift_reason: String
+}, {
+  timestamps: true
+});
+
+walletRestrictionSchema.pre('validate', function(next) {
+  if (this.type === 'lien' && !this.currency) {
+    this.currency = 'NGN';
+  }
+  next();
+});
+
+// Indexes
+walletRestrictionSchema.index({ user: 1, status: 1, expires_at: 1 });
+
+module.exports = mongoose.model('WalletRestriction', walletRestrictionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Payment gateway, virtual account and payout provider events already handled; the unique index makes replays no-ops
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  event_id: {
+    type: String,
+    required: true
+  },
+  type: String,
+  reference: String,
+  status: {
+    type: String,
+    enum: ['processed', 'ignored'],
+    required: true
+  },
+  // Why an event was ignored, e.g. no matching deposit or an amount mismatch
+  reason: String,
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  payload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, event_id: 1 }, { unique: true });
+webhookEventSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
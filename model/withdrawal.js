@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const { koboValidator } = require('../utils/money');
+
+// Status changes a withdrawal may make; anything else is refused on save
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'awaiting_second_approval', 'rejected', 'cancelled'],
+  // Large withdrawals: approved by one admin, waiting on a different one
+  awaiting_second_approval: ['approved', 'rejected'],
+  approved: ['processing', 'completed', 'failed'],
+  processing: ['completed', 'failed'],
+  rejected: [],
+  cancelled: [],
+  completed: [],
+  failed: []
+};
 
 const withdrawalSchema = new mongoose.Schema({
   user: {
@@ -6,52 +20,169 @@ const withdrawalSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  currency: {
+    type: String,
+    enum: ['NGN', 'USD', 'USDT'],
+    default: 'NGN'
+  },
+  // Amounts are integer minor units of `currency`
   amount: {
     type: Number,
     required: true,
-    min: [3500, 'Minimum withdrawal amount is ₦3,500']
+    min: [1, 'Withdrawal amount must be greater than zero'],
+    validate: [
+      koboValidator,
+      {
+        // Other currencies use the per-currency minimums enforced by the controller
+        validator: function(value) {
+          return this.currency !== 'NGN' || value >= 350000;
+        },
+        message: 'Minimum withdrawal amount is ₦3,500'
+      }
+    ]
   },
   fee: {
     type: Number,
     required: true,
-    default: 0
+    default: 0,
+    validate: koboValidator
   },
   net_amount: {
     type: Number,
-    required: true
+    required: true,
+    validate: koboValidator
+  },
+  // Fee schedule version the fee was charged under; version 0 is the built-in default
+  fee_schedule: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeSchedule'
+    },
+    version: Number,
+    tier: String,
+    free_withdrawal: Boolean
   },
   payment_method: {
     type: String,
     required: true,
     enum: ['bank_transfer', 'crypto', 'paypal']
   },
+  // Saved destination the withdrawal was made to; the details below are copied from it
+  destination: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutDestination'
+  },
   bank_details: {
     bank_name: String,
+    bank_code: String,
     account_name: String,
     account_number: String
   },
+  crypto_asset: String,
   wallet_address: String,
+  paypal_email: String,
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'processing', 'completed'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
   approved_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Every admin approval and rejection, in order
+  decisions: [{
+    _id: false,
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ['first_approval', 'approval', 'rejection']
+    },
+    notes: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   approved_at: Date,
   processed_at: Date,
   completed_at: Date,
+  cancelled_at: Date,
+  failed_at: Date,
   rejection_reason: String,
-  transaction_hash: String
+  failure_reason: String,
+  transaction_hash: String,
+  // Who is sending the money once approved: an admin by hand, or a payout provider
+  payout: {
+    provider: String,
+    reference: String
+  },
+  // Bank account name check (see utils/accountResolution); bank transfers only
+  account_resolution: {
+    status: {
+      type: String,
+      enum: ['pending', 'matched', 'mismatch', 'not_found', 'failed']
+    },
+    provider: String,
+    resolved_name: String,
+    score: Number,
+    error: String,
+    checked_at: Date,
+    review: {
+      decision: {
+        type: String,
+        enum: ['accepted']
+      },
+      reviewed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewed_at: Date,
+      notes: String
+    }
+  }
 }, {
   timestamps: true
 });
 
+withdrawalSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// A status left over from before this table (or a typo in the data) has no
+// entry and cannot move anywhere
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+withdrawalSchema.pre('validate', function(next) {
+  const from = this.$locals.savedStatus;
+  if (this.isNew || from === undefined || from === this.status) return next();
+
+  if (!canTransition(from, this.status)) {
+    const error = new Error(`Withdrawal cannot move from ${from} to ${this.status}`);
+    error.code = 'INVALID_TRANSITION';
+    error.statusCode = 409;
+    return next(error);
+  }
+  next();
+});
+
+withdrawalSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+withdrawalSchema.statics.canTransition = canTransition;
+
 // Indexes
 withdrawalSchema.index({ user: 1, created_at: -1 });
 withdrawalSchema.index({ status: 1 });
 withdrawalSchema.index({ payment_method: 1 });
+withdrawalSchema.index({ currency: 1, status: 1 });
+withdrawalSchema.index({ 'payout.provider': 1, 'payout.reference': 1 });
+withdrawalSchema.index({ status: 1, 'account_resolution.status': 1 });
 
 module.exports = mongoose.model('Withdrawal', withdrawalSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Withdrawal = require('./withdrawal');
+
+// A withdrawal as loaded from the database, so the saved status is tracked
+const loaded = (status) => Withdrawal.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  currency: 'NGN',
+  amount: 500000,
+  fee: 5000,
+  net_amount: 495000,
+  payment_method: 'bank_transfer',
+  status
+});
+
+const moveTo = async (from, to) => {
+  const withdrawal = loaded(from);
+  withdrawal.status = to;
+  await withdrawal.validate();
+  return withdrawal;
+};
+
+describe('Withdrawal status transitions', () => {
+  const allowed = [
+    ['pending', 'approved'],
+    ['pending', 'awaiting_second_approval'],
+    ['pending', 'rejected'],
+    ['pending', 'cancelled'],
+    ['awaiting_second_approval', 'approved'],
+    ['awaiting_second_approval', 'rejected'],
+    ['approved', 'processing'],
+    ['approved', 'completed'],
+    ['approved', 'failed'],
+    ['processing', 'completed'],
+    ['processing', 'failed']
+  ];
+
+  const refused = [
+    ['pending', 'processing'],
+    ['pending', 'completed'],
+    ['awaiting_second_approval', 'cancelled'],
+    ['awaiting_second_approval', 'processing'],
+    ['approved', 'pending'],
+    ['approved', 'rejected'],
+    ['approved', 'cancelled'],
+    ['processing', 'approved'],
+    ['completed', 'failed'],
+    ['failed', 'completed'],
+    ['rejected', 'approved'],
+    ['cancelled', 'pending']
+  ];
+
+  test.each(allowed)('allows %s -> %s', async (from, to) => {
+    expect(Withdrawal.canTransition(from, to)).toBe(true);
+    await expect(moveTo(from, to)).resolves.toBeDefined();
+  });
+
+  test.each(refused)('refuses %s -> %s', async (from, to) => {
+    expect(Withdrawal.canTransition(from, to)).toBe(false);
+    await expect(moveTo(from, to)).rejects.toMatchObject({
+      code: 'INVALID_TRANSITION',
+      statusCode: 409
+    });
+  });
+
+  test('final states cannot move anywhere', () => {
+    ['rejected', 'cancelled', 'completed', 'failed'].forEach(from => {
+      Withdrawal.schema.path('status').enumValues.forEach(to => {
+        expect(Withdrawal.canTransition(from, to)).toBe(false);
+      });
+    });
+  });
+
+  test('unknown statuses cannot move', async () => {
+    expect(Withdrawal.canTransition('settled', 'completed')).toBe(false);
+    // A legacy status still in the database fails validation instead of throwing
+    await expect(moveTo('settled', 'completed')).rejects.toMatchObject({
+      code: 'INVALID_TRANSITION',
+      statusCode: 409
+    });
+  });
+
+  test('a new withdrawal may start in any status', async () => {
+    const withdrawal = new Withdrawal({
+      user: new mongoose.Types.ObjectId(),
+      amount: 500000,
+      fee: 5000,
+      net_amount: 495000,
+      payment_method: 'bank_transfer',
+      status: 'completed'
+    });
+    await expect(withdrawal.validate()).resolves.toBeUndefined();
+  });
+
+  test('saving without a status change is not a transition', async () => {
+    const withdrawal = loaded('completed');
+    withdrawal.failure_reason = 'note';
+    await expect(withdrawal.validate()).resolves.toBeUndefined();
+  });
+});
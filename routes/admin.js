@@ -7,15 +7,54 @@ const {
   getPendingWithdrawals,
   approveWithdrawal,
   rejectWithdrawal,
+  getAccountReviewQueue,
+  checkWithdrawalAccount,
+  acceptWithdrawalAccount,
+  getPayoutQueue,
+  markWithdrawalProcessing,
+  completeWithdrawal,
+  failWithdrawal,
   getPendingInvestments,
   approveInvestment,
   rejectInvestment,
   getAllUsers,
   getUserDetails,
   updateUserStatus,
-  getPlatformAnalytics
+  updateUserTier,
+  getPlatformAnalytics,
+  getLedgerSummary,
+  getReconciliationRecords,
+  updateReconciliationRecord,
+  runReconciliation,
+  getFxRates,
+  setFxRate,
+  getFeeSchedules,
+  setFeeSchedule,
+  proposeAdjustment,
+  getAdjustments,
+  approveAdjustment,
+  rejectAdjustment,
+  getUserRestrictions,
+  placeRestriction,
+  liftRestriction,
+  getCryptoAddressPool,
+  loadCryptoAddresses,
+  uploadBankStatement,
+  getBankStatementImports,
+  getBankStatementReview,
+  resolveBankStatementLine,
+  dismissBankStatementLine,
+  bulkAction,
+  getBulkActions,
+  getBulkAction,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  downloadPayoutBatch,
+  importPayoutBatchResults
 } = require('../controllers/adminController');
 const { auth, admin } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -26,6 +65,7 @@ router.use(admin);
 // Dashboard
 router.get('/dashboard', getDashboardStats);
 router.get('/analytics', getPlatformAnalytics);
+router.get('/ledger', getLedgerSummary);
 
 // Deposits management
 router.get('/pending-deposits', getPendingDeposits);
@@ -37,6 +77,22 @@ router.get('/pending-withdrawals', getPendingWithdrawals);
 router.post('/approve-withdrawal', approveWithdrawal);
 router.post('/reject-withdrawal', rejectWithdrawal);
 
+// Bank account name checks (mismatches are reviewed before approval)
+router.get('/account-reviews', getAccountReviewQueue);
+router.post('/withdrawals/:id/account-check', checkWithdrawalAccount);
+router.post('/withdrawals/:id/account-check/accept', acceptWithdrawalAccount);
+
+// Withdrawal payouts
+router.get('/payouts', getPayoutQueue);
+router.post('/withdrawals/:id/processing', markWithdrawalProcessing);
+router.post('/withdrawals/:id/complete', completeWithdrawal);
+router.post('/withdrawals/:id/fail', failWithdrawal);
+router.get('/payout-batches', getPayoutBatches);
+router.post('/payout-batches', createPayoutBatch);
+router.get('/payout-batches/:id', getPayoutBatch);
+router.get('/payout-batches/:id/file', downloadPayoutBatch);
+router.post('/payout-batches/:id/results', singleFile('file'), importPayoutBatchResults);
+
 // Investments management
 router.get('/pending-investments', getPendingInvestments);
 router.post('/approve-investment', approveInvestment);
@@ -46,5 +102,44 @@ router.post('/reject-investment', rejectInvestment);
 router.get('/users', getAllUsers);
 router.get('/users/:id', getUserDetails);
 router.put('/users/:id/status', updateUserStatus);
+router.put('/users/:id/tier', updateUserTier);
+router.get('/users/:id/restrictions', getUserRestrictions);
+router.post('/users/:id/restrictions', placeRestriction);
+router.post('/restrictions/:id/lift', liftRestriction);
+
+// Balance reconciliation
+router.get('/reconciliation', getReconciliationRecords);
+router.post('/reconciliation/run', runReconciliation);
+router.put('/reconciliation/:id', updateReconciliationRecord);
+
+// FX rates
+router.get('/fx-rates', getFxRates);
+router.post('/fx-rates', setFxRate);
+
+// Withdrawal fee schedules
+router.get('/fee-schedules', getFeeSchedules);
+router.post('/fee-schedules', setFeeSchedule);
+
+// Manual balance adjustments (proposed by one admin, approved by another)
+router.get('/adjustments', getAdjustments);
+router.post('/adjustments', proposeAdjustment);
+router.post('/adjustments/:id/approve', approveAdjustment);
+router.post('/adjustments/:id/reject', rejectAdjustment);
+
+// Crypto deposit addresses
+router.get('/crypto-addresses', getCryptoAddressPool);
+router.post('/crypto-addresses', loadCryptoAddresses);
+
+// Bank statement matching
+router.get('/bank-statements', getBankStatementImports);
+router.post('/bank-statements', singleFile('file'), uploadBankStatement);
+router.get('/bank-statements/review', getBankStatementReview);
+router.post('/bank-statements/lines/:id/resolve', resolveBankStatementLine);
+router.post('/bank-statements/lines/:id/dismiss', dismissBankStatementLine);
+
+// Bulk approve/reject
+router.post('/bulk/:queue/:action', bulkAction);
+router.get('/bulk-actions', getBulkActions);
+router.get('/bulk-actions/:id', getBulkAction);
 
 module.exports = router;
@@ -2,16 +2,21 @@ const express = require('express');
 const {
   createDeposit,
   getUserDeposits,
-  getDeposit
+  getDeposit,
+  getVirtualAccount,
+  getCryptoAddress
 } = require('../controllers/depositController');
 const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 router.use(auth);
 
-router.post('/', createDeposit);
+router.post('/', idempotent, createDeposit);
 router.get('/', getUserDeposits);
+router.get('/virtual-account', getVirtualAccount);
+router.get('/crypto-address', getCryptoAddress);
 router.get('/:id', getDeposit);
 
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  createInvestment,
+  getUserInvestments,
+  getInvestment,
+  getAllInvestments,
+  updateInvestmentStatus,
+  calculateReturns
+} = require('../controllers/investment');
+const {
+  calculateAdvancedReturns,
+  createAdvancedInvestment,
+  getInvestmentAnalytics
+} = require('../controllers/investmentController');
+const { auth, admin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Public routes
+router.post('/calculate-returns', calculateReturns);
+router.post('/calculate-advanced', calculateAdvancedReturns);
+
+// Protected routes
+router.use(auth);
+
+router.post('/', idempotent, createInvestment);
+router.post('/advanced', idempotent, createAdvancedInvestment);
+router.get('/', getUserInvestments);
+router.get('/analytics', getInvestmentAnalytics);
+
+// Admin routes
+router.get('/admin/all', admin, getAllInvestments);
+router.put('/admin/:id/status', admin, updateInvestmentStatus);
+
+router.get('/:id', getInvestment);
+
+module.exports = router;
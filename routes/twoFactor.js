@@ -3,19 +3,29 @@ const {
   enable2FA,
   verify2FA,
   disable2FA,
-  verifyLogin2FA
+  verifyLogin2FA,
+  getStepUpStatus,
+  requestStepUpCode,
+  verifyStepUp
 } = require('../controllers/twoFactorController');
 const { auth } = require('../middleware/auth');
+const { requireStepUp } = require('../middleware/stepUp');
 
 const router = express.Router();
 
 router.use('/enable', auth);
 router.use('/verify', auth);
 router.use('/disable', auth);
+router.use('/step-up', auth);
 
 router.post('/enable', enable2FA);
 router.post('/verify', verify2FA);
-router.post('/disable', disable2FA);
+router.post('/disable', requireStepUp, disable2FA);
 router.post('/verify-login', verifyLogin2FA);
 
+// Step-up verification for sensitive actions
+router.get('/step-up', getStepUpStatus);
+router.post('/step-up', verifyStepUp);
+router.post('/step-up/email', requestStepUpCode);
+
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  uploadFile,
+  getFile,
+  getThumbnail
+} = require('../controllers/uploadController');
+const { auth } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.post('/', singleFile('file'), uploadFile);
+router.get('/:id', getFile);
+router.get('/:id/thumbnail', getThumbnail);
+
+module.exports = router;
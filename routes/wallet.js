@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getBalances,
+  getFxRates,
+  getLimits,
+  convertCurrency,
+  createTransfer,
+  getTransfers,
+  getStatement,
+  verifyStatement
+} = require('../controllers/walletController');
+const { auth } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Public routes
+router.get('/statements/verify/:code', verifyStatement);
+
+// Protected routes
+router.use(auth);
+
+router.get('/balances', getBalances);
+router.get('/fx-rates', getFxRates);
+router.get('/limits', getLimits);
+router.post('/convert', idempotent, convertCurrency);
+router.post('/transfers', idempotent, createTransfer);
+router.get('/transfers', getTransfers);
+router.get('/statement', getStatement);
+
+module.exports = router;
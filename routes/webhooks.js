@@ -0,0 +1,15 @@
+const express = require('express');
+const {
+  handlePaymentWebhook,
+  handleVirtualAccountCredit,
+  handlePayoutEvent
+} = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Gateways authenticate with a signature over req.rawBody, not a user token
+router.post('/payments/:provider', handlePaymentWebhook);
+router.post('/virtual-accounts/:provider', handleVirtualAccountCredit);
+router.post('/payouts/:provider', handlePayoutEvent);
+
+module.exports = router;
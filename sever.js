@@ -60,6 +60,10 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   const errorHandler = require('./middleware/errorHandler');
   const { connectDB } = require('./config/database');
   const { initializeRedis } = require('./config/redis');
+  const { assertResolverConfigured } = require('./utils/accountResolvers');
+  const { assertGatewaysConfigured } = require('./utils/paymentGateways');
+  const { assertProvidersConfigured } = require('./utils/virtualAccountProviders');
+  const { assertPayoutProvidersConfigured } = require('./utils/payoutProviders');
 
   // Swagger configuration
   const swaggerOptions = {
@@ -169,7 +173,12 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   });
 
   // Apply different rate limits based on endpoints
-  app.use('/api/', createRateLimit(15 * 60 * 1000, process.env.NODE_ENV === 'production' ? 100 : 1000, 'Too many requests from this IP, please try again later.'));
+  const apiRateLimit = createRateLimit(15 * 60 * 1000, process.env.NODE_ENV === 'production' ? 100 : 1000, 'Too many requests from this IP, please try again later.');
+  // Gateway and provider callbacks come from a few IPs and are signature-checked,
+  // so they get their own, much higher limit instead of the per-user one
+  const isWebhook = (req) => req.originalUrl.startsWith('/api/webhooks/');
+  app.use('/api/', (req, res, next) => (isWebhook(req) ? next() : apiRateLimit(req, res, next)));
+  app.use('/api/webhooks/', createRateLimit(60 * 1000, parseInt(process.env.WEBHOOK_RATE_LIMIT_PER_MINUTE, 10) || 1000, 'Too many webhook requests, please retry later.'));
   app.use('/api/auth/', createRateLimit(15 * 60 * 1000, 5, 'Too many authentication attempts, please try again later.'));
   app.use('/api/admin/', createRateLimit(15 * 60 * 1000, 50, 'Too many admin requests, please slow down.'));
 
@@ -201,8 +210,8 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Forwarded-For', 'X-Real-IP', 'X-Client-Version'],
-    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Forwarded-For', 'X-Real-IP', 'X-Client-Version', 'Idempotency-Key'],
+    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Idempotent-Replayed', 'Content-Disposition', 'X-Statement-Verification-Code']
   };
   app.use(cors(corsOptions));
 
@@ -244,6 +253,10 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   // Database and Redis Connection with retry logic
   const initializeServices = async () => {
     try {
+      assertResolverConfigured();
+      assertGatewaysConfigured();
+      assertProvidersConfigured();
+      assertPayoutProvidersConfigured();
       await connectDB();
       await initializeRedis();
       logger.info('✅ All services initialized successfully');
@@ -335,6 +348,7 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   app.use('/api/2fa', require('./routes/twoFactor'));
   app.use('/api/wallet', require('./routes/wallet'));
   app.use('/api/analytics', require('./routes/analytics'));
+  app.use('/api/webhooks', require('./routes/webhooks'));
 
   // Enhanced Health Check with detailed status
   app.get('/api/health', async (req, res) => {
@@ -452,7 +466,7 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
     
     // Initialize cron jobs for automated tasks
     if (!cluster.worker || cluster.worker.id === 1) {
-      require('./utils/cronJobs');
+      require('./utils/cronJobs').startCronJobs(io);
       logger.info('⏰ Cron jobs initialized');
     }
     
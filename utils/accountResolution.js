@@ -0,0 +1,143 @@
+const Withdrawal = require('../models/Withdrawal');
+const logger = require('./logger');
+const { getDefaultResolver } = require('./accountResolvers');
+const { compareNames } = require('./nameMatching');
+
+/**
+ * Account name checks for bank withdrawals.
+ *
+ * Before a bank withdrawal can be approved, the account it pays is looked up
+ * with the bank and the registered name compared with the user's full_name.
+ * A close match clears it. A different name, an account the bank does not
+ * know, or a lookup that failed needs an admin to accept it in manual review
+ * (or reject the withdrawal) first.
+ *
+ * Failures the admin can act on are thrown as errors with `code` and
+ * `statusCode`: NOT_FOUND (404), ALREADY_PROCESSED (400), ACCOUNT_NOT_CHECKED,
+ * ACCOUNT_REVIEW_REQUIRED and NOTHING_TO_REVIEW (409).
+ */
+
+// Outcomes an admin has to accept before approval
+const REVIEW_STATUSES = ['mismatch', 'not_found', 'failed'];
+
+const resolutionError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const requiresCheck = (withdrawal) => withdrawal.payment_method === 'bank_transfer'
+  && Boolean(withdrawal.bank_details && withdrawal.bank_details.bank_code);
+
+/**
+ * Look up a pending bank withdrawal's account and record the outcome
+ * @returns {Promise<Object|null>} The account_resolution, or null when no check applies
+ */
+exports.resolveWithdrawalAccount = async ({ withdrawalId, io }) => {
+  const withdrawal = await Withdrawal.findById(withdrawalId).populate('user', 'full_name email');
+  if (!withdrawal) throw resolutionError('NOT_FOUND', 'Withdrawal not found', 404);
+  if (withdrawal.status !== 'pending') throw resolutionError('ALREADY_PROCESSED', 'Withdrawal already processed', 400);
+  if (!requiresCheck(withdrawal)) return null;
+
+  const { bank_code: bankCode, account_number: accountNumber } = withdrawal.bank_details;
+  const resolver = getDefaultResolver();
+  const resolution = { provider: resolver ? resolver.name : null, checked_at: new Date() };
+
+  if (!resolver) {
+    Object.assign(resolution, { status: 'failed', error: 'No account resolver is configured' });
+  } else {
+    try {
+      const account = await resolver.resolveAccount({ bankCode, accountNumber });
+      if (!account) {
+        resolution.status = 'not_found';
+      } else {
+        const { score, matched } = compareNames(withdrawal.user.full_name, account.accountName);
+        Object.assign(resolution, {
+          status: matched ? 'matched' : 'mismatch',
+          resolved_name: account.accountName,
+          score
+        });
+      }
+    } catch (error) {
+      logger.error(`Account resolution failed for withdrawal ${withdrawal._id}:`, error);
+      Object.assign(resolution, { status: 'failed', error: error.message });
+    }
+  }
+
+  // A fresh check replaces any earlier outcome and review
+  await Withdrawal.updateOne(
+    { _id: withdrawal._id, status: 'pending' },
+    { $set: { account_resolution: resolution } }
+  );
+
+  if (REVIEW_STATUSES.includes(resolution.status) && io) {
+    io.to('admin-room').emit('withdrawal-account-review', {
+      message: resolution.status === 'mismatch'
+        ? `Bank account name "${resolution.resolved_name}" does not match ${withdrawal.user.full_name}`
+        : `Bank account for ${withdrawal.user.full_name}'s withdrawal could not be verified`,
+      withdrawalId: withdrawal._id,
+      status: resolution.status
+    });
+  }
+
+  return resolution;
+};
+
+/**
+ * Throw unless a withdrawal's account check allows approval
+ */
+exports.assertAccountCleared = (withdrawal) => {
+  if (!requiresCheck(withdrawal)) return;
+
+  const resolution = withdrawal.account_resolution || {};
+  if (!resolution.status || resolution.status === 'pending') {
+    throw resolutionError(
+      'ACCOUNT_NOT_CHECKED',
+      'The bank account name has not been checked yet. Run the account check before approving.',
+      409
+    );
+  }
+  if (REVIEW_STATUSES.includes(resolution.status) && !(resolution.review && resolution.review.decision === 'accepted')) {
+    throw resolutionError(
+      'ACCOUNT_REVIEW_REQUIRED',
+      'The bank account name check needs manual review before this withdrawal can be approved',
+      409
+    );
+  }
+};
+
+/**
+ * Accept a withdrawal's account after manual review, allowing approval
+ * @returns {Promise<Object>} The withdrawal
+ */
+exports.acceptAccountResolution = async ({ withdrawalId, adminId, notes }) => {
+  const withdrawal = await Withdrawal.findOneAndUpdate(
+    {
+      _id: withdrawalId,
+      status: 'pending',
+      'account_resolution.status': { $in: REVIEW_STATUSES }
+    },
+    {
+      $set: {
+        'account_resolution.review': {
+          decision: 'accepted',
+          reviewed_by: adminId,
+          reviewed_at: new Date(),
+          notes
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    const exists = await Withdrawal.exists({ _id: withdrawalId });
+    if (!exists) throw resolutionError('NOT_FOUND', 'Withdrawal not found', 404);
+    throw resolutionError('NOTHING_TO_REVIEW', 'This withdrawal has no account check waiting for review', 409);
+  }
+
+  return withdrawal;
+};
+
+exports.REVIEW_STATUSES = REVIEW_STATUSES;
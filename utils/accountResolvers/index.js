@@ -0,0 +1,48 @@
+/**
+ * Bank account name resolution ("name enquiry").
+ *
+ * Every resolver exposes the same interface so withdrawal checks never deal
+ * with provider-specific payloads:
+ *
+ *   name                                      - resolver key stored on the withdrawal
+ *   resolveAccount({ bankCode, accountNumber }) - { accountName } for the account,
+ *                                               or null if the bank has no such account;
+ *                                               throws if the lookup itself failed
+ *
+ * ACCOUNT_RESOLVER selects the resolver withdrawals are checked with. The
+ * stub is never enabled in production, so production needs a real one.
+ */
+
+const resolvers = {
+  paystack: require('./paystack'),
+  stub: require('./stub')
+};
+
+/**
+ * Resolver by name, or null if it is unknown or disabled
+ */
+exports.getAccountResolver = (name) => {
+  const resolver = resolvers[name];
+  if (!resolver || !resolver.isEnabled()) return null;
+  return resolver;
+};
+
+/**
+ * Resolver withdrawals are checked with, or null if none is available
+ */
+exports.getDefaultResolver = () => exports.getAccountResolver(process.env.ACCOUNT_RESOLVER || 'stub');
+
+/**
+ * Refuse to start in production without a working resolver, rather than
+ * sending every bank withdrawal to manual review
+ */
+exports.assertResolverConfigured = () => {
+  if (process.env.NODE_ENV !== 'production' || exports.getDefaultResolver()) return;
+
+  const name = process.env.ACCOUNT_RESOLVER || 'stub';
+  throw new Error(resolvers[name]
+    ? `Account resolver "${name}" is not available in production; set ACCOUNT_RESOLVER=paystack and PAYSTACK_SECRET_KEY`
+    : `Unknown ACCOUNT_RESOLVER "${name}"; use one of ${Object.keys(resolvers).join(', ')}`);
+};
+
+exports.resolvers = resolvers;
@@ -0,0 +1,49 @@
+const { assertResolverConfigured, getDefaultResolver } = require('./index');
+
+describe('account resolver configuration', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('uses the stub outside production', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.ACCOUNT_RESOLVER;
+
+    expect(getDefaultResolver().name).toBe('stub');
+    expect(() => assertResolverConfigured()).not.toThrow();
+  });
+
+  test('refuses to start in production with only the stub', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.ACCOUNT_RESOLVER;
+
+    expect(getDefaultResolver()).toBeNull();
+    expect(() => assertResolverConfigured()).toThrow('Account resolver "stub" is not available in production');
+  });
+
+  test('refuses to start in production with Paystack selected but no key', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.ACCOUNT_RESOLVER = 'paystack';
+    delete process.env.PAYSTACK_SECRET_KEY;
+
+    expect(() => assertResolverConfigured()).toThrow('PAYSTACK_SECRET_KEY');
+  });
+
+  test('refuses an unknown resolver name', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.ACCOUNT_RESOLVER = 'nibss';
+
+    expect(() => assertResolverConfigured()).toThrow('Unknown ACCOUNT_RESOLVER "nibss"');
+  });
+
+  test('starts in production with Paystack configured', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.ACCOUNT_RESOLVER = 'paystack';
+    process.env.PAYSTACK_SECRET_KEY = 'sk_live_123';
+
+    expect(getDefaultResolver().name).toBe('paystack');
+    expect(() => assertResolverConfigured()).not.toThrow();
+  });
+});
@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+/**
+ * Paystack name enquiry (GET /bank/resolve), authenticated with the same
+ * secret key as the payment gateway. Enabled whenever PAYSTACK_SECRET_KEY is
+ * set.
+ */
+const BASE_URL = 'https://api.paystack.co';
+const TIMEOUT_MS = parseInt(process.env.PAYSTACK_RESOLVE_TIMEOUT_MS, 10) || 10000;
+
+// Paystack answers 422 when it could not resolve the account
+const NOT_FOUND_STATUSES = [404, 422];
+
+module.exports = {
+  name: 'paystack',
+
+  isEnabled: () => Boolean(process.env.PAYSTACK_SECRET_KEY),
+
+  resolveAccount: async ({ bankCode, accountNumber }) => {
+    let body;
+    try {
+      ({ data: body } = await axios.get(`${BASE_URL}/bank/resolve`, {
+        params: { account_number: accountNumber, bank_code: bankCode },
+        headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}` },
+        timeout: TIMEOUT_MS
+      }));
+    } catch (error) {
+      if (error.response && NOT_FOUND_STATUSES.includes(error.response.status)) return null;
+      throw new Error(`Paystack name enquiry failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+
+    if (!body || !body.status) {
+      throw new Error(`Paystack name enquiry failed: ${(body && body.message) || 'unexpected response'}`);
+    }
+    return body.data && body.data.account_name ? { accountName: body.data.account_name } : null;
+  }
+};
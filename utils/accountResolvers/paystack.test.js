@@ -0,0 +1,60 @@
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const axios = require('axios');
+const paystack = require('./paystack');
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { status: false, message: 'Could not resolve account name' } }
+});
+
+describe('paystack account resolver', () => {
+  const originalKey = process.env.PAYSTACK_SECRET_KEY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test_123';
+  });
+
+  afterAll(() => {
+    process.env.PAYSTACK_SECRET_KEY = originalKey;
+  });
+
+  test('is enabled only with a secret key', () => {
+    expect(paystack.isEnabled()).toBe(true);
+    delete process.env.PAYSTACK_SECRET_KEY;
+    expect(paystack.isEnabled()).toBe(false);
+  });
+
+  test('returns the account name from the bank', async () => {
+    axios.get.mockResolvedValue({
+      data: { status: true, data: { account_number: '0123456789', account_name: 'ADA OBI', bank_id: 9 } }
+    });
+
+    await expect(paystack.resolveAccount({ bankCode: '058', accountNumber: '0123456789' }))
+      .resolves.toEqual({ accountName: 'ADA OBI' });
+    expect(axios.get).toHaveBeenCalledWith('https://api.paystack.co/bank/resolve', expect.objectContaining({
+      params: { account_number: '0123456789', bank_code: '058' },
+      headers: { Authorization: 'Bearer sk_test_123' }
+    }));
+  });
+
+  test('treats an unresolvable account as not found', async () => {
+    axios.get.mockRejectedValue(httpError(422));
+
+    await expect(paystack.resolveAccount({ bankCode: '058', accountNumber: '0000000000' })).resolves.toBeNull();
+  });
+
+  test('throws when the lookup itself fails', async () => {
+    axios.get.mockRejectedValue(httpError(401));
+    await expect(paystack.resolveAccount({ bankCode: '058', accountNumber: '0123456789' }))
+      .rejects.toThrow('Paystack name enquiry failed: HTTP 401');
+
+    axios.get.mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+    await expect(paystack.resolveAccount({ bankCode: '058', accountNumber: '0123456789' }))
+      .rejects.toThrow('timeout of 10000ms exceeded');
+
+    axios.get.mockResolvedValue({ data: { status: false, message: 'Invalid key' } });
+    await expect(paystack.resolveAccount({ bankCode: '058', accountNumber: '0123456789' }))
+      .rejects.toThrow('Invalid key');
+  });
+});
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local stand-in for a name enquiry service, for development and tests.
+ * Accounts come from a JSON fixture of { bank_code, account_number,
+ * account_name } records, fixtures/accounts.json unless
+ * STUB_ACCOUNT_RESOLVER_FIXTURES points elsewhere; any other account does not
+ * exist. Never enabled in production.
+ */
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'accounts.json');
+
+let cache = null;
+
+const accounts = () => {
+  const file = process.env.STUB_ACCOUNT_RESOLVER_FIXTURES || DEFAULT_FIXTURES;
+  if (!cache || cache.file !== file) {
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cache = {
+      file,
+      byKey: new Map(records.map(record => [`${record.bank_code}:${record.account_number}`, record.account_name]))
+    };
+  }
+  return cache.byKey;
+};
+
+module.exports = {
+  name: 'stub',
+
+  isEnabled: () => process.env.NODE_ENV !== 'production',
+
+  resolveAccount: async ({ bankCode, accountNumber }) => {
+    const accountName = accounts().get(`${bankCode}:${accountNumber}`);
+    return accountName ? { accountName } : null;
+  }
+};
@@ -0,0 +1,444 @@
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const Deposit = require('../models/Deposit');
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const balanceHolds = require('./balanceHolds');
+const { assertAccountCleared } = require('./accountResolution');
+const logger = require('./logger');
+const { approvePendingDeposit, notifyDepositApproved } = require('./depositApproval');
+const { sendEmail } = require('./emailService');
+const { DEFAULT_CURRENCY, toKobo, percentOf, formatMoney } = require('./money');
+
+/**
+ * Approve and reject for the admin review queues. Each call handles one
+ * record in its own transaction, then notifies the user once it commits, so
+ * the single-item endpoints and bulk actions behave the same.
+ *
+ * Failures the admin can act on are thrown as errors with `code` and
+ * `statusCode`: NOT_FOUND (404), ALREADY_PROCESSED (400) and SELF_APPROVAL
+ * (403), plus the account check codes from utils/accountResolution for bank
+ * withdrawals.
+ */
+
+// Withdrawals above these amounts (minor units) need two different admins to approve
+const SECOND_APPROVAL_THRESHOLD = {
+  NGN: toKobo(process.env.WITHDRAWAL_SECOND_APPROVAL_THRESHOLD || 1000000),
+  USD: toKobo(process.env.WITHDRAWAL_SECOND_APPROVAL_THRESHOLD_USD || 1000),
+  USDT: toKobo(process.env.WITHDRAWAL_SECOND_APPROVAL_THRESHOLD_USDT || 1000)
+};
+
+const actionError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Load a pending record in the session, or throw
+const findPending = async (Model, id, label, session, populate = ['user']) => {
+  let query = Model.findById(id);
+  populate.forEach(path => { query = query.populate(path); });
+  const record = await query.session(session);
+
+  if (!record) throw actionError('NOT_FOUND', `${label} not found`, 404);
+  if (record.status !== 'pending') throw actionError('ALREADY_PROCESSED', `${label} already processed`, 400);
+  return record;
+};
+
+// Load a withdrawal still waiting on an admin decision, or throw
+const findUndecidedWithdrawal = async (id, session) => {
+  const withdrawal = await Withdrawal.findById(id).populate('user').session(session);
+
+  if (!withdrawal) throw actionError('NOT_FOUND', 'Withdrawal not found', 404);
+  if (!['pending', 'awaiting_second_approval'].includes(withdrawal.status)) {
+    throw actionError('ALREADY_PROCESSED', 'Withdrawal already processed', 400);
+  }
+  return withdrawal;
+};
+
+const needsSecondApproval = (withdrawal) => withdrawal.amount > SECOND_APPROVAL_THRESHOLD[withdrawal.currency || DEFAULT_CURRENCY];
+
+// Run `work` in a transaction and `notify` after it commits. The action has
+// happened once committed, so a failed notification is logged, not thrown
+const inTransaction = async (Model, work, notify) => {
+  const session = await Model.startSession();
+  session.startTransaction();
+
+  let result;
+  try {
+    result = await work(session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (notify) {
+    try {
+      await notify(result);
+    } catch (error) {
+      logger.error('Admin action committed but notifying about it failed:', error);
+    }
+  }
+  return result;
+};
+
+/**
+ * Approve a pending deposit
+ * @returns {Promise<Object>} The deposit
+ */
+exports.approveDeposit = ({ depositId, adminId, adminNotes, io }) => inTransaction(
+  Deposit,
+  async (session) => {
+    const deposit = await findPending(Deposit, depositId, 'Deposit', session);
+    return approvePendingDeposit(deposit, {
+      approvedBy: adminId,
+      adminNotes,
+      source: 'admin'
+    }, { session });
+  },
+  ({ deposit, newBalance }) => notifyDepositApproved({ io, deposit, newBalance })
+).then(({ deposit }) => deposit);
+
+/**
+ * Reject a pending deposit
+ * @returns {Promise<Object>} The deposit
+ */
+exports.rejectDeposit = ({ depositId, adminId, rejectionReason, io }) => inTransaction(
+  Deposit,
+  async (session) => {
+    const deposit = await findPending(Deposit, depositId, 'Deposit', session);
+
+    deposit.status = 'rejected';
+    deposit.rejection_reason = rejectionReason;
+    deposit.updated_at = new Date();
+    await deposit.save({ session });
+
+    // Update transaction status
+    await Transaction.findOneAndUpdate(
+      { 'metadata.deposit_id': deposit._id },
+      {
+        status: 'failed',
+        description: `Deposit rejected: ${rejectionReason}`
+      },
+      { session }
+    );
+
+    return deposit;
+  },
+  (deposit) => {
+    io.to(`user-${deposit.user._id}`).emit('deposit-rejected', {
+      message: `Your deposit of ${formatMoney(deposit.amount, deposit.currency)} was rejected`,
+      amount: deposit.amount,
+      reason: rejectionReason,
+      depositId: deposit._id
+    });
+  }
+);
+
+/**
+ * Approve a withdrawal for payout. Bank withdrawals need a cleared account
+ * name check first. Above the second-approval threshold, the first approval
+ * only moves it to `awaiting_second_approval` and a different admin must
+ * approve it again. The balance hold stays in place until the payout
+ * completes or fails (see utils/withdrawalPayouts).
+ * @returns {Promise<Object>} The withdrawal
+ */
+exports.approveWithdrawal = ({ withdrawalId, adminId, adminNotes, transactionHash, io }) => inTransaction(
+  Withdrawal,
+  async (session) => {
+    const withdrawal = await findUndecidedWithdrawal(withdrawalId, session);
+
+    if (withdrawal.status === 'pending') {
+      assertAccountCleared(withdrawal);
+
+      if (needsSecondApproval(withdrawal)) {
+        withdrawal.status = 'awaiting_second_approval';
+        withdrawal.decisions.push({ admin: adminId, action: 'first_approval', notes: adminNotes });
+        await withdrawal.save({ session });
+        return withdrawal;
+      }
+    } else {
+      const first = withdrawal.decisions.filter(decision => decision.action === 'first_approval').pop();
+      if (first && String(first.admin) === String(adminId)) {
+        throw actionError('SELF_APPROVAL', 'A different admin must give the second approval', 403);
+      }
+    }
+
+    // Update withdrawal status
+    withdrawal.status = 'approved';
+    withdrawal.approved_by = adminId;
+    withdrawal.approved_at = new Date();
+    withdrawal.admin_notes = adminNotes;
+    withdrawal.transaction_hash = transactionHash;
+    withdrawal.decisions.push({ admin: adminId, action: 'approval', notes: adminNotes });
+    await withdrawal.save({ session });
+
+    // The transaction completes with the payout
+    await Transaction.findOneAndUpdate(
+      { 'metadata.withdrawal_id': withdrawal._id },
+      { description: `Withdrawal approved - awaiting ${withdrawal.payment_method.replace('_', ' ')} payout` },
+      { session }
+    );
+
+    return withdrawal;
+  },
+  async (withdrawal) => {
+    if (withdrawal.status === 'awaiting_second_approval') {
+      io.to('admin-room').emit('withdrawal-awaiting-second-approval', {
+        message: `Withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} needs a second approval`,
+        withdrawalId: withdrawal._id,
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        firstApprovedBy: adminId
+      });
+      return;
+    }
+
+    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-approved', {
+      message: `Your withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} has been approved and is being processed`,
+      amount: withdrawal.amount,
+      netAmount: withdrawal.net_amount,
+      fee: withdrawal.fee,
+      withdrawalId: withdrawal._id,
+      transactionHash
+    });
+
+    // Send approval email
+    try {
+      await sendEmail({
+        email: withdrawal.user.email,
+        subject: 'Withdrawal Approved - Raw Wealthy',
+        template: 'withdrawal-approved',
+        data: {
+          name: withdrawal.user.full_name,
+          amount: withdrawal.amount,
+          netAmount: withdrawal.net_amount,
+          fee: withdrawal.fee,
+          paymentMethod: withdrawal.payment_method,
+          transactionHash,
+          timestamp: new Date().toLocaleString()
+        }
+      });
+    } catch (emailError) {
+      logger.error('Withdrawal approval email failed:', emailError);
+    }
+  }
+);
+
+/**
+ * Reject a withdrawal awaiting a first or second approval, releasing its
+ * balance hold
+ * @returns {Promise<Object>} The withdrawal
+ */
+exports.rejectWithdrawal = ({ withdrawalId, adminId, rejectionReason, io }) => inTransaction(
+  Withdrawal,
+  async (session) => {
+    const withdrawal = await findUndecidedWithdrawal(withdrawalId, session);
+
+    // Update withdrawal status
+    withdrawal.status = 'rejected';
+    withdrawal.rejection_reason = rejectionReason;
+    withdrawal.updated_at = new Date();
+    withdrawal.decisions.push({ admin: adminId, action: 'rejection', notes: rejectionReason });
+    await withdrawal.save({ session });
+
+    // Release the hold placed on creation back to the available balance
+    await balanceHolds.releaseWithdrawalHold({
+      withdrawalId: withdrawal._id,
+      reason: 'rejected',
+      actionedBy: adminId
+    }, { session });
+
+    // Update transaction status
+    await Transaction.findOneAndUpdate(
+      { 'metadata.withdrawal_id': withdrawal._id },
+      {
+        status: 'failed',
+        description: `Withdrawal rejected: ${rejectionReason}`
+      },
+      { session }
+    );
+
+    return withdrawal;
+  },
+  (withdrawal) => {
+    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-rejected', {
+      message: `Your withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} was rejected`,
+      amount: withdrawal.amount,
+      reason: rejectionReason,
+      withdrawalId: withdrawal._id,
+      refundedAmount: withdrawal.amount
+    });
+  }
+);
+
+// Credit the referrer 20% of an approved investment. Failures are logged, not thrown.
+const payReferralBonus = async ({ investment, adminId, io }) => {
+  try {
+    const referralBonus = percentOf(investment.amount, 20); // 20% referral bonus
+    const currency = investment.currency || DEFAULT_CURRENCY;
+
+    // Credit the referrer's wallet in the investment's currency
+    const entry = await ledger.recordReferralBonus({
+      userId: investment.user.referred_by,
+      amount: referralBonus,
+      referralUserId: investment.user._id,
+      postedBy: adminId,
+      currency
+    });
+
+    // referral_earnings is a naira figure
+    if (currency === DEFAULT_CURRENCY) {
+      await User.findByIdAndUpdate(investment.user.referred_by, {
+        $inc: { referral_earnings: referralBonus }
+      });
+    }
+
+    // Create referral bonus transaction
+    await Transaction.create({
+      user: investment.user.referred_by,
+      type: 'referral_bonus',
+      currency,
+      amount: referralBonus,
+      description: `Referral bonus from ${investment.user.full_name}`,
+      status: 'completed',
+      metadata: {
+        referral_user_id: investment.user._id,
+        referral_user_name: investment.user.full_name,
+        investment_amount: investment.amount,
+        bonus_percentage: 20,
+        journal_entry_id: entry._id
+      }
+    });
+
+    // Notify referrer
+    io.to(`user-${investment.user.referred_by}`).emit('referral-bonus-earned', {
+      message: `You earned ${formatMoney(referralBonus, currency)} referral bonus`,
+      amount: referralBonus,
+      currency,
+      fromUser: investment.user.full_name,
+      investmentAmount: investment.amount
+    });
+  } catch (referralError) {
+    logger.error('Referral bonus processing error:', referralError);
+    // Don't fail the approval if the referral bonus fails
+  }
+};
+
+/**
+ * Approve a pending investment and pay any referral bonus
+ * @returns {Promise<Object>} The investment
+ */
+exports.approveInvestment = ({ investmentId, adminId, adminNotes, io }) => inTransaction(
+  Investment,
+  async (session) => {
+    const investment = await findPending(Investment, investmentId, 'Investment', session, ['user', 'plan']);
+
+    // Update investment status
+    investment.status = 'active';
+    investment.start_date = new Date();
+    investment.end_date = new Date(Date.now() + investment.plan.duration * 24 * 60 * 60 * 1000);
+    investment.admin_notes = adminNotes;
+    await investment.save({ session });
+
+    // Update transaction status
+    await Transaction.findOneAndUpdate(
+      { 'metadata.investment_id': investment._id },
+      {
+        status: 'completed',
+        description: `Investment in ${investment.plan.name} approved`
+      },
+      { session }
+    );
+
+    return investment;
+  },
+  async (investment) => {
+    if (investment.user.referred_by) {
+      await payReferralBonus({ investment, adminId, io });
+    }
+
+    io.to(`user-${investment.user._id}`).emit('investment-approved', {
+      message: `Your investment in ${investment.plan.name} has been approved`,
+      investmentId: investment._id,
+      planName: investment.plan.name,
+      amount: investment.amount,
+      duration: investment.plan.duration,
+      dailyEarnings: investment.daily_earnings,
+      totalReturns: investment.total_returns,
+      endDate: investment.end_date
+    });
+
+    // Send approval email
+    try {
+      await sendEmail({
+        email: investment.user.email,
+        subject: 'Investment Approved - Raw Wealthy',
+        template: 'investment-approved',
+        data: {
+          name: investment.user.full_name,
+          planName: investment.plan.name,
+          amount: investment.amount,
+          duration: investment.plan.duration,
+          dailyEarnings: investment.daily_earnings,
+          totalReturns: investment.total_returns,
+          endDate: investment.end_date.toLocaleDateString()
+        }
+      });
+    } catch (emailError) {
+      logger.error('Investment approval email failed:', emailError);
+    }
+  }
+);
+
+/**
+ * Reject a pending investment and refund its escrowed principal
+ * @returns {Promise<Object>} The investment
+ */
+exports.rejectInvestment = ({ investmentId, adminId, rejectionReason, io }) => inTransaction(
+  Investment,
+  async (session) => {
+    const investment = await findPending(Investment, investmentId, 'Investment', session, ['user', 'plan']);
+
+    // Update investment status
+    investment.status = 'rejected';
+    investment.rejection_reason = rejectionReason;
+    investment.updated_at = new Date();
+    await investment.save({ session });
+
+    // Return the escrowed principal to the wallet
+    await ledger.refundInvestment({
+      userId: investment.user._id,
+      amount: investment.amount,
+      investmentId: investment._id,
+      postedBy: adminId,
+      currency: investment.currency || DEFAULT_CURRENCY
+    }, { session });
+
+    // Update transaction status
+    await Transaction.findOneAndUpdate(
+      { 'metadata.investment_id': investment._id },
+      {
+        status: 'failed',
+        description: `Investment rejected: ${rejectionReason}`
+      },
+      { session }
+    );
+
+    return investment;
+  },
+  (investment) => {
+    io.to(`user-${investment.user._id}`).emit('investment-rejected', {
+      message: `Your investment in ${investment.plan.name} was rejected`,
+      amount: investment.amount,
+      reason: rejectionReason,
+      investmentId: investment._id,
+      refundedAmount: investment.amount
+    });
+  }
+);
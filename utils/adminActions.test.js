@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+jest.mock('../models/User', () => ({}), { virtual: true });
+jest.mock('../models/Investment', () => ({}), { virtual: true });
+jest.mock('../models/Deposit', () => ({}), { virtual: true });
+jest.mock('../models/Withdrawal', () => ({ findById: jest.fn(), startSession: jest.fn() }), { virtual: true });
+jest.mock('../models/Transaction', () => ({ findOneAndUpdate: jest.fn() }), { virtual: true });
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+jest.mock('./emailService', () => ({ sendEmail: jest.fn() }), { virtual: true });
+jest.mock('./ledger', () => ({}));
+jest.mock('./depositApproval', () => ({}));
+jest.mock('./balanceHolds', () => ({ releaseWithdrawalHold: jest.fn() }));
+
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const balanceHolds = require('./balanceHolds');
+const logger = require('./logger');
+const { approveWithdrawal, rejectWithdrawal } = require('./adminActions');
+
+const FIRST_ADMIN = new mongoose.Types.ObjectId();
+const SECOND_ADMIN = new mongoose.Types.ObjectId();
+
+// Above the default ₦1,000,000 second-approval threshold
+const LARGE = 150000000;
+const SMALL = 500000;
+
+const mockWithdrawal = (overrides = {}) => ({
+  _id: 'withdrawal-1',
+  user: { _id: 'user-1', email: 'ada@example.com', full_name: 'Ada Obi' },
+  currency: 'NGN',
+  amount: SMALL,
+  fee: 5000,
+  net_amount: SMALL - 5000,
+  payment_method: 'bank_transfer',
+  bank_details: { bank_code: '058', account_number: '0123456789' },
+  account_resolution: { status: 'matched' },
+  status: 'pending',
+  decisions: [],
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn().mockResolvedValue(),
+  abortTransaction: jest.fn().mockResolvedValue(),
+  endSession: jest.fn()
+};
+
+const mockIo = () => {
+  const emit = jest.fn();
+  return { io: { to: jest.fn(() => ({ emit })) }, emit };
+};
+
+// Withdrawal.findById(...).populate(...).session(...)
+const findsWithdrawal = (withdrawal) => {
+  Withdrawal.findById.mockReturnValue({
+    populate: () => ({ session: () => Promise.resolve(withdrawal) })
+  });
+};
+
+describe('withdrawal maker-checker approval', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Withdrawal.startSession.mockResolvedValue(session);
+    Transaction.findOneAndUpdate.mockResolvedValue({});
+    balanceHolds.releaseWithdrawalHold.mockResolvedValue({});
+  });
+
+  test('one admin approves a withdrawal at or below the threshold', async () => {
+    const withdrawal = mockWithdrawal();
+    findsWithdrawal(withdrawal);
+    const { io, emit } = mockIo();
+
+    await approveWithdrawal({ withdrawalId: withdrawal._id, adminId: FIRST_ADMIN, io });
+
+    expect(withdrawal.status).toBe('approved');
+    expect(withdrawal.approved_by).toBe(FIRST_ADMIN);
+    expect(withdrawal.decisions).toEqual([expect.objectContaining({ admin: FIRST_ADMIN, action: 'approval' })]);
+    expect(emit).toHaveBeenCalledWith('withdrawal-approved', expect.objectContaining({ withdrawalId: 'withdrawal-1' }));
+  });
+
+  test('the first approval of a large withdrawal only moves it to awaiting_second_approval', async () => {
+    const withdrawal = mockWithdrawal({ amount: LARGE });
+    findsWithdrawal(withdrawal);
+    const { io, emit } = mockIo();
+
+    await approveWithdrawal({ withdrawalId: withdrawal._id, adminId: FIRST_ADMIN, adminNotes: 'Checked', io });
+
+    expect(withdrawal.status).toBe('awaiting_second_approval');
+    expect(withdrawal.approved_by).toBeUndefined();
+    expect(withdrawal.decisions).toEqual([
+      expect.objectContaining({ admin: FIRST_ADMIN, action: 'first_approval', notes: 'Checked' })
+    ]);
+    expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(io.to).toHaveBeenCalledWith('admin-room');
+    expect(emit).toHaveBeenCalledWith('withdrawal-awaiting-second-approval', expect.objectContaining({
+      withdrawalId: 'withdrawal-1',
+      firstApprovedBy: FIRST_ADMIN
+    }));
+    expect(emit).not.toHaveBeenCalledWith('withdrawal-approved', expect.anything());
+  });
+
+  test('the first approver cannot give the second approval', async () => {
+    const withdrawal = mockWithdrawal({
+      amount: LARGE,
+      status: 'awaiting_second_approval',
+      decisions: [{ admin: FIRST_ADMIN, action: 'first_approval' }]
+    });
+    findsWithdrawal(withdrawal);
+    const { io, emit } = mockIo();
+
+    // The id arrives as a string from req.user, not the stored ObjectId
+    await expect(approveWithdrawal({ withdrawalId: withdrawal._id, adminId: FIRST_ADMIN.toString(), io }))
+      .rejects.toMatchObject({ code: 'SELF_APPROVAL', statusCode: 403 });
+
+    expect(withdrawal.status).toBe('awaiting_second_approval');
+    expect(withdrawal.save).not.toHaveBeenCalled();
+    expect(withdrawal.decisions).toHaveLength(1);
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(emit).not.toHaveBeenCalled();
+  });
+
+  test('a different admin gives the second approval', async () => {
+    const withdrawal = mockWithdrawal({
+      amount: LARGE,
+      status: 'awaiting_second_approval',
+      decisions: [{ admin: FIRST_ADMIN, action: 'first_approval' }]
+    });
+    findsWithdrawal(withdrawal);
+    const { io, emit } = mockIo();
+
+    await approveWithdrawal({ withdrawalId: withdrawal._id, adminId: SECOND_ADMIN, io });
+
+    expect(withdrawal.status).toBe('approved');
+    expect(withdrawal.approved_by).toBe(SECOND_ADMIN);
+    expect(withdrawal.decisions.map(decision => decision.action)).toEqual(['first_approval', 'approval']);
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { 'metadata.withdrawal_id': 'withdrawal-1' },
+      expect.any(Object),
+      { session }
+    );
+    expect(emit).toHaveBeenCalledWith('withdrawal-approved', expect.objectContaining({ withdrawalId: 'withdrawal-1' }));
+  });
+
+  test('the second approval does not repeat the account name check', async () => {
+    const withdrawal = mockWithdrawal({
+      amount: LARGE,
+      status: 'awaiting_second_approval',
+      account_resolution: { status: 'mismatch', review: { decision: 'accepted' } },
+      decisions: [{ admin: FIRST_ADMIN, action: 'first_approval' }]
+    });
+    findsWithdrawal(withdrawal);
+
+    await approveWithdrawal({ withdrawalId: withdrawal._id, adminId: SECOND_ADMIN, io: mockIo().io });
+
+    expect(withdrawal.status).toBe('approved');
+  });
+
+  test('a large withdrawal still needs a cleared account check before the first approval', async () => {
+    const withdrawal = mockWithdrawal({ amount: LARGE, account_resolution: { status: 'mismatch' } });
+    findsWithdrawal(withdrawal);
+
+    await expect(approveWithdrawal({ withdrawalId: withdrawal._id, adminId: FIRST_ADMIN, io: mockIo().io }))
+      .rejects.toMatchObject({ code: 'ACCOUNT_REVIEW_REQUIRED' });
+    expect(withdrawal.status).toBe('pending');
+  });
+
+  test('any admin, including the first approver, can reject while it waits', async () => {
+    const withdrawal = mockWithdrawal({
+      amount: LARGE,
+      status: 'awaiting_second_approval',
+      decisions: [{ admin: FIRST_ADMIN, action: 'first_approval' }]
+    });
+    findsWithdrawal(withdrawal);
+
+    await rejectWithdrawal({ withdrawalId: withdrawal._id, adminId: FIRST_ADMIN, rejectionReason: 'Changed my mind', io: mockIo().io });
+
+    expect(withdrawal.status).toBe('rejected');
+    expect(withdrawal.decisions.map(decision => decision.action)).toEqual(['first_approval', 'rejection']);
+    expect(balanceHolds.releaseWithdrawalHold).toHaveBeenCalledWith(
+      expect.objectContaining({ withdrawalId: 'withdrawal-1', reason: 'rejected' }),
+      { session }
+    );
+  });
+
+  test('a committed approval is not reported as failed when notifying fails', async () => {
+    const withdrawal = mockWithdrawal();
+    findsWithdrawal(withdrawal);
+    const io = { to: jest.fn(() => { throw new Error('socket server down'); }) };
+
+    await expect(approveWithdrawal({ withdrawalId: withdrawal._id, adminId: FIRST_ADMIN, io }))
+      .resolves.toBe(withdrawal);
+
+    expect(withdrawal.status).toBe('approved');
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('notifying'), expect.any(Error));
+  });
+
+  test('a decided withdrawal cannot be approved again', async () => {
+    findsWithdrawal(mockWithdrawal({ status: 'approved' }));
+
+    await expect(approveWithdrawal({ withdrawalId: 'withdrawal-1', adminId: SECOND_ADMIN, io: mockIo().io }))
+      .rejects.toMatchObject({ code: 'ALREADY_PROCESSED', statusCode: 400 });
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const BalanceHold = require('../models/BalanceHold');
+const ledger = require('./ledger');
+const { AMOUNT_UNIT, DEFAULT_CURRENCY } = require('./money');
+
+/**
+ * Balance holds for pending withdrawals.
+ *
+ * A hold moves funds out of the available wallet balance when a withdrawal is
+ * requested and stays in place while the payout is approved and processing.
+ * It is captured when the payout completes, or released back to the wallet
+ * when the request is rejected or cancelled or the payout fails. Each hold can
+ * leave the `active` state exactly once.
+ */
+
+const holdNotActive = (withdrawalId) => {
+  const error = new Error(`No active hold for withdrawal ${withdrawalId}`);
+  error.code = 'HOLD_NOT_ACTIVE';
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Place a hold for a new withdrawal request
+ */
+exports.placeWithdrawalHold = async ({ userId, amount, withdrawalId, currency = DEFAULT_CURRENCY }, { session } = {}) => {
+  const [hold] = await BalanceHold.create([{
+    user: userId,
+    currency,
+    amount,
+    reason: 'withdrawal',
+    withdrawal: withdrawalId
+  }], { session });
+
+  const entry = await ledger.placeHold({
+    userId,
+    amount,
+    holdId: hold._id,
+    withdrawalId,
+    currency
+  }, { session });
+
+  return { hold, entry };
+};
+
+/**
+ * Capture the hold once the payout has completed
+ */
+exports.captureWithdrawalHold = async ({ withdrawalId, fee, actionedBy }, { session } = {}) => {
+  const hold = await BalanceHold.findOneAndUpdate(
+    { withdrawal: withdrawalId, status: 'active' },
+    { status: 'captured', captured_at: new Date(), actioned_by: actionedBy },
+    { new: true, session }
+  );
+  if (!hold) throw holdNotActive(withdrawalId);
+
+  const entry = await ledger.captureHold({
+    userId: hold.user,
+    amount: hold.amount,
+    fee,
+    holdId: hold._id,
+    withdrawalId,
+    postedBy: actionedBy,
+    currency: hold.currency
+  }, { session });
+
+  return { hold, entry };
+};
+
+/**
+ * Release the hold back to the available balance
+ * @param {string} reason - 'rejected', 'cancelled' or 'payout_failed'
+ */
+exports.releaseWithdrawalHold = async ({ withdrawalId, reason, actionedBy }, { session } = {}) => {
+  const hold = await BalanceHold.findOneAndUpdate(
+    { withdrawal: withdrawalId, status: 'active' },
+    {
+      status: 'released',
+      released_at: new Date(),
+      release_reason: reason,
+      actioned_by: actionedBy
+    },
+    { new: true, session }
+  );
+  if (!hold) throw holdNotActive(withdrawalId);
+
+  const entry = await ledger.releaseHold({
+    userId: hold.user,
+    amount: hold.amount,
+    holdId: hold._id,
+    withdrawalId,
+    postedBy: actionedBy,
+    currency: hold.currency
+  }, { session });
+
+  return { hold, entry };
+};
+
+/**
+ * Available, held and total balance for a user in one currency
+ */
+exports.getBalanceSummary = async (userId, currency = DEFAULT_CURRENCY) => {
+  // Holds placed before multi-currency wallets carry no currency and are NGN
+  const currencyMatch = currency === DEFAULT_CURRENCY
+    ? { currency: { $in: [DEFAULT_CURRENCY, null] } }
+    : { currency };
+
+  const [available, held] = await Promise.all([
+    ledger.getWalletBalance(userId, { currency }),
+    BalanceHold.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), status: 'active', ...currencyMatch } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const heldAmount = held[0]?.amount || 0;
+
+  return {
+    currency,
+    amount_unit: AMOUNT_UNIT,
+    available,
+    held: heldAmount,
+    total: available + heldAmount,
+    activeHolds: held[0]?.count || 0
+  };
+};
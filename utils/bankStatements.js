@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Deposit = require('../models/Deposit');
+const BankStatementImport = require('../models/BankStatementImport');
+const BankStatementLine = require('../models/BankStatementLine');
+const logger = require('./logger');
+const { approvePendingDeposit, notifyDepositApproved } = require('./depositApproval');
+const { parseNaira } = require('./money');
+
+/**
+ * Company bank statement import.
+ *
+ * Statements exported by Nigerian banks share a shape but not the column
+ * names (GTBank "Trans. Date / Remarks / Credits", Access and Zenith
+ * "Posted Date / Description / Credit", UBA "Tran Date / Narration", ...),
+ * and most put a few lines of account details above the header row. The
+ * parser finds the header by its column names and reads credit rows only.
+ *
+ * Each credit is matched to pending NGN bank transfer deposits:
+ *   - exact:  the deposit reference is in the narration, the amount is equal
+ *             and the dates are within the window -> approved automatically
+ *   - fuzzy:  reference found with a different amount, or same amount within
+ *             the window -> review queue with the candidates
+ *   - none:   unmatched
+ */
+
+// Days either side of the statement date a deposit request may have been made
+const MATCH_WINDOW_DAYS = parseInt(process.env.BANK_MATCH_WINDOW_DAYS, 10) || 3;
+const MAX_CANDIDATES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLUMN_ALIASES = {
+  date: ['trans date', 'transaction date', 'tran date', 'txn date', 'posted date', 'date posted', 'posting date', 'date', 'value date'],
+  narration: ['narration', 'remarks', 'description', 'details', 'transaction details', 'narrative', 'particulars'],
+  reference: ['reference', 'ref', 'reference no', 'reference number', 'transaction reference', 'ref no', 'chq no', 'cheque no'],
+  credit: ['credits', 'credit', 'credit amount', 'deposits', 'deposit', 'lodgement', 'lodgements', 'money in', 'cr'],
+  debit: ['debits', 'debit', 'debit amount', 'withdrawals', 'withdrawal', 'money out', 'dr'],
+  balance: ['balance', 'closing balance', 'running balance', 'book balance']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const statementError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_STATEMENT';
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may contain commas,
+ * doubled quotes and line breaks)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map(cells => cells.map(value => value.trim()));
+};
+
+const normaliseHeader = (value) => value.toLowerCase().replace(/[._]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Column index for each field, if this row is a header row
+const mapColumns = (cells) => {
+  const headers = cells.map(normaliseHeader);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    // Prefer the earliest alias, so "Trans. Date" wins over "Value Date"
+    for (const alias of aliases) {
+      const index = headers.indexOf(alias);
+      if (index !== -1 && !Object.values(columns).includes(index)) {
+        columns[field] = index;
+        break;
+      }
+    }
+  }
+
+  return columns.date !== undefined && columns.credit !== undefined ? columns : null;
+};
+
+/**
+ * Statement date as UTC midnight. Nigerian banks write dates day first:
+ * 15/01/2024, 15-01-24, 15-Jan-2024, 15 Jan 2024, or ISO 2024-01-15.
+ */
+const parseStatementDate = (value) => {
+  const text = value.trim().split(/[ T]\d{1,2}:\d{2}/)[0].trim();
+  let day;
+  let month;
+  let year;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2}|\d{4})$/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+// Statement amount to kobo: "1,250,000.00", "₦5,000", "NGN 200.50"; blank is zero
+const parseStatementAmount = (value) => {
+  const text = (value || '').replace(/₦|NGN|,|\s/gi, '');
+  if (text === '' || text === '-' || /^0+(\.0+)?$/.test(text)) return 0;
+  return parseNaira(text);
+};
+
+/**
+ * Parse a bank statement CSV
+ * @param {string} text - File contents
+ * @returns {Object} { columns, rows: [{ rowNumber, date, narration, reference, credit, debit, balance }] }
+ */
+const parseStatement = (text) => {
+  const cells = parseCsv(text.replace(/^\uFEFF/, ''));
+
+  const headerIndex = cells.findIndex(row => mapColumns(row));
+  if (headerIndex === -1) {
+    throw statementError('Could not find the statement header row. Expected a date column and a credit column.');
+  }
+
+  const columnIndexes = mapColumns(cells[headerIndex]);
+  const columns = Object.fromEntries(Object.entries(columnIndexes)
+    .map(([field, index]) => [field, cells[headerIndex][index]]));
+
+  const rows = [];
+  cells.slice(headerIndex + 1).forEach((row, offset) => {
+    const rowNumber = headerIndex + offset + 2;
+    const cell = field => (columnIndexes[field] !== undefined ? row[columnIndexes[field]] || '' : '');
+
+    // Blank lines and trailing totals have no date
+    const date = parseStatementDate(cell('date'));
+    if (!date) return;
+
+    const credit = parseStatementAmount(cell('credit'));
+    const debit = parseStatementAmount(cell('debit'));
+    if (credit === null || debit === null) {
+      throw statementError(`Row ${rowNumber} has an amount that could not be read`);
+    }
+
+    rows.push({
+      rowNumber,
+      date,
+      narration: cell('narration'),
+      reference: cell('reference'),
+      credit,
+      debit,
+      balance: cell('balance')
+    });
+  });
+
+  return { columns, rows };
+};
+
+const fingerprint = (row) => crypto
+  .createHash('sha256')
+  .update([row.date.toISOString(), row.credit, row.debit, row.narration, row.reference, row.balance].join('|'))
+  .digest('hex');
+
+const compact = (value) => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Name words of the depositor that appear in the narration
+const nameMatches = (narration, user) => {
+  const words = ((user && user.full_name) || '').toUpperCase().split(/\s+/).filter(word => word.length >= 3);
+  if (words.length === 0) return false;
+
+  const text = (narration || '').toUpperCase();
+  return words.filter(word => text.includes(word)).length >= Math.min(2, words.length);
+};
+
+/**
+ * Score pending deposits against a statement credit
+ * @returns {Object} { exact, candidates } - `exact` is the deposit to approve, if any
+ */
+const matchCredit = (row, deposits) => {
+  const text = compact(`${row.narration} ${row.reference}`);
+
+  const candidates = deposits.map(deposit => {
+    const matchedOn = [];
+    let score = 0;
+
+    const referenceFound = deposit.reference && text.includes(compact(deposit.reference));
+    const amountEqual = deposit.amount === row.credit;
+    // Statement dates have no time, so allow the rest of the statement day
+    const daysApart = Math.abs(row.date - deposit.createdAt) / DAY_MS;
+    const inWindow = daysApart <= MATCH_WINDOW_DAYS + 1;
+
+    if (referenceFound) { score += 50; matchedOn.push('reference'); }
+    if (amountEqual) { score += 30; matchedOn.push('amount'); }
+    if (inWindow) { score += 10; matchedOn.push('date'); }
+    if (nameMatches(row.narration, deposit.user)) { score += 10; matchedOn.push('name'); }
+
+    const candidate = referenceFound || (amountEqual && inWindow);
+    return candidate ? { deposit, score, matched_on: matchedOn, exact: referenceFound && amountEqual && inWindow } : null;
+  })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  const exact = candidates.filter(candidate => candidate.exact);
+  return {
+    // Two deposits carrying the same reference can't be told apart automatically
+    exact: exact.length === 1 ? exact[0].deposit : null,
+    candidates: candidates.slice(0, MAX_CANDIDATES)
+  };
+};
+
+// Save an exact match and approve its deposit together
+const approveMatchedLine = async ({ line, depositId, approvedBy }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const deposit = await Deposit.findOne({ _id: depositId, status: 'pending' })
+      .populate('user')
+      .session(session);
+    if (!deposit) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const { newBalance } = await approvePendingDeposit(deposit, {
+      approvedBy,
+      adminNotes: `Matched to bank statement row ${line.row_number} (${line.narration})`,
+      source: 'bank_statement'
+    }, { session });
+
+    await BankStatementLine.create([{ ...line, status: 'matched', deposit: deposit._id }], { session });
+    await session.commitTransaction();
+
+    return { deposit, newBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Import a bank statement and match its credits to pending deposits
+ * @param {Object} params - { text, fileName, importedBy, io }
+ * @returns {Promise<Object>} The BankStatementImport
+ */
+exports.importBankStatement = async ({ text, fileName, importedBy, io }) => {
+  const { columns, rows } = parseStatement(text);
+  const credits = rows.filter(row => row.credit > 0);
+
+  const statementImport = await BankStatementImport.create({
+    uploaded_by: importedBy,
+    file_name: fileName,
+    columns,
+    period: rows.length > 0
+      ? { from: new Date(Math.min(...rows.map(row => row.date))), to: new Date(Math.max(...rows.map(row => row.date))) }
+      : undefined
+  });
+
+  const lines = credits.map(row => ({ row, fingerprint: fingerprint(row) }));
+  const seen = new Set((await BankStatementLine.find({ fingerprint: { $in: lines.map(line => line.fingerprint) } })
+    .select('fingerprint')
+    .lean()).map(line => line.fingerprint));
+  const fresh = lines.filter(line => !seen.has(line.fingerprint));
+  const summary = {
+    rows: rows.length,
+    credits: credits.length,
+    duplicates: lines.length - fresh.length,
+    auto_approved: 0,
+    review: 0,
+    unmatched: 0
+  };
+
+  let deposits = [];
+  if (fresh.length > 0) {
+    const dates = fresh.map(line => line.row.date.getTime());
+    deposits = await Deposit.find({
+      status: 'pending',
+      payment_method: 'bank_transfer',
+      currency: { $in: ['NGN', null] },
+      createdAt: {
+        $gte: new Date(Math.min(...dates) - (MATCH_WINDOW_DAYS + 1) * DAY_MS),
+        $lte: new Date(Math.max(...dates) + (MATCH_WINDOW_DAYS + 2) * DAY_MS)
+      }
+    }).populate('user', 'full_name email');
+  }
+
+  for (const { row, fingerprint: rowFingerprint } of fresh) {
+    const line = {
+      import: statementImport._id,
+      fingerprint: rowFingerprint,
+      row_number: row.rowNumber,
+      date: row.date,
+      narration: row.narration,
+      reference: row.reference,
+      amount: row.credit
+    };
+
+    const { exact, candidates } = matchCredit(row, deposits);
+
+    try {
+      if (exact) {
+        const approved = await approveMatchedLine({ line, depositId: exact._id, approvedBy: importedBy });
+        // Each deposit is matched once per import
+        deposits = deposits.filter(deposit => !deposit._id.equals(exact._id));
+
+        if (approved) {
+          summary.auto_approved += 1;
+          if (io) await notifyDepositApproved({ io, deposit: approved.deposit, newBalance: approved.newBalance });
+          continue;
+        }
+      }
+
+      const status = candidates.length > 0 ? 'review' : 'unmatched';
+      await BankStatementLine.create({
+        ...line,
+        status,
+        candidates: candidates.map(candidate => ({
+          deposit: candidate.deposit._id,
+          score: candidate.score,
+          matched_on: candidate.matched_on
+        }))
+      });
+      summary[status] += 1;
+    } catch (error) {
+      // The same row in another statement imported at the same time
+      if (error.code !== 11000) throw error;
+      summary.duplicates += 1;
+    }
+  }
+
+  statementImport.summary = summary;
+  await statementImport.save();
+
+  logger.info(`🏦 Bank statement ${statementImport._id}: ${summary.credits} credits, ${summary.auto_approved} approved, ${summary.review} for review, ${summary.unmatched} unmatched`);
+
+  if (io) {
+    io.to('admin-room').emit('bank-statement-imported', {
+      message: `Bank statement imported: ${summary.auto_approved} deposits approved, ${summary.review} need review`,
+      importId: statementImport._id,
+      ...summary
+    });
+  }
+
+  return statementImport;
+};
+
+exports.parseCsv = parseCsv;
+exports.parseStatement = parseStatement;
+exports.matchCredit = matchCredit;
+exports.MATCH_WINDOW_DAYS = MATCH_WINDOW_DAYS;
@@ -0,0 +1,145 @@
+jest.mock('../models/Deposit', () => ({}), { virtual: true });
+jest.mock('../models/BankStatementImport', () => ({}), { virtual: true });
+jest.mock('../models/BankStatementLine', () => ({}), { virtual: true });
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+jest.mock('./depositApproval', () => ({}));
+
+const { parseStatement, matchCredit, MATCH_WINDOW_DAYS } = require('./bankStatements');
+
+const utcDate = (iso) => new Date(`${iso}T00:00:00Z`);
+
+// Trimmed from real exports: account details above the header, a totals row
+// below. GTBank's export starts with a byte order mark
+const GTBANK = [
+  '\uFEFFGUARANTY TRUST BANK PLC',
+  'Account Name:,RAW WEALTHY LTD',
+  'Account Number:,0123456789',
+  '',
+  'Trans. Date,Value. Date,Reference,Debits,Credits,Balance,Originating Branch,Remarks',
+  '15-Jan-2024,15-Jan-2024,FT24015ABC,,"1,250,000.00","3,750,000.00",LAGOS,"TRF FROM ADA OBI REF DEP-7F3K9Q"',
+  '16-Jan-2024,16-Jan-2024,FT24016XYZ,"20,000.00",,"3,730,000.00",LAGOS,SMS ALERT CHARGES',
+  ',,,"20,000.00","1,250,000.00",,,TOTAL'
+].join('\r\n');
+
+const ACCESS = [
+  'Access Bank Statement',
+  'Period: 01/01/2024 - 31/01/2024',
+  'Posted Date,Value Date,Description,Debit,Credit,Balance',
+  '17/01/2024,17/01/2024,NIP TRANSFER CHIOMA OKAFOR DEP8H2MX1,,₦500000.00,4230000.00',
+  '18/01/2024,18/01/2024,POS PURCHASE,1500.50,-,4228499.50'
+].join('\n');
+
+const UBA = [
+  'UNITED BANK FOR AFRICA',
+  'Tran Date,Value Date,Narration,Chq. No,Debit,Credit,Balance',
+  '19-01-24,19-01-24,MOB TRF FROM EMEKA NWOSU,DEP-Q9W2E4,0.00,NGN 75000.50,4303500.00'
+].join('\n');
+
+describe('parseStatement', () => {
+  test('reads a GTBank statement below its account details', () => {
+    const { columns, rows } = parseStatement(GTBANK);
+
+    expect(columns).toMatchObject({ date: 'Trans. Date', narration: 'Remarks', reference: 'Reference', credit: 'Credits', debit: 'Debits' });
+    expect(rows).toEqual([
+      expect.objectContaining({
+        rowNumber: 6,
+        date: utcDate('2024-01-15'),
+        narration: 'TRF FROM ADA OBI REF DEP-7F3K9Q',
+        reference: 'FT24015ABC',
+        credit: 125000000,
+        debit: 0
+      }),
+      expect.objectContaining({ rowNumber: 7, date: utcDate('2024-01-16'), credit: 0, debit: 2000000 })
+    ]);
+  });
+
+  test('reads an Access statement with day-first dates and currency signs', () => {
+    const { columns, rows } = parseStatement(ACCESS);
+
+    expect(columns).toMatchObject({ date: 'Posted Date', narration: 'Description', credit: 'Credit' });
+    expect(rows).toEqual([
+      expect.objectContaining({ date: utcDate('2024-01-17'), credit: 50000000, debit: 0 }),
+      expect.objectContaining({ date: utcDate('2024-01-18'), credit: 0, debit: 150050 })
+    ]);
+  });
+
+  test('reads a UBA statement with two-digit years and cheque numbers as references', () => {
+    const { columns, rows } = parseStatement(UBA);
+
+    expect(columns).toMatchObject({ date: 'Tran Date', narration: 'Narration', reference: 'Chq. No', credit: 'Credit' });
+    expect(rows).toEqual([
+      expect.objectContaining({ date: utcDate('2024-01-19'), reference: 'DEP-Q9W2E4', credit: 7500050 })
+    ]);
+  });
+
+  test('refuses a file without a date and credit header', () => {
+    expect(() => parseStatement('Name,Amount\nAda,5000')).toThrow(expect.objectContaining({ code: 'INVALID_STATEMENT', statusCode: 400 }));
+  });
+
+  test('refuses a row with an unreadable amount', () => {
+    expect(() => parseStatement('Tran Date,Narration,Credit\n19-01-24,TRF,12abc'))
+      .toThrow('Row 2 has an amount that could not be read');
+  });
+});
+
+describe('matchCredit', () => {
+  const deposit = (reference, overrides = {}) => ({
+    _id: `deposit-${reference}`,
+    reference,
+    amount: 125000000,
+    createdAt: new Date('2024-01-14T18:30:00Z'),
+    user: { full_name: 'Ada Obi' },
+    ...overrides
+  });
+
+  const [gtbankCredit] = parseStatement(GTBANK).rows;
+  const [accessCredit] = parseStatement(ACCESS).rows;
+  const [ubaCredit] = parseStatement(UBA).rows;
+
+  test('approves a reference, amount and date match from the narration', () => {
+    const expected = deposit('DEP-7F3K9Q');
+    const { exact, candidates } = matchCredit(gtbankCredit, [deposit('DEP-AAAAAA'), expected]);
+
+    expect(exact).toBe(expected);
+    expect(candidates).toEqual([
+      expect.objectContaining({ deposit: expected, score: 100, matched_on: ['reference', 'amount', 'date', 'name'], exact: true }),
+      expect.objectContaining({ deposit: expect.objectContaining({ reference: 'DEP-AAAAAA' }), exact: false })
+    ]);
+  });
+
+  test('finds a reference written without its dash', () => {
+    const expected = deposit('DEP-8H2MX1', { amount: 50000000, createdAt: new Date('2024-01-17T09:00:00Z') });
+
+    expect(matchCredit(accessCredit, [expected]).exact).toBe(expected);
+  });
+
+  test('finds a reference in the reference column', () => {
+    const expected = deposit('DEP-Q9W2E4', { amount: 7500050, createdAt: new Date('2024-01-18T09:00:00Z') });
+
+    expect(matchCredit(ubaCredit, [expected]).exact).toBe(expected);
+  });
+
+  test('sends a reference with a different amount to review', () => {
+    const { exact, candidates } = matchCredit(gtbankCredit, [deposit('DEP-7F3K9Q', { amount: 120000000 })]);
+
+    expect(exact).toBeNull();
+    expect(candidates).toEqual([expect.objectContaining({ matched_on: ['reference', 'date', 'name'], exact: false })]);
+  });
+
+  test('sends an amount match without a reference to review, only inside the window', () => {
+    const near = deposit('DEP-OTHER1', { user: { full_name: 'Someone Else' } });
+    const far = deposit('DEP-OTHER2', { createdAt: new Date(Date.UTC(2024, 0, 15 - MATCH_WINDOW_DAYS - 2)) });
+
+    const { exact, candidates } = matchCredit(gtbankCredit, [near, far]);
+
+    expect(exact).toBeNull();
+    expect(candidates).toEqual([expect.objectContaining({ deposit: near, matched_on: ['amount', 'date'], exact: false })]);
+  });
+
+  test('does not guess between two deposits carrying the same reference', () => {
+    const { exact, candidates } = matchCredit(gtbankCredit, [deposit('DEP-7F3K9Q'), deposit('DEP-7F3K9Q')]);
+
+    expect(exact).toBeNull();
+    expect(candidates).toHaveLength(2);
+  });
+});
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Deposit = require('../models/Deposit');
+const Withdrawal = require('../models/Withdrawal');
+const Investment = require('../models/Investment');
+const BulkAction = require('../models/BulkAction');
+const adminActions = require('./adminActions');
+const logger = require('./logger');
+const { parseAmount } = require('./money');
+
+/**
+ * Bulk approve and reject over the admin queues. Items are processed one at
+ * a time, each in its own transaction through the same code as the
+ * single-item endpoints, so one bad item never rolls back the others. Every
+ * result is appended to a single BulkAction audit record as it happens and
+ * progress is pushed to the `admin-dashboard` room.
+ */
+
+const MAX_ITEMS = parseInt(process.env.BULK_ACTION_MAX_ITEMS, 10) || 500;
+
+const QUEUES = {
+  deposits: {
+    Model: Deposit,
+    filters: ['currency', 'payment_method', 'user'],
+    approve: (id, options) => adminActions.approveDeposit({ depositId: id, ...options }),
+    reject: (id, options) => adminActions.rejectDeposit({ depositId: id, ...options })
+  },
+  withdrawals: {
+    Model: Withdrawal,
+    filters: ['currency', 'payment_method', 'user'],
+    approve: (id, options) => adminActions.approveWithdrawal({ withdrawalId: id, ...options }),
+    reject: (id, options) => adminActions.rejectWithdrawal({ withdrawalId: id, ...options })
+  },
+  investments: {
+    Model: Investment,
+    filters: ['currency', 'plan', 'user'],
+    approve: (id, options) => adminActions.approveInvestment({ investmentId: id, ...options }),
+    reject: (id, options) => adminActions.rejectInvestment({ investmentId: id, ...options })
+  }
+};
+
+// Filters every queue accepts on top of its own
+const COMMON_FILTERS = ['created_after', 'created_before', 'min_amount', 'max_amount'];
+
+const bulkError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Pending-queue query for a filter; amounts are in major units like request bodies
+const buildQuery = (queue, filter) => {
+  const allowed = [...QUEUES[queue].filters, ...COMMON_FILTERS];
+  const unknown = Object.keys(filter).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw bulkError('INVALID_FILTER', `Unknown filter ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+  if (Object.keys(filter).length === 0) {
+    throw bulkError('INVALID_FILTER', 'A filter needs at least one condition');
+  }
+
+  const query = { status: 'pending' };
+  QUEUES[queue].filters.forEach((key) => {
+    if (filter[key] !== undefined) query[key] = filter[key];
+  });
+
+  if (filter.created_after || filter.created_before) {
+    query.createdAt = {};
+    if (filter.created_after) query.createdAt.$gte = new Date(filter.created_after);
+    if (filter.created_before) query.createdAt.$lte = new Date(filter.created_before);
+    if (Object.values(query.createdAt).some(date => Number.isNaN(date.getTime()))) {
+      throw bulkError('INVALID_FILTER', 'created_after and created_before must be dates');
+    }
+  }
+
+  if (filter.min_amount !== undefined || filter.max_amount !== undefined) {
+    query.amount = {};
+    for (const [key, operator] of [['min_amount', '$gte'], ['max_amount', '$lte']]) {
+      if (filter[key] === undefined) continue;
+      const amount = parseAmount(filter[key]);
+      if (amount === null) throw bulkError('INVALID_FILTER', `${key} must be a valid amount`);
+      query.amount[operator] = amount;
+    }
+  }
+
+  return query;
+};
+
+// Ids the action applies to, oldest first when selected by filter
+const resolveTargets = async (queue, { ids, filter }) => {
+  if (ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !mongoose.isValidObjectId(id))) {
+      throw bulkError('INVALID_SELECTION', 'ids must be a non-empty list of record ids');
+    }
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length > MAX_ITEMS) {
+      throw bulkError('TOO_MANY_ITEMS', `At most ${MAX_ITEMS} items can be processed at once`);
+    }
+    return unique;
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw bulkError('INVALID_SELECTION', 'Provide either ids or a filter');
+  }
+
+  const records = await QUEUES[queue].Model.find(buildQuery(queue, filter))
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(MAX_ITEMS + 1)
+    .lean();
+  if (records.length > MAX_ITEMS) {
+    throw bulkError('TOO_MANY_ITEMS', `The filter matches more than ${MAX_ITEMS} items; narrow it down`);
+  }
+  return records.map(record => record._id.toString());
+};
+
+const processItems = async ({ bulkAction, targets, handler, options, io }) => {
+  const counts = { total: targets.length, succeeded: 0, failed: 0 };
+
+  for (const [index, id] of targets.entries()) {
+    let result;
+    try {
+      await handler(id, options);
+      result = { item: id, status: 'succeeded' };
+      counts.succeeded += 1;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Bulk ${bulkAction.action} ${bulkAction.queue} item ${id} error:`, error);
+      }
+      result = {
+        item: id,
+        status: 'failed',
+        code: error.code || 'SERVER_ERROR',
+        message: error.statusCode ? error.message : 'Server error while processing item'
+      };
+      counts.failed += 1;
+    }
+
+    await BulkAction.updateOne(
+      { _id: bulkAction._id },
+      {
+        $push: { results: result },
+        $inc: { [`counts.${result.status}`]: 1 }
+      }
+    );
+
+    io.to('admin-dashboard').emit('bulk-action-progress', {
+      bulkActionId: bulkAction._id,
+      queue: bulkAction.queue,
+      action: bulkAction.action,
+      processed: index + 1,
+      ...counts,
+      result
+    });
+  }
+
+  return counts;
+};
+
+/**
+ * Validate a bulk action, record it and start processing in the background
+ * @param {Object} params - { queue, action, ids, filter, adminId, adminNotes, rejectionReason, io }
+ * @returns {Promise<Object>} The BulkAction, status `running`
+ */
+exports.startBulkAction = async ({ queue, action, ids, filter, adminId, adminNotes, rejectionReason, io }) => {
+  if (!QUEUES[queue]) {
+    throw bulkError('INVALID_QUEUE', `Queue must be one of ${Object.keys(QUEUES).join(', ')}`, 404);
+  }
+  if (!['approve', 'reject'].includes(action)) {
+    throw bulkError('INVALID_ACTION', 'Action must be approve or reject', 404);
+  }
+  if (action === 'reject' && (!rejectionReason || !rejectionReason.trim())) {
+    throw bulkError('REASON_REQUIRED', 'Please provide a rejection reason');
+  }
+
+  const targets = await resolveTargets(queue, { ids, filter });
+  if (targets.length === 0) {
+    throw bulkError('NOTHING_TO_PROCESS', 'No pending items match the selection');
+  }
+
+  const bulkAction = await BulkAction.create({
+    queue,
+    action,
+    performed_by: adminId,
+    selection: ids ? { ids: targets } : { filter },
+    admin_notes: adminNotes,
+    rejection_reason: rejectionReason,
+    counts: { total: targets.length }
+  });
+
+  const options = action === 'approve'
+    ? { adminId, adminNotes, io }
+    : { adminId, rejectionReason: rejectionReason.trim(), io };
+
+  processItems({ bulkAction, targets, handler: QUEUES[queue][action], options, io })
+    .then(async (counts) => {
+      await BulkAction.updateOne({ _id: bulkAction._id }, { status: 'completed', completed_at: new Date() });
+      logger.info(`📦 Bulk ${action} of ${queue} ${bulkAction._id}: ${counts.succeeded} succeeded, ${counts.failed} failed`);
+      io.to('admin-dashboard').emit('bulk-action-completed', {
+        message: `Bulk ${action} of ${queue} finished: ${counts.succeeded} succeeded, ${counts.failed} failed`,
+        bulkActionId: bulkAction._id,
+        queue,
+        action,
+        ...counts
+      });
+    })
+    .catch(async (error) => {
+      logger.error(`Bulk action ${bulkAction._id} failed:`, error);
+      await BulkAction.updateOne({ _id: bulkAction._id }, { status: 'failed', completed_at: new Date() })
+        .catch(updateError => logger.error('Bulk action status update failed:', updateError));
+      io.to('admin-dashboard').emit('bulk-action-failed', {
+        message: `Bulk ${action} of ${queue} stopped because of a server error`,
+        bulkActionId: bulkAction._id,
+        queue,
+        action
+      });
+    });
+
+  return bulkAction;
+};
+
+exports.BULK_ACTION_MAX_ITEMS = MAX_ITEMS;
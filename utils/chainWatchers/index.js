@@ -0,0 +1,33 @@
+/**
+ * Chain watchers.
+ *
+ * Every watcher exposes the same interface so deposit tracking never deals
+ * with a particular node or block explorer API:
+ *
+ *   name                                 - watcher key stored on each chain cursor
+ *   getBlockHeight(asset)                - current height of the asset's chain
+ *   getIncomingTransfers({ asset, addresses, fromBlock, toBlock })
+ *                                        - transfers of `asset` to any of `addresses`
+ *                                          mined in [fromBlock, toBlock]:
+ *                                          [{ txHash, outputIndex, address, amount, blockNumber }]
+ *                                          `amount` is integer minor units of the asset's wallet currency
+ *   getTransfer({ asset, txHash, outputIndex })
+ *                                        - the transfer if it is still on the chain, else null
+ *
+ * CHAIN_WATCHER selects the watcher.
+ */
+
+const watchers = {
+  simulated: require('./simulated')
+};
+
+/**
+ * The configured watcher, or null if it is unknown or disabled
+ */
+exports.getWatcher = (name = process.env.CHAIN_WATCHER || 'simulated') => {
+  const watcher = watchers[name];
+  if (!watcher || !watcher.isEnabled()) return null;
+  return watcher;
+};
+
+exports.watchers = watchers;
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory chain for development and tests. Nothing happens on it unless a
+ * test calls `send`, `mine` or `drop`. It is never enabled in production.
+ *
+ *   const chain = require('./utils/chainWatchers/simulated');
+ *   chain.send({ asset: 'USDT_TRC20', address, amount: 2500 }); // mined in the next block
+ *   chain.mine('USDT_TRC20', 19);                                 // 20 confirmations
+ */
+const chains = new Map();
+
+const chainFor = (asset) => {
+  if (!chains.has(asset)) {
+    chains.set(asset, { height: 0, transfers: [] });
+  }
+  return chains.get(asset);
+};
+
+module.exports = {
+  name: 'simulated',
+
+  isEnabled: () => process.env.NODE_ENV !== 'production',
+
+  getBlockHeight: async (asset) => chainFor(asset).height,
+
+  getIncomingTransfers: async ({ asset, addresses, fromBlock, toBlock }) => {
+    const watched = new Set(addresses);
+    return chainFor(asset).transfers.filter(transfer => watched.has(transfer.address)
+      && transfer.blockNumber >= fromBlock
+      && transfer.blockNumber <= toBlock);
+  },
+
+  getTransfer: async ({ asset, txHash, outputIndex }) => chainFor(asset).transfers
+    .find(transfer => transfer.txHash === txHash && transfer.outputIndex === outputIndex) || null,
+
+  /**
+   * Send `amount` (minor units) to `address`; it is mined in a new block
+   */
+  send: ({ asset, address, amount }) => {
+    const chain = chainFor(asset);
+    chain.height += 1;
+
+    const transfer = {
+      txHash: crypto.randomBytes(32).toString('hex'),
+      outputIndex: 0,
+      address,
+      amount,
+      blockNumber: chain.height
+    };
+    chain.transfers.push(transfer);
+    return transfer;
+  },
+
+  /**
+   * Add empty blocks on top of the chain
+   */
+  mine: (asset, blocks = 1) => {
+    const chain = chainFor(asset);
+    chain.height += blocks;
+    return chain.height;
+  },
+
+  /**
+   * Remove a transaction, as a reorganisation would
+   */
+  drop: (asset, txHash) => {
+    const chain = chainFor(asset);
+    chain.transfers = chain.transfers.filter(transfer => transfer.txHash !== txHash);
+  },
+
+  reset: () => chains.clear()
+};
@@ -0,0 +1,45 @@
+const cron = require('node-cron');
+const logger = require('./logger');
+const { runBalanceReconciliation } = require('./reconciliation');
+const { scanCryptoDeposits } = require('./cryptoDeposits');
+const { expireStalePendingRecords } = require('./pendingExpiry');
+
+const TIMEZONE = process.env.CRON_TIMEZONE || 'Africa/Lagos';
+
+/**
+ * Register scheduled jobs. Runs on a single worker only (see server.js).
+ * @param {Object} io - Socket.IO server for job notifications
+ */
+exports.startCronJobs = (io) => {
+  // Nightly balance reconciliation
+  cron.schedule(process.env.RECONCILIATION_CRON || '0 2 * * *', async () => {
+    try {
+      await runBalanceReconciliation({ io });
+    } catch (error) {
+      logger.error('Balance reconciliation job failed:', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Cancel deposits and investments left pending past their TTL
+  cron.schedule(process.env.PENDING_EXPIRY_CRON || '*/15 * * * *', async () => {
+    try {
+      await expireStalePendingRecords({ io });
+    } catch (error) {
+      logger.error('Pending expiry job failed:', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Crypto deposit detection and confirmations; a slow scan is not overlapped
+  let scanning = false;
+  cron.schedule(process.env.CRYPTO_SCAN_CRON || '* * * * *', async () => {
+    if (scanning) return;
+    scanning = true;
+    try {
+      await scanCryptoDeposits({ io });
+    } catch (error) {
+      logger.error('Crypto deposit scan failed:', error);
+    } finally {
+      scanning = false;
+    }
+  }, { timezone: TIMEZONE });
+};
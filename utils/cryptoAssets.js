@@ -0,0 +1,32 @@
+/**
+ * Crypto assets accepted for deposits and withdrawals. Each is credited to
+ * the wallet of `currency` once its transaction has `confirmations` blocks on
+ * top of it (including its own block). `address` is the shape of a valid
+ * address on the asset's network.
+ */
+const CRYPTO_ASSETS = {
+  USDT_TRC20: {
+    currency: 'USDT',
+    network: 'tron',
+    label: 'USDT (TRC-20)',
+    address: /^T[1-9A-HJ-NP-Za-km-z]{33}$/,
+    confirmations: parseInt(process.env.CONFIRMATIONS_USDT_TRC20, 10) || 20
+  },
+  USDT_ERC20: {
+    currency: 'USDT',
+    network: 'ethereum',
+    label: 'USDT (ERC-20)',
+    address: /^0x[0-9a-fA-F]{40}$/,
+    confirmations: parseInt(process.env.CONFIRMATIONS_USDT_ERC20, 10) || 12
+  }
+};
+
+const SUPPORTED_ASSETS = Object.keys(CRYPTO_ASSETS);
+
+const isSupportedAsset = (asset) => SUPPORTED_ASSETS.includes(asset);
+
+module.exports = {
+  CRYPTO_ASSETS,
+  SUPPORTED_ASSETS,
+  isSupportedAsset
+};
@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const CryptoAddress = require('../models/CryptoAddress');
+const ChainCursor = require('../models/ChainCursor');
+const Deposit = require('../models/Deposit');
+const Transaction = require('../models/Transaction');
+const logger = require('./logger');
+const { getWatcher } = require('./chainWatchers');
+const { approvePendingDeposit, notifyDepositApproved } = require('./depositApproval');
+const { CRYPTO_ASSETS, SUPPORTED_ASSETS } = require('./cryptoAssets');
+const { formatMoney } = require('./money');
+
+/**
+ * Crypto deposits. Users are given an address from the admin-loaded pool;
+ * each scan picks up new transfers to assigned addresses as `detected`
+ * deposits, moves them to `confirming` as blocks are added and approves
+ * them once the asset's confirmation threshold is reached.
+ */
+
+// Blocks scanned per asset per run, so a long outage is caught up gradually
+const MAX_BLOCKS_PER_SCAN = parseInt(process.env.CRYPTO_MAX_BLOCKS_PER_SCAN, 10) || 1000;
+
+const ACTIVE_STATUSES = ['detected', 'confirming'];
+
+/**
+ * The user's deposit address for `asset`, assigning one from the pool the
+ * first time
+ * @returns {Promise<Object|null>} The CryptoAddress, or null if the pool is empty
+ */
+exports.getOrAssignDepositAddress = async (userId, asset) => {
+  const existing = await CryptoAddress.findOne({ user: userId, asset, status: 'assigned' });
+  if (existing) return existing;
+
+  try {
+    return await CryptoAddress.findOneAndUpdate(
+      { asset, status: 'available' },
+      { status: 'assigned', user: userId, assigned_at: new Date() },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  } catch (error) {
+    // A concurrent request already assigned this user an address
+    if (error.code === 11000) {
+      return CryptoAddress.findOne({ user: userId, asset, status: 'assigned' });
+    }
+    throw error;
+  }
+};
+
+const emitProgress = (io, deposit, event, message) => {
+  if (!io) return;
+  io.to(`user-${deposit.user._id || deposit.user}`).emit(event, {
+    message,
+    depositId: deposit._id,
+    asset: deposit.crypto.asset,
+    amount: deposit.amount,
+    currency: deposit.currency,
+    transactionHash: deposit.transaction_hash,
+    confirmations: deposit.crypto.confirmations,
+    requiredConfirmations: deposit.crypto.required_confirmations
+  });
+};
+
+// Record a transfer to an assigned address as a detected deposit
+const recordDetectedDeposit = async ({ asset, transfer, owner, height }) => {
+  const config = CRYPTO_ASSETS[asset];
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [deposit] = await Deposit.create([{
+      user: owner,
+      currency: config.currency,
+      amount: transfer.amount,
+      payment_method: 'crypto',
+      transaction_hash: transfer.txHash,
+      reference: Deposit.generateReference(),
+      status: 'detected',
+      crypto: {
+        asset,
+        address: transfer.address,
+        output_index: transfer.outputIndex,
+        block_number: transfer.blockNumber,
+        confirmations: Math.max(height - transfer.blockNumber + 1, 0),
+        required_confirmations: config.confirmations,
+        detected_at: new Date()
+      }
+    }], { session });
+
+    await Transaction.create([{
+      user: owner,
+      type: 'deposit',
+      currency: deposit.currency,
+      amount: deposit.amount,
+      description: `Deposit via ${config.label}`,
+      status: 'pending',
+      metadata: {
+        deposit_id: deposit._id,
+        deposit_reference: deposit.reference,
+        payment_method: 'crypto',
+        asset,
+        transaction_hash: transfer.txHash
+      }
+    }], { session });
+
+    await session.commitTransaction();
+    return deposit;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Pick up transfers mined since the last scan
+const detectTransfers = async ({ watcher, asset, height, io }) => {
+  const cursor = await ChainCursor.findOne({ asset });
+  const fromBlock = cursor ? cursor.last_block + 1 : 0;
+  if (fromBlock > height) return 0;
+  const toBlock = Math.min(height, fromBlock + MAX_BLOCKS_PER_SCAN - 1);
+
+  const addresses = await CryptoAddress.find({ asset, status: 'assigned' }).select('address user').lean();
+  const owners = new Map(addresses.map(item => [item.address, item.user]));
+
+  let detected = 0;
+  if (owners.size > 0) {
+    const transfers = await watcher.getIncomingTransfers({
+      asset,
+      addresses: [...owners.keys()],
+      fromBlock,
+      toBlock
+    });
+
+    for (const transfer of transfers) {
+      if (!Number.isInteger(transfer.amount) || transfer.amount <= 0) continue;
+
+      try {
+        const deposit = await recordDetectedDeposit({
+          asset,
+          transfer,
+          owner: owners.get(transfer.address),
+          height
+        });
+        detected += 1;
+        emitProgress(io, deposit, 'crypto-deposit-detected',
+          `Deposit of ${formatMoney(deposit.amount, deposit.currency)} detected, waiting for confirmations`);
+      } catch (error) {
+        // Already recorded by an earlier scan
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  await ChainCursor.updateOne(
+    { asset },
+    { $set: { last_block: toBlock, watcher: watcher.name } },
+    { upsert: true }
+  );
+  return detected;
+};
+
+// Approve a deposit that reached its threshold, unless another scan got there first
+const approveConfirmedDeposit = async ({ depositId, confirmations, blockNumber, io }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const deposit = await Deposit.findOne({ _id: depositId, status: { $in: ACTIVE_STATUSES } })
+      .populate('user')
+      .session(session);
+    if (!deposit) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    deposit.crypto.confirmations = confirmations;
+    deposit.crypto.block_number = blockNumber;
+    const { newBalance } = await approvePendingDeposit(deposit, { source: 'chain' }, { session });
+
+    await session.commitTransaction();
+
+    if (io) await notifyDepositApproved({ io, deposit, newBalance });
+    return true;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Reject a deposit whose transaction is no longer on the chain
+const rejectDroppedDeposit = async ({ deposit, io }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const updated = await Deposit.findOneAndUpdate(
+      { _id: deposit._id, status: { $in: ACTIVE_STATUSES } },
+      { status: 'rejected', rejection_reason: 'Transaction is no longer on the chain' },
+      { new: true, session }
+    );
+    if (!updated) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.deposit_id': deposit._id },
+      { status: 'failed', description: `Deposit failed - ${CRYPTO_ASSETS[deposit.crypto.asset].label} transaction dropped` },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    logger.warn(`Crypto deposit ${deposit._id} dropped from the ${deposit.crypto.asset} chain (${deposit.transaction_hash})`);
+    emitProgress(io, updated, 'crypto-deposit-failed',
+      `Your deposit of ${formatMoney(updated.amount, updated.currency)} was dropped from the chain and has not been credited`);
+    return true;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Update confirmation counts on deposits still waiting
+const trackConfirmations = async ({ watcher, asset, height, io }) => {
+  const counts = { confirming: 0, approved: 0, dropped: 0 };
+  const deposits = await Deposit.find({ 'crypto.asset': asset, status: { $in: ACTIVE_STATUSES } });
+
+  for (const deposit of deposits) {
+    const transfer = await watcher.getTransfer({
+      asset,
+      txHash: deposit.transaction_hash,
+      outputIndex: deposit.crypto.output_index
+    });
+
+    if (!transfer) {
+      if (await rejectDroppedDeposit({ deposit, io })) counts.dropped += 1;
+      continue;
+    }
+
+    const confirmations = Math.max(height - transfer.blockNumber + 1, 0);
+    if (confirmations >= deposit.crypto.required_confirmations) {
+      if (await approveConfirmedDeposit({
+        depositId: deposit._id,
+        confirmations,
+        blockNumber: transfer.blockNumber,
+        io
+      })) counts.approved += 1;
+      continue;
+    }
+
+    counts.confirming += 1;
+    if (deposit.status === 'confirming' && deposit.crypto.confirmations === confirmations) continue;
+
+    const updated = await Deposit.findOneAndUpdate(
+      { _id: deposit._id, status: { $in: ACTIVE_STATUSES } },
+      {
+        status: 'confirming',
+        'crypto.confirmations': confirmations,
+        'crypto.block_number': transfer.blockNumber
+      },
+      { new: true }
+    );
+    if (updated) {
+      emitProgress(io, updated, 'crypto-deposit-confirming',
+        `Deposit of ${formatMoney(updated.amount, updated.currency)}: ${confirmations}/${updated.crypto.required_confirmations} confirmations`);
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Scan every asset's chain for new deposits and confirmation progress
+ * @param {Object} [options] - { io } Socket.IO server for progress events
+ * @returns {Promise<Object>} Per-asset counts, or null if no watcher is available
+ */
+exports.scanCryptoDeposits = async ({ io } = {}) => {
+  const watcher = getWatcher();
+  if (!watcher) return null;
+
+  const summary = {};
+  for (const asset of SUPPORTED_ASSETS) {
+    const height = await watcher.getBlockHeight(asset);
+    const detected = await detectTransfers({ watcher, asset, height, io });
+    const counts = await trackConfirmations({ watcher, asset, height, io });
+    summary[asset] = { height, detected, ...counts };
+  }
+
+  return summary;
+};
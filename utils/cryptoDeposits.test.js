@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+// Just enough of a collection for the queries cryptoDeposits makes
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+const matches = (doc, query) => Object.entries(query).every(([path, condition]) => {
+  const value = valueAt(doc, path);
+  if (condition && condition.$in) return condition.$in.includes(value);
+  return value === condition;
+});
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((target, key) => target[key], doc)[last] = value;
+};
+
+jest.mock('../models/Deposit', () => ({}), { virtual: true });
+jest.mock('../models/CryptoAddress', () => ({}), { virtual: true });
+jest.mock('../models/ChainCursor', () => ({}), { virtual: true });
+jest.mock('../models/Transaction', () => ({ create: jest.fn(), findOneAndUpdate: jest.fn() }), { virtual: true });
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+jest.mock('./emailService', () => ({ sendEmail: jest.fn() }), { virtual: true });
+jest.mock('./ledger', () => ({ recordDeposit: jest.fn(), getWalletBalance: jest.fn() }));
+
+const Deposit = require('../models/Deposit');
+const CryptoAddress = require('../models/CryptoAddress');
+const ChainCursor = require('../models/ChainCursor');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const chain = require('./chainWatchers/simulated');
+const { scanCryptoDeposits } = require('./cryptoDeposits');
+
+const ASSET = 'USDT_TRC20';
+const ADDRESS = 'TJRyWwFs9wTFGZg3JbrVriFbNfCug5tDeC';
+const USER_ID = 'user-1';
+
+let deposits;
+let cursors;
+
+const installStore = () => {
+  deposits = [];
+  cursors = new Map();
+
+  Object.assign(Deposit, {
+    generateReference: () => `DEP-${deposits.length + 1}`,
+    create: jest.fn(async ([data]) => {
+      const duplicate = deposits.some(existing => existing.transaction_hash === data.transaction_hash
+        && existing.crypto.output_index === data.crypto.output_index);
+      if (duplicate) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+      const deposit = {
+        ...data,
+        crypto: { ...data.crypto },
+        _id: `deposit-${deposits.length + 1}`,
+        save: jest.fn().mockResolvedValue()
+      };
+      deposits.push(deposit);
+      return [deposit];
+    }),
+    find: jest.fn(async (query) => deposits.filter(deposit => matches(deposit, query))),
+    findOne: jest.fn((query) => ({
+      populate: () => ({
+        session: async () => deposits.find(deposit => matches(deposit, query)) || null
+      })
+    })),
+    findOneAndUpdate: jest.fn(async (query, update) => {
+      const deposit = deposits.find(item => matches(item, query));
+      if (!deposit) return null;
+      Object.entries(update).forEach(([path, value]) => setPath(deposit, path, value));
+      return deposit;
+    })
+  });
+
+  Object.assign(CryptoAddress, {
+    find: jest.fn(() => ({
+      select: () => ({
+        lean: async () => [{ address: ADDRESS, user: USER_ID }]
+      })
+    }))
+  });
+
+  Object.assign(ChainCursor, {
+    findOne: jest.fn(async ({ asset }) => cursors.get(asset) || null),
+    updateOne: jest.fn(async ({ asset }, { $set }) => {
+      cursors.set(asset, { ...cursors.get(asset), asset, ...$set });
+    })
+  });
+};
+
+const mockIo = () => {
+  const emit = jest.fn();
+  return { io: { to: jest.fn(() => ({ emit })) }, emit };
+};
+
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn().mockResolvedValue(),
+  abortTransaction: jest.fn().mockResolvedValue(),
+  endSession: jest.fn()
+};
+
+describe('scanCryptoDeposits with the simulated watcher', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chain.reset();
+    installStore();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    Transaction.create.mockResolvedValue([{}]);
+    Transaction.findOneAndUpdate.mockResolvedValue({});
+    ledger.recordDeposit.mockResolvedValue({ _id: 'entry-1' });
+    ledger.getWalletBalance.mockResolvedValue(2500);
+  });
+
+  test('moves a transfer from detected through confirming to approved', async () => {
+    const { io, emit } = mockIo();
+    const transfer = chain.send({ asset: ASSET, address: ADDRESS, amount: 2500 });
+
+    let summary = await scanCryptoDeposits({ io });
+
+    expect(Deposit.create).toHaveBeenCalledWith([expect.objectContaining({
+      user: USER_ID,
+      currency: 'USDT',
+      amount: 2500,
+      transaction_hash: transfer.txHash,
+      status: 'detected'
+    })], { session });
+    expect(Transaction.create).toHaveBeenCalledWith([expect.objectContaining({
+      type: 'deposit',
+      status: 'pending',
+      amount: 2500
+    })], { session });
+    expect(emit).toHaveBeenCalledWith('crypto-deposit-detected', expect.objectContaining({ confirmations: 1 }));
+    expect(summary[ASSET]).toMatchObject({ detected: 1, confirming: 1, approved: 0 });
+    expect(deposits[0]).toMatchObject({ status: 'confirming', crypto: { confirmations: 1, required_confirmations: 20 } });
+
+    chain.mine(ASSET, 18);
+    summary = await scanCryptoDeposits({ io });
+
+    expect(summary[ASSET]).toMatchObject({ detected: 0, confirming: 1, approved: 0 });
+    expect(deposits[0].crypto.confirmations).toBe(19);
+    expect(emit).toHaveBeenCalledWith('crypto-deposit-confirming', expect.objectContaining({
+      confirmations: 19,
+      requiredConfirmations: 20
+    }));
+    expect(ledger.recordDeposit).not.toHaveBeenCalled();
+
+    chain.mine(ASSET, 1);
+    summary = await scanCryptoDeposits({ io });
+
+    expect(summary[ASSET]).toMatchObject({ detected: 0, confirming: 0, approved: 1 });
+    expect(deposits[0]).toMatchObject({ status: 'approved', approval_source: 'chain', crypto: { confirmations: 20 } });
+    expect(ledger.recordDeposit).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: USER_ID, amount: 2500, depositId: 'deposit-1', currency: 'USDT' }),
+      { session }
+    );
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { 'metadata.deposit_id': 'deposit-1' },
+      expect.objectContaining({ status: 'completed', 'metadata.approval_source': 'chain' }),
+      { session }
+    );
+    expect(emit).toHaveBeenCalledWith('deposit-approved', expect.objectContaining({ depositId: 'deposit-1' }));
+
+    // Nothing left to track
+    summary = await scanCryptoDeposits({ io });
+    expect(summary[ASSET]).toMatchObject({ detected: 0, confirming: 0, approved: 0 });
+    expect(ledger.recordDeposit).toHaveBeenCalledTimes(1);
+  });
+
+  test('resumes from the saved cursor instead of rescanning old blocks', async () => {
+    const getIncomingTransfers = jest.spyOn(chain, 'getIncomingTransfers');
+    chain.send({ asset: ASSET, address: ADDRESS, amount: 1000 });
+    chain.mine(ASSET, 4);
+    cursors.set(ASSET, { asset: ASSET, last_block: 5, watcher: 'simulated' });
+
+    const later = chain.send({ asset: ASSET, address: ADDRESS, amount: 3000 });
+    const summary = await scanCryptoDeposits();
+
+    expect(getIncomingTransfers).toHaveBeenCalledWith(expect.objectContaining({ asset: ASSET, fromBlock: 6, toBlock: 6 }));
+    expect(summary[ASSET].detected).toBe(1);
+    expect(deposits).toHaveLength(1);
+    expect(deposits[0].transaction_hash).toBe(later.txHash);
+    expect(cursors.get(ASSET)).toMatchObject({ last_block: 6, watcher: 'simulated' });
+
+    // No new blocks: the chain is not asked again
+    getIncomingTransfers.mockClear();
+    await scanCryptoDeposits();
+    expect(getIncomingTransfers).not.toHaveBeenCalledWith(expect.objectContaining({ asset: ASSET }));
+  });
+
+  test('records a transfer seen by two scans only once', async () => {
+    chain.send({ asset: ASSET, address: ADDRESS, amount: 2500 });
+    await scanCryptoDeposits();
+
+    // Lose the cursor, so the same block is scanned again
+    cursors.delete(ASSET);
+    const summary = await scanCryptoDeposits();
+
+    expect(Deposit.create).toHaveBeenCalledTimes(2);
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(summary[ASSET]).toMatchObject({ detected: 0, confirming: 1 });
+    expect(deposits).toHaveLength(1);
+  });
+
+  test('rejects a deposit whose transaction leaves the chain', async () => {
+    const { io, emit } = mockIo();
+    const transfer = chain.send({ asset: ASSET, address: ADDRESS, amount: 2500 });
+    await scanCryptoDeposits({ io });
+
+    chain.drop(ASSET, transfer.txHash);
+    const summary = await scanCryptoDeposits({ io });
+
+    expect(summary[ASSET]).toMatchObject({ dropped: 1, approved: 0 });
+    expect(deposits[0].status).toBe('rejected');
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { 'metadata.deposit_id': 'deposit-1' },
+      expect.objectContaining({ status: 'failed' }),
+      { session }
+    );
+    expect(emit).toHaveBeenCalledWith('crypto-deposit-failed', expect.objectContaining({ depositId: 'deposit-1' }));
+    expect(ledger.recordDeposit).not.toHaveBeenCalled();
+  });
+});
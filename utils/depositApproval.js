@@ -0,0 +1,87 @@
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const logger = require('./logger');
+const { sendEmail } = require('./emailService');
+const { formatMoney } = require('./money');
+
+/**
+ * Deposit approval shared by every path that can approve a deposit: an admin
+ * by hand, or a verified payment gateway event. Callers look up the deposit
+ * in their session and check it is still pending first.
+ */
+
+/**
+ * Mark a pending deposit approved, credit the wallet through the ledger and
+ * complete the transaction created with the deposit request
+ * @param {Object} deposit - Pending deposit document (user populated)
+ * @param {Object} approval - { approvedBy, adminNotes, source, gateway }
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} { deposit, entry, newBalance }
+ */
+exports.approvePendingDeposit = async (deposit, { approvedBy, adminNotes, source = 'admin', gateway } = {}, { session } = {}) => {
+  deposit.status = 'approved';
+  deposit.approved_by = approvedBy;
+  deposit.approved_at = new Date();
+  deposit.approval_source = source;
+  if (adminNotes !== undefined) deposit.admin_notes = adminNotes;
+  if (gateway) deposit.gateway = gateway;
+  await deposit.save({ session });
+
+  // Credit the user's wallet through the ledger
+  const userId = deposit.user._id || deposit.user;
+  const entry = await ledger.recordDeposit({
+    userId,
+    amount: deposit.amount,
+    depositId: deposit._id,
+    postedBy: approvedBy,
+    currency: deposit.currency
+  }, { session });
+  const newBalance = await ledger.getWalletBalance(userId, { session, currency: deposit.currency });
+
+  await Transaction.findOneAndUpdate(
+    { 'metadata.deposit_id': deposit._id },
+    {
+      status: 'completed',
+      description: `Deposit approved - ${deposit.payment_method}`,
+      'metadata.approved_by': approvedBy,
+      'metadata.approval_source': source,
+      'metadata.journal_entry_id': entry._id
+    },
+    { session }
+  );
+
+  return { deposit, entry, newBalance };
+};
+
+/**
+ * Tell the user their deposit was approved. Call after the session commits.
+ */
+exports.notifyDepositApproved = async ({ io, deposit, newBalance }) => {
+  const userId = deposit.user._id || deposit.user;
+
+  io.to(`user-${userId}`).emit('deposit-approved', {
+    message: `Your deposit of ${formatMoney(deposit.amount, deposit.currency)} has been approved`,
+    amount: deposit.amount,
+    currency: deposit.currency,
+    newBalance,
+    depositId: deposit._id
+  });
+
+  if (!deposit.user.email) return;
+
+  try {
+    await sendEmail({
+      email: deposit.user.email,
+      subject: 'Deposit Approved - Raw Wealthy',
+      template: 'deposit-approved',
+      data: {
+        name: deposit.user.full_name,
+        amount: deposit.amount,
+        newBalance,
+        timestamp: new Date().toLocaleString()
+      }
+    });
+  } catch (emailError) {
+    logger.error('Deposit approval email failed:', emailError);
+  }
+};
@@ -0,0 +1,65 @@
+const FxRate = require('../models/FxRate');
+
+/**
+ * Exchange rates between wallet currencies.
+ *
+ * Admins set a rate for a currency pair; each update is kept for audit and
+ * the latest one is live. A pair can be quoted in either direction, so a
+ * USD/NGN rate also serves NGN -> USD conversions through its inverse.
+ */
+
+const rateUnavailable = (from, to) => {
+  const error = new Error(`No exchange rate set for ${from}/${to}`);
+  error.code = 'FX_RATE_UNAVAILABLE';
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Live rate for converting `from` into `to`
+ * @returns {Promise<Object>} { rate, rateId, base, quote, updatedAt }
+ */
+exports.getRate = async (from, to, { session } = {}) => {
+  const [direct, inverse] = await Promise.all([
+    FxRate.findOne({ base: from, quote: to }).sort({ createdAt: -1 }).session(session || null),
+    FxRate.findOne({ base: to, quote: from }).sort({ createdAt: -1 }).session(session || null)
+  ]);
+
+  // Prefer whichever side an admin updated most recently
+  const latest = [direct, inverse]
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+  if (!latest) throw rateUnavailable(from, to);
+
+  return {
+    rate: latest.base === from ? latest.rate : 1 / latest.rate,
+    rateId: latest._id,
+    base: latest.base,
+    quote: latest.quote,
+    updatedAt: latest.createdAt
+  };
+};
+
+/**
+ * Convert minor units at `rate`. Rounds down so a conversion never credits
+ * more than the rate allows.
+ */
+exports.convertAmount = (amount, rate) => Math.floor(amount * rate + 1e-9);
+
+/**
+ * Latest rate for every pair that has one
+ */
+exports.getCurrentRates = () => FxRate.aggregate([
+  { $sort: { createdAt: -1 } },
+  {
+    $group: {
+      _id: { base: '$base', quote: '$quote' },
+      rate: { $first: '$rate' },
+      rate_id: { $first: '$_id' },
+      set_by: { $first: '$set_by' },
+      updated_at: { $first: '$createdAt' }
+    }
+  },
+  { $sort: { '_id.base': 1, '_id.quote': 1 } }
+]);
@@ -0,0 +1,20 @@
+const { percentOf } = require('./money');
+
+/**
+ * Investment return calculators. Amounts are integer kobo; every result is
+ * rounded to a whole kobo.
+ */
+
+/**
+ * Earnings credited per day for a principal at the plan's daily rate
+ * @param {number} amount - Principal in kobo
+ * @param {number} dailyInterest - Daily interest percentage
+ */
+exports.calculateDailyEarnings = (amount, dailyInterest) => percentOf(amount, dailyInterest);
+
+/**
+ * Total amount returned at maturity for a principal at the plan's total rate
+ * @param {number} amount - Principal in kobo
+ * @param {number} totalInterest - Total interest percentage
+ */
+exports.calculateTotalReturns = (amount, totalInterest) => percentOf(amount, totalInterest);
@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const logger = require('./logger');
+const { roundKobo, DEFAULT_CURRENCY } = require('./money');
+
+/**
+ * Double-entry ledger.
+ *
+ * Every balance change is posted as a balanced journal entry. User wallet
+ * lines are mirrored onto `User.balance` in the same session, so the cached
+ * balance and the ledger can only move together. All amounts are integer kobo.
+ *
+ * Accounts are kept per currency. NGN codes carry no suffix; other currencies
+ * append `@CUR` (e.g. `user_wallet:<id>@USD`) and mirror onto the user's
+ * `Wallet` document instead of `User.balance`. Each entry must balance within
+ * every currency it touches, so moving value across currencies always goes
+ * through the FX clearing account.
+ */
+
+// Account types and the side that increases them
+const ACCOUNT_TYPES = {
+  user_wallet: { normal_balance: 'credit', per_user: true },
+  investment_escrow: { normal_balance: 'credit', per_user: true },
+  withdrawal_hold: { normal_balance: 'credit', per_user: true },
+  platform_cash: { normal_balance: 'debit' },
+  platform_fees: { normal_balance: 'credit' },
+  referral_expense: { normal_balance: 'debit' },
+  investment_returns: { normal_balance: 'debit' },
+  opening_balances: { normal_balance: 'credit' },
+  // Platform FX position: positive where more of a currency was paid into wallets than taken out
+  fx_clearing: { normal_balance: 'debit' },
+  // Net value the platform has granted through manual adjustments
+  manual_adjustments: { normal_balance: 'debit' }
+};
+
+const withCurrency = (code, currency = DEFAULT_CURRENCY) => (
+  currency === DEFAULT_CURRENCY ? code : `${code}@${currency}`
+);
+
+const accounts = {
+  userWallet: (userId, currency) => withCurrency(`user_wallet:${userId}`, currency),
+  investmentEscrow: (userId, currency) => withCurrency(`investment_escrow:${userId}`, currency),
+  withdrawalHold: (userId, currency) => withCurrency(`withdrawal_hold:${userId}`, currency),
+  platformCash: (currency) => withCurrency('platform_cash', currency),
+  platformFees: (currency) => withCurrency('platform_fees', currency),
+  referralExpense: (currency) => withCurrency('referral_expense', currency),
+  investmentReturns: (currency) => withCurrency('investment_returns', currency),
+  openingBalances: (currency) => withCurrency('opening_balances', currency),
+  fxClearing: (currency) => withCurrency('fx_clearing', currency),
+  manualAdjustments: (currency) => withCurrency('manual_adjustments', currency)
+};
+
+const parseAccountCode = (code) => {
+  const [base, currency = DEFAULT_CURRENCY] = code.split('@');
+  const [type, userId] = base.split(':');
+  const definition = ACCOUNT_TYPES[type];
+  if (!definition) {
+    throw new Error(`Unknown ledger account: ${code}`);
+  }
+  return { type, userId, currency, ...definition };
+};
+
+const insufficientFunds = () => {
+  const error = new Error('Insufficient balance');
+  error.code = 'INSUFFICIENT_FUNDS';
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Run `work` inside the caller's session, or a fresh transaction if none given
+ */
+const withSession = async (session, work) => {
+  if (session) return work(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await work(ownSession);
+    });
+    return result;
+  } finally {
+    ownSession.endSession();
+  }
+};
+
+/**
+ * Create the ledger account for a user's wallet on first use, carrying over
+ * whatever balance the user already had as an opening balance entry.
+ */
+const openUserWallet = async (userId, session) => {
+  const code = accounts.userWallet(userId);
+  const existing = await LedgerAccount.findOne({ code }).session(session);
+  if (existing) return existing;
+
+  const user = await User.findById(userId).select('balance').session(session);
+  if (!user) {
+    throw new Error(`User ${userId} not found for ledger posting`);
+  }
+
+  const openingBalance = roundKobo(user.balance || 0);
+  const [account] = await LedgerAccount.create([{
+    code,
+    type: 'user_wallet',
+    user: userId,
+    normal_balance: 'credit',
+    balance: openingBalance
+  }], { session });
+
+  if (openingBalance !== 0) {
+    await JournalEntry.create([{
+      type: 'opening_balance',
+      description: 'Opening balance carried over from wallet',
+      user: userId,
+      lines: openingBalance > 0
+        ? [{ account: accounts.openingBalances(), debit: openingBalance }, { account: code, credit: openingBalance }]
+        : [{ account: code, debit: -openingBalance }, { account: accounts.openingBalances(), credit: -openingBalance }]
+    }], { session });
+
+    await LedgerAccount.findOneAndUpdate(
+      { code: accounts.openingBalances() },
+      {
+        $setOnInsert: { type: 'opening_balances', normal_balance: 'credit' },
+        $inc: { balance: -openingBalance }
+      },
+      { upsert: true, session }
+    );
+  }
+
+  return account;
+};
+
+const applyLine = async (line, session) => {
+  const account = parseAccountCode(line.account);
+  const delta = account.normal_balance === 'debit'
+    ? line.debit - line.credit
+    : line.credit - line.debit;
+
+  if (account.type === 'user_wallet' && account.currency === DEFAULT_CURRENCY) {
+    await openUserWallet(account.userId, session);
+
+    // Conditional update so concurrent debits can never overdraw the wallet
+    const filter = { _id: account.userId };
+    if (delta < 0) filter.balance = { $gte: -delta };
+
+    const result = await User.updateOne(filter, { $inc: { balance: delta } }, { session });
+    if (result.matchedCount === 0) {
+      throw insufficientFunds();
+    }
+  } else if (account.type === 'user_wallet') {
+    // Foreign-currency wallets start empty, so only credits may create one
+    const filter = { user: account.userId, currency: account.currency };
+    if (delta < 0) filter.balance = { $gte: -delta };
+
+    const result = await Wallet.updateOne(filter, { $inc: { balance: delta } }, { upsert: delta >= 0, session });
+    if (result.matchedCount === 0 && result.upsertedCount === 0) {
+      throw insufficientFunds();
+    }
+  }
+
+  await LedgerAccount.findOneAndUpdate(
+    { code: line.account },
+    {
+      $setOnInsert: {
+        type: account.type,
+        user: account.per_user ? account.userId : undefined,
+        normal_balance: account.normal_balance,
+        currency: account.currency
+      },
+      $inc: { balance: delta }
+    },
+    { upsert: true, session }
+  );
+};
+
+/**
+ * Post a balanced journal entry and apply it to every account it touches
+ * @param {Object} entry - { type, description, user, lines, posted_by, metadata }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} The saved journal entry
+ */
+const postEntry = async (entry, { session } = {}) => withSession(session, async (activeSession) => {
+  const lines = entry.lines
+    .map(line => ({
+      account: line.account,
+      currency: parseAccountCode(line.account).currency,
+      debit: line.debit || 0,
+      credit: line.credit || 0
+    }))
+    .filter(line => line.debit !== 0 || line.credit !== 0);
+
+  // Callers convert and round before posting; fractional kobo is a bug
+  const fractional = lines.find(line => !Number.isInteger(line.debit) || !Number.isInteger(line.credit));
+  if (fractional) {
+    throw new Error(`Ledger amounts must be integer kobo (account ${fractional.account})`);
+  }
+
+  const [journalEntry] = await JournalEntry.create([{ ...entry, lines }], { session: activeSession });
+
+  for (const line of lines) {
+    await applyLine(line, activeSession);
+  }
+
+  logger.info(`📒 Journal entry ${journalEntry._id} posted: ${entry.type}`);
+  return journalEntry;
+});
+
+// ==================== POSTING HELPERS ====================
+// `currency` defaults to NGN everywhere; every line of an entry uses it.
+
+exports.recordDeposit = ({ userId, amount, depositId, postedBy, currency }, options) => postEntry({
+  type: 'deposit',
+  description: 'Deposit credited to wallet',
+  user: userId,
+  posted_by: postedBy,
+  lines: [
+    { account: accounts.platformCash(currency), debit: amount },
+    { account: accounts.userWallet(userId, currency), credit: amount }
+  ],
+  metadata: { deposit_id: depositId }
+}, options);
+
+/**
+ * Move funds from the wallet into the user's hold account. Held funds are no
+ * longer spendable but still belong to the user until captured.
+ */
+exports.placeHold = ({ userId, amount, holdId, withdrawalId, currency }, options) => postEntry({
+  type: 'hold_placed',
+  description: 'Funds held for withdrawal',
+  user: userId,
+  lines: [
+    { account: accounts.userWallet(userId, currency), debit: amount },
+    { account: accounts.withdrawalHold(userId, currency), credit: amount }
+  ],
+  metadata: { hold_id: holdId, withdrawal_id: withdrawalId }
+}, options);
+
+exports.releaseHold = ({ userId, amount, holdId, withdrawalId, postedBy, currency }, options) => postEntry({
+  type: 'hold_released',
+  description: 'Held funds returned to wallet',
+  user: userId,
+  posted_by: postedBy,
+  lines: [
+    { account: accounts.withdrawalHold(userId, currency), debit: amount },
+    { account: accounts.userWallet(userId, currency), credit: amount }
+  ],
+  metadata: { hold_id: holdId, withdrawal_id: withdrawalId }
+}, options);
+
+exports.captureHold = ({ userId, amount, fee, holdId, withdrawalId, postedBy, currency }, options) => postEntry({
+  type: 'hold_captured',
+  description: 'Held funds paid out',
+  user: userId,
+  posted_by: postedBy,
+  lines: [
+    { account: accounts.withdrawalHold(userId, currency), debit: amount },
+    { account: accounts.platformCash(currency), credit: amount - fee },
+    { account: accounts.platformFees(currency), credit: fee }
+  ],
+  metadata: { hold_id: holdId, withdrawal_id: withdrawalId }
+}, options);
+
+exports.recordInvestment = ({ userId, amount, investmentId, currency }, options) => postEntry({
+  type: 'investment',
+  description: 'Funds moved into investment escrow',
+  user: userId,
+  lines: [
+    { account: accounts.userWallet(userId, currency), debit: amount },
+    { account: accounts.investmentEscrow(userId, currency), credit: amount }
+  ],
+  metadata: { investment_id: investmentId }
+}, options);
+
+exports.refundInvestment = ({ userId, amount, investmentId, postedBy, currency }, options) => postEntry({
+  type: 'investment_refund',
+  description: 'Investment principal returned to wallet',
+  user: userId,
+  posted_by: postedBy,
+  lines: [
+    { account: accounts.investmentEscrow(userId, currency), debit: amount },
+    { account: accounts.userWallet(userId, currency), credit: amount }
+  ],
+  metadata: { investment_id: investmentId }
+}, options);
+
+/**
+ * Release the principal from escrow and pay `payout` into the wallet. Any
+ * difference between the two is booked against investment returns.
+ */
+exports.payoutInvestment = ({ userId, principal, payout, investmentId, postedBy, currency }, options) => {
+  const returns = payout - principal;
+  return postEntry({
+    type: 'investment_payout',
+    description: 'Investment matured',
+    user: userId,
+    posted_by: postedBy,
+    lines: [
+      { account: accounts.investmentEscrow(userId, currency), debit: principal },
+      returns >= 0
+        ? { account: accounts.investmentReturns(currency), debit: returns }
+        : { account: accounts.investmentReturns(currency), credit: -returns },
+      { account: accounts.userWallet(userId, currency), credit: payout }
+    ],
+    metadata: { investment_id: investmentId }
+  }, options);
+};
+
+exports.recordReferralBonus = ({ userId, amount, referralUserId, postedBy, currency }, options) => postEntry({
+  type: 'referral_bonus',
+  description: 'Referral bonus credited',
+  user: userId,
+  posted_by: postedBy,
+  lines: [
+    { account: accounts.referralExpense(currency), debit: amount },
+    { account: accounts.userWallet(userId, currency), credit: amount }
+  ],
+  metadata: { referral_user_id: referralUserId }
+}, options);
+
+/**
+ * Post an approved manual adjustment. Credits are booked as a platform
+ * expense; debits recover value into the same account.
+ */
+exports.recordAdjustment = ({ userId, direction, amount, adjustmentId, postedBy, currency }, options) => postEntry({
+  type: 'adjustment',
+  description: `Manual ${direction} adjustment`,
+  user: userId,
+  posted_by: postedBy,
+  lines: direction === 'credit'
+    ? [
+      { account: accounts.manualAdjustments(currency), debit: amount },
+      { account: accounts.userWallet(userId, currency), credit: amount }
+    ]
+    : [
+      { account: accounts.userWallet(userId, currency), debit: amount },
+      { account: accounts.manualAdjustments(currency), credit: amount }
+    ],
+  metadata: { adjustment_id: adjustmentId }
+}, options);
+
+exports.recordTransfer = ({ senderId, recipientId, amount, reference, currency }, options) => postEntry({
+  type: 'transfer',
+  description: 'Wallet transfer between users',
+  user: senderId,
+  lines: [
+    { account: accounts.userWallet(senderId, currency), debit: amount },
+    { account: accounts.userWallet(recipientId, currency), credit: amount }
+  ],
+  metadata: { reference, recipient_id: recipientId }
+}, options);
+
+/**
+ * Exchange `amount` of one currency for `converted` of another. Each side
+ * balances against the FX clearing account in its own currency.
+ */
+exports.recordConversion = ({ userId, from, to, amount, converted, rate, rateId }, options) => postEntry({
+  type: 'conversion',
+  description: `Converted ${from} to ${to}`,
+  user: userId,
+  lines: [
+    { account: accounts.userWallet(userId, from), debit: amount },
+    { account: accounts.fxClearing(from), credit: amount },
+    { account: accounts.fxClearing(to), debit: converted },
+    { account: accounts.userWallet(userId, to), credit: converted }
+  ],
+  metadata: { from, to, rate, fx_rate_id: rateId }
+}, options);
+
+// ==================== QUERIES ====================
+
+/**
+ * Current wallet balance as mirrored on the user document (NGN) or the
+ * user's `Wallet` document (other currencies)
+ */
+exports.getWalletBalance = async (userId, { session, currency = DEFAULT_CURRENCY } = {}) => {
+  if (currency !== DEFAULT_CURRENCY) {
+    const wallet = await Wallet.findOne({ user: userId, currency }).select('balance').session(session || null);
+    return wallet ? wallet.balance : 0;
+  }
+
+  const user = await User.findById(userId).select('balance').session(session || null);
+  return user ? user.balance : 0;
+};
+
+/**
+ * Compare `User.balance` with the ledger's user wallet account
+ */
+exports.verifyUserBalance = async (userId) => {
+  const [user, account] = await Promise.all([
+    User.findById(userId).select('balance').lean(),
+    LedgerAccount.findOne({ code: accounts.userWallet(userId) }).lean()
+  ]);
+
+  const balance = user ? user.balance : 0;
+  // Users who never transacted since the ledger went live carry their balance as-is
+  const ledgerBalance = account ? account.balance : balance;
+  const difference = balance - ledgerBalance;
+
+  return {
+    balance,
+    ledgerBalance,
+    difference,
+    inSync: difference === 0
+  };
+};
+
+/**
+ * Totals per account type and currency. Within each currency, debit-normal
+ * and credit-normal totals must match.
+ */
+exports.getTrialBalance = async () => {
+  const byType = await LedgerAccount.aggregate([
+    {
+      $group: {
+        _id: { type: '$type', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } },
+        normal_balance: { $first: '$normal_balance' },
+        balance: { $sum: '$balance' },
+        accounts: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.currency': 1, '_id.type': 1 } }
+  ]);
+
+  const totals = byType.reduce((acc, row) => {
+    const currency = row._id.currency;
+    acc[currency] = acc[currency] || { debit: 0, credit: 0 };
+    acc[currency][row.normal_balance] += row.balance;
+    return acc;
+  }, {});
+
+  return {
+    accounts: byType,
+    totals,
+    balanced: Object.values(totals).every(total => total.debit === total.credit)
+  };
+};
+
+exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
+exports.accounts = accounts;
+exports.postEntry = postEntry;
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+jest.mock('../models/LedgerAccount', () => ({ findOne: jest.fn(), create: jest.fn(), findOneAndUpdate: jest.fn() }), { virtual: true });
+// The real schema, so the balance check in its pre('validate') hook runs
+jest.mock('../models/JournalEntry', () => jest.requireActual('../model/journalEntry'), { virtual: true });
+jest.mock('../models/User', () => ({ findById: jest.fn(), updateOne: jest.fn() }), { virtual: true });
+jest.mock('../models/Wallet', () => ({ updateOne: jest.fn() }), { virtual: true });
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const ledger = require('./ledger');
+
+const USER = new mongoose.Types.ObjectId().toString();
+const session = {};
+
+let balances;
+
+// updateOne honouring the `balance: { $gte }` guard the way MongoDB would
+const guardedUpdate = (balanceOf, setBalance) => async (filter, update, options = {}) => {
+  const current = balanceOf(filter);
+  const exists = current !== undefined;
+  const allowed = !filter.balance || (exists && current >= filter.balance.$gte);
+
+  if (exists && allowed) {
+    setBalance(filter, current + update.$inc.balance);
+    return { matchedCount: 1, upsertedCount: 0 };
+  }
+  if (!exists && options.upsert) {
+    setBalance(filter, update.$inc.balance);
+    return { matchedCount: 0, upsertedCount: 1 };
+  }
+  return { matchedCount: 0, upsertedCount: 0 };
+};
+
+describe('ledger postings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    balances = { NGN: 500000 };
+
+    // The wallet's ledger account already exists, so no opening balance is posted
+    LedgerAccount.findOne.mockReturnValue({ session: async () => ({ _id: 'account-1' }) });
+    LedgerAccount.findOneAndUpdate.mockResolvedValue({});
+    jest.spyOn(JournalEntry, 'create').mockImplementation(async (docs) => Promise.all(docs.map(async (doc) => {
+      const entry = new JournalEntry(doc);
+      await entry.validate();
+      return entry;
+    })));
+    User.updateOne.mockImplementation(guardedUpdate(() => balances.NGN, (filter, value) => { balances.NGN = value; }));
+    Wallet.updateOne.mockImplementation(guardedUpdate(
+      filter => balances[filter.currency],
+      (filter, value) => { balances[filter.currency] = value; }
+    ));
+  });
+
+  test('posts a balanced entry and mirrors it onto the wallet', async () => {
+    await ledger.recordDeposit({ userId: USER, amount: 250000, depositId: 'deposit-1' }, { session });
+
+    expect(JournalEntry.create).toHaveBeenCalled();
+    expect(balances.NGN).toBe(750000);
+    expect(LedgerAccount.findOneAndUpdate).toHaveBeenCalledWith(
+      { code: `user_wallet:${USER}` },
+      expect.objectContaining({ $inc: { balance: 250000 } }),
+      { upsert: true, session }
+    );
+  });
+
+  test('refuses an entry whose debits and credits differ', async () => {
+    await expect(ledger.postEntry({
+      type: 'deposit',
+      lines: [
+        { account: 'platform_cash', debit: 100000 },
+        { account: ledger.accounts.userWallet(USER), credit: 90000 }
+      ]
+    }, { session })).rejects.toThrow('Unbalanced journal entry (NGN): debits 100000 != credits 90000');
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(LedgerAccount.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses an entry that only balances across currencies', async () => {
+    await expect(ledger.postEntry({
+      type: 'deposit',
+      lines: [
+        { account: ledger.accounts.platformCash('USD'), debit: 100000 },
+        { account: ledger.accounts.userWallet(USER), credit: 100000 }
+      ]
+    }, { session })).rejects.toThrow('Unbalanced journal entry');
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses fractional kobo before writing anything', async () => {
+    await expect(ledger.postEntry({
+      type: 'deposit',
+      lines: [
+        { account: 'platform_cash', debit: 100000.5 },
+        { account: ledger.accounts.userWallet(USER), credit: 100000.5 }
+      ]
+    }, { session })).rejects.toThrow('Ledger amounts must be integer kobo (account platform_cash)');
+
+    expect(JournalEntry.create).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('a debit only applies while the wallet still covers it', async () => {
+    await ledger.placeHold({ userId: USER, amount: 300000, holdId: 'hold-1' }, { session });
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: USER, balance: { $gte: 300000 } },
+      { $inc: { balance: -300000 } },
+      { session }
+    );
+    expect(balances.NGN).toBe(200000);
+
+    // A second hold racing the first no longer matches the guarded filter
+    await expect(ledger.placeHold({ userId: USER, amount: 300000, holdId: 'hold-2' }, { session }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS', statusCode: 400 });
+    expect(balances.NGN).toBe(200000);
+  });
+
+  test('a foreign-currency wallet cannot be overdrawn or opened by a debit', async () => {
+    await expect(ledger.placeHold({ userId: USER, amount: 1000, holdId: 'hold-1', currency: 'USD' }, { session }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    expect(Wallet.updateOne).toHaveBeenCalledWith(
+      { user: USER, currency: 'USD', balance: { $gte: 1000 } },
+      { $inc: { balance: -1000 } },
+      { upsert: false, session }
+    );
+    expect(balances.USD).toBeUndefined();
+
+    await ledger.recordDeposit({ userId: USER, amount: 5000, depositId: 'deposit-1', currency: 'USD' }, { session });
+    await ledger.placeHold({ userId: USER, amount: 1000, holdId: 'hold-2', currency: 'USD' }, { session });
+
+    expect(balances.USD).toBe(4000);
+  });
+});
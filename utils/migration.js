@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Migrations run in this order and each runs at most once
+const migrations = [
+  require('./migrations/001-money-to-kobo'),
+  require('./migrations/002-default-currency'),
+  require('./migrations/003-legacy-file-references'),
+  require('./migrations/004-complete-legacy-approved-withdrawals')
+];
+
+const runMigrations = async () => {
+  const { db } = mongoose.connection;
+  const applied = db.collection('migrations');
+
+  for (const migration of migrations) {
+    const done = await applied.findOne({ name: migration.name });
+    if (done) {
+      console.log(`⏭️  ${migration.name} already applied on ${done.applied_at.toISOString()}`);
+      continue;
+    }
+
+    console.log(`🚚 Applying ${migration.name}...`);
+    // A migration may return a one-line summary of what it changed
+    const summary = await migration.up(db);
+    await applied.insertOne({ name: migration.name, applied_at: new Date() });
+    console.log(`✅ ${migration.name} applied${summary ? `: ${summary}` : ''}`);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config();
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/raw-wealthy';
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.log('📡 Connected to MongoDB for migrations');
+      return runMigrations();
+    })
+    .then(() => {
+      console.log('🎉 Migrations completed successfully!');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 Migrations failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigrations, migrations };
@@ -0,0 +1,88 @@
+/**
+ * Convert every stored naira amount to integer kobo.
+ * Fields that are missing or not numeric are left untouched.
+ *
+ * Each converted document is marked `amount_unit: 'minor'`, so a run that
+ * stopped halfway can be repeated without multiplying anything twice. Only
+ * documents created before MONEY_KOBO_CUTOVER (the time the kobo release
+ * went live; defaults to when this runs) are converted, so records already
+ * written in kobo by the new code are left alone.
+ */
+
+const MONEY_FIELDS = {
+  users: ['balance', 'total_earnings', 'referral_earnings', 'total_invested'],
+  deposits: ['amount'],
+  withdrawals: ['amount', 'fee', 'net_amount'],
+  investments: ['amount', 'daily_earnings', 'total_returns', 'total_earnings', 'target_amount', 'stop_loss'],
+  investmentplans: ['min_amount', 'max_amount', 'total_invested', 'requirements.min_balance'],
+  transactions: ['amount', 'metadata.fee', 'metadata.net_amount', 'metadata.investment_amount'],
+  ledgeraccounts: ['balance'],
+  balanceholds: ['amount'],
+  reconciliationrecords: [
+    'expected_balance',
+    'actual_balance',
+    'difference',
+    'breakdown.completed_credits',
+    'breakdown.completed_withdrawals',
+    'breakdown.pending_withdrawals',
+    'breakdown.invested_principal'
+  ]
+};
+
+const MARKER = { amount_unit: 'minor' };
+
+const unconverted = (cutover) => ({
+  amount_unit: { $exists: false },
+  createdAt: { $not: { $gte: cutover } }
+});
+
+const toKoboExpression = (value) => ({
+  $cond: [
+    { $isNumber: value },
+    { $round: [{ $multiply: [value, 100] }, 0] },
+    value
+  ]
+});
+
+module.exports = {
+  name: '001-money-to-kobo',
+
+  up: async (db) => {
+    const cutover = process.env.MONEY_KOBO_CUTOVER ? new Date(process.env.MONEY_KOBO_CUTOVER) : new Date();
+    if (Number.isNaN(cutover.getTime())) {
+      throw new Error(`MONEY_KOBO_CUTOVER is not a valid date: ${process.env.MONEY_KOBO_CUTOVER}`);
+    }
+    console.log(`   🕒 Converting documents created before ${cutover.toISOString()}`);
+
+    for (const [collection, fields] of Object.entries(MONEY_FIELDS)) {
+      const $set = fields.reduce((acc, field) => {
+        acc[field] = toKoboExpression(`$${field}`);
+        return acc;
+      }, { ...MARKER });
+
+      const result = await db.collection(collection).updateMany(unconverted(cutover), [{ $set }]);
+      console.log(`   💱 ${collection}: ${result.modifiedCount} documents converted`);
+    }
+
+    // Journal lines live in an array
+    const result = await db.collection('journalentries').updateMany(unconverted(cutover), [{
+      $set: {
+        ...MARKER,
+        lines: {
+          $map: {
+            input: '$lines',
+            as: 'line',
+            // Keep every other field on the line (currency, memo, ...)
+            in: {
+              $mergeObjects: ['$$line', {
+                debit: toKoboExpression('$$line.debit'),
+                credit: toKoboExpression('$$line.credit')
+              }]
+            }
+          }
+        }
+      }
+    }]);
+    console.log(`   💱 journalentries: ${result.modifiedCount} documents converted`);
+  }
+};
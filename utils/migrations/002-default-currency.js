@@ -0,0 +1,36 @@
+/**
+ * Tag every existing money record as NGN, the only currency before
+ * multi-currency wallets. Documents that already have a currency are skipped.
+ */
+
+const CURRENCY_COLLECTIONS = [
+  'deposits',
+  'withdrawals',
+  'investments',
+  'investmentplans',
+  'transactions',
+  'balanceholds',
+  'ledgeraccounts'
+];
+
+module.exports = {
+  name: '002-default-currency',
+
+  up: async (db) => {
+    for (const collection of CURRENCY_COLLECTIONS) {
+      const result = await db.collection(collection).updateMany(
+        { currency: { $exists: false } },
+        { $set: { currency: 'NGN' } }
+      );
+      console.log(`   🏷️  ${collection}: ${result.modifiedCount} documents tagged NGN`);
+    }
+
+    // Journal lines live in an array
+    const result = await db.collection('journalentries').updateMany(
+      { 'lines.currency': { $exists: false } },
+      { $set: { 'lines.$[line].currency': 'NGN' } },
+      { arrayFilters: [{ 'line.currency': { $exists: false } }] }
+    );
+    console.log(`   🏷️  journalentries: ${result.modifiedCount} documents tagged NGN`);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Move the client-supplied file URLs on KYC applications, support tickets and
+ * balance adjustments out of the fields that now hold StoredFile ids. The old
+ * values are kept under `legacy_*` so reviewers can still open them.
+ */
+
+const KYC_DOCUMENTS = ['id_front', 'id_back', 'selfie_with_id'];
+
+module.exports = {
+  name: '003-legacy-file-references',
+
+  up: async (db) => {
+    for (const field of KYC_DOCUMENTS) {
+      const result = await db.collection('kycs').updateMany(
+        { [field]: { $type: 'string' } },
+        { $rename: { [field]: `legacy_documents.${field}` } }
+      );
+      console.log(`   📎 kycs.${field}: ${result.modifiedCount} documents moved to legacy_documents`);
+    }
+
+    for (const collection of ['supporttickets', 'balanceadjustments']) {
+      const result = await db.collection(collection).updateMany(
+        { 'attachments.0': { $type: 'string' } },
+        { $rename: { attachments: 'legacy_attachments' } }
+      );
+      console.log(`   📎 ${collection}: ${result.modifiedCount} documents moved to legacy_attachments`);
+    }
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Approval used to be the last step of a withdrawal: the balance hold was
+ * captured and the transaction completed at that point. Withdrawals now stay
+ * `approved` only until the payout is sent, so move the ones approved under
+ * the old flow to `completed`, dated when they were approved.
+ *
+ * Withdrawals approved under the new flow still have an active balance hold
+ * and a pending transaction, and are left for the payout to settle.
+ */
+
+module.exports = {
+  name: '004-complete-legacy-approved-withdrawals',
+
+  up: async (db) => {
+    const legacy = await db.collection('withdrawals').aggregate([
+      { $match: { status: 'approved' } },
+      {
+        $lookup: {
+          from: 'balanceholds',
+          let: { withdrawalId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$withdrawal', '$$withdrawalId'] }, status: 'active' } },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'active_holds'
+        }
+      },
+      { $match: { active_holds: { $size: 0 } } },
+      { $project: { _id: 1 } }
+    ]).toArray();
+
+    if (legacy.length === 0) return 'no legacy approved withdrawals';
+
+    const result = await db.collection('withdrawals').updateMany(
+      { _id: { $in: legacy.map(withdrawal => withdrawal._id) }, status: 'approved' },
+      [{
+        $set: {
+          status: 'completed',
+          processed_at: { $ifNull: ['$approved_at', '$updatedAt'] },
+          completed_at: { $ifNull: ['$approved_at', '$updatedAt'] }
+        }
+      }]
+    );
+
+    return `${result.modifiedCount} legacy approved withdrawals marked completed`;
+  }
+};
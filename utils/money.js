@@ -0,0 +1,117 @@
+/**
+ * Money helpers.
+ *
+ * All amounts are stored and computed as integer kobo (₦1 = 100 kobo).
+ * Request bodies carry naira as typed by the user and are converted once at
+ * the controller boundary with `parseNaira`. Stored documents and API
+ * responses carry kobo; use `formatNaira` for anything shown to a person.
+ *
+ * USD and USDT wallets use the same two-decimal minor unit (cents), so the
+ * kobo helpers apply to them unchanged; `formatMoney` picks the symbol.
+ *
+ * Responses that mix request-style inputs with computed amounts, or that
+ * clients display directly (quotes, limits, balances), say so with
+ * `amount_unit: AMOUNT_UNIT`.
+ */
+
+const KOBO_PER_NAIRA = 100;
+const AMOUNT_UNIT = 'minor';
+
+// Supported wallet currencies. NGN is the primary wallet on `User.balance`.
+const CURRENCIES = {
+  NGN: { symbol: '₦', locale: 'en-NG', name: 'Nigerian Naira' },
+  USD: { symbol: '$', locale: 'en-US', name: 'US Dollar' },
+  USDT: { symbol: 'USDT ', locale: 'en-US', name: 'Tether USD' }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+const DEFAULT_CURRENCY = 'NGN';
+
+const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+/**
+ * Convert a naira amount from user input to kobo.
+ * @param {number|string} value - Naira, at most two decimal places
+ * @returns {number|null} Integer kobo, or null if the input is not a valid amount
+ */
+const parseNaira = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'number' && typeof value !== 'string') return null;
+  if (typeof value === 'string' && !/^\d+(\.\d{1,2})?$/.test(value.trim())) return null;
+
+  const naira = Number(value);
+  if (!Number.isFinite(naira) || naira < 0) return null;
+
+  const kobo = Math.round(naira * KOBO_PER_NAIRA);
+  // Reject sub-kobo precision rather than silently rounding it away
+  if (Math.abs(kobo - naira * KOBO_PER_NAIRA) > 1e-6) return null;
+
+  return kobo;
+};
+
+/**
+ * Convert naira to kobo for trusted values (config, seed data)
+ */
+const toKobo = (naira) => Math.round(Number(naira) * KOBO_PER_NAIRA);
+
+/**
+ * Convert kobo to naira as a plain number, for display maths only
+ */
+const fromKobo = (kobo) => kobo / KOBO_PER_NAIRA;
+
+/**
+ * Round any intermediate result to a whole kobo (half away from zero)
+ */
+const roundKobo = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+/**
+ * A percentage of a kobo amount, rounded to a whole kobo
+ * @param {number} kobo - Base amount in kobo
+ * @param {number} percent - e.g. 5 for 5%
+ */
+const percentOf = (kobo, percent) => roundKobo((kobo * percent) / 100);
+
+/**
+ * Human-readable amount in any supported currency, e.g. (1050, 'USD') -> "$10.50"
+ */
+const formatMoney = (minor, currency = DEFAULT_CURRENCY) => {
+  const { symbol, locale } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  const value = minor || 0;
+  const fractionDigits = value % KOBO_PER_NAIRA === 0 ? 0 : 2;
+  return `${symbol}${fromKobo(value).toLocaleString(locale, {
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: 2
+  })}`;
+};
+
+/**
+ * Human-readable naira string, e.g. 350000 -> "₦3,500", 350050 -> "₦3,500.50"
+ */
+const formatNaira = (kobo) => formatMoney(kobo, 'NGN');
+
+/**
+ * Mongoose validator for integer kobo fields
+ */
+const koboValidator = {
+  validator: (value) => value === null || value === undefined || Number.isInteger(value),
+  message: '{PATH} must be a whole number of kobo'
+};
+
+module.exports = {
+  KOBO_PER_NAIRA,
+  AMOUNT_UNIT,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  parseNaira,
+  // Same rules apply to any two-decimal currency
+  parseAmount: parseNaira,
+  toKobo,
+  fromKobo,
+  roundKobo,
+  percentOf,
+  formatMoney,
+  formatNaira,
+  koboValidator
+};
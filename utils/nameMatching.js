@@ -0,0 +1,84 @@
+/**
+ * Fuzzy comparison of a person's name with the name a bank has on record.
+ *
+ * Banks return names upper-cased, in any order, often with a middle name the
+ * user left out or initials in place of it. Names are split into words, and
+ * each word of the shorter name must find a partner in the longer one: the
+ * same word, a single-letter initial of it, or a close spelling (one or two
+ * edits depending on length). The score is the share of words partnered.
+ */
+
+const MATCH_THRESHOLD = (() => {
+  const threshold = parseFloat(process.env.ACCOUNT_NAME_MATCH_THRESHOLD);
+  return Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : 0.8;
+})();
+
+// Honorifics and titles that appear on some bank records but never in full_name
+const IGNORED_WORDS = new Set([
+  'MR', 'MRS', 'MS', 'MISS', 'DR', 'PROF', 'CHIEF', 'ENGR', 'ALHAJI', 'ALHAJA', 'PASTOR', 'BARR', 'SIR', 'HON'
+]);
+
+const words = (name) => String(name || '')
+  .toUpperCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !IGNORED_WORDS.has(word));
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const wordsMatch = (a, b) => {
+  if (a === b) return true;
+  if (a.length === 1 || b.length === 1) return a[0] === b[0];
+  const allowed = Math.min(a.length, b.length) >= 7 ? 2 : 1;
+  return Math.min(a.length, b.length) >= 4 && editDistance(a, b) <= allowed;
+};
+
+/**
+ * Compare two names
+ * @returns {Object} { score, matched } where score is 0..1
+ */
+exports.compareNames = (expected, actual) => {
+  const first = words(expected);
+  const second = words(actual);
+  if (first.length === 0 || second.length === 0) return { score: 0, matched: false };
+
+  const [shorter, longer] = first.length <= second.length ? [first, second] : [second, first];
+  const available = [...longer];
+  let partnered = 0;
+
+  // Whole words first, so an initial cannot take a word another word matches exactly
+  const sorted = [...shorter].sort((a, b) => b.length - a.length);
+  sorted.forEach((word) => {
+    let index = available.indexOf(word);
+    if (index === -1) index = available.findIndex(candidate => wordsMatch(word, candidate));
+    if (index !== -1) {
+      available.splice(index, 1);
+      partnered += 1;
+    }
+  });
+
+  // A one-word name only proves anything against another one-word name
+  const score = shorter.length === 1 && longer.length > 1
+    ? partnered / 2
+    : partnered / shorter.length;
+
+  return { score: Math.round(score * 100) / 100, matched: score >= MATCH_THRESHOLD };
+};
+
+exports.MATCH_THRESHOLD = MATCH_THRESHOLD;
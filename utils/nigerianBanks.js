@@ -0,0 +1,61 @@
+/**
+ * CBN/NIBSS institution codes for the banks users withdraw to. Withdrawal
+ * requests carry the bank name as typed by the user, so names are matched
+ * loosely against the common spellings below.
+ */
+const BANKS = [
+  { code: '044', name: 'Access Bank', aliases: ['access', 'access diamond', 'diamond bank'] },
+  { code: '023', name: 'Citibank Nigeria', aliases: ['citibank', 'citi'] },
+  { code: '050', name: 'Ecobank Nigeria', aliases: ['ecobank'] },
+  { code: '070', name: 'Fidelity Bank', aliases: ['fidelity'] },
+  { code: '011', name: 'First Bank of Nigeria', aliases: ['first bank', 'firstbank', 'fbn'] },
+  { code: '214', name: 'First City Monument Bank', aliases: ['fcmb', 'first city monument'] },
+  { code: '103', name: 'Globus Bank', aliases: ['globus'] },
+  { code: '058', name: 'Guaranty Trust Bank', aliases: ['gtbank', 'gtb', 'gt bank', 'guaranty trust', 'gtco'] },
+  { code: '030', name: 'Heritage Bank', aliases: ['heritage'] },
+  { code: '301', name: 'Jaiz Bank', aliases: ['jaiz'] },
+  { code: '082', name: 'Keystone Bank', aliases: ['keystone'] },
+  { code: '50211', name: 'Kuda Microfinance Bank', aliases: ['kuda'] },
+  { code: '50515', name: 'Moniepoint Microfinance Bank', aliases: ['moniepoint'] },
+  { code: '999992', name: 'OPay', aliases: ['opay', 'paycom'] },
+  { code: '999991', name: 'PalmPay', aliases: ['palmpay'] },
+  { code: '076', name: 'Polaris Bank', aliases: ['polaris', 'skye bank'] },
+  { code: '101', name: 'Providus Bank', aliases: ['providus'] },
+  { code: '221', name: 'Stanbic IBTC Bank', aliases: ['stanbic', 'stanbic ibtc', 'ibtc'] },
+  { code: '068', name: 'Standard Chartered Bank', aliases: ['standard chartered', 'stanchart'] },
+  { code: '232', name: 'Sterling Bank', aliases: ['sterling'] },
+  { code: '100', name: 'SunTrust Bank', aliases: ['suntrust'] },
+  { code: '102', name: 'Titan Trust Bank', aliases: ['titan trust', 'titan'] },
+  { code: '032', name: 'Union Bank of Nigeria', aliases: ['union bank', 'union'] },
+  { code: '033', name: 'United Bank for Africa', aliases: ['uba', 'united bank for africa'] },
+  { code: '215', name: 'Unity Bank', aliases: ['unity'] },
+  { code: '035', name: 'Wema Bank', aliases: ['wema', 'alat'] },
+  { code: '057', name: 'Zenith Bank', aliases: ['zenith'] }
+];
+
+// Lowercase name without punctuation, company suffixes or filler words
+const nameKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .replace(/\b(bank|plc|ltd|limited|nigeria|mfb|microfinance|of|for|the)\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Bank for a code or a user-typed name, or null if it is not recognised
+ * @param {string} value - e.g. '058', 'GTBank', 'Guaranty Trust Bank Plc'
+ * @returns {Object|null} { code, name }
+ */
+exports.findBank = (value) => {
+  const text = String(value || '').trim();
+  const key = nameKey(text);
+  if (!key) return null;
+
+  const keys = (bank) => [bank.name, ...bank.aliases].map(nameKey);
+  const match = BANKS.find(bank => bank.code === text)
+    || BANKS.find(bank => keys(bank).includes(key))
+    || BANKS.find(bank => keys(bank).some(alias => key.startsWith(`${alias} `)));
+  return match ? { code: match.code, name: match.name } : null;
+};
+
+exports.BANKS = BANKS;
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { verifyHmac } = require('./hmac');
+
+/**
+ * Local stand-in for a real gateway, for development and tests. It signs
+ * with HMAC-SHA256 under FAKE_GATEWAY_SECRET and is never enabled in
+ * production. There is no default secret: one checked into the repo would
+ * let anyone approve deposits on a staging deploy.
+ *
+ * Payload: { id, type, data: { reference, amount, currency } }
+ */
+const secret = () => process.env.FAKE_GATEWAY_SECRET;
+
+module.exports = {
+  name: 'fake',
+
+  isEnabled: () => process.env.NODE_ENV !== 'production',
+
+  assertConfigured: () => {
+    if (!secret()) {
+      throw new Error('FAKE_GATEWAY_SECRET must be set outside production, where the fake payment gateway is enabled');
+    }
+  },
+
+  verifySignature: (req) => verifyHmac({
+    rawBody: req.rawBody,
+    signature: req.headers['x-fake-signature'],
+    secret: secret(),
+    algorithm: 'sha256'
+  }),
+
+  parseEvent: (body) => {
+    const data = body.data || {};
+    return {
+      id: body.id,
+      type: body.type,
+      reference: data.reference,
+      amount: data.amount,
+      currency: data.currency,
+      chargeId: data.charge_id
+    };
+  },
+
+  /**
+   * Signature header value for a payload, for building test requests
+   */
+  sign: (payload) => crypto
+    .createHmac('sha256', secret())
+    .update(typeof payload === 'string' ? payload : JSON.stringify(payload))
+    .digest('hex')
+};
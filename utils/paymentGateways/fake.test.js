@@ -0,0 +1,75 @@
+const fake = require('./fake');
+const { getGateway, assertGatewaysConfigured } = require('./index');
+
+const request = (payload, signature) => ({
+  rawBody: Buffer.from(JSON.stringify(payload)),
+  headers: { 'x-fake-signature': signature }
+});
+
+describe('fake payment gateway', () => {
+  const payload = {
+    id: 'evt_1',
+    type: 'charge.success',
+    data: { reference: 'DEP-1', amount: 500000, currency: 'NGN', charge_id: 'ch_1' }
+  };
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.FAKE_GATEWAY_SECRET = 'test-gateway-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('accepts a payload signed with its secret', () => {
+    expect(fake.verifySignature(request(payload, fake.sign(payload)))).toBe(true);
+  });
+
+  test('rejects a tampered payload', () => {
+    const signature = fake.sign(payload);
+    const tampered = { ...payload, data: { ...payload.data, amount: 50000000 } };
+    expect(fake.verifySignature(request(tampered, signature))).toBe(false);
+  });
+
+  test('rejects a missing or malformed signature', () => {
+    expect(fake.verifySignature(request(payload, undefined))).toBe(false);
+    expect(fake.verifySignature(request(payload, 'abc'))).toBe(false);
+    expect(fake.verifySignature({ headers: { 'x-fake-signature': fake.sign(payload) } })).toBe(false);
+  });
+
+  test('normalises the event', () => {
+    expect(fake.parseEvent(payload)).toEqual({
+      id: 'evt_1',
+      type: 'charge.success',
+      reference: 'DEP-1',
+      amount: 500000,
+      currency: 'NGN',
+      chargeId: 'ch_1'
+    });
+  });
+
+  test('is never available in production', () => {
+    process.env.NODE_ENV = 'production';
+    expect(getGateway('fake')).toBeNull();
+
+    process.env.NODE_ENV = 'test';
+    expect(getGateway('fake')).toBe(fake);
+  });
+
+  test('refuses to start without its own secret, and cannot verify anything', () => {
+    process.env.NODE_ENV = 'development';
+    const signature = fake.sign(payload);
+    delete process.env.FAKE_GATEWAY_SECRET;
+
+    expect(() => assertGatewaysConfigured()).toThrow('FAKE_GATEWAY_SECRET must be set');
+    expect(fake.verifySignature(request(payload, signature))).toBe(false);
+  });
+
+  test('does not need a secret in production, where it is disabled', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.FAKE_GATEWAY_SECRET;
+
+    expect(() => assertGatewaysConfigured()).not.toThrow();
+  });
+});
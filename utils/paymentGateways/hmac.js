@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time check of a hex HMAC signature over the raw request body
+ */
+exports.verifyHmac = ({ rawBody, signature, secret, algorithm }) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac(algorithm, secret).update(rawBody).digest('hex');
+  const given = String(signature);
+
+  return given.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
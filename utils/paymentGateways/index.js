@@ -0,0 +1,39 @@
+/**
+ * Payment gateway adapters.
+ *
+ * Every adapter exposes the same interface so the webhook controller never
+ * deals with provider-specific payloads:
+ *
+ *   name                     - provider key used in the webhook URL
+ *   isEnabled()              - false where the adapter must not be used
+ *   assertConfigured()       - optional; throws if an enabled adapter is
+ *                              missing settings it cannot run safely without
+ *   verifySignature(req)     - true if `req.rawBody` was signed by the provider
+ *   parseEvent(body)         - normalised event:
+ *                              { id, type, reference, amount, currency, chargeId }
+ *                              `type` is 'charge.success' for a settled payment;
+ *                              `amount` is integer minor units
+ */
+
+const adapters = {
+  paystack: require('./paystack'),
+  fake: require('./fake')
+};
+
+/**
+ * Adapter for a provider, or null if it is unknown or disabled
+ */
+exports.getGateway = (name) => {
+  const adapter = adapters[name];
+  if (!adapter || !adapter.isEnabled()) return null;
+  return adapter;
+};
+
+/**
+ * Refuse to start while an enabled adapter is missing its configuration
+ */
+exports.assertGatewaysConfigured = () => Object.values(adapters)
+  .filter(adapter => adapter.isEnabled() && adapter.assertConfigured)
+  .forEach(adapter => adapter.assertConfigured());
+
+exports.adapters = adapters;
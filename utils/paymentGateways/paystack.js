@@ -0,0 +1,29 @@
+const { verifyHmac } = require('./hmac');
+
+// Paystack signs the raw body with HMAC-SHA512 using the secret key
+module.exports = {
+  name: 'paystack',
+
+  isEnabled: () => Boolean(process.env.PAYSTACK_SECRET_KEY),
+
+  verifySignature: (req) => verifyHmac({
+    rawBody: req.rawBody,
+    signature: req.headers['x-paystack-signature'],
+    secret: process.env.PAYSTACK_SECRET_KEY,
+    algorithm: 'sha512'
+  }),
+
+  parseEvent: (body) => {
+    const data = body.data || {};
+    return {
+      // Paystack has no event id; the transaction id is unique per charge
+      id: `${body.event}:${data.id}`,
+      type: body.event === 'charge.success' && data.status === 'success' ? 'charge.success' : body.event,
+      reference: data.reference,
+      // Already in kobo
+      amount: data.amount,
+      currency: data.currency,
+      chargeId: data.id !== undefined ? String(data.id) : undefined
+    };
+  }
+};
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const PayoutBatch = require('../models/PayoutBatch');
+const withdrawalPayouts = require('./withdrawalPayouts');
+const logger = require('./logger');
+const { findBank } = require('./nigerianBanks');
+const { parseCsv } = require('./bankStatements');
+const { formatMoney } = require('./money');
+
+/**
+ * Bank payout batches.
+ *
+ * Approved NGN bank transfer withdrawals are gathered into a batch and
+ * written out as a NIBSS bulk-transfer schedule for upload to the company
+ * bank portal. Creating the batch moves every withdrawal in it to
+ * `processing`, so nothing can be paid twice. The bank's results file is
+ * then imported to complete or fail each withdrawal by its payment reference.
+ */
+
+const PROVIDER = 'nibss_batch';
+const MAX_ITEMS = parseInt(process.env.PAYOUT_BATCH_MAX_ITEMS, 10) || 500;
+const NARRATION = (process.env.PAYOUT_BATCH_NARRATION || 'RAW WEALTHY WITHDRAWAL').slice(0, 30);
+
+// NIBSS bulk-transfer schedule columns, in order
+const FILE_COLUMNS = ['S/N', 'ACCOUNT NUMBER', 'BANK CODE', 'AMOUNT', 'BENEFICIARY NAME', 'NARRATION', 'PAYMENT REFERENCE'];
+
+const RESULT_COLUMN_ALIASES = {
+  reference: ['payment reference', 'reference', 'transaction reference', 'reference no', 'ref'],
+  code: ['response code', 'status code', 'resp code', 'code'],
+  status: ['status', 'transaction status', 'payment status'],
+  reason: ['response description', 'status description', 'reason', 'remarks', 'message']
+};
+
+const batchError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const generateReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PB${date}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+};
+
+// Bank portals reject punctuation in beneficiary names
+const cleanName = (value) => String(value || '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 35);
+
+const csvCell = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The name the bank returned for the account, which approval required to
+// match the user or an admin to accept; never the name the user typed
+const beneficiaryName = (withdrawal) => cleanName(withdrawal.account_resolution?.resolved_name);
+
+// Why a withdrawal cannot go in a batch, or null if it can
+const skipReason = (withdrawal, bank) => {
+  const details = withdrawal.bank_details || {};
+  if (!/^\d{10}$/.test(details.account_number || '')) return 'Account number is not a 10-digit NUBAN';
+  if (!bank) return `Bank not recognised: ${details.bank_name || 'none given'}`;
+  if (!beneficiaryName(withdrawal)) return 'The bank has not confirmed the account name; pay this one by hand';
+  return null;
+};
+
+/**
+ * Gather approved bank withdrawals into a batch and lock them into `processing`
+ * @param {Object} params - { withdrawalIds, createdBy, io } - all eligible withdrawals if no ids
+ * @returns {Promise<Object>} { batch, skipped: [{ withdrawal, reason }] }
+ */
+exports.createPayoutBatch = async ({ withdrawalIds, createdBy, io }) => {
+  const query = {
+    status: 'approved',
+    payment_method: 'bank_transfer',
+    currency: { $in: ['NGN', null] }
+  };
+
+  if (withdrawalIds !== undefined) {
+    if (!Array.isArray(withdrawalIds) || withdrawalIds.length === 0 || withdrawalIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw batchError('INVALID_SELECTION', 'withdrawal_ids must be a non-empty list of withdrawal ids');
+    }
+    if (withdrawalIds.length > MAX_ITEMS) {
+      throw batchError('TOO_MANY_ITEMS', `A batch can hold at most ${MAX_ITEMS} withdrawals`);
+    }
+    query._id = { $in: withdrawalIds };
+  }
+
+  const withdrawals = await Withdrawal.find(query)
+    .sort({ approved_at: 1 })
+    .limit(MAX_ITEMS)
+    .lean();
+
+  const skipped = [];
+  if (withdrawalIds !== undefined) {
+    const found = new Set(withdrawals.map(withdrawal => withdrawal._id.toString()));
+    [...new Set(withdrawalIds.map(String))]
+      .filter(id => !found.has(id))
+      .forEach(id => skipped.push({ withdrawal: id, reason: 'Not an approved NGN bank transfer withdrawal' }));
+  }
+
+  const reference = generateReference();
+  const items = [];
+  for (const withdrawal of withdrawals) {
+    const bank = findBank(withdrawal.bank_details?.bank_code || withdrawal.bank_details?.bank_name);
+    const reason = skipReason(withdrawal, bank);
+    if (reason) {
+      skipped.push({ withdrawal: withdrawal._id, reason });
+      continue;
+    }
+
+    items.push({
+      withdrawal: withdrawal._id,
+      reference: `${reference}-${String(items.length + 1).padStart(4, '0')}`,
+      account_number: withdrawal.bank_details.account_number,
+      account_name: beneficiaryName(withdrawal),
+      bank_code: bank.code,
+      bank_name: bank.name,
+      amount: withdrawal.net_amount,
+      user: withdrawal.user
+    });
+  }
+
+  if (items.length === 0) {
+    const error = batchError('NOTHING_TO_PAY', 'No approved bank withdrawals are ready for payout');
+    error.skipped = skipped;
+    throw error;
+  }
+
+  const session = await PayoutBatch.startSession();
+  session.startTransaction();
+
+  let batch;
+  try {
+    [batch] = await PayoutBatch.create([{
+      reference,
+      created_by: createdBy,
+      items: items.map(({ user, ...item }) => item),
+      totals: {
+        count: items.length,
+        amount: items.reduce((sum, item) => sum + item.amount, 0)
+      }
+    }], { session });
+
+    // Only approved withdrawals may move to processing; anything else changed under us
+    const now = new Date();
+    const result = await Withdrawal.bulkWrite(items.map(item => ({
+      updateOne: {
+        filter: { _id: item.withdrawal, status: 'approved' },
+        update: {
+          $set: {
+            status: 'processing',
+            processed_at: now,
+            'payout.provider': PROVIDER,
+            'payout.reference': item.reference
+          }
+        }
+      }
+    })), { session });
+
+    if (result.modifiedCount !== items.length) {
+      throw batchError('BATCH_CONFLICT', 'Some withdrawals changed while the batch was being created; please try again', 409);
+    }
+
+    await Transaction.updateMany(
+      { 'metadata.withdrawal_id': { $in: items.map(item => item.withdrawal) } },
+      {
+        description: `Withdrawal processing - bank transfer batch ${reference}`,
+        'metadata.processed_by': createdBy,
+        'metadata.payout_batch': reference
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  logger.info(`🏦 Payout batch ${reference}: ${items.length} withdrawals, ${formatMoney(batch.totals.amount)}`);
+
+  if (io) {
+    items.forEach((item) => {
+      io.to(`user-${item.user}`).emit('withdrawal-processing', {
+        message: `Your withdrawal of ${formatMoney(item.amount)} is on its way to ${item.bank_name}`,
+        withdrawalId: item.withdrawal,
+        netAmount: item.amount
+      });
+    });
+    io.to('admin-room').emit('payout-batch-created', {
+      message: `Payout batch ${reference} created with ${items.length} withdrawals`,
+      batchId: batch._id,
+      reference,
+      count: batch.totals.count,
+      amount: batch.totals.amount,
+      skipped: skipped.length
+    });
+  }
+
+  return { batch, skipped };
+};
+
+/**
+ * NIBSS bulk-transfer schedule for a batch. Amounts are naira with two
+ * decimals and no thousands separators.
+ * @returns {string} CSV text
+ */
+exports.buildPayoutFile = (batch) => {
+  const rows = batch.items.map((item, index) => [
+    index + 1,
+    item.account_number,
+    item.bank_code,
+    (item.amount / 100).toFixed(2),
+    item.account_name,
+    NARRATION,
+    item.reference
+  ]);
+
+  return [FILE_COLUMNS, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+const normaliseHeader = (value) => value.toLowerCase().replace(/[._/]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Column index for each results field, if this row is the header row
+const mapResultColumns = (cells) => {
+  const headers = cells.map(normaliseHeader);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(RESULT_COLUMN_ALIASES)) {
+    const index = aliases.map(alias => headers.indexOf(alias)).find(found => found !== -1);
+    if (index !== undefined) columns[field] = index;
+  }
+
+  const hasOutcome = columns.code !== undefined || columns.status !== undefined;
+  return columns.reference !== undefined && hasOutcome ? columns : null;
+};
+
+// 'completed', 'failed' or 'pending' for one results row
+const rowOutcome = ({ code, status }) => {
+  if (code) {
+    if (code === '00') return 'completed';
+    // 09: request in progress
+    return code === '09' ? 'pending' : 'failed';
+  }
+
+  const text = (status || '').toLowerCase();
+  if (/unsuccess|fail|reject|declin|revers|invalid|error/.test(text)) return 'failed';
+  if (/success|paid|complet|processed|approved/.test(text)) return 'completed';
+  return 'pending';
+};
+
+/**
+ * Import the bank's results file for a batch, completing or failing each
+ * withdrawal it reports on. Items already settled are left alone, so the
+ * same or an updated file can be imported again.
+ * @param {Object} params - { batchId, text, fileName, importedBy, io }
+ * @returns {Promise<Object>} { batch, summary }
+ */
+exports.importPayoutResults = async ({ batchId, text, fileName, importedBy, io }) => {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) throw batchError('NOT_FOUND', 'Payout batch not found', 404);
+
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex(cells => mapResultColumns(cells));
+  if (headerIndex === -1) {
+    throw batchError('INVALID_RESULTS', 'Could not find a payment reference and status or response code column');
+  }
+  const columns = mapResultColumns(rows[headerIndex]);
+  const cell = (cells, field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+
+  const itemsByReference = new Map(batch.items.map(item => [item.reference.toUpperCase(), item]));
+  const summary = { rows: 0, completed: 0, failed: 0, pending: 0, unmatched: 0, skipped: 0 };
+
+  for (const cells of rows.slice(headerIndex + 1)) {
+    const reference = cell(cells, 'reference').toUpperCase();
+    if (!reference) continue;
+    summary.rows += 1;
+
+    const item = itemsByReference.get(reference);
+    if (!item) {
+      summary.unmatched += 1;
+      continue;
+    }
+    if (item.status !== 'processing') {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const outcome = rowOutcome({ code: cell(cells, 'code'), status: cell(cells, 'status') });
+    if (outcome === 'pending') {
+      summary.pending += 1;
+      continue;
+    }
+
+    const reason = cell(cells, 'reason') || cell(cells, 'status') || `Bank response code ${cell(cells, 'code')}`;
+    try {
+      if (outcome === 'completed') {
+        await withdrawalPayouts.completeWithdrawal({
+          withdrawalId: item.withdrawal,
+          actionedBy: importedBy,
+          provider: PROVIDER,
+          reference: item.reference,
+          io
+        });
+      } else {
+        await withdrawalPayouts.failWithdrawal({
+          withdrawalId: item.withdrawal,
+          actionedBy: importedBy,
+          provider: PROVIDER,
+          reference: item.reference,
+          reason,
+          io
+        });
+        item.failure_reason = reason;
+      }
+      item.status = outcome;
+      item.settled_at = new Date();
+      summary[outcome] += 1;
+    } catch (error) {
+      if (error.code === 'INVALID_TRANSITION' || error.code === 'NOT_FOUND') {
+        // Settled by hand since the batch went out; keep the batch in step
+        const withdrawal = await Withdrawal.findById(item.withdrawal).select('status').lean();
+        if (withdrawal && ['completed', 'failed'].includes(withdrawal.status)) {
+          item.status = withdrawal.status;
+          item.settled_at = new Date();
+        }
+        summary.skipped += 1;
+      } else {
+        // Left in processing; importing the file again retries it
+        logger.error(`Payout batch ${batch.reference} item ${item.reference} error:`, error);
+        summary.pending += 1;
+      }
+    }
+  }
+
+  batch.result_imports.push({
+    file_name: fileName,
+    imported_by: importedBy,
+    imported_at: new Date(),
+    ...summary
+  });
+  if (batch.items.every(item => item.status !== 'processing')) {
+    batch.status = 'settled';
+    batch.settled_at = new Date();
+  }
+  await batch.save();
+
+  logger.info(`🏦 Payout batch ${batch.reference} results: ${summary.completed} completed, ${summary.failed} failed, ${summary.pending} pending`);
+
+  if (io) {
+    io.to('admin-room').emit('payout-batch-results-imported', {
+      message: `Payout batch ${batch.reference}: ${summary.completed} paid, ${summary.failed} failed`,
+      batchId: batch._id,
+      reference: batch.reference,
+      status: batch.status,
+      ...summary
+    });
+  }
+
+  return { batch, summary };
+};
+
+exports.PAYOUT_BATCH_MAX_ITEMS = MAX_ITEMS;
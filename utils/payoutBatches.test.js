@@ -0,0 +1,227 @@
+jest.mock('../models/Withdrawal', () => ({ findById: jest.fn(), find: jest.fn(), bulkWrite: jest.fn() }), { virtual: true });
+jest.mock('../models/Transaction', () => ({ updateMany: jest.fn() }), { virtual: true });
+jest.mock('../models/PayoutBatch', () => ({ findById: jest.fn(), create: jest.fn(), startSession: jest.fn() }), { virtual: true });
+jest.mock('../models/Deposit', () => ({}), { virtual: true });
+jest.mock('../models/BankStatementImport', () => ({}), { virtual: true });
+jest.mock('../models/BankStatementLine', () => ({}), { virtual: true });
+jest.mock('./logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }), { virtual: true });
+jest.mock('./depositApproval', () => ({}));
+jest.mock('./withdrawalPayouts', () => ({ completeWithdrawal: jest.fn(), failWithdrawal: jest.fn() }));
+
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const PayoutBatch = require('../models/PayoutBatch');
+const withdrawalPayouts = require('./withdrawalPayouts');
+const { createPayoutBatch, buildPayoutFile, importPayoutResults } = require('./payoutBatches');
+
+const item = (reference, overrides = {}) => ({
+  withdrawal: `withdrawal-${reference}`,
+  reference,
+  amount: 495000,
+  status: 'processing',
+  ...overrides
+});
+
+const mockBatch = (items) => ({
+  _id: 'batch-1',
+  reference: 'PB20261019AB12',
+  status: 'processing',
+  items,
+  result_imports: [],
+  save: jest.fn().mockResolvedValue()
+});
+
+const results = (...rows) => [
+  'Payment Reference,Response Code,Response Description',
+  ...rows.map(row => row.join(','))
+].join('\n');
+
+const transitionError = (code) => Object.assign(new Error('Withdrawal cannot move'), { code });
+
+const run = (batch, text) => {
+  PayoutBatch.findById.mockResolvedValue(batch);
+  return importPayoutResults({ batchId: batch._id, text, fileName: 'results.csv', importedBy: 'admin-1' });
+};
+
+describe('importPayoutResults', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    withdrawalPayouts.completeWithdrawal.mockResolvedValue({});
+    withdrawalPayouts.failWithdrawal.mockResolvedValue({});
+  });
+
+  test('settles paid and failed items and the batch once nothing is processing', async () => {
+    const batch = mockBatch([item('RWP1'), item('RWP2')]);
+
+    const { summary } = await run(batch, results(
+      ['RWP1', '00', 'Approved or completed successfully'],
+      ['rwp2', '07', 'Invalid account']
+    ));
+
+    expect(withdrawalPayouts.completeWithdrawal).toHaveBeenCalledWith(expect.objectContaining({
+      withdrawalId: 'withdrawal-RWP1',
+      actionedBy: 'admin-1',
+      provider: 'nibss_batch',
+      reference: 'RWP1'
+    }));
+    expect(withdrawalPayouts.failWithdrawal).toHaveBeenCalledWith(expect.objectContaining({
+      withdrawalId: 'withdrawal-RWP2',
+      reason: 'Invalid account'
+    }));
+    expect(batch.items[0]).toMatchObject({ status: 'completed', settled_at: expect.any(Date) });
+    expect(batch.items[1]).toMatchObject({ status: 'failed', failure_reason: 'Invalid account' });
+    expect(summary).toMatchObject({ rows: 2, completed: 1, failed: 1, pending: 0, unmatched: 0, skipped: 0 });
+    expect(batch.status).toBe('settled');
+    expect(batch.result_imports).toEqual([expect.objectContaining({ file_name: 'results.csv', completed: 1, failed: 1 })]);
+    expect(batch.save).toHaveBeenCalled();
+  });
+
+  test('leaves in-progress and unknown rows alone', async () => {
+    const batch = mockBatch([item('RWP1')]);
+
+    const { summary } = await run(batch, results(['RWP1', '09', 'Request in progress'], ['RWP9', '00', 'Done']));
+
+    expect(withdrawalPayouts.completeWithdrawal).not.toHaveBeenCalled();
+    expect(batch.items[0].status).toBe('processing');
+    expect(summary).toMatchObject({ rows: 2, pending: 1, unmatched: 1 });
+    expect(batch.status).toBe('processing');
+  });
+
+  test('keeps an item processing when settling it fails, so a re-import retries it', async () => {
+    const batch = mockBatch([item('RWP1'), item('RWP2')]);
+    withdrawalPayouts.completeWithdrawal
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue({});
+    const text = results(['RWP1', '00', 'Successful'], ['RWP2', '00', 'Successful']);
+
+    let { summary } = await run(batch, text);
+
+    expect(batch.items[0].status).toBe('processing');
+    expect(batch.items[1].status).toBe('completed');
+    expect(summary).toMatchObject({ completed: 1, pending: 1 });
+    expect(batch.status).toBe('processing');
+
+    ({ summary } = await run(batch, text));
+
+    expect(withdrawalPayouts.completeWithdrawal).toHaveBeenCalledTimes(3);
+    expect(withdrawalPayouts.completeWithdrawal).toHaveBeenLastCalledWith(expect.objectContaining({ reference: 'RWP1' }));
+    expect(batch.items[0].status).toBe('completed');
+    expect(summary).toMatchObject({ completed: 1, skipped: 1, pending: 0 });
+    expect(batch.status).toBe('settled');
+    expect(batch.result_imports).toHaveLength(2);
+  });
+
+  test('does not settle an item twice when the same file is imported again', async () => {
+    const batch = mockBatch([item('RWP1', { status: 'completed', settled_at: new Date() })]);
+
+    const { summary } = await run(batch, results(['RWP1', '00', 'Successful']));
+
+    expect(withdrawalPayouts.completeWithdrawal).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ rows: 1, skipped: 1, completed: 0 });
+  });
+
+  test('follows a withdrawal settled by hand since the batch went out', async () => {
+    const batch = mockBatch([item('RWP1'), item('RWP2')]);
+    withdrawalPayouts.completeWithdrawal.mockRejectedValue(transitionError('INVALID_TRANSITION'));
+    withdrawalPayouts.failWithdrawal.mockRejectedValue(transitionError('INVALID_TRANSITION'));
+    Withdrawal.findById.mockImplementation(id => ({
+      select: () => ({
+        lean: async () => ({ _id: id, status: id === 'withdrawal-RWP1' ? 'failed' : 'processing' })
+      })
+    }));
+
+    const { summary } = await run(batch, results(['RWP1', '00', 'Successful'], ['RWP2', '51', 'Insufficient funds']));
+
+    expect(batch.items[0].status).toBe('failed');
+    expect(batch.items[1].status).toBe('processing');
+    expect(summary).toMatchObject({ skipped: 2, completed: 0, failed: 0 });
+    expect(batch.status).toBe('processing');
+  });
+
+  test('reads a status column when the bank gives no response code', async () => {
+    const batch = mockBatch([item('RWP1'), item('RWP2')]);
+
+    const { summary } = await run(batch, [
+      'Reference,Status,Remarks',
+      'RWP1,Successful,',
+      'RWP2,Unsuccessful,Account closed'
+    ].join('\n'));
+
+    expect(summary).toMatchObject({ completed: 1, failed: 1 });
+    expect(withdrawalPayouts.failWithdrawal).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Account closed' }));
+  });
+
+  test('refuses a file without a reference and outcome column', async () => {
+    const batch = mockBatch([item('RWP1')]);
+
+    await expect(run(batch, 'Name,Amount\nAda,4950.00')).rejects.toMatchObject({ code: 'INVALID_RESULTS', statusCode: 400 });
+    expect(batch.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unknown batch', async () => {
+    PayoutBatch.findById.mockResolvedValue(null);
+
+    await expect(importPayoutResults({ batchId: 'missing', text: '' })).rejects.toMatchObject({ code: 'NOT_FOUND', statusCode: 404 });
+  });
+});
+
+describe('createPayoutBatch', () => {
+  const session = {
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn().mockResolvedValue(),
+    abortTransaction: jest.fn().mockResolvedValue(),
+    endSession: jest.fn()
+  };
+
+  const approved = (id, overrides = {}) => ({
+    _id: id,
+    user: 'user-1',
+    net_amount: 495000,
+    bank_details: { bank_code: '058', account_number: '0123456789', account_name: 'Ada Typed-Name' },
+    account_resolution: { status: 'matched', resolved_name: 'OBI ADA CHIOMA' },
+    ...overrides
+  });
+
+  const finds = (withdrawals) => {
+    Withdrawal.find.mockReturnValue({ sort: () => ({ limit: () => ({ lean: async () => withdrawals }) }) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PayoutBatch.startSession.mockResolvedValue(session);
+    PayoutBatch.create.mockImplementation(async ([batch]) => [{ _id: 'batch-1', ...batch }]);
+    Withdrawal.bulkWrite.mockImplementation(async operations => ({ modifiedCount: operations.length }));
+    Transaction.updateMany.mockResolvedValue({});
+  });
+
+  test('pays the name the bank returned, not the one the user typed', async () => {
+    finds([
+      approved('withdrawal-1'),
+      approved('withdrawal-2', {
+        account_resolution: {
+          status: 'mismatch',
+          resolved_name: 'Okafor & Sons Ltd.',
+          review: { decision: 'accepted' }
+        }
+      })
+    ]);
+
+    const { batch } = await createPayoutBatch({ createdBy: 'admin-1' });
+
+    expect(batch.items.map(item => item.account_name)).toEqual(['OBI ADA CHIOMA', 'OKAFOR SONS LTD']);
+    expect(buildPayoutFile(batch)).toContain(',OBI ADA CHIOMA,');
+    expect(buildPayoutFile(batch)).not.toContain('TYPED');
+  });
+
+  test('leaves out a withdrawal without a bank-confirmed name', async () => {
+    finds([
+      approved('withdrawal-1'),
+      approved('withdrawal-2', { account_resolution: { status: 'failed', review: { decision: 'accepted' } } })
+    ]);
+
+    const { batch, skipped } = await createPayoutBatch({ createdBy: 'admin-1' });
+
+    expect(batch.items.map(item => item.withdrawal)).toEqual(['withdrawal-1']);
+    expect(skipped).toEqual([{ withdrawal: 'withdrawal-2', reason: expect.stringContaining('not confirmed the account name') }]);
+  });
+});
@@ -0,0 +1,176 @@
+const PayoutDestination = require('../models/PayoutDestination');
+const { findBank } = require('./nigerianBanks');
+const { CRYPTO_ASSETS, SUPPORTED_ASSETS, isSupportedAsset } = require('./cryptoAssets');
+
+/**
+ * Saved payout destinations.
+ *
+ * Withdrawals can only go to a destination the user saved beforehand. Saving
+ * one needs step-up verification (see ./stepUp), and a confirmed destination
+ * stays unusable for a cooling-off period so a hijacked session cannot add an
+ * account and drain the wallet straight away.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const COOLING_OFF_HOURS = (() => {
+  const hours = parseFloat(process.env.PAYOUT_DESTINATION_COOLING_OFF_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : 24;
+})();
+
+// Wallet currencies each off-chain method can pay out; a crypto destination
+// pays out the currency of its asset
+const METHOD_CURRENCIES = {
+  bank_transfer: ['NGN'],
+  paypal: ['USD']
+};
+
+const destinationError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate and normalise destination details from a request body
+ * @returns {Object} Fields for a new PayoutDestination
+ */
+exports.buildDestination = (body) => {
+  const { payment_method, label } = body;
+
+  if (payment_method === 'bank_transfer') {
+    const accountNumber = String(body.account_number || '').trim();
+    const accountName = String(body.account_name || '').trim();
+    const bank = findBank(body.bank_code || body.bank_name);
+
+    if (!/^\d{10}$/.test(accountNumber)) {
+      throw destinationError('INVALID_DESTINATION', 'Account number must be a 10-digit NUBAN');
+    }
+    if (!bank) {
+      throw destinationError('INVALID_DESTINATION', 'Bank not recognised; please choose a bank from the list');
+    }
+    if (!accountName) {
+      throw destinationError('INVALID_DESTINATION', 'Please provide the account name');
+    }
+
+    return {
+      payment_method,
+      label,
+      bank_details: {
+        bank_name: bank.name,
+        bank_code: bank.code,
+        account_name: accountName,
+        account_number: accountNumber
+      },
+      fingerprint: `bank:${bank.code}:${accountNumber}`
+    };
+  }
+
+  if (payment_method === 'crypto') {
+    const { asset } = body;
+    const address = String(body.wallet_address || '').trim();
+
+    if (!isSupportedAsset(asset)) {
+      throw destinationError('INVALID_DESTINATION', `Asset must be one of ${SUPPORTED_ASSETS.join(', ')}`);
+    }
+    if (!CRYPTO_ASSETS[asset].address.test(address)) {
+      throw destinationError('INVALID_DESTINATION', `That is not a valid ${CRYPTO_ASSETS[asset].label} address`);
+    }
+
+    // Ethereum addresses are case-insensitive; Tron's base58 addresses are not
+    const key = CRYPTO_ASSETS[asset].network === 'ethereum' ? address.toLowerCase() : address;
+    return {
+      payment_method,
+      label,
+      asset,
+      wallet_address: address,
+      fingerprint: `crypto:${asset}:${key}`
+    };
+  }
+
+  if (payment_method === 'paypal') {
+    const email = String(body.paypal_email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw destinationError('INVALID_DESTINATION', 'Please provide a valid PayPal email address');
+    }
+
+    return {
+      payment_method,
+      label,
+      paypal_email: email,
+      fingerprint: `paypal:${email}`
+    };
+  }
+
+  throw destinationError('INVALID_DESTINATION', 'Payment method must be bank_transfer, crypto or paypal');
+};
+
+/**
+ * Confirm a destination and start its cooling-off period
+ * @param {Object} destination - PayoutDestination document
+ * @param {string} method - 'two_factor' or 'email'
+ */
+exports.activate = (destination, method) => {
+  const now = new Date();
+  destination.status = 'active';
+  destination.confirmation.method = method;
+  destination.confirmation.confirmed_at = now;
+  destination.usable_from = new Date(now.getTime() + COOLING_OFF_HOURS * HOUR_MS);
+  return destination;
+};
+
+/**
+ * Load a destination a user may withdraw to now
+ * @throws DESTINATION_NOT_FOUND (404) or DESTINATION_COOLING_OFF (403)
+ */
+exports.getUsableDestination = async ({ userId, destinationId }, { session } = {}) => {
+  const destination = await PayoutDestination.findOne({
+    _id: destinationId,
+    user: userId,
+    status: 'active'
+  }).session(session || null);
+
+  if (!destination) {
+    throw destinationError('DESTINATION_NOT_FOUND', 'Saved payout destination not found', 404);
+  }
+
+  if (destination.usable_from > new Date()) {
+    const error = destinationError(
+      'DESTINATION_COOLING_OFF',
+      `This destination was added recently and can receive withdrawals from ${destination.usable_from.toISOString()}`,
+      403
+    );
+    error.usableFrom = destination.usable_from;
+    throw error;
+  }
+
+  return destination;
+};
+
+/**
+ * Refuse a destination that cannot receive this withdrawal, e.g. a USDT
+ * withdrawal to a Nigerian bank account or to an address on an asset for
+ * another currency
+ * @param {Object} destination - A usable PayoutDestination
+ * @param {Object} params - { currency, paymentMethod }; `paymentMethod` is
+ *   optional and only checked when the client sent one
+ */
+exports.assertMatchesWithdrawal = (destination, { currency, paymentMethod }) => {
+  if (paymentMethod && paymentMethod !== destination.payment_method) {
+    throw destinationError(
+      'DESTINATION_MISMATCH',
+      `The chosen destination is a ${destination.payment_method} destination, not ${paymentMethod}`
+    );
+  }
+
+  const accepted = destination.payment_method === 'crypto'
+    ? [CRYPTO_ASSETS[destination.asset] && CRYPTO_ASSETS[destination.asset].currency]
+    : METHOD_CURRENCIES[destination.payment_method] || [];
+
+  if (!accepted.includes(currency)) {
+    const label = destination.payment_method === 'crypto' ? destination.asset : destination.payment_method;
+    throw destinationError('DESTINATION_MISMATCH', `A ${label} destination cannot receive a ${currency} withdrawal`);
+  }
+};
+
+exports.COOLING_OFF_HOURS = COOLING_OFF_HOURS;
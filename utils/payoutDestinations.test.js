@@ -0,0 +1,35 @@
+jest.mock('../models/PayoutDestination', () => ({}), { virtual: true });
+
+const { assertMatchesWithdrawal } = require('./payoutDestinations');
+
+const bank = { payment_method: 'bank_transfer', bank_details: { bank_code: '058', account_number: '0123456789' } };
+const trc20 = { payment_method: 'crypto', asset: 'USDT_TRC20', wallet_address: 'TXYZ' };
+const paypal = { payment_method: 'paypal', paypal_email: 'ada@example.com' };
+
+describe('assertMatchesWithdrawal', () => {
+  test.each([
+    ['bank account', bank, 'NGN'],
+    ['USDT_TRC20 address', trc20, 'USDT'],
+    ['PayPal account', paypal, 'USD']
+  ])('accepts a %s for %s', (_, destination, currency) => {
+    expect(() => assertMatchesWithdrawal(destination, { currency })).not.toThrow();
+    expect(() => assertMatchesWithdrawal(destination, { currency, paymentMethod: destination.payment_method }))
+      .not.toThrow();
+  });
+
+  test.each([
+    ['bank account', bank, 'USDT'],
+    ['bank account', bank, 'USD'],
+    ['USDT_TRC20 address', trc20, 'NGN'],
+    ['PayPal account', paypal, 'NGN'],
+    ['address for an unknown asset', { payment_method: 'crypto', asset: 'BTC' }, 'USDT']
+  ])('refuses a %s for %s', (_, destination, currency) => {
+    expect(() => assertMatchesWithdrawal(destination, { currency }))
+      .toThrow(expect.objectContaining({ code: 'DESTINATION_MISMATCH', statusCode: 400 }));
+  });
+
+  test('refuses a destination for a different payment method than requested', () => {
+    expect(() => assertMatchesWithdrawal(bank, { currency: 'NGN', paymentMethod: 'crypto' }))
+      .toThrow(expect.objectContaining({ code: 'DESTINATION_MISMATCH', statusCode: 400 }));
+  });
+});
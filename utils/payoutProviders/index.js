@@ -0,0 +1,38 @@
+/**
+ * Payout providers that send approved withdrawals and report back on them.
+ *
+ * Every provider exposes the same interface so the webhook controller never
+ * deals with provider-specific payloads:
+ *
+ *   name                     - provider key used in the webhook URL
+ *   isEnabled()              - false where the provider must not be used
+ *   assertConfigured()       - optional; throws if an enabled provider is
+ *                              missing settings it cannot run safely without
+ *   verifySignature(req)     - true if `req.rawBody` was signed by the provider
+ *   parseEvent(body)         - normalised status update:
+ *                              { id, status, withdrawalId, reference, reason }
+ *                              `status` is 'processing', 'completed' or 'failed';
+ *                              `withdrawalId` is the id we sent as the payout reference
+ */
+
+const providers = {
+  stub: require('./stub')
+};
+
+/**
+ * Provider by name, or null if it is unknown or disabled
+ */
+exports.getPayoutProvider = (name) => {
+  const provider = providers[name];
+  if (!provider || !provider.isEnabled()) return null;
+  return provider;
+};
+
+/**
+ * Refuse to start while an enabled provider is missing its configuration
+ */
+exports.assertPayoutProvidersConfigured = () => Object.values(providers)
+  .filter(provider => provider.isEnabled() && provider.assertConfigured)
+  .forEach(provider => provider.assertConfigured());
+
+exports.providers = providers;
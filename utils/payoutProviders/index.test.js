@@ -0,0 +1,42 @@
+const stub = require('./stub');
+const { assertPayoutProvidersConfigured } = require('./index');
+
+const request = (payload, signature) => ({
+  rawBody: Buffer.from(JSON.stringify(payload)),
+  headers: { 'x-stub-signature': signature }
+});
+
+describe('payout provider configuration', () => {
+  const originalEnv = { ...process.env };
+  const payload = { id: 'evt_1', event: 'payout.completed', data: { merchant_reference: 'withdrawal-1', payout_id: 'po_1' } };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('refuses to start outside production without the stub secret', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.STUB_PAYOUT_SECRET;
+
+    expect(() => assertPayoutProvidersConfigured()).toThrow('STUB_PAYOUT_SECRET must be set');
+  });
+
+  test('verifies status updates signed with the configured secret only', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.STUB_PAYOUT_SECRET = 'test-payout-secret';
+    const signature = stub.sign(payload);
+
+    expect(() => assertPayoutProvidersConfigured()).not.toThrow();
+    expect(stub.verifySignature(request(payload, signature))).toBe(true);
+
+    delete process.env.STUB_PAYOUT_SECRET;
+    expect(stub.verifySignature(request(payload, signature))).toBe(false);
+  });
+
+  test('does not need the stub secret in production, where the stub is disabled', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.STUB_PAYOUT_SECRET;
+
+    expect(() => assertPayoutProvidersConfigured()).not.toThrow();
+  });
+});
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { verifyHmac } = require('../paymentGateways/hmac');
+
+/**
+ * Local stand-in for a payout provider, for development and tests. Status
+ * updates are signed with HMAC-SHA256 under STUB_PAYOUT_SECRET and it is
+ * never enabled in production. The secret has no default, so nobody can mark
+ * a staging withdrawal paid with a value read from the repo.
+ *
+ * Payload: { id, event: 'payout.processing' | 'payout.completed' | 'payout.failed',
+ *   data: { merchant_reference, payout_id, reason } }
+ */
+const STATUSES = {
+  'payout.processing': 'processing',
+  'payout.completed': 'completed',
+  'payout.failed': 'failed'
+};
+
+const secret = () => process.env.STUB_PAYOUT_SECRET;
+
+module.exports = {
+  name: 'stub',
+
+  isEnabled: () => process.env.NODE_ENV !== 'production',
+
+  assertConfigured: () => {
+    if (!secret()) {
+      throw new Error('STUB_PAYOUT_SECRET must be set outside production, where the stub payout provider is enabled');
+    }
+  },
+
+  verifySignature: (req) => verifyHmac({
+    rawBody: req.rawBody,
+    signature: req.headers['x-stub-signature'],
+    secret: secret(),
+    algorithm: 'sha256'
+  }),
+
+  parseEvent: (body) => {
+    const data = body.data || {};
+    return {
+      id: body.id,
+      status: STATUSES[body.event] || null,
+      withdrawalId: data.merchant_reference,
+      reference: data.payout_id,
+      reason: data.reason
+    };
+  },
+
+  /**
+   * Signature header value for a payload, for building test requests
+   */
+  sign: (payload) => crypto
+    .createHmac('sha256', secret())
+    .update(typeof payload === 'string' ? payload : JSON.stringify(payload))
+    .digest('hex')
+};
@@ -0,0 +1,196 @@
+const Deposit = require('../models/Deposit');
+const Investment = require('../models/Investment');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const logger = require('./logger');
+const { formatMoney, DEFAULT_CURRENCY } = require('./money');
+
+/**
+ * Expiry of requests nobody acted on. Pending deposits are cancelled after a
+ * per-payment-method TTL and pending investments after their own TTL; an
+ * expired investment's escrowed principal goes back to the wallet.
+ *
+ * TTLs are hours: PENDING_DEPOSIT_TTL_HOURS is the default for deposits and
+ * PENDING_DEPOSIT_TTL_HOURS_<METHOD> overrides it per payment method.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hours = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const DEPOSIT_TTL_HOURS = (() => {
+  const fallback = hours(process.env.PENDING_DEPOSIT_TTL_HOURS, 72);
+  return {
+    bank_transfer: hours(process.env.PENDING_DEPOSIT_TTL_HOURS_BANK_TRANSFER, fallback),
+    crypto: hours(process.env.PENDING_DEPOSIT_TTL_HOURS_CRYPTO, fallback),
+    paypal: hours(process.env.PENDING_DEPOSIT_TTL_HOURS_PAYPAL, fallback),
+    card: hours(process.env.PENDING_DEPOSIT_TTL_HOURS_CARD, 24)
+  };
+})();
+
+const INVESTMENT_TTL_HOURS = hours(process.env.PENDING_INVESTMENT_TTL_HOURS, 72);
+
+const expireDeposit = async (depositId, { ttlHours, io }) => {
+  const session = await Deposit.startSession();
+  session.startTransaction();
+
+  try {
+    // Skip it if an admin or a webhook got to it first
+    const deposit = await Deposit.findOneAndUpdate(
+      { _id: depositId, status: 'pending' },
+      {
+        status: 'cancelled',
+        cancelled_at: new Date(),
+        cancellation_reason: 'expired'
+      },
+      { new: true, session }
+    );
+    if (!deposit) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.deposit_id': deposit._id },
+      {
+        status: 'failed',
+        description: `Deposit expired - not confirmed within ${ttlHours} hours`
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    if (io) {
+      io.to(`user-${deposit.user}`).emit('deposit-expired', {
+        message: `Your ${deposit.payment_method.replace('_', ' ')} deposit of ${formatMoney(deposit.amount, deposit.currency)} expired before it was confirmed`,
+        depositId: deposit._id,
+        amount: deposit.amount,
+        currency: deposit.currency,
+        paymentMethod: deposit.payment_method
+      });
+    }
+    return true;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const expireInvestment = async (investmentId, { io }) => {
+  const session = await Investment.startSession();
+  session.startTransaction();
+
+  try {
+    const investment = await Investment.findOneAndUpdate(
+      { _id: investmentId, status: 'pending' },
+      {
+        status: 'cancelled',
+        cancelled_at: new Date(),
+        cancellation_reason: 'expired'
+      },
+      { new: true, session }
+    ).populate('plan', 'name');
+    if (!investment) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    // Return the escrowed principal to the wallet
+    const currency = investment.currency || DEFAULT_CURRENCY;
+    await ledger.refundInvestment({
+      userId: investment.user,
+      amount: investment.amount,
+      investmentId: investment._id,
+      currency
+    }, { session });
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.investment_id': investment._id },
+      {
+        status: 'failed',
+        description: `Investment expired - not approved within ${INVESTMENT_TTL_HOURS} hours`
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    if (io) {
+      io.to(`user-${investment.user}`).emit('investment-expired', {
+        message: `Your investment in ${investment.plan ? investment.plan.name : 'a plan'} expired before it was approved. ${formatMoney(investment.amount, currency)} has been returned to your wallet.`,
+        investmentId: investment._id,
+        amount: investment.amount,
+        currency,
+        refundedAmount: investment.amount
+      });
+    }
+    return true;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Cancel pending deposits and investments older than their TTL
+ * @param {Object} [options] - { io } Socket.IO server for user notifications
+ * @returns {Promise<Object>} { deposits, investments } expired counts
+ */
+exports.expireStalePendingRecords = async ({ io } = {}) => {
+  const now = Date.now();
+  const summary = { deposits: 0, investments: 0, failed: 0 };
+
+  for (const [method, ttlHours] of Object.entries(DEPOSIT_TTL_HOURS)) {
+    const stale = await Deposit.find({
+      status: 'pending',
+      payment_method: method,
+      createdAt: { $lt: new Date(now - ttlHours * HOUR_MS) }
+    }).select('_id').lean();
+
+    for (const { _id } of stale) {
+      try {
+        if (await expireDeposit(_id, { ttlHours, io })) summary.deposits += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(`Expire deposit ${_id} error:`, error);
+      }
+    }
+  }
+
+  const staleInvestments = await Investment.find({
+    status: 'pending',
+    createdAt: { $lt: new Date(now - INVESTMENT_TTL_HOURS * HOUR_MS) }
+  }).select('_id').lean();
+
+  for (const { _id } of staleInvestments) {
+    try {
+      if (await expireInvestment(_id, { io })) summary.investments += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Expire investment ${_id} error:`, error);
+    }
+  }
+
+  if (summary.deposits + summary.investments > 0) {
+    logger.info(`⏳ Expired ${summary.deposits} pending deposits and ${summary.investments} pending investments`);
+    if (io) {
+      io.to('admin-dashboard').emit('pending-records-expired', {
+        message: `${summary.deposits} deposits and ${summary.investments} investments expired`,
+        ...summary
+      });
+    }
+  }
+
+  return summary;
+};
+
+exports.DEPOSIT_TTL_HOURS = DEPOSIT_TTL_HOURS;
+exports.INVESTMENT_TTL_HOURS = INVESTMENT_TTL_HOURS;
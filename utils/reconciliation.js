@@ -0,0 +1,113 @@
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Withdrawal = require('../models/Withdrawal');
+const Investment = require('../models/Investment');
+const ReconciliationRecord = require('../models/ReconciliationRecord');
+const logger = require('./logger');
+
+// `User.balance` is the NGN wallet; records without a currency predate multi-currency and are NGN
+const NGN_ONLY = { currency: { $in: ['NGN', null] } };
+
+const toMap = (rows) => new Map(rows.map(row => [row._id.toString(), row.amount]));
+
+/**
+ * Recompute each user's expected balance and record any mismatch with
+ * `User.balance` (the NGN wallet). Amounts are integer kobo, so any
+ * difference is real.
+ *
+ * expected = completed credits (deposits, earnings, bonuses, ...)
+ *          - completed withdrawals
+ *          - withdrawals not yet paid out (their funds are on hold)
+ *          - principal of investments that were funded and not refunded
+ *
+ * @param {Object} [options] - { io } Socket.IO server for admin notifications
+ * @returns {Promise<Object>} Run summary
+ */
+exports.runBalanceReconciliation = async ({ io } = {}) => {
+  const runId = uuidv4();
+  const startedAt = new Date();
+  logger.info(`🧮 Balance reconciliation ${runId} started`);
+
+  const [credits, completedWithdrawals, pendingWithdrawals, investedPrincipal] = await Promise.all([
+    // Investment debits come from the Investment collection below instead
+    Transaction.aggregate([
+      { $match: { status: 'completed', type: { $nin: ['investment', 'withdrawal'] }, ...NGN_ONLY } },
+      { $group: { _id: '$user', amount: { $sum: '$amount' } } }
+    ]),
+    Transaction.aggregate([
+      { $match: { status: 'completed', type: 'withdrawal', ...NGN_ONLY } },
+      { $group: { _id: '$user', amount: { $sum: { $abs: '$amount' } } } }
+    ]),
+    Withdrawal.aggregate([
+      { $match: { status: { $in: ['pending', 'awaiting_second_approval', 'approved', 'processing'] }, ...NGN_ONLY } },
+      { $group: { _id: '$user', amount: { $sum: '$amount' } } }
+    ]),
+    Investment.aggregate([
+      { $match: { status: { $in: ['pending', 'active', 'completed'] }, ...NGN_ONLY } },
+      { $group: { _id: '$user', amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const creditMap = toMap(credits);
+  const completedWithdrawalMap = toMap(completedWithdrawals);
+  const pendingWithdrawalMap = toMap(pendingWithdrawals);
+  const principalMap = toMap(investedPrincipal);
+
+  const discrepancies = [];
+  let usersChecked = 0;
+
+  const cursor = User.find().select('_id full_name email balance').lean().cursor();
+  for await (const user of cursor) {
+    usersChecked += 1;
+    const id = user._id.toString();
+
+    const breakdown = {
+      completed_credits: creditMap.get(id) || 0,
+      completed_withdrawals: completedWithdrawalMap.get(id) || 0,
+      pending_withdrawals: pendingWithdrawalMap.get(id) || 0,
+      invested_principal: principalMap.get(id) || 0
+    };
+
+    const expected = breakdown.completed_credits
+      - breakdown.completed_withdrawals
+      - breakdown.pending_withdrawals
+      - breakdown.invested_principal;
+    const actual = user.balance || 0;
+    const difference = actual - expected;
+
+    if (difference !== 0) {
+      discrepancies.push({
+        run_id: runId,
+        user: user._id,
+        expected_balance: expected,
+        actual_balance: actual,
+        difference,
+        breakdown
+      });
+    }
+  }
+
+  if (discrepancies.length > 0) {
+    await ReconciliationRecord.insertMany(discrepancies);
+  }
+
+  const summary = {
+    runId,
+    startedAt,
+    completedAt: new Date(),
+    usersChecked,
+    discrepancies: discrepancies.length,
+    netDifference: discrepancies.reduce((sum, d) => sum + d.difference, 0)
+  };
+
+  if (io && discrepancies.length > 0) {
+    io.to('admin-notifications').emit('reconciliation-discrepancies', {
+      message: `Balance reconciliation found ${discrepancies.length} discrepanc${discrepancies.length === 1 ? 'y' : 'ies'}`,
+      ...summary
+    });
+  }
+
+  logger.info(`🧮 Balance reconciliation ${runId} finished: ${usersChecked} users, ${discrepancies.length} discrepancies`);
+  return summary;
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Transaction = require('../models/Transaction');
+const { DEFAULT_CURRENCY, fromKobo } = require('./money');
+
+/**
+ * Account statements.
+ *
+ * A statement lists every completed transaction in one wallet currency for a
+ * period, with a running balance from the opening balance (all completed
+ * activity before the period) to the closing balance. Funds on hold for a
+ * pending withdrawal appear once the withdrawal completes.
+ */
+
+const TYPE_LABELS = {
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  investment: 'Investment',
+  investment_earnings: 'Investment earnings',
+  referral_bonus: 'Referral bonus',
+  transfer_in: 'Transfer received',
+  transfer_out: 'Transfer sent',
+  conversion: 'Currency conversion',
+  adjustment: 'Balance adjustment'
+};
+
+const currencyMatch = (currency) => (
+  currency === DEFAULT_CURRENCY ? { $in: [DEFAULT_CURRENCY, null] } : currency
+);
+
+/**
+ * Collect the statement lines and balances for a user
+ * @returns {Promise<Object>} { opening, closing, credits, debits, lines, checksum }
+ */
+exports.buildStatement = async ({ userId, currency = DEFAULT_CURRENCY, from, to }) => {
+  const base = {
+    user: new mongoose.Types.ObjectId(userId),
+    status: 'completed',
+    currency: currencyMatch(currency)
+  };
+
+  const [before] = await Transaction.aggregate([
+    { $match: { ...base, createdAt: { $lt: from } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  const transactions = await Transaction.find({ ...base, createdAt: { $gte: from, $lte: to } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const opening = before?.amount || 0;
+  let balance = opening;
+  let credits = 0;
+  let debits = 0;
+
+  const lines = transactions.map((transaction) => {
+    balance += transaction.amount;
+    if (transaction.amount >= 0) credits += transaction.amount;
+    else debits += -transaction.amount;
+
+    return {
+      date: transaction.createdAt,
+      reference: transaction._id.toString(),
+      type: TYPE_LABELS[transaction.type] || transaction.type,
+      description: transaction.description || '',
+      credit: transaction.amount >= 0 ? transaction.amount : 0,
+      debit: transaction.amount < 0 ? -transaction.amount : 0,
+      balance
+    };
+  });
+
+  const checksum = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      opening,
+      closing: balance,
+      lines: lines.map(line => [line.reference, line.credit, line.debit, line.balance])
+    }))
+    .digest('hex');
+
+  return { opening, closing: balance, credits, debits, lines, checksum };
+};
+
+/**
+ * Human-friendly code printed on a statement, e.g. RW-3F9A-0C1D-77B2
+ */
+exports.generateVerificationCode = () => {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `RW-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+};
+
+exports.verificationUrl = (code) => (
+  `${process.env.API_URL || 'https://api.rawwealthy.com'}/api/wallet/statements/verify/${code}`
+);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const toMajor = (minor) => fromKobo(minor).toFixed(2);
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Statement as CSV. Amounts are in major units with two decimals.
+ * @param {Object} statement - Result of buildStatement
+ * @param {Object} meta - { user, currency, from, to, verificationCode }
+ */
+exports.toCsv = (statement, { user, currency, from, to, verificationCode }) => {
+  const rows = [
+    ['Raw Wealthy Account Statement'],
+    ['Account holder', user.full_name],
+    ['Email', user.email],
+    ['Period', `${formatDate(from)} to ${formatDate(to)}`],
+    ['Currency', currency],
+    ['Verification code', verificationCode],
+    ['Opening balance', toMajor(statement.opening)],
+    ['Closing balance', toMajor(statement.closing)],
+    [],
+    ['Date', 'Reference', 'Type', 'Description', 'Debit', 'Credit', 'Balance'],
+    ...statement.lines.map(line => [
+      formatDate(line.date),
+      line.reference,
+      line.type,
+      line.description,
+      line.debit ? toMajor(line.debit) : '',
+      line.credit ? toMajor(line.credit) : '',
+      toMajor(line.balance)
+    ]),
+    [],
+    ['Total debits', toMajor(statement.debits)],
+    ['Total credits', toMajor(statement.credits)]
+  ];
+
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Render the statement as a PDF into a writable stream (e.g. the response)
+ * @param {Object} statement - Result of buildStatement
+ * @param {Object} meta - { user, currency, from, to, verificationCode }
+ * @param {stream.Writable} stream
+ */
+exports.renderPdf = (statement, { user, currency, from, to, verificationCode }, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  // The standard PDF fonts have no ₦ glyph, so amounts carry the currency code
+  const money = (minor) => `${currency} ${fromKobo(minor).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`;
+  const columns = [
+    { label: 'Date', x: 40, width: 65 },
+    { label: 'Description', x: 105, width: 190 },
+    { label: 'Debit', x: 295, width: 80, align: 'right' },
+    { label: 'Credit', x: 375, width: 80, align: 'right' },
+    { label: 'Balance', x: 455, width: 100, align: 'right' }
+  ];
+
+  const drawRow = (values, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - 90) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const heights = columns.map((column, i) => doc.heightOfString(values[i], { width: column.width }));
+    columns.forEach((column, i) => {
+      doc.text(values[i], column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Raw Wealthy', { align: 'left' });
+  doc.font('Helvetica').fontSize(11).text('Account Statement');
+  doc.moveDown();
+
+  doc.fontSize(9)
+    .text(`Account holder: ${user.full_name}`)
+    .text(`Email: ${user.email}`)
+    .text(`Period: ${formatDate(from)} to ${formatDate(to)}`)
+    .text(`Currency: ${currency}`)
+    .text(`Generated: ${new Date().toISOString().replace('T', ' ').slice(0, 19)} UTC`);
+  doc.moveDown();
+
+  doc.text(`Opening balance: ${money(statement.opening)}`)
+    .text(`Total credits: ${money(statement.credits)}`)
+    .text(`Total debits: ${money(statement.debits)}`)
+    .font('Helvetica-Bold').text(`Closing balance: ${money(statement.closing)}`);
+  doc.moveDown();
+
+  drawRow(columns.map(column => column.label), { bold: true });
+  if (statement.lines.length === 0) {
+    doc.font('Helvetica').fontSize(8).text('No transactions in this period.', 40);
+  }
+  statement.lines.forEach((line) => {
+    drawRow([
+      formatDate(line.date),
+      `${line.type}${line.description ? ` - ${line.description}` : ''}`,
+      line.debit ? money(line.debit) : '',
+      line.credit ? money(line.credit) : '',
+      money(line.balance)
+    ]);
+  });
+
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').fontSize(9).text(`Verification code: ${verificationCode}`, 40);
+  doc.font('Helvetica').fontSize(8)
+    .text(`Check this statement at ${exports.verificationUrl(verificationCode)}`)
+    .text('Pending withdrawals are shown once they complete.');
+
+  doc.end();
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const StepUpGrant = require('../models/StepUpGrant');
+const { verifyTotp } = require('./twoFactor');
+
+/**
+ * Step-up verification.
+ *
+ * A login token lasts for weeks, so withdrawals, payout destination changes,
+ * password changes and turning off 2FA also need proof that the account owner
+ * is present now: a TOTP code when 2FA is on, otherwise a code emailed to the
+ * account. A correct code opens a short window for the login session it was
+ * entered in; other sessions of the same user are not elevated.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const WINDOW_MINUTES = parseInt(process.env.STEP_UP_WINDOW_MINUTES, 10) || 5;
+const CODE_TTL_MINUTES = 10;
+const CODE_RESEND_SECONDS = 60;
+const MAX_CODE_ATTEMPTS = 5;
+
+const stepUpError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const methodFor = (user) => (user.two_factor_enabled ? 'totp' : 'email_otp');
+
+/**
+ * Active grant for a session, or null
+ */
+const getGrant = ({ userId, sessionId }) => StepUpGrant.findOne({
+  user: userId,
+  session_id: sessionId,
+  status: 'granted',
+  expires_at: { $gt: new Date() }
+}).lean();
+
+/**
+ * Open (or extend) the step-up window for a session
+ */
+const grant = ({ userId, sessionId, method }) => {
+  const now = new Date();
+  return StepUpGrant.findOneAndUpdate(
+    { user: userId, session_id: sessionId },
+    {
+      $set: {
+        method,
+        status: 'granted',
+        attempts: 0,
+        granted_at: now,
+        expires_at: new Date(now.getTime() + WINDOW_MINUTES * MINUTE_MS)
+      },
+      $unset: { code_hash: 1, code_sent_at: 1 }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const tooManyAttempts = (message) => stepUpError('STEP_UP_TOO_MANY_ATTEMPTS', message, 429);
+
+/**
+ * Count an authenticator code attempt for a session before checking it.
+ * Attempts are counted in a challenge that lasts CODE_TTL_MINUTES from the
+ * first one; a correct code clears it. A session that already holds a grant
+ * is not counted, since it is elevated anyway.
+ * @throws STEP_UP_TOO_MANY_ATTEMPTS (429) once MAX_CODE_ATTEMPTS are used
+ */
+const countTotpAttempt = async ({ userId, sessionId }) => {
+  const now = new Date();
+  const counting = {
+    user: userId,
+    session_id: sessionId,
+    status: 'challenge',
+    method: 'totp',
+    expires_at: { $gt: now }
+  };
+  const claim = () => StepUpGrant.findOneAndUpdate(
+    { ...counting, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+  const refuse = () => tooManyAttempts('Too many incorrect codes. Please wait a few minutes and try again.');
+
+  if (await claim()) return;
+  if (await StepUpGrant.exists(counting)) throw refuse();
+
+  // First attempt: replaces an expired grant or challenge, or an email code from before 2FA was on
+  try {
+    await StepUpGrant.findOneAndUpdate(
+      { user: userId, session_id: sessionId, $nor: [{ status: 'granted', expires_at: { $gt: now } }] },
+      {
+        $set: {
+          method: 'totp',
+          status: 'challenge',
+          attempts: 1,
+          expires_at: new Date(now.getTime() + CODE_TTL_MINUTES * MINUTE_MS)
+        },
+        $unset: { code_hash: 1, code_sent_at: 1, granted_at: 1 }
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Either a concurrent attempt started counting first, or the session holds a grant
+    if (!await claim() && await StepUpGrant.exists(counting)) throw refuse();
+  }
+};
+
+/**
+ * Create an email code for a session; the caller sends it
+ * @returns {Promise<string>} The six-digit code
+ * @throws STEP_UP_USE_TOTP when 2FA is on, STEP_UP_CODE_RECENTLY_SENT (429)
+ */
+exports.issueEmailCode = async ({ user, sessionId }) => {
+  if (methodFor(user) !== 'email_otp') {
+    throw stepUpError('STEP_UP_USE_TOTP', 'Use the code from your authenticator app');
+  }
+
+  const existing = await StepUpGrant.findOne({ user: user._id, session_id: sessionId, status: 'challenge' }).lean();
+  if (existing && existing.code_sent_at > new Date(Date.now() - CODE_RESEND_SECONDS * 1000)) {
+    throw stepUpError('STEP_UP_CODE_RECENTLY_SENT', 'A code was sent less than a minute ago. Please check your email.', 429);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const now = new Date();
+  // Replaces any earlier code or grant for this session
+  await StepUpGrant.findOneAndUpdate(
+    { user: user._id, session_id: sessionId },
+    {
+      $set: {
+        method: 'email_otp',
+        status: 'challenge',
+        code_hash: hashCode(code),
+        attempts: 0,
+        code_sent_at: now,
+        expires_at: new Date(now.getTime() + CODE_TTL_MINUTES * MINUTE_MS)
+      },
+      $unset: { granted_at: 1 }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return code;
+};
+
+/**
+ * Check a TOTP or emailed code and open the step-up window
+ * @param {Object} params - { user (with two_factor_secret), sessionId, code }
+ * @returns {Promise<Object>} StepUpGrant
+ * @throws STEP_UP_INVALID_CODE (401), STEP_UP_NO_CODE, STEP_UP_TOO_MANY_ATTEMPTS (429)
+ */
+exports.verifyCode = async ({ user, sessionId, code }) => {
+  const method = methodFor(user);
+
+  if (method === 'totp') {
+    await countTotpAttempt({ userId: user._id, sessionId });
+    if (!verifyTotp(user.two_factor_secret, code)) {
+      throw stepUpError('STEP_UP_INVALID_CODE', 'Invalid verification code', 401);
+    }
+    return grant({ userId: user._id, sessionId, method });
+  }
+
+  const challenge = await StepUpGrant.findOne({
+    user: user._id,
+    session_id: sessionId,
+    status: 'challenge',
+    expires_at: { $gt: new Date() }
+  }).select('+code_hash');
+
+  if (!challenge) {
+    throw stepUpError('STEP_UP_NO_CODE', 'No active code for this session. Please request a new one.');
+  }
+  if (challenge.attempts >= MAX_CODE_ATTEMPTS) {
+    throw tooManyAttempts('Too many incorrect codes. Please request a new one.');
+  }
+
+  const expected = Buffer.from(challenge.code_hash, 'hex');
+  const given = Buffer.from(hashCode(code || ''), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    challenge.attempts += 1;
+    await challenge.save();
+    throw stepUpError('STEP_UP_INVALID_CODE', 'Invalid verification code', 401);
+  }
+
+  return grant({ userId: user._id, sessionId, method });
+};
+
+exports.getGrant = getGrant;
+exports.grant = grant;
+exports.methodFor = methodFor;
+exports.WINDOW_MINUTES = WINDOW_MINUTES;
+exports.CODE_TTL_MINUTES = CODE_TTL_MINUTES;
+exports.MAX_CODE_ATTEMPTS = MAX_CODE_ATTEMPTS;
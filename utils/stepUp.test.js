@@ -0,0 +1,115 @@
+jest.mock('../models/StepUpGrant', () => ({}), { virtual: true });
+jest.mock('./twoFactor', () => ({ verifyTotp: jest.fn() }));
+
+const StepUpGrant = require('../models/StepUpGrant');
+const { verifyTotp } = require('./twoFactor');
+const stepUp = require('./stepUp');
+
+// One StepUpGrant per (user, session_id), as the unique index allows
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$nor') return condition.every(clause => !matches(doc, clause));
+  const value = doc[key];
+  if (condition && condition.$gt !== undefined) return value > condition.$gt;
+  if (condition && condition.$lt !== undefined) return value < condition.$lt;
+  return value === condition;
+});
+
+let stored;
+
+const installStore = () => {
+  stored = null;
+  Object.assign(StepUpGrant, {
+    exists: jest.fn(async (query) => (stored && matches(stored, query) ? { _id: 'grant-1' } : null)),
+    findOne: jest.fn((query) => ({
+      lean: async () => (stored && matches(stored, query) ? { ...stored } : null)
+    })),
+    findOneAndUpdate: jest.fn(async (query, update, options = {}) => {
+      if (stored && matches(stored, query)) {
+        if (update.$inc) Object.entries(update.$inc).forEach(([key, by]) => { stored[key] += by; });
+        Object.assign(stored, update.$set);
+        Object.keys(update.$unset || {}).forEach(key => delete stored[key]);
+        return { ...stored };
+      }
+      if (!options.upsert) return null;
+      if (stored) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+      stored = { user: query.user, session_id: query.session_id, attempts: 0, ...update.$set };
+      return { ...stored };
+    })
+  });
+};
+
+const user = { _id: 'user-1', two_factor_enabled: true, two_factor_secret: 'SECRET' };
+const sessionId = 'session-1';
+const verify = (code) => stepUp.verifyCode({ user, sessionId, code });
+
+describe('step-up with an authenticator app', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    installStore();
+    verifyTotp.mockImplementation((secret, code) => code === '123456');
+  });
+
+  test('a correct code opens the window and clears the count', async () => {
+    await expect(verify('000000')).rejects.toMatchObject({ code: 'STEP_UP_INVALID_CODE', statusCode: 401 });
+    expect(stored).toMatchObject({ status: 'challenge', method: 'totp', attempts: 1 });
+
+    const grant = await verify('123456');
+
+    expect(grant).toMatchObject({ status: 'granted', method: 'totp', attempts: 0 });
+  });
+
+  test(`locks the session after ${stepUp.MAX_CODE_ATTEMPTS} wrong codes, even for a correct one`, async () => {
+    for (let attempt = 0; attempt < stepUp.MAX_CODE_ATTEMPTS; attempt += 1) {
+      await expect(verify('000000')).rejects.toMatchObject({ code: 'STEP_UP_INVALID_CODE' });
+    }
+
+    verifyTotp.mockClear();
+    await expect(verify('123456')).rejects.toMatchObject({ code: 'STEP_UP_TOO_MANY_ATTEMPTS', statusCode: 429 });
+    expect(verifyTotp).not.toHaveBeenCalled();
+    expect(stored.status).toBe('challenge');
+  });
+
+  test('the lockout ends when the counting window expires', async () => {
+    stored = {
+      user: user._id,
+      session_id: sessionId,
+      method: 'totp',
+      status: 'challenge',
+      attempts: stepUp.MAX_CODE_ATTEMPTS,
+      expires_at: new Date(Date.now() - 1000)
+    };
+
+    await expect(verify('123456')).resolves.toMatchObject({ status: 'granted' });
+  });
+
+  test('replaces an email code issued before 2FA was turned on', async () => {
+    stored = {
+      user: user._id,
+      session_id: sessionId,
+      method: 'email_otp',
+      status: 'challenge',
+      code_hash: 'abc',
+      attempts: stepUp.MAX_CODE_ATTEMPTS,
+      expires_at: new Date(Date.now() + 60000)
+    };
+
+    await expect(verify('000000')).rejects.toMatchObject({ code: 'STEP_UP_INVALID_CODE' });
+    expect(stored).toMatchObject({ method: 'totp', attempts: 1 });
+    expect(stored.code_hash).toBeUndefined();
+  });
+
+  test('a wrong code does not end a grant the session already holds', async () => {
+    stored = {
+      user: user._id,
+      session_id: sessionId,
+      method: 'totp',
+      status: 'granted',
+      attempts: 0,
+      expires_at: new Date(Date.now() + 60000)
+    };
+
+    await expect(verify('000000')).rejects.toMatchObject({ code: 'STEP_UP_INVALID_CODE' });
+    expect(stored.status).toBe('granted');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * File storage backends.
+ *
+ * Every driver exposes the same interface so uploads never deal with where
+ * the bytes end up:
+ *
+ *   name                      - driver key stored on each StoredFile
+ *   put(key, buffer, meta)    - write `buffer` under `key`; `meta` carries
+ *                               { contentType } for drivers that need it
+ *   createReadStream(key)     - promise of a readable stream of the file
+ *   remove(key)               - delete the file; missing keys are not an error
+ *
+ * STORAGE_DRIVER selects the driver for new uploads. Existing files are
+ * always read back through the driver recorded on their StoredFile, so an
+ * S3-compatible or Cloudinary driver can be added here and switched on
+ * without migrating old files.
+ */
+
+const drivers = {
+  local: require('./local')
+};
+
+/**
+ * Driver by name, or the configured default
+ */
+exports.getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+exports.drivers = drivers;
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+
+/**
+ * Stores files on local disk under LOCAL_STORAGE_DIR. The directory is
+ * deliberately outside the public `/uploads` static route: files are only
+ * served through the authenticated upload endpoints.
+ */
+const root = () => path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage'));
+
+// Keys are generated server-side, but never let one escape the root
+const resolveKey = (key) => {
+  const base = root();
+  const fullPath = path.resolve(base, key);
+  if (!fullPath.startsWith(base + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return fullPath;
+};
+
+module.exports = {
+  name: 'local',
+
+  put: async (key, buffer) => {
+    const fullPath = resolveKey(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer, { flag: 'wx' });
+  },
+
+  createReadStream: async (key) => {
+    const fullPath = resolveKey(key);
+    await fs.access(fullPath);
+    return createReadStream(fullPath);
+  },
+
+  remove: async (key) => {
+    await fs.rm(resolveKey(key), { force: true });
+  }
+};
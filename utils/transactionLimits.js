@@ -0,0 +1,205 @@
+const Deposit = require('../models/Deposit');
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const { AMOUNT_UNIT, toKobo, formatMoney } = require('./money');
+const { tierOf } = require('./userTiers');
+
+/**
+ * Deposit, withdrawal and transfer limits.
+ *
+ * Each kind has a per-transaction cap plus daily, weekly and monthly caps on
+ * the total. Caps depend on the user's KYC level and grow with their account
+ * tier. Periods are calendar periods in UTC (weeks start on Monday), so every
+ * cap resets at a predictable time the user can be shown.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const KINDS = ['deposit', 'withdrawal', 'transfer'];
+
+// Standard-tier caps in major units; USDT shares the USD figures
+const caps = (per_transaction, daily, weekly, monthly) => ({ per_transaction, daily, weekly, monthly });
+const BASE_LIMITS = {
+  unverified: {
+    deposit: { NGN: caps(500000, 1000000, 2000000, 5000000), USD: caps(500, 1000, 2000, 5000) },
+    withdrawal: { NGN: caps(100000, 200000, 500000, 1000000), USD: caps(100, 200, 500, 1000) },
+    transfer: { NGN: caps(50000, 100000, 250000, 500000), USD: caps(50, 100, 250, 500) }
+  },
+  verified: {
+    deposit: { NGN: caps(10000000, 20000000, 50000000, 100000000), USD: caps(10000, 20000, 50000, 100000) },
+    withdrawal: { NGN: caps(5000000, 5000000, 20000000, 50000000), USD: caps(5000, 5000, 20000, 50000) },
+    transfer: { NGN: caps(500000, 500000, 2000000, 5000000), USD: caps(1000, 1000, 4000, 10000) }
+  }
+};
+
+const TIER_MULTIPLIER = {
+  standard: 1,
+  silver: 2,
+  gold: 5,
+  platinum: 10
+};
+
+// What counts towards a limit: anything not refused or undone
+const USAGE_SOURCES = {
+  deposit: {
+    model: Deposit,
+    match: { status: { $nin: ['rejected', 'cancelled'] } },
+    amount: '$amount'
+  },
+  withdrawal: {
+    model: Withdrawal,
+    match: { status: { $nin: ['rejected', 'cancelled', 'failed'] } },
+    amount: '$amount'
+  },
+  transfer: {
+    model: Transaction,
+    match: { type: 'transfer_out', status: 'completed' },
+    amount: { $abs: '$amount' }
+  }
+};
+
+const VERBS = {
+  deposit: 'deposit',
+  withdrawal: 'withdraw',
+  transfer: 'send'
+};
+const PERIOD_NAMES = {
+  daily: { label: 'daily', rest: 'today' },
+  weekly: { label: 'weekly', rest: 'this week' },
+  monthly: { label: 'monthly', rest: 'this month' }
+};
+
+const limitError = (message, limit) => {
+  const error = new Error(message);
+  error.code = 'LIMIT_EXCEEDED';
+  error.statusCode = 400;
+  error.limit = { ...limit, amount_unit: AMOUNT_UNIT };
+  return error;
+};
+
+const kycLevelOf = (user) => (user && user.kyc_verified ? 'verified' : 'unverified');
+
+/**
+ * Start and reset time of each period containing `date`
+ */
+const periodWindows = (date = new Date()) => {
+  const dayStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekStart = new Date(dayStart.getTime() - ((dayStart.getUTCDay() + 6) % 7) * DAY_MS);
+  const monthStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+  return {
+    daily: { start: dayStart, resets_at: new Date(dayStart.getTime() + DAY_MS) },
+    weekly: { start: weekStart, resets_at: new Date(weekStart.getTime() + 7 * DAY_MS) },
+    monthly: { start: monthStart, resets_at: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)) }
+  };
+};
+
+/**
+ * Caps for a user, kind and currency
+ * @returns {Object} { per_transaction, daily, weekly, monthly } in minor units
+ */
+const getLimits = ({ user, kind, currency }) => {
+  const base = BASE_LIMITS[kycLevelOf(user)][kind][currency === 'NGN' ? 'NGN' : 'USD'];
+  const multiplier = TIER_MULTIPLIER[tierOf(user)];
+
+  return Object.fromEntries(
+    Object.entries(base).map(([name, major]) => [name, toKobo(major * multiplier)])
+  );
+};
+
+/**
+ * Amount already used in each period
+ * @returns {Promise<Object>} { daily, weekly, monthly } in minor units
+ */
+const getUsage = async ({ userId, kind, currency }, { session, now = new Date() } = {}) => {
+  const windows = periodWindows(now);
+  const { model, match, amount } = USAGE_SOURCES[kind];
+  const since = new Date(Math.min(windows.weekly.start, windows.monthly.start));
+
+  const sumSince = (start) => ({ $sum: { $cond: [{ $gte: ['$createdAt', start] }, amount, 0] } });
+  const [usage] = await model.aggregate([
+    { $match: { ...match, user: userId, currency, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: null,
+        daily: sumSince(windows.daily.start),
+        weekly: sumSince(windows.weekly.start),
+        monthly: sumSince(windows.monthly.start)
+      }
+    }
+  ]).session(session || null);
+
+  return {
+    daily: usage?.daily || 0,
+    weekly: usage?.weekly || 0,
+    monthly: usage?.monthly || 0
+  };
+};
+
+/**
+ * Limits, usage and what is left for one kind
+ */
+const describeLimits = async ({ user, kind, currency }, { session } = {}) => {
+  const limits = getLimits({ user, kind, currency });
+  const usage = await getUsage({ userId: user._id, kind, currency }, { session });
+  const windows = periodWindows();
+
+  const summary = { per_transaction: limits.per_transaction };
+  PERIODS.forEach(period => {
+    summary[period] = {
+      limit: limits[period],
+      used: usage[period],
+      remaining: Math.max(limits[period] - usage[period], 0),
+      resets_at: windows[period].resets_at
+    };
+  });
+  return summary;
+};
+
+/**
+ * Refuse an amount that would break any of the user's caps
+ * @throws LIMIT_EXCEEDED (400) with `error.limit` = { kind, period, limit, remaining }
+ */
+exports.assertWithinLimits = async ({ user, kind, amount, currency }, { session } = {}) => {
+  const summary = await describeLimits({ user, kind, currency }, { session });
+  const verb = VERBS[kind];
+  const hint = kycLevelOf(user) === 'unverified' ? ' Complete KYC verification to raise your limits.' : '';
+
+  if (amount > summary.per_transaction) {
+    throw limitError(
+      `You can ${verb} at most ${formatMoney(summary.per_transaction, currency)} at a time.${hint}`,
+      { kind, period: 'per_transaction', limit: summary.per_transaction, remaining: summary.per_transaction }
+    );
+  }
+
+  const period = PERIODS.find(name => amount > summary[name].remaining);
+  if (period) {
+    const { label, rest } = PERIOD_NAMES[period];
+    const { limit, remaining } = summary[period];
+    throw limitError(
+      `This ${kind} exceeds your ${label} limit. You can ${verb} ${formatMoney(remaining, currency)} more ${rest}.${hint}`,
+      { kind, period, limit, remaining, resets_at: summary[period].resets_at }
+    );
+  }
+};
+
+/**
+ * Every limit for a user in one currency, for display
+ * @returns {Promise<Object>} { kyc_level, tier, currency, limits: { deposit, withdrawal, transfer } }
+ */
+exports.getRemainingLimits = async ({ user, currency }) => {
+  const summaries = await Promise.all(KINDS.map(kind => describeLimits({ user, kind, currency })));
+
+  return {
+    kyc_level: kycLevelOf(user),
+    tier: tierOf(user),
+    currency,
+    amount_unit: AMOUNT_UNIT,
+    limits: Object.fromEntries(KINDS.map((kind, index) => [kind, summaries[index]]))
+  };
+};
+
+exports.getLimits = getLimits;
+exports.getUsage = getUsage;
+exports.periodWindows = periodWindows;
+exports.KINDS = KINDS;
@@ -0,0 +1,47 @@
+jest.mock('../models/Deposit', () => ({}), { virtual: true });
+jest.mock('../models/Withdrawal', () => ({}), { virtual: true });
+jest.mock('../models/Transaction', () => ({}), { virtual: true });
+
+const { periodWindows } = require('./transactionLimits');
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+describe('periodWindows', () => {
+  test('the day runs from UTC midnight to the next', () => {
+    const { daily } = periodWindows(utc('2026-10-21T23:59:59.999'));
+
+    expect(daily).toEqual({ start: utc('2026-10-21T00:00:00'), resets_at: utc('2026-10-22T00:00:00') });
+  });
+
+  test.each([
+    ['Monday at midnight', '2026-10-19T00:00:00', '2026-10-19'],
+    ['Wednesday', '2026-10-21T12:00:00', '2026-10-19'],
+    ['the last moment of Sunday', '2026-10-25T23:59:59.999', '2026-10-19'],
+    ['a week that started in the previous month', '2026-11-01T08:00:00', '2026-10-26'],
+    ['a week that started in the previous year', '2027-01-03T08:00:00', '2026-12-28']
+  ])('the week runs Monday to Monday: %s', (_, now, monday) => {
+    const { weekly } = periodWindows(utc(now));
+
+    expect(weekly.start).toEqual(utc(`${monday}T00:00:00`));
+    expect(weekly.resets_at).toEqual(new Date(weekly.start.getTime() + 7 * 24 * 60 * 60 * 1000));
+  });
+
+  test.each([
+    ['the first moment of the month', '2026-10-01T00:00:00', '2026-10-01', '2026-11-01'],
+    ['the last moment of a 31-day month', '2026-10-31T23:59:59.999', '2026-10-01', '2026-11-01'],
+    ['a leap day', '2028-02-29T12:00:00', '2028-02-01', '2028-03-01'],
+    ['December', '2026-12-31T23:00:00', '2026-12-01', '2027-01-01']
+  ])('the month runs from the 1st to the next 1st: %s', (_, now, start, resetsAt) => {
+    const { monthly } = periodWindows(utc(now));
+
+    expect(monthly).toEqual({ start: utc(`${start}T00:00:00`), resets_at: utc(`${resetsAt}T00:00:00`) });
+  });
+
+  test('uses UTC, not the server time zone, at a Lagos midnight', () => {
+    // 00:30 in Lagos (UTC+1) on Monday is still Sunday in UTC
+    const { daily, weekly } = periodWindows(new Date('2026-10-19T00:30:00+01:00'));
+
+    expect(daily.start).toEqual(utc('2026-10-18T00:00:00'));
+    expect(weekly.start).toEqual(utc('2026-10-12T00:00:00'));
+  });
+});
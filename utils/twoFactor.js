@@ -0,0 +1,16 @@
+const speakeasy = require('speakeasy');
+
+/**
+ * Check a TOTP code against a user's base32 secret. Uses the same drift
+ * window as the 2FA setup and login flows.
+ */
+exports.verifyTotp = (secret, token) => {
+  if (!secret || !token) return false;
+
+  return speakeasy.totp.verify({
+    secret,
+    encoding: 'base32',
+    token: String(token),
+    window: 2
+  });
+};
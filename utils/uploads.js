@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const StoredFile = require('../models/StoredFile');
+const { getStorage } = require('./storage');
+const logger = require('./logger');
+
+/**
+ * Upload processing: the file type is detected from its magic bytes (the
+ * client's Content-Type and file name are ignored), images are re-encoded
+ * so EXIF and other metadata (GPS location, device details) are dropped,
+ * and a small WebP thumbnail is generated for previews.
+ */
+
+const THUMBNAIL_SIZE = parseInt(process.env.UPLOAD_THUMBNAIL_SIZE, 10) || 320;
+
+const FILE_TYPES = {
+  'image/jpeg': { ext: 'jpg', image: true, encode: image => image.jpeg({ quality: 90 }) },
+  'image/png': { ext: 'png', image: true, encode: image => image.png() },
+  'image/webp': { ext: 'webp', image: true, encode: image => image.webp({ quality: 90 }) },
+  'application/pdf': { ext: 'pdf', image: false }
+};
+
+// Which file types each kind of upload accepts
+const PURPOSES = {
+  deposit_proof: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+  kyc_document: ['image/jpeg', 'image/png', 'image/webp'],
+  ticket_attachment: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+  adjustment_attachment: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+};
+
+const uploadError = (code, message, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const startsWith = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length
+  && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * MIME type of a supported file from its leading bytes, or null
+ */
+const detectMimeType = (buffer) => {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  // RIFF....WEBP
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  // %PDF-
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2D])) return 'application/pdf';
+  return null;
+};
+
+/**
+ * Strip metadata from an image and build its thumbnail. Orientation is
+ * applied to the pixels first since the EXIF tag that carried it is dropped.
+ */
+const processImage = async (buffer, type) => {
+  let stripped;
+  let thumbnail;
+  try {
+    stripped = await type.encode(sharp(buffer, { failOn: 'error' }).rotate())
+      .toBuffer({ resolveWithObject: true });
+    thumbnail = await sharp(stripped.data)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toBuffer();
+  } catch (error) {
+    throw uploadError('INVALID_FILE', 'The image could not be read');
+  }
+
+  return {
+    data: stripped.data,
+    width: stripped.info.width,
+    height: stripped.info.height,
+    thumbnail
+  };
+};
+
+/**
+ * Validate, clean and store an uploaded file
+ * @param {Object} params - { file, owner, purpose } where `file` is a multer
+ *   memory-storage file ({ buffer, originalname })
+ * @returns {Promise<Object>} The StoredFile
+ */
+exports.storeUpload = async ({ file, owner, purpose }) => {
+  if (!PURPOSES[purpose]) {
+    throw uploadError('INVALID_PURPOSE', `Purpose must be one of ${Object.keys(PURPOSES).join(', ')}`);
+  }
+
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType || !PURPOSES[purpose].includes(mimeType)) {
+    const allowed = PURPOSES[purpose].map(type => FILE_TYPES[type].ext.toUpperCase()).join(', ');
+    throw uploadError('INVALID_FILE_TYPE', `Only ${allowed} files are accepted`, 415);
+  }
+
+  const type = FILE_TYPES[mimeType];
+  const processed = type.image
+    ? await processImage(file.buffer, type)
+    : { data: file.buffer };
+
+  const storage = getStorage();
+  const id = new mongoose.Types.ObjectId();
+  const storageKey = `${purpose}/${owner}/${id}.${type.ext}`;
+  const thumbnailKey = processed.thumbnail ? `${purpose}/${owner}/${id}-thumb.webp` : undefined;
+
+  await storage.put(storageKey, processed.data, { contentType: mimeType });
+  try {
+    if (thumbnailKey) {
+      await storage.put(thumbnailKey, processed.thumbnail, { contentType: 'image/webp' });
+    }
+
+    return await StoredFile.create({
+      _id: id,
+      owner,
+      purpose,
+      original_name: file.originalname ? file.originalname.slice(0, 255) : undefined,
+      mime_type: mimeType,
+      size: processed.data.length,
+      width: processed.width,
+      height: processed.height,
+      checksum: crypto.createHash('sha256').update(processed.data).digest('hex'),
+      storage_driver: storage.name,
+      storage_key: storageKey,
+      thumbnail_key: thumbnailKey
+    });
+  } catch (error) {
+    // Don't leave orphaned bytes behind
+    await Promise.all([storageKey, thumbnailKey].filter(Boolean).map(key => storage.remove(key)
+      .catch(removeError => logger.error('Remove orphaned upload error:', removeError))));
+    throw error;
+  }
+};
+
+/**
+ * Load files a user is submitting with a record. Each must exist, belong to
+ * `owner`, have been uploaded for `purpose` and not already be attached to
+ * another record.
+ * @param {Array<string>} ids - StoredFile ids
+ * @returns {Promise<Array<Object>>} The StoredFiles, in the order given
+ */
+exports.resolveFiles = async ({ ids, owner, purpose }, { session } = {}) => {
+  if (!Array.isArray(ids) || ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw uploadError('INVALID_FILE', 'Files must be a list of uploaded file ids');
+  }
+
+  const unique = [...new Set(ids.map(String))];
+  const files = await StoredFile.find({ _id: { $in: unique } }).session(session || null);
+  const byId = new Map(files.map(file => [file._id.toString(), file]));
+
+  for (const id of unique) {
+    const file = byId.get(id);
+    if (!file || file.owner.toString() !== owner.toString()) {
+      throw uploadError('INVALID_FILE', `File ${id} was not found`, 404);
+    }
+    if (file.purpose !== purpose) {
+      throw uploadError('INVALID_FILE', `File ${id} was not uploaded as a ${purpose.replace(/_/g, ' ')}`);
+    }
+    if (file.attached_to && file.attached_to.id) {
+      throw uploadError('INVALID_FILE', `File ${id} is already attached to another ${file.attached_to.kind}`);
+    }
+  }
+
+  return unique.map(id => byId.get(id));
+};
+
+/**
+ * Mark files as belonging to a record so they cannot be reused elsewhere.
+ * Throws if another record claimed any of them first.
+ */
+exports.attachFiles = async (files, { kind, id }, { session } = {}) => {
+  if (files.length === 0) return;
+
+  const result = await StoredFile.updateMany(
+    { _id: { $in: files.map(file => file._id) }, 'attached_to.id': { $exists: false } },
+    { $set: { attached_to: { kind, id } } },
+    { session }
+  );
+
+  if (result.modifiedCount !== files.length) {
+    throw uploadError('INVALID_FILE', 'One or more files are already attached to another record', 409);
+  }
+};
+
+exports.detectMimeType = detectMimeType;
+exports.PURPOSES = PURPOSES;
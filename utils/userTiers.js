@@ -0,0 +1,17 @@
+/**
+ * Account tiers. Admins move users between tiers; fee schedules and limits
+ * can differ per tier. Users without a tier are on the default one.
+ */
+const USER_TIERS = ['standard', 'silver', 'gold', 'platinum'];
+const DEFAULT_TIER = 'standard';
+
+const isUserTier = (tier) => USER_TIERS.includes(tier);
+
+const tierOf = (user) => (user && isUserTier(user.tier) ? user.tier : DEFAULT_TIER);
+
+module.exports = {
+  USER_TIERS,
+  DEFAULT_TIER,
+  isUserTier,
+  tierOf
+};
@@ -0,0 +1,47 @@
+/**
+ * Virtual account providers.
+ *
+ * Every provider exposes the same interface so assigning accounts and
+ * handling inbound transfers never deal with provider-specific payloads:
+ *
+ *   name                           - provider key used in the webhook URL
+ *   isEnabled()                    - false where the provider must not be used
+ *   assertConfigured()             - optional; throws if an enabled provider is
+ *                                    missing settings it cannot run safely without
+ *   createAccount({ user }, opts)  - reserve an account for `user`:
+ *                                    { accountNumber, accountName, bankName, providerReference }
+ *   verifySignature(req)           - true if `req.rawBody` was signed by the provider
+ *   parseCredit(body)              - normalised inbound transfer:
+ *                                    { id, accountNumber, amount, currency, sessionId, sender, narration }
+ *                                    `amount` is integer minor units; `sender` is
+ *                                    { name, account_number, bank }
+ *
+ * VIRTUAL_ACCOUNT_PROVIDER selects the provider new accounts are opened with.
+ */
+
+const providers = {
+  stub: require('./stub')
+};
+
+/**
+ * Provider by name, or null if it is unknown or disabled
+ */
+exports.getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider || !provider.isEnabled()) return null;
+  return provider;
+};
+
+/**
+ * Provider new accounts are opened with, or null if none is available
+ */
+exports.getDefaultProvider = () => exports.getProvider(process.env.VIRTUAL_ACCOUNT_PROVIDER || 'stub');
+
+/**
+ * Refuse to start while an enabled provider is missing its configuration
+ */
+exports.assertProvidersConfigured = () => Object.values(providers)
+  .filter(provider => provider.isEnabled() && provider.assertConfigured)
+  .forEach(provider => provider.assertConfigured());
+
+exports.providers = providers;
@@ -0,0 +1,44 @@
+jest.mock('../../models/VirtualAccount', () => ({}), { virtual: true });
+
+const stub = require('./stub');
+const { assertProvidersConfigured } = require('./index');
+
+const request = (payload, signature) => ({
+  rawBody: Buffer.from(JSON.stringify(payload)),
+  headers: { 'x-stub-signature': signature }
+});
+
+describe('virtual account provider configuration', () => {
+  const originalEnv = { ...process.env };
+  const payload = { id: 'evt_1', data: { account_number: '9900000001', amount: 500000, currency: 'NGN' } };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('refuses to start outside production without the stub secret', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.STUB_VIRTUAL_ACCOUNT_SECRET;
+
+    expect(() => assertProvidersConfigured()).toThrow('STUB_VIRTUAL_ACCOUNT_SECRET must be set');
+  });
+
+  test('verifies credits signed with the configured secret only', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.STUB_VIRTUAL_ACCOUNT_SECRET = 'test-provider-secret';
+    const signature = stub.sign(payload);
+
+    expect(() => assertProvidersConfigured()).not.toThrow();
+    expect(stub.verifySignature(request(payload, signature))).toBe(true);
+
+    delete process.env.STUB_VIRTUAL_ACCOUNT_SECRET;
+    expect(stub.verifySignature(request(payload, signature))).toBe(false);
+  });
+
+  test('does not need the stub secret in production, where the stub is disabled', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.STUB_VIRTUAL_ACCOUNT_SECRET;
+
+    expect(() => assertProvidersConfigured()).not.toThrow();
+  });
+});
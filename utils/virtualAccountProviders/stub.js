@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const VirtualAccount = require('../../models/VirtualAccount');
+const { verifyHmac } = require('../paymentGateways/hmac');
+
+/**
+ * Local stand-in for a virtual account provider, for development and tests.
+ * It hands out consecutive account numbers from the pool configured in
+ * STUB_VIRTUAL_ACCOUNT_POOL (`first-last`), signs credit notifications with
+ * HMAC-SHA256 under STUB_VIRTUAL_ACCOUNT_SECRET and is never enabled in
+ * production. The secret has no default, so a staging deploy cannot be sent
+ * credits signed with a value anyone can read in the repo.
+ *
+ * Credit payload: { id, data: { account_number, amount, currency,
+ *   session_id, sender_name, sender_account_number, sender_bank, narration } }
+ */
+const BANK_NAME = 'Stub Microfinance Bank';
+
+const secret = () => process.env.STUB_VIRTUAL_ACCOUNT_SECRET;
+
+const pool = () => {
+  const [first, last] = (process.env.STUB_VIRTUAL_ACCOUNT_POOL || '9900000000-9900009999')
+    .split('-')
+    .map(value => parseInt(value, 10));
+  return { first, last };
+};
+
+module.exports = {
+  name: 'stub',
+
+  isEnabled: () => process.env.NODE_ENV !== 'production',
+
+  assertConfigured: () => {
+    if (!secret()) {
+      throw new Error('STUB_VIRTUAL_ACCOUNT_SECRET must be set outside production, where the stub virtual account provider is enabled');
+    }
+  },
+
+  createAccount: async ({ user }, { session } = {}) => {
+    const { first, last } = pool();
+    const latest = await VirtualAccount.findOne({ provider: 'stub' })
+      .sort({ account_number: -1 })
+      .select('account_number')
+      .session(session || null);
+
+    const next = latest ? parseInt(latest.account_number, 10) + 1 : first;
+    if (next > last) {
+      const error = new Error('The stub virtual account pool is exhausted');
+      error.code = 'VIRTUAL_ACCOUNT_POOL_EXHAUSTED';
+      error.statusCode = 503;
+      throw error;
+    }
+
+    return {
+      accountNumber: String(next),
+      accountName: `RAW WEALTHY / ${user.full_name}`.toUpperCase(),
+      bankName: BANK_NAME
+    };
+  },
+
+  verifySignature: (req) => verifyHmac({
+    rawBody: req.rawBody,
+    signature: req.headers['x-stub-signature'],
+    secret: secret(),
+    algorithm: 'sha256'
+  }),
+
+  parseCredit: (body) => {
+    const data = body.data || {};
+    return {
+      id: body.id,
+      accountNumber: data.account_number,
+      amount: data.amount,
+      currency: data.currency,
+      sessionId: data.session_id,
+      sender: {
+        name: data.sender_name,
+        account_number: data.sender_account_number,
+        bank: data.sender_bank
+      },
+      narration: data.narration
+    };
+  },
+
+  /**
+   * Signature header value for a payload, for building test requests
+   */
+  sign: (payload) => crypto
+    .createHmac('sha256', secret())
+    .update(typeof payload === 'string' ? payload : JSON.stringify(payload))
+    .digest('hex')
+};
@@ -0,0 +1,43 @@
+const VirtualAccount = require('../models/VirtualAccount');
+const { getDefaultProvider } = require('./virtualAccountProviders');
+
+const MAX_ASSIGN_ATTEMPTS = 5;
+
+/**
+ * The user's active virtual account, opening one with the configured
+ * provider the first time. Concurrent requests for the same user end up with
+ * the same account, and a number handed out twice by the provider is retried.
+ * @param {Object} user - User document (needs `_id` and `full_name`)
+ * @returns {Promise<Object|null>} The VirtualAccount, or null if no provider is available
+ */
+exports.getOrAssignVirtualAccount = async (user) => {
+  const existing = await VirtualAccount.findOne({ user: user._id, status: 'active' });
+  if (existing) return existing;
+
+  const provider = getDefaultProvider();
+  if (!provider) return null;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const details = await provider.createAccount({ user });
+
+    try {
+      return await VirtualAccount.create({
+        user: user._id,
+        provider: provider.name,
+        account_number: details.accountNumber,
+        account_name: details.accountName,
+        bank_name: details.bankName,
+        provider_reference: details.providerReference
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Another request opened this user's account first
+      const assigned = await VirtualAccount.findOne({ user: user._id, provider: provider.name });
+      if (assigned) return assigned;
+
+      // The number was taken by someone else; ask for another
+      if (attempt >= MAX_ASSIGN_ATTEMPTS) throw error;
+    }
+  }
+};
@@ -0,0 +1,87 @@
+const WalletRestriction = require('../models/WalletRestriction');
+const ledger = require('./ledger');
+const { formatMoney } = require('./money');
+
+/**
+ * Wallet freezes and liens.
+ *
+ * A freeze blocks every debit (withdrawals, investments, transfers and
+ * conversions) while leaving the account usable otherwise. A lien only
+ * blocks debits that would take the balance below the liened amount.
+ * Both stop applying once they expire or are lifted.
+ */
+
+const restrictionError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Restrictions currently in force for a user
+ */
+const getActiveRestrictions = (userId, { session } = {}) => WalletRestriction.find({
+  user: userId,
+  status: 'active',
+  expires_at: { $gt: new Date() }
+})
+  .sort({ expires_at: 1 })
+  .session(session || null);
+
+/**
+ * Throw unless `amount` may be debited from the user's `currency` wallet
+ */
+exports.assertCanDebit = async ({ userId, amount, currency }, { session } = {}) => {
+  const restrictions = await getActiveRestrictions(userId, { session });
+
+  const freeze = restrictions.find(item => item.type === 'freeze' && (!item.currency || item.currency === currency));
+  if (freeze) {
+    throw restrictionError(
+      'WALLET_FROZEN',
+      `Your wallet is frozen until ${formatDate(freeze.expires_at)}: ${freeze.reason}`,
+      403
+    );
+  }
+
+  const liens = restrictions.filter(item => item.type === 'lien' && item.currency === currency);
+  if (liens.length === 0) return;
+
+  const liened = liens.reduce((sum, item) => sum + item.amount, 0);
+  const balance = await ledger.getWalletBalance(userId, { session, currency });
+  const spendable = Math.max(balance - liened, 0);
+
+  if (amount > spendable) {
+    throw restrictionError(
+      'LIEN_RESTRICTED',
+      `${formatMoney(liened, currency)} of your balance is under a lien. You can use up to ${formatMoney(spendable, currency)}`,
+      400
+    );
+  }
+};
+
+/**
+ * Active restrictions and liened totals, for the user's profile
+ */
+exports.getRestrictionSummary = async (userId) => {
+  const restrictions = await getActiveRestrictions(userId)
+    .select('type currency amount reason expires_at createdAt')
+    .lean();
+
+  const liened = restrictions
+    .filter(item => item.type === 'lien')
+    .reduce((acc, item) => {
+      acc[item.currency] = (acc[item.currency] || 0) + item.amount;
+      return acc;
+    }, {});
+
+  return {
+    frozen: restrictions.some(item => item.type === 'freeze'),
+    liened,
+    restrictions
+  };
+};
+
+exports.getActiveRestrictions = getActiveRestrictions;
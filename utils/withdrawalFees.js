@@ -0,0 +1,136 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const Withdrawal = require('../models/Withdrawal');
+const { percentOf } = require('./money');
+const { DEFAULT_TIER, tierOf } = require('./userTiers');
+
+/**
+ * Withdrawal fee engine.
+ *
+ * Admins set a fee schedule per payment method, currency and user tier. A
+ * schedule charges a percentage plus a flat fee, or whatever the amount band
+ * it falls in says, clamped to the minimum and maximum fee and never more
+ * than the amount itself. The first `free_per_month` withdrawals in a
+ * calendar month (UTC) are free.
+ *
+ * A tier without its own schedule uses the default tier's; with no schedule
+ * at all, WITHDRAWAL_FEE_PERCENTAGE applies as version 0.
+ */
+
+const DEFAULT_PERCENTAGE = parseFloat(process.env.WITHDRAWAL_FEE_PERCENTAGE || 5);
+
+// Withdrawals that never left the wallet do not use up a free withdrawal
+const NOT_COUNTED = ['rejected', 'cancelled', 'failed'];
+
+const builtInSchedule = ({ paymentMethod, currency }) => ({
+  _id: null,
+  payment_method: paymentMethod,
+  currency,
+  tier: DEFAULT_TIER,
+  version: 0,
+  percentage: DEFAULT_PERCENTAGE,
+  flat: 0,
+  bands: [],
+  min_fee: 0,
+  max_fee: null,
+  free_per_month: 0
+});
+
+const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Live schedule for a method, currency and tier
+ * @returns {Promise<Object>} FeeSchedule (lean), or the built-in schedule
+ */
+const getLiveSchedule = async ({ paymentMethod, currency, tier }, { session } = {}) => {
+  const tiers = tier === DEFAULT_TIER ? [tier] : [tier, DEFAULT_TIER];
+
+  for (const candidate of tiers) {
+    const schedule = await FeeSchedule.findOne({ payment_method: paymentMethod, currency, tier: candidate })
+      .sort({ version: -1 })
+      .session(session || null)
+      .lean();
+    if (schedule) return schedule;
+  }
+  return builtInSchedule({ paymentMethod, currency });
+};
+
+/**
+ * Fee for `amount` under `schedule`
+ * @param {Object} [options] - { freeUsed } free-eligible withdrawals already made this month
+ * @returns {Object} { fee, breakdown }
+ */
+const calculateFee = (amount, schedule, { freeUsed = 0 } = {}) => {
+  if (freeUsed < schedule.free_per_month) {
+    return { fee: 0, breakdown: { free_withdrawal: true } };
+  }
+
+  let { percentage, flat } = schedule;
+  let band = null;
+  if (schedule.bands && schedule.bands.length > 0) {
+    band = schedule.bands.find(({ up_to }) => up_to === undefined || up_to === null || amount <= up_to);
+    ({ percentage, flat } = band);
+  }
+
+  const calculated = percentOf(amount, percentage || 0) + (flat || 0);
+  const hasMax = schedule.max_fee !== undefined && schedule.max_fee !== null;
+  let fee = Math.max(calculated, schedule.min_fee || 0);
+  if (hasMax) fee = Math.min(fee, schedule.max_fee);
+  fee = Math.min(fee, amount);
+
+  return {
+    fee,
+    breakdown: {
+      free_withdrawal: false,
+      percentage: percentage || 0,
+      flat: flat || 0,
+      band: band ? { up_to: band.up_to ?? null } : null,
+      calculated,
+      min_fee_applied: calculated < (schedule.min_fee || 0),
+      max_fee_applied: hasMax && calculated > schedule.max_fee
+    }
+  };
+};
+
+/**
+ * Quote the fee for a withdrawal a user is about to make
+ * @param {Object} params - { user, amount, currency, paymentMethod }
+ * @returns {Promise<Object>} { amount, fee, net_amount, currency, payment_method, tier, schedule, breakdown }
+ */
+exports.quoteWithdrawalFee = async ({ user, amount, currency, paymentMethod }, { session } = {}) => {
+  const tier = tierOf(user);
+  const schedule = await getLiveSchedule({ paymentMethod, currency, tier }, { session });
+
+  let freeUsed = 0;
+  if (schedule.free_per_month > 0) {
+    freeUsed = await Withdrawal.countDocuments({
+      user: user._id,
+      payment_method: paymentMethod,
+      currency,
+      status: { $nin: NOT_COUNTED },
+      createdAt: { $gte: monthStart() }
+    }).session(session || null);
+  }
+
+  const { fee, breakdown } = calculateFee(amount, schedule, { freeUsed });
+
+  return {
+    amount,
+    fee,
+    net_amount: amount - fee,
+    currency,
+    payment_method: paymentMethod,
+    tier,
+    schedule: {
+      id: schedule._id,
+      version: schedule.version,
+      tier: schedule.tier
+    },
+    breakdown: {
+      ...breakdown,
+      free_withdrawals_remaining: Math.max(schedule.free_per_month - freeUsed - (breakdown.free_withdrawal ? 1 : 0), 0)
+    }
+  };
+};
+
+exports.getLiveSchedule = getLiveSchedule;
+exports.calculateFee = calculateFee;
@@ -0,0 +1,133 @@
+jest.mock('../models/FeeSchedule', () => ({ findOne: jest.fn() }), { virtual: true });
+jest.mock('../models/Withdrawal', () => ({ countDocuments: jest.fn() }), { virtual: true });
+
+const FeeSchedule = require('../models/FeeSchedule');
+const Withdrawal = require('../models/Withdrawal');
+const { calculateFee, quoteWithdrawalFee } = require('./withdrawalFees');
+
+const schedule = (overrides = {}) => ({
+  _id: 'schedule-1',
+  payment_method: 'bank_transfer',
+  currency: 'NGN',
+  tier: 'standard',
+  version: 3,
+  percentage: 1.5,
+  flat: 10000,
+  bands: [],
+  min_fee: 0,
+  max_fee: null,
+  free_per_month: 0,
+  ...overrides
+});
+
+// ₦5,000 flat up to ₦5,000, 1% up to ₦50,000, 0.5% above
+const BANDS = [
+  { up_to: 500000, percentage: 0, flat: 5000 },
+  { up_to: 5000000, percentage: 1, flat: 0 },
+  { up_to: null, percentage: 0.5, flat: 0 }
+];
+
+describe('calculateFee', () => {
+  test('charges the percentage plus the flat fee', () => {
+    const { fee, breakdown } = calculateFee(1000000, schedule());
+
+    expect(fee).toBe(25000);
+    expect(breakdown).toMatchObject({ free_withdrawal: false, percentage: 1.5, flat: 10000, band: null, calculated: 25000 });
+  });
+
+  test.each([
+    ['at the top of the first band', 500000, 5000, 500000],
+    ['just above it', 500001, 5000, 5000000],
+    ['in the open-ended last band', 10000000, 50000, null]
+  ])('uses the band an amount falls in: %s', (_, amount, fee, upTo) => {
+    const result = calculateFee(amount, schedule({ bands: BANDS }));
+
+    expect(result.fee).toBe(fee);
+    expect(result.breakdown.band).toEqual({ up_to: upTo });
+  });
+
+  test('raises a small fee to the minimum', () => {
+    const { fee, breakdown } = calculateFee(100000, schedule({ percentage: 1, flat: 0, min_fee: 10000 }));
+
+    expect(fee).toBe(10000);
+    expect(breakdown).toMatchObject({ calculated: 1000, min_fee_applied: true, max_fee_applied: false });
+  });
+
+  test('caps a large fee at the maximum', () => {
+    const { fee, breakdown } = calculateFee(100000000, schedule({ percentage: 1, flat: 0, max_fee: 500000 }));
+
+    expect(fee).toBe(500000);
+    expect(breakdown).toMatchObject({ calculated: 1000000, min_fee_applied: false, max_fee_applied: true });
+  });
+
+  test('never charges more than the amount', () => {
+    expect(calculateFee(5000, schedule({ min_fee: 10000 })).fee).toBe(5000);
+  });
+
+  test('the monthly free allowance waives the fee until used up', () => {
+    const free = schedule({ free_per_month: 2 });
+
+    expect(calculateFee(1000000, free, { freeUsed: 1 })).toEqual({ fee: 0, breakdown: { free_withdrawal: true } });
+    expect(calculateFee(1000000, free, { freeUsed: 2 }).fee).toBe(25000);
+  });
+});
+
+describe('quoteWithdrawalFee', () => {
+  const finds = (...schedules) => {
+    schedules.forEach(found => FeeSchedule.findOne.mockReturnValueOnce({
+      sort: () => ({ session: () => ({ lean: async () => found }) })
+    }));
+  };
+
+  const countsFree = (used) => {
+    Withdrawal.countDocuments.mockReturnValue({ session: async () => used });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('falls back to the default tier schedule for a tier without its own', async () => {
+    finds(null, schedule());
+
+    const quote = await quoteWithdrawalFee({
+      user: { _id: 'user-1', tier: 'gold' },
+      amount: 1000000,
+      currency: 'NGN',
+      paymentMethod: 'bank_transfer'
+    });
+
+    expect(FeeSchedule.findOne.mock.calls.map(([query]) => query.tier)).toEqual(['gold', 'standard']);
+    expect(quote).toMatchObject({
+      fee: 25000,
+      net_amount: 975000,
+      tier: 'gold',
+      schedule: { id: 'schedule-1', version: 3, tier: 'standard' }
+    });
+  });
+
+  test('counts free withdrawals already made this month', async () => {
+    finds(schedule({ free_per_month: 3 }));
+    countsFree(1);
+
+    const quote = await quoteWithdrawalFee({ user: { _id: 'user-1' }, amount: 1000000, currency: 'NGN', paymentMethod: 'bank_transfer' });
+
+    expect(Withdrawal.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      user: 'user-1',
+      payment_method: 'bank_transfer',
+      currency: 'NGN',
+      status: { $nin: ['rejected', 'cancelled', 'failed'] },
+      createdAt: { $gte: expect.any(Date) }
+    }));
+    expect(quote).toMatchObject({ fee: 0, net_amount: 1000000, breakdown: { free_withdrawal: true, free_withdrawals_remaining: 1 } });
+  });
+
+  test('uses the built-in percentage when no schedule exists', async () => {
+    finds(null);
+
+    const quote = await quoteWithdrawalFee({ user: { _id: 'user-1' }, amount: 1000000, currency: 'NGN', paymentMethod: 'crypto' });
+
+    expect(quote).toMatchObject({ fee: 50000, schedule: { id: null, version: 0 } });
+    expect(Withdrawal.countDocuments).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const balanceHolds = require('./balanceHolds');
+const logger = require('./logger');
+const { sendEmail } = require('./emailService');
+const { formatMoney } = require('./money');
+
+/**
+ * Payout side of the withdrawal lifecycle, after an admin has approved it:
+ *
+ *   approved -> processing -> completed
+ *          \             \-> failed
+ *           \-> completed / failed
+ *
+ * Transitions come from an admin or a payout provider webhook. The balance
+ * hold placed on creation is captured when the payout completes and released
+ * back to the wallet when it fails. The Withdrawal model refuses any other
+ * status change, so a late or repeated provider event cannot undo a final one.
+ *
+ * Errors carry `code` and `statusCode`: NOT_FOUND (404) and
+ * INVALID_TRANSITION (409).
+ */
+
+const payoutError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Load a withdrawal in the session and check it may move to `status`
+const loadForTransition = async (withdrawalId, status, session) => {
+  const withdrawal = await Withdrawal.findById(withdrawalId)
+    .populate('user', 'full_name email')
+    .session(session);
+
+  if (!withdrawal) throw payoutError('NOT_FOUND', 'Withdrawal not found', 404);
+  if (!Withdrawal.canTransition(withdrawal.status, status)) {
+    throw payoutError('INVALID_TRANSITION', `Withdrawal is ${withdrawal.status} and cannot be marked ${status}`, 409);
+  }
+  return withdrawal;
+};
+
+const transition = async (withdrawalId, status, work) => {
+  const session = await Withdrawal.startSession();
+  session.startTransaction();
+
+  try {
+    const withdrawal = await loadForTransition(withdrawalId, status, session);
+    await work(withdrawal, session);
+    await session.commitTransaction();
+    return withdrawal;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Record which provider is sending the money, keeping any reference already set
+const setPayout = (withdrawal, { provider, reference }) => {
+  if (provider) withdrawal.payout.provider = provider;
+  if (reference) withdrawal.payout.reference = reference;
+};
+
+/**
+ * Mark an approved withdrawal as handed to the bank or payout provider
+ * @param {Object} params - { withdrawalId, actionedBy, provider, reference, io }
+ * @returns {Promise<Object>} The withdrawal
+ */
+exports.markWithdrawalProcessing = async ({ withdrawalId, actionedBy, provider, reference, io }) => {
+  const withdrawal = await transition(withdrawalId, 'processing', async (record, session) => {
+    record.status = 'processing';
+    record.processed_at = new Date();
+    setPayout(record, { provider, reference });
+    await record.save({ session });
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.withdrawal_id': record._id },
+      {
+        description: `Withdrawal processing - ${record.payment_method.replace('_', ' ')}`,
+        'metadata.processed_by': actionedBy
+      },
+      { session }
+    );
+  });
+
+  if (io) {
+    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-processing', {
+      message: `Your withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} is on its way`,
+      withdrawalId: withdrawal._id,
+      amount: withdrawal.amount,
+      netAmount: withdrawal.net_amount
+    });
+  }
+
+  return withdrawal;
+};
+
+/**
+ * Mark a payout as sent, capturing the balance hold and booking the fee
+ * @param {Object} params - { withdrawalId, actionedBy, provider, reference, transactionHash, io }
+ * @returns {Promise<Object>} The withdrawal
+ */
+exports.completeWithdrawal = async ({ withdrawalId, actionedBy, provider, reference, transactionHash, io }) => {
+  const withdrawal = await transition(withdrawalId, 'completed', async (record, session) => {
+    record.status = 'completed';
+    record.completed_at = new Date();
+    if (!record.processed_at) record.processed_at = record.completed_at;
+    if (transactionHash) record.transaction_hash = transactionHash;
+    setPayout(record, { provider, reference });
+    await record.save({ session });
+
+    // Capture the hold placed on creation, booking the fee as platform revenue
+    const { entry } = await balanceHolds.captureWithdrawalHold({
+      withdrawalId: record._id,
+      fee: record.fee,
+      actionedBy
+    }, { session });
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.withdrawal_id': record._id },
+      {
+        status: 'completed',
+        description: `Withdrawal paid - ${record.payment_method.replace('_', ' ')}`,
+        'metadata.payout_journal_entry_id': entry._id
+      },
+      { session }
+    );
+  });
+
+  if (io) {
+    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-completed', {
+      message: `Your withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} has been paid`,
+      withdrawalId: withdrawal._id,
+      amount: withdrawal.amount,
+      netAmount: withdrawal.net_amount,
+      fee: withdrawal.fee,
+      transactionHash: withdrawal.transaction_hash
+    });
+  }
+
+  return withdrawal;
+};
+
+/**
+ * Mark a payout as failed and return the held funds to the wallet
+ * @param {Object} params - { withdrawalId, actionedBy, provider, reference, reason, io }
+ * @returns {Promise<Object>} The withdrawal
+ */
+exports.failWithdrawal = async ({ withdrawalId, actionedBy, provider, reference, reason, io }) => {
+  const withdrawal = await transition(withdrawalId, 'failed', async (record, session) => {
+    record.status = 'failed';
+    record.failed_at = new Date();
+    record.failure_reason = reason;
+    setPayout(record, { provider, reference });
+    await record.save({ session });
+
+    await balanceHolds.releaseWithdrawalHold({
+      withdrawalId: record._id,
+      reason: 'payout_failed',
+      actionedBy
+    }, { session });
+
+    await Transaction.findOneAndUpdate(
+      { 'metadata.withdrawal_id': record._id },
+      {
+        status: 'failed',
+        description: `Withdrawal payout failed: ${reason}`
+      },
+      { session }
+    );
+  });
+
+  if (io) {
+    io.to(`user-${withdrawal.user._id}`).emit('withdrawal-failed', {
+      message: `Your withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} could not be paid and has been returned to your wallet`,
+      withdrawalId: withdrawal._id,
+      amount: withdrawal.amount,
+      reason,
+      refundedAmount: withdrawal.amount
+    });
+  }
+
+  try {
+    await sendEmail({
+      email: withdrawal.user.email,
+      subject: 'Withdrawal Failed - Raw Wealthy',
+      template: 'withdrawal-failed',
+      data: {
+        name: withdrawal.user.full_name,
+        amount: withdrawal.amount,
+        paymentMethod: withdrawal.payment_method,
+        reason,
+        timestamp: new Date().toLocaleString()
+      }
+    });
+  } catch (emailError) {
+    logger.error('Withdrawal failure email failed:', emailError);
+  }
+
+  return withdrawal;
+};